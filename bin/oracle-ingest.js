@@ -0,0 +1,639 @@
+#!/usr/bin/env node
+/**
+ * oracle-ingest - load course data into UC Oracle
+ *
+ * Validates JSON files of documents (src/schema), then chunks, embeds and
+ * stores them with the same code as POST /api/upload (src/ingest), printing
+ * a line per document. By default it writes to the stores configured in .env
+ * (VECTOR_STORE, EMBEDDING_PROVIDER, LEXICAL_INDEX, GRAPH_INDEX); with
+ * --server it posts the documents to a running server's /api/upload instead,
+ * which also clears that server's caches.
+ *
+ * sync treats the files as everything a namespace should hold: only added
+ * and changed documents are embedded, and documents no longer in the files
+ * are deleted (content hashes, see src/ingest/sync.js).
+ *
+ * import reads PDF and DOCX module handbooks (src/import) into a course data
+ * file with a review list of everything the parser wasn't sure about; ingest
+ * and sync refuse that file until the list has been worked through.
+ * import-assessments turns an assessment schedule spreadsheet (CSV/XLSX) into
+ * assessments of modules already in the namespace and stores them, deleting
+ * those modules' assessments the schedule no longer lists
+ * (src/import/assessments.js, the same code as POST /api/import/assessments).
+ *
+ * Usage:
+ *   oracle-ingest ingest <files...> [options]
+ *   oracle-ingest sync <files...> [options]
+ *   oracle-ingest validate <files...> [--strict] [--json]
+ *   oracle-ingest import <handbooks...> [--out <file>] [--json]
+ *   oracle-ingest import-assessments <schedule.csv|.xlsx> [options]
+ *
+ * Run with --help for the options.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createVectorStore } = require('../src/vector-store');
+const { createEmbeddingProvider } = require('../src/providers');
+const { createLexicalIndexFromEnv } = require('../src/lexical');
+const { createGraphIndexFromEnv } = require('../src/graph');
+const { createCatalogue, DEFAULT_NAMESPACE } = require('../src/catalogue');
+const { parseChunkingOptions, resolveChunkingOptions } = require('../src/chunking');
+const { createIngester, loadDocumentFiles, DEFAULT_BATCH_SIZE } = require('../src/ingest');
+const { createKnowledgeBase } = require('../src/knowledge-base');
+const { formatIssue } = require('../src/schema');
+const { importHandbooks, importAssessmentSchedule, SUPPORTED_EXTENSIONS } = require('../src/import');
+const { createAcademicCalendar } = require('../src/academic-calendar');
+
+const DEFAULT_FILES = ['uc-course-data.json', 'uc-course-data-year2.json'].map(file => path.join(__dirname, '..', file));
+const DEFAULT_PROGRESS_PATH = path.join(__dirname, '..', 'data', 'ingest-progress.json');
+const DEFAULT_IMPORT_PATH = 'handbook-import.json';
+
+const HELP = `
+Usage:
+  oracle-ingest ingest [files...] [options]    Validate, chunk, embed and store documents
+  oracle-ingest sync [files...] [options]      Make a namespace match the files: embed only added and changed
+                                               documents, delete the ones no longer there
+  oracle-ingest validate [files...] [options]  Only check the files against the schemas
+  oracle-ingest import <handbooks...> [options]
+                                               Read PDF/DOCX module handbooks into a course data file to review
+  oracle-ingest import-assessments <schedule> [options]
+                                               Store the assessments in a CSV/XLSX schedule
+
+Files are JSON - an array of documents or { "documents": [...] } - or text
+(.txt, .md), stored as one document named after the file. Without any,
+uc-course-data.json and uc-course-data-year2.json are used.
+
+ingest, sync and import-assessments options:
+  --namespace <name>        Namespace to store into (default ${DEFAULT_NAMESPACE})
+  --dry-run                 Report what would happen - chunks and tokens, or the sync diff - and store nothing
+  --batch-size <n>          Vectors per upsert or delete, or documents per request with ingest --server (default ${DEFAULT_BATCH_SIZE})
+  --chunking <strategy>     structured, paragraph or fixed (default CHUNK_STRATEGY or structured)
+  --max-tokens <n>          Tokens per chunk (default CHUNK_MAX_TOKENS or 800)
+  --overlap-tokens <n>      Tokens repeated between chunks (default CHUNK_OVERLAP_TOKENS or 100)
+  --server <url>            Go through a running server's /api/upload or /api/sync (needs ORACLE_API_KEY)
+
+ingest only:
+  --resume                  Skip documents an interrupted run already stored in this namespace
+  --progress <file>         Where --resume state is kept (default data/ingest-progress.json)
+
+import only:
+  --out <file>              Where to write the documents and review list (default ${DEFAULT_IMPORT_PATH})
+  --course-code <code>      Course for handbooks that don't name theirs
+  --course-title <title>    Its title, to add a course overview document
+
+import-assessments only:
+  --columns <mappings>      Map headers the importer doesn't recognise, e.g. "Due=deadline,Marker=tutor"
+  --sheet <name>            XLSX sheet to read (default the first)
+
+All commands:
+  --strict                  Treat validation warnings as errors
+  --json                    Print the report as JSON
+  --help                    Show this help
+`;
+
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m'
+};
+
+// Options that take a value, and the flags that don't
+const VALUE_OPTIONS = ['namespace', 'batch-size', 'chunking', 'max-tokens', 'overlap-tokens', 'server', 'progress', 'out', 'course-code', 'course-title', 'columns', 'sheet'];
+const FLAGS = ['dry-run', 'resume', 'strict', 'json', 'help'];
+
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (VALUE_OPTIONS.includes(name)) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`--${name} needs a value`);
+      }
+      options[name] = value;
+    } else {
+      throw new Error(`Unknown option --${name} (see --help)`);
+    }
+  }
+
+  const [command, ...files] = positional;
+  return { command, files, options };
+}
+
+function relative(file) {
+  return file ? path.relative(process.cwd(), file) : '';
+}
+
+function printIssues(title, issues, color) {
+  if (issues.length === 0) return;
+  console.log(`${color}${title} (${issues.length}):${colors.reset}`);
+  issues.forEach(issue => console.log(`  ${issue.file ? `${relative(issue.file)}: ` : ''}${formatIssue(issue)}`));
+  console.log('');
+}
+
+// Load and validate the files, printing what was found; returns null when validation fails
+function loadAndValidate(files, options, existing = []) {
+  const loaded = loadDocumentFiles(files, { existing });
+  const failed = loaded.errors.length > 0 || (options.strict && loaded.warnings.length > 0);
+
+  if (!options.json) {
+    console.log(`\n${colors.cyan}Validating ${files.length} file(s)...${colors.reset}\n`);
+    loaded.files.forEach(({ file, documents }) => console.log(`  ${relative(file)}: ${documents} documents`));
+    console.log(`  Types: ${Object.entries(loaded.counts).map(([type, count]) => `${type} ${count}`).join(', ') || 'none'}\n`);
+    printIssues('✗ Errors', loaded.errors, colors.red);
+    printIssues('⚠ Warnings', loaded.warnings, colors.yellow);
+  }
+
+  return { ...loaded, failed };
+}
+
+function validateCommand(files, options) {
+  const report = loadAndValidate(files, options);
+
+  if (options.json) {
+    const { files: fileReports, errors, warnings, counts } = report;
+    console.log(JSON.stringify({ valid: !report.failed, files: fileReports, errors, warnings, counts }, null, 2));
+  } else {
+    console.log(report.failed
+      ? `${colors.red}✗ Validation failed${colors.reset}\n`
+      : `${colors.green}✓ Course data is valid${report.warnings.length > 0 ? ' (with warnings)' : ''}${colors.reset}\n`);
+  }
+  return report.failed ? 1 : 0;
+}
+
+/**
+ * --resume state: { [namespace]: { updatedAt, completed: [id] } }
+ * A namespace's entry is reset when a run starts without --resume and removed when a run finishes cleanly.
+ */
+function createProgress(filePath, namespace, { resume }) {
+  let state = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (error) {
+      console.warn(`${colors.yellow}⚠ Ignoring unreadable progress file ${relative(filePath)}: ${error.message}${colors.reset}`);
+    }
+  }
+
+  const completed = new Set(resume && state[namespace] ? state[namespace].completed : []);
+
+  function save() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  return {
+    has: id => Boolean(id) && completed.has(id),
+    add(id) {
+      if (!id) return;
+      completed.add(id);
+      state[namespace] = { updatedAt: new Date().toISOString(), completed: Array.from(completed) };
+      save();
+    },
+    // Every document is in - nothing left to resume
+    finish() {
+      if (!state[namespace]) return;
+      delete state[namespace];
+      if (Object.keys(state).length === 0) {
+        fs.rmSync(filePath, { force: true });
+      } else {
+        save();
+      }
+    }
+  };
+}
+
+function printReport(report, width) {
+  const size = item => `${item.chunks} chunk${item.chunks === 1 ? ' ' : 's'}  ${String(item.tokens).padStart(6)} tokens`;
+
+  switch (report.status) {
+    case 'uploaded':
+      console.log(`  ${colors.green}✓${colors.reset} ${report.id.padEnd(width)}  ${size(report)}`);
+      break;
+    case 'dry-run':
+      console.log(`  · ${report.id.padEnd(width)}  ${size(report)}`);
+      break;
+    case 'skipped':
+      console.log(`  ${colors.yellow}↷${colors.reset} ${String(report.id).padEnd(width)}  skipped (stored by an earlier run)`);
+      break;
+    default:
+      console.log(`  ${colors.red}✗${colors.reset} ${String(report.id).padEnd(width)}  ${report.error}`);
+  }
+}
+
+const CHANGE_MARKS = {
+  added: `${colors.green}+${colors.reset}`,
+  changed: `${colors.yellow}~${colors.reset}`,
+  removed: `${colors.red}-${colors.reset}`,
+  unchanged: ' '
+};
+
+function printSyncReport(report, width) {
+  const id = report.id.padEnd(width);
+  if (report.status === 'failed') {
+    console.log(`  ${colors.red}✗${colors.reset} ${id}  ${report.change}: ${report.error}`);
+  } else if (report.change === 'removed') {
+    console.log(`  ${CHANGE_MARKS.removed} ${id}  removed (${report.chunks} chunk${report.chunks === 1 ? '' : 's'})`);
+  } else if (report.change === 'unchanged') {
+    console.log(`  ${CHANGE_MARKS.unchanged} ${id}  unchanged`);
+  } else {
+    console.log(`  ${CHANGE_MARKS[report.change]} ${id}  ${report.change.padEnd(8)}  ${report.chunks} chunk${report.chunks === 1 ? ' ' : 's'}  ${String(report.tokens).padStart(6)} tokens`);
+  }
+}
+
+// POST to a running server's API with ORACLE_API_KEY; errors carry the status and any validation issues
+async function postToServer(server, route, body) {
+  const apiKey = process.env.ORACLE_API_KEY;
+  if (!apiKey) {
+    throw new Error('--server needs ORACLE_API_KEY (a staff or admin key from the server\'s API_KEYS)');
+  }
+
+  const response = await fetch(new URL(route, server), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const details = (data.errors || []).map(formatIssue).join('; ');
+    throw new Error(`${response.status} ${data.error || response.statusText}${details ? `: ${details}` : ''}${data.details ? `: ${data.details}` : ''}`);
+  }
+  return data;
+}
+
+// Post documents to a running server, batchSize documents per request
+async function ingestThroughServer(documents, { server, namespace, chunking, batchSize, skip, onDocument }) {
+  const reports = [];
+  const finish = report => {
+    reports.push(report);
+    onDocument(report);
+  };
+
+  const queue = [];
+  documents.forEach(doc => (skip(doc) ? finish({ id: doc.id, status: 'skipped', chunks: 0, tokens: 0 }) : queue.push(doc)));
+
+  for (let i = 0; i < queue.length; i += batchSize) {
+    const batch = queue.slice(i, i + batchSize);
+    try {
+      const data = await postToServer(server, '/api/upload', { documents: batch, namespace, chunking });
+      data.documents.forEach(finish);
+    } catch (error) {
+      batch.forEach(doc => finish({ id: doc.id, status: 'failed', chunks: 0, tokens: 0, error: error.message }));
+    }
+  }
+
+  return { documents: reports };
+}
+
+// --namespace, --batch-size and the chunking flags, shared by ingest and sync
+function parseStoreOptions(options) {
+  const batchSize = Number(options['batch-size'] ?? DEFAULT_BATCH_SIZE);
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('--batch-size must be a whole number of at least 1');
+  }
+  const chunking = resolveChunkingOptions({
+    strategy: options.chunking,
+    maxTokens: options['max-tokens'],
+    overlapTokens: options['overlap-tokens']
+  }, parseChunkingOptions(process.env));
+
+  return { namespace: options.namespace ?? DEFAULT_NAMESPACE, batchSize, chunking };
+}
+
+// The stores configured in .env - without an embedding provider when nothing will be embedded
+function createStores({ embed = true } = {}) {
+  return {
+    vectorStore: createVectorStore(),
+    embeddingProvider: embed ? createEmbeddingProvider() : null,
+    lexicalIndex: createLexicalIndexFromEnv(),
+    graphIndex: createGraphIndexFromEnv()
+  };
+}
+
+function reportInvalid(loaded, options) {
+  if (options.json) {
+    console.log(JSON.stringify({ ok: false, errors: loaded.errors, warnings: loaded.warnings }, null, 2));
+  } else {
+    console.log(`${colors.red}✗ Nothing stored - fix the errors above first${colors.reset}\n`);
+  }
+  return 1;
+}
+
+// Keep console output to the per-document report; errors still show
+const quiet = { log() {}, error: (...args) => console.error(...args) };
+
+async function ingestCommand(files, options) {
+  const { namespace, batchSize, chunking } = parseStoreOptions(options);
+
+  // Writing straight to the stores: the namespace's existing documents count for cross-reference checks
+  let stores = null;
+  let existing = [];
+  if (!options.server && !options['dry-run']) {
+    stores = createStores();
+    existing = await createCatalogue(stores.vectorStore).listEntries({ namespace }).catch(() => []);
+  }
+
+  const loaded = loadAndValidate(files, options, existing);
+  if (loaded.failed) return reportInvalid(loaded, options);
+
+  const progress = createProgress(path.resolve(options.progress || DEFAULT_PROGRESS_PATH), namespace, { resume: Boolean(options.resume) });
+  const target = options['dry-run'] ? 'dry run' : options.server ? `server ${options.server}` : (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+  if (!options.json) {
+    console.log(`${colors.cyan}Ingesting ${loaded.documents.length} documents into "${namespace}" (${target}; ${chunking.strategy}, ${chunking.maxTokens} tokens)...${colors.reset}\n`);
+  }
+
+  const width = Math.max(10, ...loaded.documents.map(doc => String(doc.id || '').length));
+  const ingestOptions = {
+    namespace,
+    chunking,
+    batchSize,
+    dryRun: Boolean(options['dry-run']),
+    skip: doc => progress.has(doc.id),
+    onDocument: report => {
+      if (report.status === 'uploaded') progress.add(report.id);
+      if (!options.json) printReport(report, width);
+    }
+  };
+
+  const { documents: reports } = options.server
+    ? await ingestThroughServer(loaded.documents, { ...ingestOptions, server: options.server })
+    : await createIngester({ ...(stores || {}), logger: quiet }).ingest(loaded.documents, ingestOptions);
+
+  const count = status => reports.filter(report => report.status === status).length;
+  const summary = {
+    uploaded: count('uploaded'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    chunks: reports.reduce((sum, report) => sum + report.chunks, 0),
+    tokens: reports.reduce((sum, report) => sum + report.tokens, 0)
+  };
+  if (!options['dry-run'] && summary.failed === 0) progress.finish();
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: summary.failed === 0, namespace, chunking, summary, documents: reports, warnings: loaded.warnings }, null, 2));
+  } else {
+    console.log('');
+    if (options['dry-run']) {
+      console.log(`${colors.cyan}Dry run: ${reports.length} documents would be stored as ${summary.chunks} chunks (${summary.tokens} tokens)${colors.reset}\n`);
+    } else {
+      console.log(`${summary.failed > 0 ? colors.yellow : colors.green}Stored ${summary.uploaded} documents (${summary.chunks} chunks), skipped ${summary.skipped}, failed ${summary.failed}${colors.reset}`);
+      if (summary.failed > 0) console.log(`${colors.yellow}Run again with --resume to retry only what failed${colors.reset}`);
+      if (!options.server && summary.uploaded > 0) {
+        console.log(`${colors.yellow}A server that is already running keeps its cached answers - restart it, or use --server next time${colors.reset}`);
+      }
+      console.log('');
+    }
+  }
+
+  return summary.failed > 0 ? 1 : 0;
+}
+
+async function syncCommand(files, options) {
+  if (options.resume) {
+    throw new Error('sync only embeds what changed since the last run - it doesn\'t need --resume');
+  }
+  const { namespace, batchSize, chunking } = parseStoreOptions(options);
+  const dryRun = Boolean(options['dry-run']);
+
+  // The files replace the namespace, so cross-references are checked within them alone
+  const loaded = loadAndValidate(files, options);
+  if (loaded.failed) return reportInvalid(loaded, options);
+
+  const target = options.server ? `server ${options.server}` : (process.env.VECTOR_STORE || 'pinecone').toLowerCase();
+  if (!options.json) {
+    console.log(`${colors.cyan}Syncing "${namespace}" with ${loaded.documents.length} documents (${target}${dryRun ? ', dry run' : ''}; ${chunking.strategy}, ${chunking.maxTokens} tokens)...${colors.reset}\n`);
+  }
+
+  // Removed documents can have longer ids than any in the files - print once the diff is known
+  let result;
+  if (options.server) {
+    result = await postToServer(options.server, '/api/sync', { documents: loaded.documents, namespace, chunking, dryRun });
+  } else {
+    const ingester = createIngester({ ...createStores({ embed: !dryRun }), logger: quiet });
+    result = await ingester.sync(loaded.documents, { namespace, chunking, batchSize, dryRun });
+  }
+  const { documents: reports, summary } = result;
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: summary.failed === 0, namespace, dryRun, chunking, summary, documents: reports, warnings: loaded.warnings }, null, 2));
+    return summary.failed > 0 ? 1 : 0;
+  }
+
+  const width = Math.max(10, ...reports.map(report => report.id.length));
+  reports.forEach(report => printSyncReport(report, width));
+  console.log('');
+  const counts = `${summary.added} added, ${summary.changed} changed, ${summary.removed} removed, ${summary.unchanged} unchanged`;
+  if (dryRun) {
+    console.log(`${colors.cyan}Dry run: ${counts} - nothing stored or deleted${colors.reset}\n`);
+  } else {
+    console.log(`${summary.failed > 0 ? colors.yellow : colors.green}Synced: ${counts}${summary.failed > 0 ? `, ${summary.failed} failed` : ''}${colors.reset}`);
+    if (summary.failed > 0) console.log(`${colors.yellow}Run sync again to retry - documents already in step are left alone${colors.reset}`);
+    if (!options.server && summary.added + summary.changed + summary.removed > 0) {
+      console.log(`${colors.yellow}A server that is already running keeps its cached answers - restart it, or use --server next time${colors.reset}`);
+    }
+    console.log('');
+  }
+
+  return summary.failed > 0 ? 1 : 0;
+}
+
+async function importCommand(files, options) {
+  if (files.length === 0) {
+    throw new Error(`import needs at least one handbook (${SUPPORTED_EXTENSIONS.join(' or ')})`);
+  }
+  const outPath = path.resolve(options.out || DEFAULT_IMPORT_PATH);
+  const result = await importHandbooks(files, {
+    courseCode: options['course-code'] || null,
+    courseTitle: options['course-title'] || null
+  });
+  const { files: fileReports, documents, review, counts } = result;
+
+  if (documents.length > 0) {
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    // Review items name the handbook, not where it happened to be on this machine
+    const reviewList = review.map(({ file, ...item }) => ({ handbook: file ? path.basename(file) : null, ...item }));
+    fs.writeFileSync(outPath, `${JSON.stringify({ documents, review: reviewList }, null, 2)}\n`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: documents.length > 0, out: documents.length > 0 ? outPath : null, files: fileReports, counts, review, documents }, null, 2));
+    return documents.length > 0 ? 0 : 1;
+  }
+
+  console.log(`\n${colors.cyan}Importing ${files.length} handbook(s)...${colors.reset}\n`);
+  fileReports.forEach(({ file, documents: count, error }) => console.log(error
+    ? `  ${colors.red}✗${colors.reset} ${relative(file)}: ${error}`
+    : `  ${colors.green}✓${colors.reset} ${relative(file)}: ${count} documents`));
+  console.log(`  Types: ${Object.entries(counts).map(([type, count]) => `${type} ${count}`).join(', ') || 'none'}\n`);
+  printIssues('⚠ Needs review', review, colors.yellow);
+
+  if (documents.length === 0) {
+    console.log(`${colors.red}✗ Nothing imported${colors.reset}\n`);
+    return 1;
+  }
+  console.log(`${colors.green}Wrote ${documents.length} documents to ${relative(outPath)}${colors.reset}`);
+  console.log(review.length > 0
+    ? `${colors.yellow}Check the ${review.length} item(s) above, fix the documents and empty its "review" list - ingest refuses the file until then${colors.reset}\n`
+    : `${colors.green}Nothing to review - check it with: oracle-ingest validate ${relative(outPath)}${colors.reset}\n`);
+  return 0;
+}
+
+// "Due=deadline,Marker=tutor" -> { Due: 'deadline', Marker: 'tutor' }
+function parseColumnMappings(value) {
+  if (!value) return {};
+  return Object.fromEntries(value.split(',').map(pair => {
+    const [header, field] = pair.split('=').map(part => part && part.trim());
+    if (!header || !field) throw new Error(`--columns expects "Header=field" pairs, got "${pair}"`);
+    return [header, field];
+  }));
+}
+
+async function importAssessmentsCommand(files, options) {
+  if (files.length !== 1) {
+    throw new Error('import-assessments takes one schedule (.csv or .xlsx)');
+  }
+  const [file] = files;
+  const extension = path.extname(file).toLowerCase();
+  const format = { '.csv': 'csv', '.tsv': 'csv', '.txt': 'csv', '.xlsx': 'xlsx' }[extension];
+  if (!format) {
+    throw new Error(`can't import ${extension || 'files without an extension'} - expected .csv or .xlsx`);
+  }
+
+  const { namespace, batchSize, chunking } = parseStoreOptions(options);
+  const dryRun = Boolean(options['dry-run']);
+  const columns = parseColumnMappings(options.columns);
+  const sheet = options.sheet && /^\d+$/.test(options.sheet) ? Number(options.sheet) : options.sheet;
+  const content = fs.readFileSync(file);
+
+  let result;
+  let reports;
+  if (options.server) {
+    try {
+      const data = await postToServer(options.server, '/api/import/assessments', {
+        format,
+        content: format === 'xlsx' ? content.toString('base64') : content.toString('utf-8'),
+        sheet,
+        columns,
+        namespace,
+        chunking,
+        dryRun
+      });
+      result = { documents: data.documents, stale: (data.removed || []).map(id => ({ id })), errors: [], warnings: data.warnings || [] };
+      reports = dryRun ? null : data.documents;
+    } catch (error) {
+      // Validation failures come back as a 400 with the issues in the message
+      if (options.json) {
+        console.log(JSON.stringify({ ok: false, error: error.message }, null, 2));
+      } else {
+        console.error(`${colors.red}✗ ${error.message}${colors.reset}`);
+      }
+      return 1;
+    }
+  } else {
+    const stores = createStores({ embed: !dryRun });
+    const existing = await createCatalogue(stores.vectorStore).listEntries({ namespace });
+    result = await importAssessmentSchedule(content, { format, sheet, columns, existing, calendar: createAcademicCalendar() });
+    if (result.errors.length === 0 && result.documents.length > 0 && !dryRun) {
+      const ingester = createIngester({ ...stores, logger: quiet });
+      ({ documents: reports } = await ingester.ingest(result.documents, { namespace, chunking, batchSize }));
+      if (!reports.some(report => report.status === 'failed')) {
+        const knowledgeBase = createKnowledgeBase({ ...stores, ingester });
+        for (const { id } of result.stale) {
+          await knowledgeBase.deleteDocument(id, { namespace });
+        }
+      }
+    }
+  }
+  const { documents, stale, errors, warnings } = result;
+  const removedIds = stale.map(entry => entry.id);
+  const failed = errors.length > 0 || documents.length === 0 || (options.strict && warnings.length > 0) ||
+    (reports || []).some(report => report.status === 'failed');
+
+  if (options.json) {
+    console.log(JSON.stringify({ ok: !failed, namespace, dryRun, errors, warnings, documents: reports || documents, removed: removedIds }, null, 2));
+    return failed ? 1 : 0;
+  }
+
+  console.log(`\n${colors.cyan}Importing ${relative(file)} into "${namespace}"${dryRun ? ' (dry run)' : ''}...${colors.reset}\n`);
+  printIssues('✗ Errors', errors, colors.red);
+  printIssues('⚠ Warnings', warnings, colors.yellow);
+  if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+    console.log(`${colors.red}✗ Nothing stored - fix the schedule first${colors.reset}\n`);
+    return 1;
+  }
+  if (documents.length === 0) {
+    console.log(`${colors.red}✗ The schedule has no assessment rows${colors.reset}\n`);
+    return 1;
+  }
+
+  const width = Math.max(10, ...documents.map(doc => doc.id.length), ...removedIds.map(id => id.length));
+  if (reports) {
+    reports.forEach(report => printReport(report, width));
+  } else {
+    documents.forEach(doc => console.log(`  · ${doc.id.padEnd(width)}  ${[doc.metadata.weight, doc.metadata.deadline].filter(Boolean).join(', ')}`));
+  }
+  removedIds.forEach(id => console.log(`  ${colors.yellow}- ${id.padEnd(width)}  no longer in the schedule${colors.reset}`));
+  console.log('');
+  if (dryRun) {
+    console.log(`${colors.cyan}Dry run: ${documents.length} assessments would be stored, ${removedIds.length} removed${colors.reset}\n`);
+  } else {
+    const count = reports.filter(report => report.status === 'uploaded').length;
+    // Nothing is deleted when storing failed
+    const removed = reports.some(report => report.status === 'failed') ? 0 : removedIds.length;
+    console.log(`${failed ? colors.yellow : colors.green}Stored ${count} of ${documents.length} assessments, removed ${removed}${colors.reset}`);
+    if (!options.server && count > 0) {
+      console.log(`${colors.yellow}A server that is already running keeps its cached answers - restart it, or use --server next time${colors.reset}`);
+    }
+    console.log('');
+  }
+  return failed ? 1 : 0;
+}
+
+async function main() {
+  const { command, files, options } = parseArgs(process.argv.slice(2));
+  const targets = files.length > 0 ? files.map(file => path.resolve(file)) : DEFAULT_FILES;
+
+  if (options.help || !command) {
+    console.log(HELP);
+    return command || options.help ? 0 : 1;
+  }
+
+  switch (command) {
+    case 'ingest':
+      return ingestCommand(targets, options);
+    case 'sync':
+      return syncCommand(targets, options);
+    case 'validate':
+      return validateCommand(targets, options);
+    case 'import':
+      // Handbooks, not course data - the default files don't apply
+      return importCommand(files.map(file => path.resolve(file)), options);
+    case 'import-assessments':
+      return importAssessmentsCommand(files.map(file => path.resolve(file)), options);
+    default:
+      throw new Error(`Unknown command "${command}" (expected ingest, sync, validate, import or import-assessments)`);
+  }
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(`${colors.red}✗ ${error.message}${colors.reset}`);
+    process.exitCode = 1;
+  });
@@ -4,6 +4,8 @@
  */
 
 const API_URL = 'http://localhost:3000';
+// Uploads need a staff key and the cache routes an admin key (API_KEYS on the server)
+const API_KEY = process.env.ORACLE_API_KEY;
 
 // ============================================================================
 // EXAMPLE 1: Upload Documents with Namespaces and Rich Metadata
@@ -58,7 +60,7 @@ async function uploadOptimizedDocuments() {
   try {
     const response = await fetch(`${API_URL}/api/upload`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
       body: JSON.stringify({
         documents: courseDocs,
         namespace: 'cs-101' // Key optimization: Use namespace
@@ -151,7 +153,7 @@ async function uploadMultipleNamespaces() {
   // Year 1 documents
   await fetch(`${API_URL}/api/upload`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
     body: JSON.stringify({
       documents: [
         {
@@ -168,7 +170,7 @@ async function uploadMultipleNamespaces() {
   // Year 2 documents
   await fetch(`${API_URL}/api/upload`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
     body: JSON.stringify({
       documents: [
         {
@@ -185,7 +187,7 @@ async function uploadMultipleNamespaces() {
   // Assessment documents (separate namespace)
   await fetch(`${API_URL}/api/upload`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
     body: JSON.stringify({
       documents: [
         {
@@ -208,7 +210,9 @@ async function checkCacheStats() {
   console.log('📊 Checking cache statistics...\n');
 
   try {
-    const response = await fetch(`${API_URL}/api/cache/stats`);
+    const response = await fetch(`${API_URL}/api/cache/stats`, {
+      headers: { Authorization: `Bearer ${API_KEY}` }
+    });
     const stats = await response.json();
 
     console.log(`📦 Cache size: ${stats.size}/${stats.maxSize}`);
@@ -234,7 +238,8 @@ async function clearCache() {
 
   try {
     const response = await fetch(`${API_URL}/api/cache/clear`, {
-      method: 'POST'
+      method: 'POST',
+      headers: { Authorization: `Bearer ${API_KEY}` }
     });
     const result = await response.json();
     console.log(`✅ ${result.message}`);
@@ -7,6 +7,8 @@
  */
 
 const API_BASE_URL = 'http://localhost:3000/api';
+// Uploads need a staff or admin key from API_KEYS on the server
+const API_KEY = process.env.ORACLE_API_KEY;
 
 // Example: Upload sample documents
 async function uploadSampleDocuments() {
@@ -60,6 +62,7 @@ async function uploadSampleDocuments() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        'Authorization': `Bearer ${API_KEY}`,
       },
       body: JSON.stringify({ documents: sampleDocuments }),
     });
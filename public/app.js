@@ -14,6 +14,14 @@ const API_BASE_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3000/api'
     : `${window.location.origin}/api`;
 
+// Conversations are stored server-side; the browser only keeps its client id
+// (which owns the conversations) and the id of the conversation on screen
+const CLIENT_ID_KEY = 'oracle-client-id';
+const SESSION_ID_KEY = 'oracle-session-id';
+
+// Staff API key or sign-in token, sent as "Authorization: Bearer ..." to protected routes
+const AUTH_TOKEN_KEY = 'oracle-auth-token';
+
 // Academic Terminology Glossary
 const ACADEMIC_GLOSSARY = {
     'module': 'A self-contained unit of study within a course, usually lasting one semester or academic year',
@@ -70,6 +78,15 @@ const elements = {
     statMessages: document.getElementById('statMessages'),
     statAvgTime: document.getElementById('statAvgTime'),
     statContext: document.getElementById('statContext'),
+    conversationContext: document.getElementById('conversationContext'),
+    
+    // Conversation history
+    historyPanel: document.getElementById('historyPanel'),
+    historyBtn: document.getElementById('historyBtn'),
+    closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+    newChatButton: document.getElementById('newChatButton'),
+    historyList: document.getElementById('historyList'),
+    historyEmpty: document.getElementById('historyEmpty'),
     
     // Side panel
     sidePanel: document.getElementById('sidePanel'),
@@ -78,6 +95,10 @@ const elements = {
     documentInput: document.getElementById('documentInput'),
     uploadButton: document.getElementById('uploadButton'),
     uploadStatus: document.getElementById('uploadStatus'),
+    uploadSection: document.getElementById('uploadSection'),
+    
+    // Staff sign-in
+    signInBtn: document.getElementById('signInBtn'),
     
     // Theme and actions
     themeToggle: document.getElementById('themeToggle'),
@@ -95,6 +116,8 @@ let state = {
     messageCount: 0,
     totalResponseTime: 0,
     conversationHistory: [],
+    sessionId: localStorage.getItem(SESSION_ID_KEY),
+    user: null,
     isLoading: false
 };
 
@@ -113,6 +136,13 @@ function initializeApp() {
     initializeEventListeners();
     checkServerStatus();
     configureMarked();
+    loadCurrentUser();
+    
+    // Pick up where the student left off
+    if (state.sessionId) {
+        resumeSession(state.sessionId);
+    }
+    loadSessionList();
     
     // Periodic status check
     setInterval(checkServerStatus, 30000);
@@ -143,6 +173,15 @@ function initializeEventListeners() {
     elements.themeToggle.addEventListener('click', toggleTheme);
     elements.clearChatButton.addEventListener('click', clearChat);
     elements.uploadButton.addEventListener('click', uploadDocument);
+    elements.signInBtn?.addEventListener('click', toggleSignIn);
+    
+    // Conversation history
+    elements.historyBtn?.addEventListener('click', () => toggleHistoryPanel(true));
+    elements.closeHistoryBtn?.addEventListener('click', () => toggleHistoryPanel(false));
+    elements.newChatButton?.addEventListener('click', () => {
+        startNewConversation();
+        toggleHistoryPanel(false);
+    });
     
     // Side panel
     elements.uploadBtn?.addEventListener('click', () => toggleSidePanel(true));
@@ -166,6 +205,11 @@ function initializeEventListeners() {
             e.target !== elements.uploadBtn) {
             toggleSidePanel(false);
         }
+        if (elements.historyPanel?.classList.contains('open') && 
+            !elements.historyPanel.contains(e.target) && 
+            !elements.historyBtn?.contains(e.target)) {
+            toggleHistoryPanel(false);
+        }
     });
 }
 
@@ -219,7 +263,7 @@ async function checkServerStatus() {
         const response = await fetch(`${API_BASE_URL}/health`);
         const data = await response.json();
         
-        if (data.status === 'ok' && data.pineconeConnected) {
+        if (data.status === 'ok' && data.vectorStoreConnected !== false) {
             updateConnectionStatus('connected', 'Connected');
         } else {
             updateConnectionStatus('error', 'Not Connected');
@@ -248,6 +292,217 @@ function toggleSidePanel(open) {
     }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CONVERSATION HISTORY
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Random id identifying this browser's conversations (not a login)
+function getClientId() {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+        clientId = crypto.randomUUID();
+        localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+    return clientId;
+}
+
+function sessionHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-Client-Id': getClientId()
+    };
+}
+
+function setCurrentSession(sessionId) {
+    state.sessionId = sessionId;
+    if (sessionId) {
+        localStorage.setItem(SESSION_ID_KEY, sessionId);
+    } else {
+        localStorage.removeItem(SESSION_ID_KEY);
+    }
+    highlightActiveSession();
+}
+
+// Create the server-side session lazily, on the first message of a conversation
+async function ensureSession() {
+    if (state.sessionId) return state.sessionId;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/sessions`, {
+            method: 'POST',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ namespace: 'ucl-courses' })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const session = await response.json();
+        setCurrentSession(session.id);
+    } catch (error) {
+        // Fall back to sending the history with each message
+        console.error('Could not start a saved conversation:', error);
+    }
+    return state.sessionId;
+}
+
+function toggleHistoryPanel(open) {
+    if (elements.historyPanel) {
+        elements.historyPanel.classList.toggle('open', open);
+        if (open) loadSessionList();
+    }
+}
+
+async function loadSessionList() {
+    if (!elements.historyList) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/sessions`, { headers: sessionHeaders() });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const { sessions } = await response.json();
+        renderSessionList(sessions);
+    } catch (error) {
+        console.error('Failed to load conversations:', error);
+    }
+}
+
+function renderSessionList(sessions) {
+    elements.historyList.innerHTML = '';
+    if (elements.historyEmpty) {
+        elements.historyEmpty.style.display = sessions.length === 0 ? '' : 'none';
+    }
+    
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.dataset.sessionId = session.id;
+        
+        const open = document.createElement('button');
+        open.className = 'history-item-open';
+        open.addEventListener('click', () => {
+            resumeSession(session.id);
+            toggleHistoryPanel(false);
+        });
+        
+        const title = document.createElement('span');
+        title.className = 'history-item-title';
+        title.textContent = session.title;
+        
+        const meta = document.createElement('span');
+        meta.className = 'history-item-meta';
+        const questions = Math.ceil(session.turnCount / 2);
+        meta.textContent = `${formatRelativeTime(session.updatedAt)} · ${questions} ${questions === 1 ? 'question' : 'questions'}`;
+        
+        open.appendChild(title);
+        open.appendChild(meta);
+        
+        const rename = document.createElement('button');
+        rename.className = 'history-item-action';
+        rename.title = 'Rename';
+        rename.textContent = '✏️';
+        rename.addEventListener('click', () => renameSession(session.id, session.title));
+        
+        const remove = document.createElement('button');
+        remove.className = 'history-item-action';
+        remove.title = 'Delete';
+        remove.textContent = '🗑️';
+        remove.addEventListener('click', () => deleteSession(session.id));
+        
+        item.appendChild(open);
+        item.appendChild(rename);
+        item.appendChild(remove);
+        elements.historyList.appendChild(item);
+    });
+    
+    highlightActiveSession();
+}
+
+function highlightActiveSession() {
+    elements.historyList?.querySelectorAll('.history-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.sessionId === state.sessionId);
+    });
+}
+
+// Load a stored conversation and replay its turns
+async function resumeSession(sessionId) {
+    try {
+        const response = await fetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+            headers: sessionHeaders()
+        });
+        if (response.status === 404) {
+            // Deleted elsewhere (or expired) - start fresh
+            if (state.sessionId === sessionId) startNewConversation();
+            return;
+        }
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        
+        const session = await response.json();
+        resetChatView();
+        setCurrentSession(session.id);
+        
+        if (session.turns.length > 0) {
+            hideWelcomeExperience();
+        }
+        session.turns.forEach(turn => addMessage(turn.role, turn.content));
+        updateConversationContext(session.context);
+        
+        state.conversationHistory = session.turns.map(({ role, content }) => ({ role, content }));
+        state.messageCount = session.turns.filter(turn => turn.role === 'assistant').length;
+        updateStats();
+    } catch (error) {
+        console.error('Failed to resume conversation:', error);
+    }
+}
+
+function startNewConversation() {
+    resetChatView();
+    setCurrentSession(null);
+}
+
+async function renameSession(sessionId, currentTitle) {
+    const title = prompt('Rename conversation', currentTitle);
+    if (!title || !title.trim() || title === currentTitle) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'PATCH',
+            headers: sessionHeaders(),
+            body: JSON.stringify({ title })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        loadSessionList();
+    } catch (error) {
+        console.error('Failed to rename conversation:', error);
+    }
+}
+
+async function deleteSession(sessionId) {
+    if (!confirm('Delete this conversation? This cannot be undone.')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE',
+            headers: sessionHeaders()
+        });
+        if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+        
+        if (sessionId === state.sessionId) {
+            startNewConversation();
+        }
+        loadSessionList();
+    } catch (error) {
+        console.error('Failed to delete conversation:', error);
+    }
+}
+
+function formatRelativeTime(isoString) {
+    const seconds = Math.round((Date.now() - new Date(isoString).getTime()) / 1000);
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    if (seconds < 86400 * 7) return `${Math.floor(seconds / 86400)}d ago`;
+    return new Date(isoString).toLocaleDateString();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MESSAGING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -272,6 +527,7 @@ async function sendMessage() {
     const loadingId = addLoadingMessage();
     
     const startTime = Date.now();
+    let streamingMessage = null;
     
     try {
         // Add to conversation history
@@ -282,43 +538,94 @@ async function sendMessage() {
             state.conversationHistory = state.conversationHistory.slice(-MAX_HISTORY_LENGTH);
         }
         
-        // Send to API
-        const response = await fetch(`${API_BASE_URL}/chat`, {
+        // Send to API (Server-Sent Events stream) - with a session the server supplies the history
+        const sessionId = await ensureSession();
+        const response = await fetch(`${API_BASE_URL}/chat/stream`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: sessionHeaders(),
             body: JSON.stringify({
                 message,
-                conversationHistory: state.conversationHistory,
+                ...(sessionId ? { sessionId } : { conversationHistory: state.conversationHistory }),
                 namespace: 'ucl-courses'
             })
         });
         
-        const data = await response.json();
+        // The conversation was deleted from another tab - the next message starts a new one
+        if (response.status === 404 && sessionId) {
+            setCurrentSession(null);
+        }
+        
+        if (!response.ok || !response.body) {
+            const data = await response.json().catch(() => ({}));
+            removeLoadingMessage(loadingId);
+            const errorMsg = `Error: ${data.error || 'Something went wrong'}`;
+            addMessage('assistant', errorMsg, null, true);
+            state.conversationHistory.push({ role: 'assistant', content: errorMsg });
+            return;
+        }
+        
+        let metadata = {};
+        let fullResponse = '';
+        let streamError = null;
+        
+        await readEventStream(response, (event, data) => {
+            switch (event) {
+                case 'metadata':
+                    // Sources and suggestion tiles arrive before the first token
+                    metadata = data;
+                    updateConversationContext(data.context);
+                    break;
+                case 'token':
+                    // Swap the loading dots for the live message on the first token
+                    if (!streamingMessage) {
+                        removeLoadingMessage(loadingId);
+                        streamingMessage = createStreamingMessage();
+                    }
+                    fullResponse += data.text;
+                    renderStreamingContent(streamingMessage, fullResponse);
+                    break;
+                case 'done':
+                    fullResponse = data.response || fullResponse;
+                    break;
+                case 'error':
+                    streamError = data;
+                    break;
+            }
+        });
+        
         const responseTime = Date.now() - startTime;
         
-        // Remove loading message
+        // Remove loading message (if no tokens ever arrived)
         removeLoadingMessage(loadingId);
         
-        if (response.ok) {
-            // Add assistant response
-            addMessage('assistant', data.response, data.sources, false, data.suggestions);
-            
-            // Update conversation history
-            state.conversationHistory.push({ role: 'assistant', content: data.response });
-            
-            // Update stats
-            state.messageCount++;
-            state.totalResponseTime += responseTime;
-            updateStats();
-        } else {
-            const errorMsg = `Error: ${data.error || 'Something went wrong'}`;
+        if (streamError) {
+            streamingMessage?.messageDiv.remove();
+            const errorMsg = `Error: ${streamError.error || 'Something went wrong'}`;
             addMessage('assistant', errorMsg, null, true);
             state.conversationHistory.push({ role: 'assistant', content: errorMsg });
+            return;
         }
         
+        if (!streamingMessage) {
+            streamingMessage = createStreamingMessage();
+        }
+        finalizeStreamingMessage(streamingMessage, fullResponse, metadata.sources, metadata.suggestions);
+        
+        // Update conversation history
+        state.conversationHistory.push({ role: 'assistant', content: fullResponse });
+        
+        // Update stats
+        state.messageCount++;
+        state.totalResponseTime += responseTime;
+        updateStats();
+        
+        // The first question becomes the conversation title
+        loadSessionList();
+        
     } catch (error) {
         console.error('Error sending message:', error);
         removeLoadingMessage(loadingId);
+        streamingMessage?.messageDiv.remove();
         const errorMsg = 'Sorry, I encountered an error. Please make sure the server is running.';
         addMessage('assistant', errorMsg, null, true);
         state.conversationHistory.push({ role: 'assistant', content: errorMsg });
@@ -327,6 +634,44 @@ async function sendMessage() {
     }
 }
 
+// Read a text/event-stream response body, calling onEvent(event, data) for each frame
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    const dispatchFrame = (frame) => {
+        let event = 'message';
+        const dataLines = [];
+        
+        frame.split(/\r?\n/).forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+        
+        if (dataLines.length > 0) {
+            onEvent(event, JSON.parse(dataLines.join('\n')));
+        }
+    };
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split(/\r?\n\r?\n/);
+        buffer = frames.pop();
+        frames.forEach(dispatchFrame);
+    }
+    
+    if (buffer.trim()) {
+        dispatchFrame(buffer);
+    }
+}
+
 function setLoadingState(loading) {
     state.isLoading = loading;
     elements.messageInput.disabled = loading;
@@ -349,6 +694,33 @@ function hideWelcomeExperience() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 function addMessage(role, content, sources = null, isError = false, suggestions = null) {
+    const { messageDiv, messageContent, bubble } = createMessageElement(role);
+    
+    // Format content
+    if (role === 'assistant') {
+        bubble.innerHTML = formatAssistantContent(content);
+        addCitationChips(bubble, sources);
+    } else {
+        bubble.textContent = content;
+    }
+    
+    if (isError) {
+        bubble.style.background = 'rgba(239, 68, 68, 0.1)';
+        bubble.style.borderColor = 'rgba(239, 68, 68, 0.3)';
+    }
+    
+    // Add suggestion tiles if present
+    if (suggestions && suggestions.length > 0) {
+        const tilesContainer = createSuggestionTiles(suggestions);
+        messageContent.appendChild(tilesContainer);
+    }
+    
+    scrollToBottom();
+    
+    return messageDiv;
+}
+
+function createMessageElement(role) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
     
@@ -374,34 +746,70 @@ function addMessage(role, content, sources = null, isError = false, suggestions
     const bubble = document.createElement('div');
     bubble.className = 'message-bubble';
     
-    // Format content
-    if (role === 'assistant' && typeof marked !== 'undefined') {
-        const html = marked.parse(content);
-        bubble.innerHTML = addAcademicTooltips(html);
-    } else {
-        bubble.textContent = content;
-    }
+    messageContent.appendChild(bubble);
+    messageDiv.appendChild(avatar);
+    messageDiv.appendChild(messageContent);
     
-    if (isError) {
-        bubble.style.background = 'rgba(239, 68, 68, 0.1)';
-        bubble.style.borderColor = 'rgba(239, 68, 68, 0.3)';
+    elements.chatMessages.appendChild(messageDiv);
+    
+    return { messageDiv, messageContent, bubble };
+}
+
+function formatAssistantContent(content) {
+    if (typeof marked === 'undefined') {
+        const div = document.createElement('div');
+        div.textContent = content;
+        return div.innerHTML;
     }
+    return addAcademicTooltips(marked.parse(content));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STREAMING RENDERING
+// ═══════════════════════════════════════════════════════════════════════════
+
+function createStreamingMessage() {
+    const streamingMessage = createMessageElement('assistant');
+    streamingMessage.bubble.classList.add('streaming');
+    streamingMessage.pendingContent = '';
+    streamingMessage.renderScheduled = false;
+    streamingMessage.finalized = false;
+    scrollToBottom();
+    return streamingMessage;
+}
+
+// Re-render the partial markdown at most once per animation frame
+function renderStreamingContent(streamingMessage, content) {
+    streamingMessage.pendingContent = content;
+    if (streamingMessage.renderScheduled) return;
     
-    messageContent.appendChild(bubble);
+    streamingMessage.renderScheduled = true;
+    requestAnimationFrame(() => {
+        streamingMessage.renderScheduled = false;
+        if (streamingMessage.finalized) return;
+        
+        if (typeof marked !== 'undefined') {
+            streamingMessage.bubble.innerHTML = marked.parse(streamingMessage.pendingContent);
+        } else {
+            streamingMessage.bubble.textContent = streamingMessage.pendingContent;
+        }
+        scrollToBottom();
+    });
+}
+
+function finalizeStreamingMessage(streamingMessage, content, sources = null, suggestions = null) {
+    streamingMessage.finalized = true;
+    streamingMessage.bubble.classList.remove('streaming');
+    
+    // Tooltips and citation chips are applied once on the complete answer
+    streamingMessage.bubble.innerHTML = formatAssistantContent(content);
+    addCitationChips(streamingMessage.bubble, sources);
     
-    // Add suggestion tiles if present
     if (suggestions && suggestions.length > 0) {
-        const tilesContainer = createSuggestionTiles(suggestions);
-        messageContent.appendChild(tilesContainer);
+        streamingMessage.messageContent.appendChild(createSuggestionTiles(suggestions));
     }
     
-    messageDiv.appendChild(avatar);
-    messageDiv.appendChild(messageContent);
-    
-    elements.chatMessages.appendChild(messageDiv);
     scrollToBottom();
-    
-    return messageDiv;
 }
 
 function addLoadingMessage() {
@@ -494,6 +902,19 @@ function createSuggestionTiles(suggestions) {
             tile.appendChild(details);
         }
         
+        // "Add to calendar" link for assessment deadlines (.ics served by the API)
+        if (suggestion.calendarUrl) {
+            const calendarLink = document.createElement('a');
+            calendarLink.className = 'suggestion-tile-calendar';
+            calendarLink.href = API_BASE_URL.replace(/\/api$/, '') + suggestion.calendarUrl;
+            calendarLink.setAttribute('download', '');
+            calendarLink.textContent = '📅 Add to calendar';
+            // Don't trigger the tile's follow-up question
+            calendarLink.addEventListener('click', (e) => e.stopPropagation());
+            calendarLink.addEventListener('keypress', (e) => e.stopPropagation());
+            tile.appendChild(calendarLink);
+        }
+        
         // Click handler
         tile.addEventListener('click', () => handleSuggestionClick(suggestion.query, tile));
         tile.addEventListener('keypress', (e) => {
@@ -520,6 +941,123 @@ function handleSuggestionClick(query, tileElement) {
     }, 150);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CITATIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Source fields shown when a citation is expanded
+const CITATION_FIELDS = [
+    ['module_code', 'Module code'],
+    ['assessment_type', 'Assessment'],
+    ['deadline', 'Deadline'],
+    ['weight', 'Weighting'],
+    ['word_count', 'Word count'],
+    ['tutor', 'Tutor'],
+    ['year', 'Year'],
+    ['semester', 'Semester']
+];
+
+// Turn [N] markers into chips that expand source N (the server has already dropped invalid ones)
+function addCitationChips(bubble, sources) {
+    if (!sources || sources.length === 0) return;
+    
+    const sourcesById = new Map(sources.map(source => [source.id, source]));
+    const walker = document.createTreeWalker(bubble, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => node.parentElement.closest('code, pre, a, .tooltip')
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+    
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    
+    textNodes.forEach(node => {
+        const parts = node.textContent.split(/(\[\d{1,3}\])/);
+        if (parts.length === 1) return;
+        
+        const fragment = document.createDocumentFragment();
+        parts.forEach(part => {
+            const marker = part.match(/^\[(\d{1,3})\]$/);
+            const source = marker && sourcesById.get(Number(marker[1]));
+            if (source) {
+                fragment.appendChild(createCitationChip(source, bubble));
+            } else if (part) {
+                fragment.appendChild(document.createTextNode(part));
+            }
+        });
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+function getSourceTitle(source) {
+    const metadata = source.metadata || {};
+    if (metadata.assessment_type && metadata.module_title) {
+        return `${metadata.assessment_type} - ${metadata.module_title}`;
+    }
+    return metadata.module_title || metadata.course_title || metadata.title || `Source ${source.id}`;
+}
+
+function createCitationChip(source, bubble) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'citation-chip';
+    chip.textContent = source.id;
+    chip.title = getSourceTitle(source);
+    chip.setAttribute('aria-label', `Source ${source.id}: ${getSourceTitle(source)}`);
+    chip.addEventListener('click', () => toggleCitationDetail(source, bubble, chip));
+    return chip;
+}
+
+// One detail card per message, shown under the answer; clicking the same chip again closes it
+function toggleCitationDetail(source, bubble, chip) {
+    const existing = bubble.parentElement.querySelector('.citation-detail');
+    const wasOpen = existing?.dataset.sourceId === String(source.id);
+    
+    existing?.remove();
+    bubble.querySelectorAll('.citation-chip.active').forEach(active => active.classList.remove('active'));
+    if (wasOpen) return;
+    
+    const detail = document.createElement('div');
+    detail.className = 'citation-detail';
+    detail.dataset.sourceId = source.id;
+    
+    const header = document.createElement('div');
+    header.className = 'citation-detail-header';
+    header.textContent = `[${source.id}] ${getSourceTitle(source)}`;
+    if (typeof source.score === 'number') {
+        const score = document.createElement('span');
+        score.className = 'citation-detail-score';
+        score.textContent = `${(source.score * 100).toFixed(0)}% match`;
+        header.appendChild(score);
+    }
+    detail.appendChild(header);
+    
+    const fields = document.createElement('dl');
+    CITATION_FIELDS.forEach(([key, label]) => {
+        const value = source.metadata?.[key];
+        if (value === undefined || value === null || value === '') return;
+        
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const description = document.createElement('dd');
+        description.textContent = value;
+        fields.appendChild(term);
+        fields.appendChild(description);
+    });
+    if (fields.children.length > 0) detail.appendChild(fields);
+    
+    if (source.text) {
+        const text = document.createElement('p');
+        text.className = 'citation-detail-text';
+        text.textContent = source.text;
+        detail.appendChild(text);
+    }
+    
+    chip.classList.add('active');
+    bubble.after(detail);
+    scrollToBottom();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ACADEMIC TOOLTIPS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -611,6 +1149,79 @@ function updateStats() {
     }
 }
 
+// Show the course, year and module the server resolved for the conversation
+function updateConversationContext(context) {
+    if (!elements.conversationContext) return;
+    
+    const label = context?.label;
+    elements.conversationContext.textContent = label ? `Context: ${label}` : '';
+    elements.conversationContext.title = label || '';
+    elements.conversationContext.hidden = !label;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STAFF SIGN-IN
+// ═══════════════════════════════════════════════════════════════════════════
+
+function authHeaders() {
+    const token = localStorage.getItem(AUTH_TOKEN_KEY);
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Ask the server who we are and show only the controls this user may use
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE_URL}/auth/me`, { headers: authHeaders() });
+        const data = await response.json();
+        
+        if (response.status === 401) {
+            // Expired or revoked - carry on as a student
+            localStorage.removeItem(AUTH_TOKEN_KEY);
+        }
+        
+        state.user = response.ok ? data.user : null;
+        applyPermissions(response.ok ? data.permissions : {});
+    } catch (error) {
+        console.error('Failed to load sign-in status:', error);
+        applyPermissions({});
+    }
+}
+
+function applyPermissions(permissions = {}) {
+    const canUpload = Boolean(permissions.upload);
+    
+    if (elements.uploadBtn) elements.uploadBtn.hidden = !canUpload;
+    if (elements.uploadSection) elements.uploadSection.hidden = !canUpload;
+    if (!canUpload) toggleSidePanel(false);
+    
+    if (elements.signInBtn) {
+        elements.signInBtn.classList.toggle('signed-in', Boolean(state.user));
+        const label = state.user ? `Signed in as ${state.user.name || state.user.id} (${state.user.role}) - click to sign out` : 'Staff sign in';
+        elements.signInBtn.title = label;
+        elements.signInBtn.setAttribute('aria-label', label);
+    }
+}
+
+async function toggleSignIn() {
+    if (state.user) {
+        if (!confirm('Sign out?')) return;
+        localStorage.removeItem(AUTH_TOKEN_KEY);
+        state.user = null;
+        applyPermissions({});
+        return;
+    }
+    
+    const token = prompt('Staff API key or sign-in token:');
+    if (!token || !token.trim()) return;
+    
+    localStorage.setItem(AUTH_TOKEN_KEY, token.trim());
+    await loadCurrentUser();
+    
+    if (!state.user) {
+        alert('That key or token was not accepted.');
+    }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // DOCUMENT UPLOAD
 // ═══════════════════════════════════════════════════════════════════════════
@@ -629,7 +1240,7 @@ async function uploadDocument() {
     try {
         const response = await fetch(`${API_BASE_URL}/upload`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
             body: JSON.stringify({
                 documents: [{
                     id: `doc-${Date.now()}`,
@@ -651,6 +1262,10 @@ async function uploadDocument() {
             setTimeout(() => hideUploadStatus(), 3000);
         } else {
             showUploadStatus(`❌ Error: ${data.error || 'Upload failed'}`, 'error');
+            // Signed out or lost the staff role since the page loaded
+            if (response.status === 401 || response.status === 403) {
+                loadCurrentUser();
+            }
         }
         
     } catch (error) {
@@ -685,7 +1300,8 @@ function hideUploadStatus() {
 // CLEAR CHAT
 // ═══════════════════════════════════════════════════════════════════════════
 
-function clearChat() {
+// Empty the message list and stats (the stored conversation is kept)
+function resetChatView() {
     // Clear messages except welcome
     const messages = elements.chatMessages.querySelectorAll('.message');
     messages.forEach(msg => msg.remove());
@@ -702,6 +1318,12 @@ function clearChat() {
     state.totalResponseTime = 0;
     state.conversationHistory = [];
     updateStats();
+    updateConversationContext(null);
+}
+
+function clearChat() {
+    // Start a new conversation - the old one stays in the history panel
+    startNewConversation();
     
     // Button feedback
     const btn = elements.clearChatButton;
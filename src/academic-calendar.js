@@ -0,0 +1,312 @@
+/**
+ * Academic Calendar
+ *
+ * Deterministic week <-> date conversion for the UC Leeds academic year,
+ * shared by the Express server and the Cloudflare Worker so the LLM never
+ * has to do date arithmetic itself.
+ *
+ * Rules (see config/academic-calendar.json):
+ * - Week 1 starts on the Monday of `weekOneStart`
+ * - Exclusion periods are inclusive date ranges. A calendar week is a
+ *   non-teaching week (skipped when numbering academic weeks) when an
+ *   exclusion covers most of its Monday-Friday working days. Periods that
+ *   merely touch a week - e.g. Christmas ending on the Monday students
+ *   return - do not remove it
+ * - Deadlines fall on `deadline.weekday` at `deadline.time` of their week
+ *
+ * All dates are calendar days represented as UTC-midnight Date objects.
+ */
+
+const defaultCalendarConfig = require('../config/academic-calendar.json');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Parse "YYYY-MM-DD" into a UTC-midnight Date
+function parseISODate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid calendar date "${value}" (expected YYYY-MM-DD)`);
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+}
+
+function toISODate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+// Monday of the week containing `date`
+function startOfWeek(date) {
+  const offset = (date.getUTCDay() + 6) % 7;
+  return addDays(date, -offset);
+}
+
+// Today's calendar date in the given time zone, as a UTC-midnight Date
+function calendarDateIn(now, timeZone) {
+  const iso = now.toLocaleDateString('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  return parseISODate(iso);
+}
+
+// "Friday 14 November 2025"
+function formatDate(date) {
+  return date.toLocaleDateString('en-GB', {
+    weekday: 'long',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  }).replace(',', '');
+}
+
+// "12:00" -> "12:00 PM"
+function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+// Parse a literal date written by humans: "14th November 2025", "14/11/2025", "2025-11-14"
+function parseLiteralDate(text) {
+  const iso = /\b(\d{4})-(\d{2})-(\d{2})\b/.exec(text);
+  if (iso) {
+    return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+  }
+
+  const numeric = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(text);
+  if (numeric) {
+    return new Date(Date.UTC(Number(numeric[3]), Number(numeric[2]) - 1, Number(numeric[1])));
+  }
+
+  const written = /\b(\d{1,2})(?:st|nd|rd|th)?\s+(?:of\s+)?([a-z]+)\s*,?\s+(\d{4})\b/i.exec(text);
+  if (written) {
+    const month = MONTHS.findIndex(name => name.startsWith(written[2].toLowerCase().slice(0, 3)));
+    if (month !== -1) {
+      return new Date(Date.UTC(Number(written[3]), month, Number(written[1])));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create a calendar from config
+ * @param {object} config - Same shape as config/academic-calendar.json
+ */
+function createAcademicCalendar(config = defaultCalendarConfig) {
+  const weekOneStart = startOfWeek(parseISODate(config.weekOneStart));
+  const yearEnd = config.yearEnd ? parseISODate(config.yearEnd) : addDays(weekOneStart, 52 * 7 - 1);
+  const timeZone = config.timeZone || 'Europe/London';
+  const deadlineTime = config.deadline?.time || '12:00';
+  const deadlineOffset = WEEKDAYS.indexOf((config.deadline?.weekday || 'Friday').toLowerCase());
+
+  if (deadlineOffset === -1) {
+    throw new Error(`Invalid deadline weekday "${config.deadline.weekday}"`);
+  }
+
+  const exclusions = (config.exclusions || []).map(exclusion => ({
+    name: exclusion.name,
+    start: parseISODate(exclusion.start),
+    end: parseISODate(exclusion.end)
+  }));
+
+  // Number of Monday-Friday working days of a week covered by an exclusion period
+  function coveredWorkingDays(monday, period) {
+    const friday = addDays(monday, 4);
+    const from = period.start > monday ? period.start : monday;
+    const to = period.end < friday ? period.end : friday;
+    return to < from ? 0 : Math.round((to - from) / MS_PER_DAY) + 1;
+  }
+
+  // Walk every calendar week of the year once, numbering teaching weeks
+  const calendarWeeks = [];
+  let teachingWeek = 0;
+  for (let monday = weekOneStart; monday <= yearEnd; monday = addDays(monday, 7)) {
+    const exclusion = exclusions.find(period => coveredWorkingDays(monday, period) >= 3) || null;
+    calendarWeeks.push({
+      week: exclusion ? null : ++teachingWeek,
+      start: monday,
+      end: addDays(monday, 6),
+      exclusion
+    });
+  }
+
+  const teachingWeeks = calendarWeeks.filter(entry => entry.week !== null);
+
+  function getWeek(weekNumber) {
+    const week = Number(weekNumber);
+    if (!Number.isInteger(week) || week < 1 || week > teachingWeeks.length) {
+      return null;
+    }
+    return teachingWeeks[week - 1];
+  }
+
+  // Monday of academic week N
+  function getWeekStart(weekNumber) {
+    const entry = getWeek(weekNumber);
+    return entry ? entry.start : null;
+  }
+
+  // Deadline day (e.g. Friday) of academic week N
+  function getDeadlineDate(weekNumber) {
+    const entry = getWeek(weekNumber);
+    return entry ? addDays(entry.start, deadlineOffset) : null;
+  }
+
+  // Academic week containing a date. Dates in non-teaching weeks report the exclusion instead
+  function getWeekForDate(date) {
+    const day = date instanceof Date ? date : parseISODate(date);
+    const entry = calendarWeeks.find(candidate => candidate.start <= day && candidate.end >= day);
+
+    if (!entry) {
+      return {
+        week: null,
+        exclusion: null,
+        beforeStart: day < weekOneStart,
+        afterEnd: day > yearEnd
+      };
+    }
+
+    return {
+      week: entry.week,
+      exclusion: entry.exclusion ? { name: entry.exclusion.name, start: entry.exclusion.start, end: entry.exclusion.end } : null,
+      beforeStart: false,
+      afterEnd: false
+    };
+  }
+
+  // Teaching week for "now" in the calendar's time zone
+  function getCurrentWeek(now = new Date()) {
+    const today = calendarDateIn(now, timeZone);
+    return { date: today, ...getWeekForDate(today) };
+  }
+
+  /**
+   * Resolve a deadline string from course data into a concrete date
+   * Handles "Academic Week 15", "Week 15" and literal dates
+   * @returns {{source: string, week: number|null, date: Date, time: string, display: string}|null}
+   */
+  function resolveDeadline(text) {
+    if (!text) return null;
+
+    const weekMatch = /\bweek\s*(\d{1,2})\b/i.exec(text);
+    if (weekMatch) {
+      const week = Number(weekMatch[1]);
+      const date = getDeadlineDate(week);
+      if (!date) return null;
+      return {
+        source: 'week',
+        week,
+        date,
+        time: deadlineTime,
+        display: `${formatDate(date)} at ${formatTime(deadlineTime)}`
+      };
+    }
+
+    const date = parseLiteralDate(text);
+    if (date) {
+      return {
+        source: 'date',
+        week: getWeekForDate(date).week,
+        date,
+        time: deadlineTime,
+        display: `${formatDate(date)} at ${formatTime(deadlineTime)}`
+      };
+    }
+
+    return null;
+  }
+
+  return {
+    academicYear: config.academicYear,
+    timeZone,
+    deadlineTime,
+    weekOneStart,
+    yearEnd,
+    exclusions,
+    totalWeeks: teachingWeeks.length,
+    getWeekStart,
+    getDeadlineDate,
+    getWeekForDate,
+    getCurrentWeek,
+    resolveDeadline
+  };
+}
+
+/**
+ * Build the pre-computed calendar block injected into <CONTEXT>
+ * Includes today's teaching week, the exclusion periods, every week's deadline date
+ * and the resolved deadline of each assessment match
+ */
+function formatCalendarContext(calendar, matches = [], now = new Date()) {
+  const current = calendar.getCurrentWeek(now);
+  const lines = [];
+
+  lines.push('📅 ACADEMIC CALENDAR (pre-computed - use these dates exactly, never calculate dates yourself)');
+  lines.push(`Academic Year: ${calendar.academicYear} (Week 1 started ${formatDate(calendar.weekOneStart)})`);
+
+  let todayLine = `Today: ${formatDate(current.date)}`;
+  if (current.week) {
+    todayLine += ` - Academic Week ${current.week}`;
+  } else if (current.exclusion) {
+    todayLine += ` - non-teaching week (${current.exclusion.name})`;
+  } else if (current.beforeStart) {
+    todayLine += ' - before the start of the academic year';
+  } else if (current.afterEnd) {
+    todayLine += ' - after the end of the academic year';
+  }
+  lines.push(todayLine);
+
+  lines.push(`All deadlines are ${formatTime(calendar.deadlineTime)} on the deadline day of their academic week.`);
+
+  if (calendar.exclusions.length > 0) {
+    const periods = calendar.exclusions
+      .map(period => `${period.name} (${formatDate(period.start)} to ${formatDate(period.end)})`)
+      .join('; ');
+    lines.push(`Non-teaching periods (not counted as academic weeks): ${periods}`);
+  }
+
+  const weekDeadlines = [];
+  for (let week = 1; week <= calendar.totalWeeks; week++) {
+    weekDeadlines.push(`Week ${week}: ${toISODate(calendar.getDeadlineDate(week))}`);
+  }
+  lines.push(`Deadline date for each academic week (YYYY-MM-DD): ${weekDeadlines.join(', ')}`);
+
+  const resolved = [];
+  const seen = new Set();
+  matches.forEach(match => {
+    const metadata = match.metadata || {};
+    if (!metadata.deadline || seen.has(match.id)) return;
+    seen.add(match.id);
+
+    const deadline = calendar.resolveDeadline(metadata.deadline);
+    if (!deadline) return;
+
+    const label = [metadata.module_title, metadata.assessment_type].filter(Boolean).join(' - ') || match.id;
+    const weekLabel = deadline.week ? `Academic Week ${deadline.week}` : 'outside teaching weeks';
+    resolved.push(`- ${label}: "${metadata.deadline}" = ${weekLabel}, ${deadline.display}`);
+  });
+
+  if (resolved.length > 0) {
+    lines.push('Resolved assessment deadlines:');
+    lines.push(...resolved);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  createAcademicCalendar,
+  formatCalendarContext,
+  formatDate,
+  formatTime,
+  parseISODate,
+  toISODate,
+  defaultCalendarConfig
+};
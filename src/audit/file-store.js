@@ -0,0 +1,49 @@
+/**
+ * File audit log (Node only)
+ *
+ * Appends one JSON line per entry, so the log is never rewritten and can be
+ * read or shipped with ordinary tools (tail, grep, jq). Lines that fail to
+ * parse - say a write cut short by a crash - are skipped when reading.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON Lines file to append to
+ */
+function createFileAuditStore({ filePath }) {
+  async function append(entry) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+  }
+
+  async function readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n').filter(Boolean).flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch (error) {
+        return [];
+      }
+    });
+  }
+
+  return {
+    backend: 'file',
+    append,
+    readAll
+  };
+}
+
+module.exports = {
+  createFileAuditStore
+};
@@ -0,0 +1,95 @@
+/**
+ * Audit Log
+ *
+ * Records who changed or inspected the knowledge base through the admin API:
+ *
+ *   record({ actor, action, namespace, target, details }) -> entry
+ *   list({ action, actor, namespace, limit })            -> [entry], newest first
+ *
+ *   entry = { id, timestamp, actor: { id, role }, action, namespace, target, details }
+ *
+ * Actions are dotted names such as "document.delete" or "namespace.read".
+ *
+ * Backends:
+ *   file   - JSON Lines appended to AUDIT_LOG_PATH (default ./data/audit-log.jsonl)
+ *   memory - lost on restart, for tests
+ *   off    - nothing is recorded
+ *
+ * Select with AUDIT_LOG=file|memory|off.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { createMemoryAuditStore } = require('./memory-store');
+const { createFileAuditStore } = require('./file-store');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'audit-log.jsonl');
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+/**
+ * Wrap a store (append, readAll) with the entry format and filtering
+ * @param {object} store - From createFileAuditStore or createMemoryAuditStore
+ */
+function createAuditLog(store) {
+  async function record({ actor = null, action, namespace = null, target = null, details = {} }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      actor: actor ? { id: actor.id, role: actor.role } : null,
+      action,
+      namespace,
+      target,
+      details
+    };
+    await store.append(entry);
+    return entry;
+  }
+
+  async function list({ action, actor, namespace, limit = DEFAULT_LIST_LIMIT } = {}) {
+    const size = Math.min(Math.max(Number(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+    return (await store.readAll())
+      .filter(entry => !action || entry.action === action || entry.action.startsWith(`${action}.`))
+      .filter(entry => !actor || (entry.actor && entry.actor.id === actor))
+      .filter(entry => namespace === undefined || entry.namespace === namespace)
+      .reverse()
+      .slice(0, size);
+  }
+
+  return {
+    backend: store.backend,
+    record,
+    list
+  };
+}
+
+/**
+ * Create the configured audit log, or null when AUDIT_LOG=off
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ */
+function createAuditLogFromEnv(env = process.env) {
+  const backend = (env.AUDIT_LOG || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return createAuditLog(createFileAuditStore({
+        filePath: env.AUDIT_LOG_PATH || DEFAULT_FILE_PATH
+      }));
+
+    case 'memory':
+      return createAuditLog(createMemoryAuditStore());
+
+    case 'off':
+      return null;
+
+    default:
+      throw new Error(`Unknown AUDIT_LOG "${backend}" (expected file, memory or off)`);
+  }
+}
+
+module.exports = {
+  createAuditLogFromEnv,
+  createAuditLog,
+  createFileAuditStore,
+  createMemoryAuditStore
+};
@@ -0,0 +1,35 @@
+/**
+ * In-memory audit log
+ *
+ * Keeps the most recent entries in an array, oldest first. Used on its own
+ * for tests, and by the file store to hold what it has read back.
+ */
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this
+ */
+function createMemoryAuditStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = [];
+
+  async function append(entry) {
+    entries.push(entry);
+    if (entries.length > maxEntries) entries.splice(0, entries.length - maxEntries);
+  }
+
+  async function readAll() {
+    return entries.slice();
+  }
+
+  return {
+    backend: 'memory',
+    append,
+    readAll
+  };
+}
+
+module.exports = {
+  createMemoryAuditStore
+};
@@ -0,0 +1,238 @@
+/**
+ * Authentication, roles and CORS
+ *
+ * Requests identify themselves with "Authorization: Bearer <credential>",
+ * where the credential is either:
+ *
+ *   an API key   listed in API_KEYS as role:key pairs, e.g.
+ *                API_KEYS=admin:k3y-for-ops,staff:k3y-for-the-library
+ *   a JWT        HS256, signed with AUTH_JWT_SECRET, carrying
+ *                { sub, role: 'student'|'staff'|'admin', name?, exp? }
+ *                (AUTH_JWT_ISSUER / AUTH_JWT_AUDIENCE are checked when set)
+ *
+ * Roles are ordered student < staff < admin. Chat stays open to anonymous
+ * students; writing to the knowledge base needs staff and the cache admin
+ * routes need admin. With neither API_KEYS nor AUTH_JWT_SECRET set, the
+ * protected routes answer 503 rather than being left open.
+ *
+ * CORS_ORIGINS is a comma-separated allowlist of browser origins ("*" allows
+ * any). When unset, only same-origin pages can call the API.
+ *
+ * Uses WebCrypto only, so it is shared by the Express server and the Worker.
+ */
+
+const ROLES = ['student', 'staff', 'admin'];
+
+const encoder = new TextEncoder();
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Compare secrets without stopping at the first differing character
+function safeEqual(a, b) {
+  let difference = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    difference |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return difference === 0;
+}
+
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "admin:k3y,staff:other" -> [{ role, key, id }]
+function parseApiKeys(value) {
+  return splitList(value).map((entry, index) => {
+    const separator = entry.indexOf(':');
+    const role = entry.slice(0, separator).trim().toLowerCase();
+    const key = entry.slice(separator + 1).trim();
+    if (separator < 1 || !key || !ROLES.includes(role)) {
+      throw new Error(`Invalid API_KEYS entry ${index + 1} (expected role:key with role ${ROLES.join(', ')})`);
+    }
+    return { role, key, id: `api-key-${index + 1}` };
+  });
+}
+
+function base64UrlEncode(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function decodeJsonPart(part) {
+  return JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+}
+
+async function hmacKey(secret, usage) {
+  return globalThis.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    [usage]
+  );
+}
+
+/**
+ * Sign an HS256 JWT (for tests and for issuing staff tokens)
+ * @param {object} payload - Claims, e.g. { sub, role, exp }
+ * @param {string} secret
+ */
+async function signToken(payload, secret) {
+  const header = base64UrlEncode(encoder.encode(JSON.stringify({ alg: 'HS256', typ: 'JWT' })));
+  const body = base64UrlEncode(encoder.encode(JSON.stringify(payload)));
+  const signature = await globalThis.crypto.subtle.sign('HMAC', await hmacKey(secret, 'sign'), encoder.encode(`${header}.${body}`));
+  return `${header}.${body}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ * @throws {Error} with status 401 when the token is malformed, badly signed, expired or for someone else
+ */
+async function verifyToken(token, secret, { issuer, audience, now = Date.now() } = {}) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw authError(401, 'Malformed token');
+
+  let header;
+  let claims;
+  let signature;
+  try {
+    header = decodeJsonPart(parts[0]);
+    claims = decodeJsonPart(parts[1]);
+    signature = base64UrlDecode(parts[2]);
+  } catch (error) {
+    throw authError(401, 'Malformed token');
+  }
+  // Valid JSON isn't enough: null, arrays and strings have no claims to read
+  if ([header, claims].some(part => !part || typeof part !== 'object' || Array.isArray(part))) {
+    throw authError(401, 'Malformed token');
+  }
+
+  if (header.alg !== 'HS256') throw authError(401, `Unsupported token algorithm "${header.alg}"`);
+
+  const valid = await globalThis.crypto.subtle.verify(
+    'HMAC',
+    await hmacKey(secret, 'verify'),
+    signature,
+    encoder.encode(`${parts[0]}.${parts[1]}`)
+  );
+  if (!valid) throw authError(401, 'Invalid token signature');
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp === 'number' && seconds >= claims.exp) throw authError(401, 'Token has expired');
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf) throw authError(401, 'Token is not valid yet');
+  if (issuer && claims.iss !== issuer) throw authError(401, 'Token issuer not accepted');
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) throw authError(401, 'Token audience not accepted');
+  }
+
+  return claims;
+}
+
+/**
+ * @param {object} env - Environment variables (process.env, or the Worker env)
+ */
+function createAuth(env = {}) {
+  const apiKeys = parseApiKeys(env.API_KEYS);
+  const jwtSecret = env.AUTH_JWT_SECRET || '';
+  const corsOrigins = splitList(env.CORS_ORIGINS);
+
+  const methods = [
+    ...(apiKeys.length > 0 ? ['api-key'] : []),
+    ...(jwtSecret ? ['jwt'] : [])
+  ];
+
+  /**
+   * Identify the caller
+   * @param {string} [authorization] - Authorization header value
+   * @returns {Promise<{id, role, name, method}|null>} null for anonymous requests
+   * @throws {Error} with status 401 when credentials are sent but not accepted
+   */
+  async function authenticate(authorization) {
+    if (!authorization) return null;
+
+    const match = /^Bearer\s+(\S+)$/i.exec(authorization.trim());
+    if (!match) throw authError(401, 'Authorization header must be "Bearer <API key or token>"');
+    const credential = match[1];
+
+    // Three dot-separated parts is a JWT, anything else is treated as an API key
+    if (credential.split('.').length === 3 && jwtSecret) {
+      const claims = await verifyToken(credential, jwtSecret, {
+        issuer: env.AUTH_JWT_ISSUER,
+        audience: env.AUTH_JWT_AUDIENCE
+      });
+      const roles = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+      const role = ROLES.slice().reverse().find(candidate => roles.includes(candidate));
+      if (!claims.sub || !role) throw authError(401, 'Token must include "sub" and a "role" claim');
+      return { id: String(claims.sub), role, name: claims.name || null, method: 'jwt' };
+    }
+
+    const apiKey = apiKeys.find(entry => safeEqual(entry.key, credential));
+    if (!apiKey) throw authError(401, 'Invalid API key or token');
+    return { id: apiKey.id, role: apiKey.role, name: null, method: 'api-key' };
+  }
+
+  /**
+   * Require at least `role`
+   * @throws {Error} 503 when auth isn't configured, 401 when not signed in, 403 when the role is too low
+   */
+  async function authorize(authorization, role) {
+    if (methods.length === 0) {
+      throw authError(503, 'Authentication is not configured (set API_KEYS or AUTH_JWT_SECRET)');
+    }
+
+    const user = await authenticate(authorization);
+    if (!user) throw authError(401, `Sign in as ${role} to use this endpoint`);
+    if (!hasRole(user, role)) throw authError(403, `This endpoint requires the ${role} role`);
+    return user;
+  }
+
+  // Requests without an Origin header (same-origin navigations, curl, scripts) are always allowed
+  function isOriginAllowed(origin) {
+    if (!origin) return true;
+    return corsOrigins.includes('*') || corsOrigins.includes(origin);
+  }
+
+  // What the UI needs to decide which controls to show
+  function describe(user) {
+    return {
+      authenticated: Boolean(user),
+      user: user ? { id: user.id, role: user.role, name: user.name } : null,
+      permissions: {
+        upload: hasRole(user, 'staff'),
+        admin: hasRole(user, 'admin')
+      }
+    };
+  }
+
+  return {
+    methods,
+    corsOrigins,
+    authenticate,
+    authorize,
+    isOriginAllowed,
+    describe
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  hasRole,
+  signToken,
+  verifyToken
+};
@@ -0,0 +1,78 @@
+/**
+ * File-backed cache
+ *
+ * The in-memory LRU cache (memory-store.js) saved to a JSON file
+ * (QUERY_CACHE_PATH, default ./data/query-cache.json) so cached answers
+ * survive a restart. Writes are batched: the file is saved SAVE_DELAY_MS
+ * after the last change rather than on every answer, and reads (which only
+ * reorder the LRU list) don't trigger a save.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryCache } = require('./memory-store');
+
+const SAVE_DELAY_MS = 1000;
+
+// A missing or unreadable file just means an empty cache
+function loadSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.error(`⚠️  Ignoring unreadable query cache ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file to persist to
+ * @param {number} [options.maxSize] - Entries kept before the least recently used is evicted
+ * @param {Function} [options.now] - Clock (ms), for tests
+ */
+function createFileCache({ filePath, maxSize, now }) {
+  let timer = null;
+
+  function save() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written cache
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(cache.toJSON()));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function scheduleSave() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        save();
+      } catch (error) {
+        console.error('⚠️  Failed to save query cache:', error.message);
+      }
+    }, SAVE_DELAY_MS);
+    // Don't keep the process alive just to save the cache
+    timer.unref?.();
+  }
+
+  const cache = createMemoryCache({
+    backend: 'file',
+    maxSize,
+    now,
+    snapshot: loadSnapshot(filePath),
+    onChange: scheduleSave
+  });
+
+  return {
+    ...cache,
+    // Save now instead of waiting for the timer (tests, shutdown)
+    flush: async () => save()
+  };
+}
+
+module.exports = {
+  createFileCache,
+  SAVE_DELAY_MS
+};
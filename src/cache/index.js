@@ -0,0 +1,87 @@
+/**
+ * Query Cache
+ *
+ * Chat answers reused for questions that resolve to the same namespace,
+ * course/year/module context and (near enough) the same query embedding.
+ * See semantic.js for how lookups, bypasses and invalidation work.
+ *
+ *   lookup(request, { useCache })   -> { status: 'hit', data, similarity } | { status: 'miss' } | { status: 'bypass', reason }
+ *   store(request, data)
+ *   invalidate(namespace)           -> { namespace, removedCount }
+ *   clear()                         -> { removedCount }
+ *   stats({ includeEntries })       -> sizes, hit/miss/bypass counters and hitRate
+ *
+ * The answers themselves live in a backend. Every backend returns an object
+ * with the same async methods:
+ *
+ *   get(key, { touch })             -> value | null   (a read counts as a use unless touch: false)
+ *   set(key, value, { ttl, tags })  ttl in ms
+ *   delete(key)                     -> true when something was deleted
+ *   invalidateTag(tag)              -> { removedCount } (null where the backend can't count)
+ *   clear()                         -> { removedCount }
+ *   keys(prefix)                    -> [key]
+ *   stats()                         -> { backend, size, maxSize, evictions }
+ *
+ * Backends:
+ *   memory - LRU Map in this process, lost on restart (default)
+ *   file   - the memory LRU saved to a JSON file, survives restarts
+ *   redis  - any Redis-compatible server, shared by every server process
+ *   kv     - Cloudflare Workers KV (used by the Worker, see kv-store.js)
+ *
+ * Select with QUERY_CACHE=memory|file|redis. The file backend stores data in
+ * QUERY_CACHE_PATH (default ./data/query-cache.json); the redis backend
+ * connects to REDIS_URL. QUERY_CACHE_SIMILARITY (default 0.95) sets how close
+ * two questions' embeddings must be to share an answer.
+ */
+
+const path = require('path');
+const { createSemanticCache, parseSimilarityThreshold, contextKey, DEFAULT_THRESHOLD } = require('./semantic');
+const { createMemoryCache } = require('./memory-store');
+const { createFileCache } = require('./file-store');
+const { createRedisCache } = require('./redis-store');
+const { createRedisClient } = require('./redis-client');
+const { createKVCache } = require('./kv-store');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'query-cache.json');
+
+/**
+ * Create the configured cache backend
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @param {object} [options] - { maxSize } entries kept before the least recently used is evicted
+ */
+function createCacheBackendFromEnv(env = process.env, { maxSize = 1000 } = {}) {
+  const backend = (env.QUERY_CACHE || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryCache({ maxSize });
+
+    case 'file':
+      return createFileCache({
+        filePath: env.QUERY_CACHE_PATH || DEFAULT_FILE_PATH,
+        maxSize
+      });
+
+    case 'redis':
+      if (!env.REDIS_URL) {
+        throw new Error('QUERY_CACHE=redis needs REDIS_URL (e.g. redis://localhost:6379)');
+      }
+      return createRedisCache({ url: env.REDIS_URL, maxSize, prefix: env.QUERY_CACHE_PREFIX || undefined });
+
+    default:
+      throw new Error(`Unknown QUERY_CACHE "${backend}" (expected memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  createCacheBackendFromEnv,
+  createSemanticCache,
+  createMemoryCache,
+  createFileCache,
+  createRedisCache,
+  createRedisClient,
+  createKVCache,
+  parseSimilarityThreshold,
+  contextKey,
+  DEFAULT_THRESHOLD
+};
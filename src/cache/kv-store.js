@@ -0,0 +1,106 @@
+/**
+ * Cloudflare Workers KV cache backend
+ *
+ * Shares cached answers between every isolate and colo of the Worker through
+ * a KV namespace bound as QUERY_CACHE. KV can't delete by tag or hold a set
+ * of keys safely across isolates, so tags are versioned instead:
+ *
+ *   <prefix><key>          { value, tags: { [tag]: version } }, expiring after ttl
+ *   <prefix>~tag:<tag>     the tag's current version
+ *
+ * invalidateTag() writes a new version, and a read whose stored versions are
+ * out of date is a miss - the orphaned entry expires on its own. clear() does
+ * the same for the "*" tag every entry carries.
+ *
+ * KV has no size limit, so nothing needs evicting and reads don't re-order
+ * anything (a write per read would also eat the KV write quota): entries live
+ * until their TTL or an invalidation. KV is eventually consistent, so other
+ * colos can serve an invalidated answer for up to a minute.
+ */
+
+const DEFAULT_PREFIX = 'query-cache:';
+
+// KV's shortest expirationTtl
+const MIN_TTL_SECONDS = 60;
+
+const ALL_TAG = '*';
+
+/**
+ * @param {object} kv - KV namespace binding (env.QUERY_CACHE)
+ * @param {object} [options]
+ * @param {string} [options.prefix] - Key prefix, so the namespace can hold other data
+ */
+function createKVCache(kv, { prefix = DEFAULT_PREFIX } = {}) {
+  const tagKey = tag => `${prefix}~tag:${tag}`;
+
+  async function currentVersions(tags) {
+    const versions = {};
+    for (const tag of [ALL_TAG, ...tags]) {
+      versions[tag] = (await kv.get(tagKey(tag))) || '0';
+    }
+    return versions;
+  }
+
+  async function get(key) {
+    const entry = await kv.get(prefix + key, 'json');
+    if (!entry) return null;
+
+    const versions = await currentVersions(Object.keys(entry.tags).filter(tag => tag !== ALL_TAG));
+    const stale = Object.entries(entry.tags).some(([tag, version]) => versions[tag] !== version);
+    return stale ? null : entry.value;
+  }
+
+  async function set(key, value, { ttl = 0, tags = [] } = {}) {
+    const options = ttl > 0 ? { expirationTtl: Math.max(MIN_TTL_SECONDS, Math.ceil(ttl / 1000)) } : {};
+    await kv.put(prefix + key, JSON.stringify({ value, tags: await currentVersions(tags) }), options);
+  }
+
+  async function del(key) {
+    await kv.delete(prefix + key);
+    return true;
+  }
+
+  // Entries aren't counted - they are left to expire
+  async function invalidateTag(tag) {
+    await kv.put(tagKey(tag), `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+    return { removedCount: null };
+  }
+
+  async function clear() {
+    return invalidateTag(ALL_TAG);
+  }
+
+  // Keys starting with prefix (including invalidated ones that haven't expired yet)
+  async function keys(keyPrefix = '') {
+    const found = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: prefix + keyPrefix, cursor });
+      page.keys.forEach(({ name }) => {
+        if (!name.startsWith(tagKey(''))) found.push(name.slice(prefix.length));
+      });
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return found;
+  }
+
+  async function stats() {
+    return { backend: 'kv', size: null, maxSize: null, evictions: null };
+  }
+
+  return {
+    backend: 'kv',
+    get,
+    set,
+    delete: del,
+    invalidateTag,
+    clear,
+    keys,
+    stats
+  };
+}
+
+module.exports = {
+  createKVCache,
+  DEFAULT_PREFIX
+};
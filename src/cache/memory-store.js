@@ -0,0 +1,118 @@
+/**
+ * In-memory cache backend
+ *
+ * A Map kept in least-recently-used order: every read moves the entry to the
+ * end, and once there are more than maxSize entries the ones at the front -
+ * those nobody has read or written for longest - are evicted. Entries expire
+ * `ttl` after they were written and carry tags so a whole namespace can be
+ * invalidated at once.
+ *
+ * The file backend (file-store.js) persists the same structure through
+ * toJSON() / createMemoryCache({ snapshot }).
+ */
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.maxSize] - Entries kept before the least recently used is evicted
+ * @param {object} [options.snapshot] - Output of toJSON() to start from
+ * @param {Function} [options.onChange] - Called after every write (not after reads)
+ * @param {Function} [options.now] - Clock (ms), for tests
+ * @param {string} [options.backend] - Name reported by stats()
+ */
+function createMemoryCache({ maxSize = 1000, snapshot = null, onChange = () => {}, now = Date.now, backend = 'memory' } = {}) {
+  // key -> { value, expiresAt, tags }, least recently used first
+  const entries = new Map(snapshot ? snapshot.entries : []);
+  let evictions = 0;
+
+  function isExpired(entry) {
+    return entry.expiresAt !== null && entry.expiresAt <= now();
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} [options] - { touch: false } reads without counting as a use (stats listings)
+   */
+  async function get(key, { touch = true } = {}) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    if (touch) {
+      entries.delete(key);
+      entries.set(key, entry);
+    }
+    return entry.value;
+  }
+
+  /**
+   * @param {object} [options] - { ttl } in ms (0 = no expiry), { tags } for invalidateTag()
+   */
+  async function set(key, value, { ttl = 0, tags = [] } = {}) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: ttl > 0 ? now() + ttl : null, tags });
+
+    while (entries.size > maxSize) {
+      entries.delete(entries.keys().next().value);
+      evictions++;
+    }
+    onChange();
+  }
+
+  async function del(key) {
+    const deleted = entries.delete(key);
+    if (deleted) onChange();
+    return deleted;
+  }
+
+  async function invalidateTag(tag) {
+    let removedCount = 0;
+    entries.forEach((entry, key) => {
+      if (entry.tags.includes(tag)) {
+        entries.delete(key);
+        removedCount++;
+      }
+    });
+    onChange();
+    return { removedCount };
+  }
+
+  async function clear() {
+    const removedCount = entries.size;
+    entries.clear();
+    onChange();
+    return { removedCount };
+  }
+
+  // Live keys starting with prefix, least recently used first
+  async function keys(prefix = '') {
+    return Array.from(entries.entries())
+      .filter(([key, entry]) => key.startsWith(prefix) && !isExpired(entry))
+      .map(([key]) => key);
+  }
+
+  async function stats() {
+    return { backend, size: (await keys()).length, maxSize, evictions };
+  }
+
+  function toJSON() {
+    return { entries: Array.from(entries.entries()).filter(([, entry]) => !isExpired(entry)) };
+  }
+
+  return {
+    backend,
+    get,
+    set,
+    delete: del,
+    invalidateTag,
+    clear,
+    keys,
+    stats,
+    toJSON
+  };
+}
+
+module.exports = {
+  createMemoryCache
+};
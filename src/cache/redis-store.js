@@ -0,0 +1,123 @@
+/**
+ * Redis cache backend
+ *
+ * Shares cached answers between every server process pointed at the same
+ * Redis-compatible server (REDIS_URL). Under the key prefix:
+ *
+ *   <prefix><key>            the JSON value, expiring with PX ttl
+ *   <prefix>~tag:<tag>       a set of the keys carrying the tag (invalidateTag)
+ *   <prefix>~lru             a sorted set of keys scored by last use (ms)
+ *
+ * Every read and write re-scores the key in ~lru, and once it holds more than
+ * maxSize keys the lowest-scored - least recently used - are popped and
+ * deleted, so the cache stays bounded whatever the server's maxmemory policy.
+ */
+
+const { createRedisClient } = require('./redis-client');
+
+const DEFAULT_PREFIX = 'uc-oracle:cache:';
+
+/**
+ * @param {object} options
+ * @param {string} [options.url] - redis:// or rediss:// URL (or pass a client)
+ * @param {object} [options.client] - { command(...args) } - e.g. createRedisClient()
+ * @param {number} [options.maxSize] - Keys kept before the least recently used are evicted
+ * @param {string} [options.prefix] - Key prefix, so several deployments can share a server
+ * @param {Function} [options.now] - Clock (ms), for tests
+ */
+function createRedisCache({ url, client = null, maxSize = 1000, prefix = DEFAULT_PREFIX, now = Date.now }) {
+  const redis = client || createRedisClient({ url });
+  const lruKey = `${prefix}~lru`;
+  const tagKey = tag => `${prefix}~tag:${tag}`;
+  let evictions = 0;
+
+  async function get(key, { touch = true } = {}) {
+    const raw = await redis.command('GET', prefix + key);
+    if (raw === null) {
+      await redis.command('ZREM', lruKey, key);
+      return null;
+    }
+    if (touch) {
+      await redis.command('ZADD', lruKey, now(), key);
+    }
+    return JSON.parse(raw);
+  }
+
+  async function set(key, value, { ttl = 0, tags = [] } = {}) {
+    const args = ['SET', prefix + key, JSON.stringify(value)];
+    if (ttl > 0) args.push('PX', Math.ceil(ttl));
+    await redis.command(...args);
+
+    for (const tag of tags) {
+      await redis.command('SADD', tagKey(tag), key);
+      if (ttl > 0) await redis.command('PEXPIRE', tagKey(tag), Math.ceil(ttl));
+    }
+
+    await redis.command('ZADD', lruKey, now(), key);
+    // Anything last used a whole ttl ago has expired already
+    if (ttl > 0) await redis.command('ZREMRANGEBYSCORE', lruKey, '-inf', now() - ttl);
+
+    const size = await redis.command('ZCARD', lruKey);
+    if (size > maxSize) {
+      // ZPOPMIN replies [member, score, member, score, ...]
+      const popped = await redis.command('ZPOPMIN', lruKey, size - maxSize);
+      const evicted = popped.filter((item, index) => index % 2 === 0);
+      await redis.command('DEL', ...evicted.map(item => prefix + item));
+      evictions += evicted.length;
+    }
+  }
+
+  async function del(key) {
+    await redis.command('ZREM', lruKey, key);
+    return (await redis.command('DEL', prefix + key)) > 0;
+  }
+
+  async function invalidateTag(tag) {
+    const members = await redis.command('SMEMBERS', tagKey(tag));
+    let removedCount = 0;
+    if (members.length > 0) {
+      removedCount = await redis.command('DEL', ...members.map(item => prefix + item));
+      await redis.command('ZREM', lruKey, ...members);
+    }
+    await redis.command('DEL', tagKey(tag));
+    return { removedCount };
+  }
+
+  async function clear() {
+    const removedCount = await redis.command('ZCARD', lruKey);
+    let cursor = '0';
+    do {
+      const [nextCursor, found] = await redis.command('SCAN', cursor, 'MATCH', `${prefix}*`, 'COUNT', 200);
+      if (found.length > 0) await redis.command('DEL', ...found);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return { removedCount };
+  }
+
+  // Keys starting with prefix, least recently used first (expired ones may linger until evicted)
+  async function keys(keyPrefix = '') {
+    const members = await redis.command('ZRANGE', lruKey, 0, -1);
+    return members.filter(key => key.startsWith(keyPrefix));
+  }
+
+  async function stats() {
+    return { backend: 'redis', size: await redis.command('ZCARD', lruKey), maxSize, evictions };
+  }
+
+  return {
+    backend: 'redis',
+    get,
+    set,
+    delete: del,
+    invalidateTag,
+    clear,
+    keys,
+    stats,
+    close: () => redis.close?.()
+  };
+}
+
+module.exports = {
+  createRedisCache,
+  DEFAULT_PREFIX
+};
@@ -0,0 +1,241 @@
+/**
+ * Semantic query cache
+ *
+ * Caches chat answers keyed by what the question resolved to rather than its
+ * exact wording:
+ *
+ *   namespace  the document set that was searched
+ *   context    the course, year and module worked out from the question and
+ *              the conversation (src/core/conversation.js), so "what about
+ *              year 2?" in one conversation never gets another's answer
+ *   embedding  the query embedding; a cached answer is reused when the new
+ *              question is at least `threshold` cosine-similar to its question,
+ *              so "when is my essay due" and "when's my essay due?" share one
+ *
+ * Lookups report one of three outcomes, counted for GET /api/cache/stats:
+ *
+ *   hit     a cached answer in the same namespace and context was similar enough
+ *   miss    nothing was - the answer is generated and may be stored
+ *   bypass  the cache wasn't consulted: the client sent useCache: false, the
+ *           question is a follow-up ("what about that one?") whose meaning
+ *           depends on the earlier answer, not just the course/year/module, or
+ *           the backend couldn't be reached
+ *
+ * Answers live in a pluggable backend (memory, file, Redis or Workers KV - see
+ * index.js) as two kinds of key, both tagged "namespace:<namespace>":
+ *
+ *   answer:<id>                          the cached response
+ *   bucket:<namespace>:<course|year|module>  the questions asked in that context
+ *                                        with their embeddings and answer ids
+ *
+ * Uploads invalidate the tag of the namespace they changed; other namespaces
+ * keep their answers. No I/O of its own, so it runs on the server and in the Worker.
+ */
+
+const { cosineSimilarity } = require('../core/fusion');
+const { createMemoryCache } = require('./memory-store');
+
+const DEFAULT_THRESHOLD = 0.95;
+
+// Questions remembered per namespace + context; older ones drop out of the bucket
+const MAX_BUCKET_SIZE = 20;
+
+const BUCKET_PREFIX = 'bucket:';
+
+// Questions that lean on the previous answer ("and that one?", "what about the exam?")
+const FOLLOW_UP = /^\s*(?:and|what about|how about)\b|\b(?:it|its|that|this|those|these|them|they|one)\b/i;
+
+const BYPASS_REASONS = ['disabled', 'follow-up', 'unavailable'];
+
+// "fd-hap-25/26|1|w_hth4c042r-2025.26" - the resolved course, year and module, lower-cased (missing parts are "*")
+function contextKey(context = {}) {
+  return ['course', 'year', 'module']
+    .map(field => (context[field] ? String(context[field]).toLowerCase().trim() : '*'))
+    .join('|');
+}
+
+// "bucket:ucl-courses:fd-hap-25/26|1|*" holds [{ id, query, embedding, timestamp }] for that context
+function bucketKey(namespace, context) {
+  return `${BUCKET_PREFIX}${encodeURIComponent(namespace)}:${contextKey(context)}`;
+}
+
+const answerKey = id => `answer:${id}`;
+const namespaceTag = namespace => `namespace:${namespace}`;
+
+// 4 decimal places are plenty for a 0.95 threshold and halve the stored JSON
+function compactEmbedding(embedding) {
+  return embedding.map(value => Math.round(value * 1e4) / 1e4);
+}
+
+/**
+ * Parse QUERY_CACHE_SIMILARITY
+ * @param {object} [env] - Environment variables
+ * @returns {number} cosine similarity a question needs to reuse a cached answer
+ * @throws {Error} when the value isn't a number between 0 and 1
+ */
+function parseSimilarityThreshold(env = {}) {
+  const value = env.QUERY_CACHE_SIMILARITY;
+  if (value === undefined || value === '') return DEFAULT_THRESHOLD;
+
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    throw new Error('QUERY_CACHE_SIMILARITY must be a number above 0 and at most 1');
+  }
+  return threshold;
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.backend] - Where answers are kept (memory-store, file-store, redis-store or kv-store)
+ * @param {number} [options.threshold] - Cosine similarity needed for a hit (default 0.95)
+ * @param {number} [options.ttl] - Milliseconds an answer stays valid
+ * @param {Function} [options.now] - Clock (ms), for tests
+ * @param {object} [options.logger] - console-like; defaults to console
+ */
+function createSemanticCache({
+  backend = createMemoryCache(),
+  threshold = DEFAULT_THRESHOLD,
+  ttl = 1000 * 60 * 30,
+  now = Date.now,
+  logger = console
+} = {}) {
+  // Counted by this process since it started, whichever backend holds the answers
+  const counters = { hits: 0, misses: 0, stores: 0, invalidations: 0 };
+  const bypasses = Object.fromEntries(BYPASS_REASONS.map(reason => [reason, 0]));
+
+  function bypass(reason) {
+    bypasses[reason] = (bypasses[reason] || 0) + 1;
+    return { status: 'bypass', reason };
+  }
+
+  /**
+   * Find a cached answer for a resolved question
+   * @param {object} request - { namespace, query, context, embedding, conversationHistory }
+   * @param {object} [options] - { useCache } as sent by the client
+   * @returns {Promise<{ status: 'hit', data, similarity } | { status: 'miss' } | { status: 'bypass', reason }>}
+   */
+  async function lookup({ namespace = '', query = '', context = {}, embedding, conversationHistory = [] }, { useCache = true } = {}) {
+    if (!useCache) {
+      return bypass('disabled');
+    }
+    if (conversationHistory.length > 0 && FOLLOW_UP.test(query)) {
+      return bypass('follow-up');
+    }
+
+    try {
+      // Most similar first; an answer the backend has since evicted falls through to the next
+      const candidates = ((await backend.get(bucketKey(namespace, context))) || [])
+        .filter(candidate => now() - candidate.timestamp <= ttl)
+        .map(candidate => ({ ...candidate, similarity: cosineSimilarity(embedding, candidate.embedding) }))
+        .filter(candidate => candidate.similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity);
+
+      for (const candidate of candidates) {
+        const data = await backend.get(answerKey(candidate.id));
+        if (data) {
+          counters.hits++;
+          return { status: 'hit', data, similarity: candidate.similarity };
+        }
+      }
+    } catch (error) {
+      // A cache that can't be reached just means generating the answer
+      logger.error(`Error reading query cache (${backend.backend}):`, error.message);
+      return bypass('unavailable');
+    }
+
+    counters.misses++;
+    return { status: 'miss' };
+  }
+
+  /**
+   * Store an answer under the request it was generated for (call only after a miss)
+   * The answer and the bucket listing it are tagged with the namespace for invalidate()
+   */
+  async function store({ namespace = '', query = '', context = {}, embedding }, data) {
+    if (!Array.isArray(embedding) || embedding.length === 0) return;
+
+    const id = `${now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    const options = { ttl, tags: [namespaceTag(namespace)] };
+    const key = bucketKey(namespace, context);
+
+    try {
+      await backend.set(answerKey(id), data, options);
+
+      const bucket = ((await backend.get(key)) || []).filter(candidate => now() - candidate.timestamp <= ttl);
+      bucket.push({ id, query: query.trim(), embedding: compactEmbedding(embedding), timestamp: now() });
+      await backend.set(key, bucket.slice(-MAX_BUCKET_SIZE), options);
+      counters.stores++;
+    } catch (error) {
+      logger.error(`Error writing query cache (${backend.backend}):`, error.message);
+    }
+  }
+
+  // Drop every answer from a namespace whose documents changed
+  async function invalidate(namespace = '') {
+    try {
+      const { removedCount } = await backend.invalidateTag(namespaceTag(namespace));
+      counters.invalidations++;
+      return { namespace, removedCount };
+    } catch (error) {
+      // The upload itself worked - stale answers expire with the TTL
+      logger.error(`Error invalidating query cache (${backend.backend}) for namespace "${namespace}":`, error.message);
+      return { namespace, removedCount: null };
+    }
+  }
+
+  async function clear() {
+    return backend.clear();
+  }
+
+  /**
+   * Counters since start-up and (with includeEntries) every cached question
+   */
+  async function stats({ includeEntries = false } = {}) {
+    const backendStats = await backend.stats();
+    const bypassCount = Object.values(bypasses).reduce((sum, count) => sum + count, 0);
+    const lookups = counters.hits + counters.misses;
+    const summary = {
+      ...backendStats,
+      ttl,
+      threshold,
+      hits: counters.hits,
+      misses: counters.misses,
+      bypasses: { total: bypassCount, ...bypasses },
+      hitRate: lookups > 0 ? counters.hits / lookups : null,
+      stores: counters.stores,
+      invalidations: counters.invalidations
+    };
+
+    if (includeEntries) {
+      summary.entries = [];
+      for (const key of await backend.keys(BUCKET_PREFIX)) {
+        const [, namespace, contextPart] = key.split(':');
+        const bucket = (await backend.get(key, { touch: false })) || [];
+        bucket.forEach(candidate => summary.entries.push({
+          namespace: decodeURIComponent(namespace),
+          context: contextPart,
+          query: candidate.query,
+          age: now() - candidate.timestamp
+        }));
+      }
+    }
+    return summary;
+  }
+
+  return {
+    backend: backend.backend,
+    threshold,
+    lookup,
+    store,
+    invalidate,
+    clear,
+    stats
+  };
+}
+
+module.exports = {
+  createSemanticCache,
+  parseSimilarityThreshold,
+  contextKey,
+  DEFAULT_THRESHOLD
+};
@@ -0,0 +1,255 @@
+/**
+ * Course Catalogue
+ *
+ * Read-only view of the course -> module -> assessment hierarchy stored in
+ * the vector store metadata (the same links fetchHierarchicalRelatedItems
+ * follows):
+ *
+ *   course_overview  identified by course_code
+ *   module           module_code, linked to its course by course_code
+ *   assessment       linked to its module by module_code
+ *
+ * Records are listed by metadata filter (no embeddings needed), chunks of the
+ * same document are collapsed, and code lookups go through
+ * normalizeModuleCode so "[W_HTH4C042R-2025.26]" and "w_hth4c042r-2025.26"
+ * find the same module. Shared by the Express server and the Worker.
+ */
+
+const DEFAULT_NAMESPACE = 'ucl-courses';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CATALOGUE_TTL = 1000 * 60 * 5; // 5 minutes
+
+// Upload bookkeeping that isn't part of the catalogue entry itself
+const INTERNAL_FIELDS = ['text', 'originalDocId', 'chunkIndex', 'totalChunks', 'namespace', 'uploadTimestamp', 'contentHash'];
+
+// Normalize module codes to handle inconsistent formatting (e.g. brackets)
+function normalizeModuleCode(code) {
+  if (!code) return code;
+  // Remove brackets and trim whitespace
+  return code.replace(/[\[\]]/g, '').trim();
+}
+
+function codesMatch(a, b) {
+  if (!a || !b) return false;
+  return normalizeModuleCode(String(a)).toUpperCase() === normalizeModuleCode(String(b)).toUpperCase();
+}
+
+// Metadata values may be strings or numbers ("1" vs 1)
+function valueMatches(value, expected) {
+  return expected === undefined || expected === null || expected === '' || String(value) === String(expected);
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse ?page=&pageSize= query parameters
+ * @throws {Error} with status 400 when they aren't positive integers
+ */
+function parsePagination(query = {}) {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw badRequest('page must be a positive integer');
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw badRequest(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return { page, pageSize };
+}
+
+function paginate(items, { page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const start = (page - 1) * pageSize;
+  return {
+    items: items.slice(start, start + pageSize),
+    pagination: {
+      page,
+      pageSize,
+      total: items.length,
+      totalPages: Math.ceil(items.length / pageSize)
+    }
+  };
+}
+
+// Collapse chunks into one entry per source document
+function toEntries(records) {
+  const entries = new Map();
+
+  records.forEach(record => {
+    const metadata = record.metadata || {};
+    const id = metadata.originalDocId || record.id;
+    if (entries.has(id)) return;
+
+    const entry = { id };
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (!INTERNAL_FIELDS.includes(key)) entry[key] = value;
+    });
+    entries.set(id, entry);
+  });
+
+  return Array.from(entries.values());
+}
+
+// Sort by several metadata keys - missing values (e.g. unresolved deadlines) go last
+function compareBy(...keys) {
+  return (a, b) => {
+    for (const key of keys) {
+      const hasA = a[key] !== undefined && a[key] !== null && a[key] !== '';
+      const hasB = b[key] !== undefined && b[key] !== null && b[key] !== '';
+      if (hasA !== hasB) return hasA ? -1 : 1;
+
+      const result = String(a[key] ?? '').localeCompare(String(b[key] ?? ''), 'en', { numeric: true });
+      if (result !== 0) return result;
+    }
+    return 0;
+  };
+}
+
+/**
+ * @param {object} vectorStore - Any store from src/vector-store
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Academic calendar used to resolve assessment deadlines
+ */
+function createCatalogue(vectorStore, { calendar = null } = {}) {
+  // { [namespace]: { loadedAt, courses, modules, assessments } }
+  const snapshots = new Map();
+
+  function resolveAssessment(entry) {
+    const resolved = calendar ? calendar.resolveDeadline(entry.deadline) : null;
+    if (!resolved) return entry;
+
+    return {
+      ...entry,
+      deadline_date: resolved.date.toISOString().slice(0, 10),
+      deadline_time: calendar.deadlineTime,
+      academic_week: resolved.week
+    };
+  }
+
+  async function load(namespace) {
+    const cached = snapshots.get(namespace);
+    if (cached && Date.now() - cached.loadedAt < CATALOGUE_TTL) {
+      return cached;
+    }
+
+    const records = await vectorStore.list(
+      { type: { $in: ['course_overview', 'module', 'assessment'] } },
+      { namespace }
+    );
+    const entries = toEntries(records);
+
+    const snapshot = {
+      loadedAt: Date.now(),
+      courses: entries
+        .filter(entry => entry.type === 'course_overview')
+        .sort(compareBy('course_code')),
+      modules: entries
+        .filter(entry => entry.type === 'module')
+        .sort(compareBy('year', 'semester', 'module_title')),
+      assessments: entries
+        .filter(entry => entry.type === 'assessment')
+        .map(resolveAssessment)
+        .sort(compareBy('deadline_date', 'module_title', 'assessment_type'))
+    };
+
+    snapshots.set(namespace, snapshot);
+    return snapshot;
+  }
+
+  async function listCourses({ namespace = DEFAULT_NAMESPACE, ...pageOptions } = {}) {
+    const { courses } = await load(namespace);
+    const { items, pagination } = paginate(courses, pageOptions);
+    return { courses: items, pagination };
+  }
+
+  /**
+   * Modules of a course, optionally filtered by year/semester
+   * @returns {object|null} null when neither the course nor any of its modules exist
+   */
+  async function listModules(courseCode, { namespace = DEFAULT_NAMESPACE, year, semester, ...pageOptions } = {}) {
+    const { courses, modules } = await load(namespace);
+
+    const course = courses.find(entry => codesMatch(entry.course_code, courseCode)) || null;
+    const courseModules = modules.filter(entry => codesMatch(entry.course_code, courseCode));
+    if (!course && courseModules.length === 0) return null;
+
+    const filtered = courseModules.filter(entry =>
+      valueMatches(entry.year, year) && valueMatches(entry.semester, semester)
+    );
+    const { items, pagination } = paginate(filtered, pageOptions);
+    return { course, modules: items, pagination };
+  }
+
+  /**
+   * Assessments of a module
+   * @returns {object|null} null when neither the module nor any of its assessments exist
+   */
+  async function listModuleAssessments(moduleCode, { namespace = DEFAULT_NAMESPACE, ...pageOptions } = {}) {
+    const { modules, assessments } = await load(namespace);
+
+    const moduleEntry = modules.find(entry => codesMatch(entry.module_code, moduleCode)) || null;
+    const moduleAssessments = assessments.filter(entry => codesMatch(entry.module_code, moduleCode));
+    if (!moduleEntry && moduleAssessments.length === 0) return null;
+
+    const { items, pagination } = paginate(moduleAssessments, pageOptions);
+    return { module: moduleEntry, assessments: items, pagination };
+  }
+
+  // All assessments, optionally filtered by year/semester/course
+  async function listAssessments({ namespace = DEFAULT_NAMESPACE, year, semester, courseCode, ...pageOptions } = {}) {
+    const { modules, assessments } = await load(namespace);
+
+    // Assessments only carry module_code - reach the course through the module
+    const courseModuleCodes = courseCode
+      ? modules.filter(entry => codesMatch(entry.course_code, courseCode)).map(entry => entry.module_code)
+      : null;
+
+    const filtered = assessments.filter(entry =>
+      valueMatches(entry.year, year) &&
+      valueMatches(entry.semester, semester) &&
+      (!courseModuleCodes || courseModuleCodes.some(code => codesMatch(code, entry.module_code)))
+    );
+    const { items, pagination } = paginate(filtered, pageOptions);
+    return { assessments: items, pagination };
+  }
+
+  // Every course, module and assessment entry in a namespace, unpaginated (upload validation)
+  async function listEntries({ namespace = DEFAULT_NAMESPACE } = {}) {
+    const { courses, modules, assessments } = await load(namespace);
+    return [...courses, ...modules, ...assessments];
+  }
+
+  // Drop cached snapshots (call after uploads/deletes)
+  function invalidate(namespace) {
+    if (namespace === undefined) {
+      snapshots.clear();
+    } else {
+      snapshots.delete(namespace);
+    }
+  }
+
+  return {
+    listCourses,
+    listModules,
+    listModuleAssessments,
+    listAssessments,
+    listEntries,
+    invalidate
+  };
+}
+
+module.exports = {
+  createCatalogue,
+  normalizeModuleCode,
+  codesMatch,
+  parsePagination,
+  paginate,
+  INTERNAL_FIELDS,
+  DEFAULT_NAMESPACE
+};
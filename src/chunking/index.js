@@ -0,0 +1,308 @@
+/**
+ * Document chunking
+ *
+ * Uploaded documents are split into chunks sized in real tokens (see
+ * tokens.js) before they are embedded. Strategies:
+ *
+ *   structured - sections (blank-line blocks with a heading such as "Learning
+ *                Outcomes:") are kept whole where they fit; a section too big
+ *                for one chunk is split between lines, with LO1..LO6 and bullet
+ *                lists kept together, and each continuation repeats the
+ *                section heading (default)
+ *   paragraph  - blank-line paragraphs packed together, long ones split
+ *                between sentences
+ *   fixed      - windows of maxTokens tokens, whatever the text says
+ *
+ * When a section (or, for paragraph and fixed, the text) is split, each chunk
+ * starts with the last overlapTokens tokens - whole lines or sentences where
+ * they fit - of the one before. Chunks that start at a section boundary don't
+ * overlap; the section stands on its own.
+ *
+ * A document that fits in one chunk is stored as it is. Otherwise every chunk
+ * starts with an identity header built from the metadata - "Course: ... |
+ * Module: ... | Assessment: ..." - so a chunk from the middle of an assessment
+ * brief still says whose brief it is, both to the embedding and in <CONTEXT>.
+ *
+ *   chunkDocument(text, metadata, options) -> [{ text, tokens }]
+ *
+ * Defaults come from CHUNK_STRATEGY, CHUNK_MAX_TOKENS (default 800) and
+ * CHUNK_OVERLAP_TOKENS (default 100); an upload can override them with
+ * { chunking: { strategy, maxTokens, overlapTokens } }.
+ */
+
+const { countTokens, splitByTokens, tailTokens } = require('./tokens');
+const { parseBlocks, parseParagraphs, splitSentences, splitLines } = require('./structure');
+
+const STRATEGIES = ['structured', 'paragraph', 'fixed'];
+
+const DEFAULT_CHUNKING = {
+  strategy: 'structured',
+  maxTokens: 800,
+  overlapTokens: 100
+};
+
+// Smallest chunk worth embedding, and the most an embedding model will take
+const MIN_MAX_TOKENS = 50;
+const MAX_MAX_TOKENS = 8000;
+
+// The header never takes more than this share of a chunk
+const MAX_HEADER_SHARE = 0.25;
+
+const SECTION_SEPARATOR = '\n\n';
+
+/**
+ * Validate chunking options, filling gaps from defaults
+ * @param {object|string} [options] - { strategy, maxTokens, overlapTokens }, or just the strategy name
+ * @param {object} [defaults]
+ * @throws {Error} with status 400 when an option is invalid
+ */
+function resolveChunkingOptions(options = {}, defaults = DEFAULT_CHUNKING) {
+  const input = typeof options === 'string' ? { strategy: options } : (options || {});
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  const strategy = String(input.strategy ?? defaults.strategy).toLowerCase();
+  if (!STRATEGIES.includes(strategy)) {
+    fail(`Unknown chunking strategy "${strategy}" (expected structured, paragraph or fixed)`);
+  }
+
+  const maxTokens = Number(input.maxTokens ?? defaults.maxTokens);
+  if (!Number.isInteger(maxTokens) || maxTokens < MIN_MAX_TOKENS || maxTokens > MAX_MAX_TOKENS) {
+    fail(`maxTokens must be a whole number from ${MIN_MAX_TOKENS} to ${MAX_MAX_TOKENS}`);
+  }
+
+  const overlapTokens = Number(input.overlapTokens ?? Math.min(defaults.overlapTokens, Math.floor(maxTokens / 2)));
+  if (!Number.isInteger(overlapTokens) || overlapTokens < 0 || overlapTokens > maxTokens / 2) {
+    fail('overlapTokens must be a whole number from 0 to half of maxTokens');
+  }
+
+  return { strategy, maxTokens, overlapTokens };
+}
+
+/**
+ * Parse CHUNK_STRATEGY / CHUNK_MAX_TOKENS / CHUNK_OVERLAP_TOKENS
+ * @param {object} [env] - Environment variables
+ * @throws {Error} when a value is invalid
+ */
+function parseChunkingOptions(env = {}) {
+  const read = name => (env[name] === undefined || env[name] === '' ? undefined : env[name]);
+  try {
+    return resolveChunkingOptions({
+      strategy: read('CHUNK_STRATEGY'),
+      maxTokens: read('CHUNK_MAX_TOKENS'),
+      overlapTokens: read('CHUNK_OVERLAP_TOKENS')
+    });
+  } catch (error) {
+    throw new Error(`Invalid chunking settings: ${error.message}`);
+  }
+}
+
+// "Title (CODE)", or whichever of the two is known
+function describe(title, code) {
+  if (title && code) return `${title} (${code})`;
+  return title || code || null;
+}
+
+/**
+ * One-line identity of a document from its metadata
+ * @returns {string|null} e.g. "Course: FD-HAP-25/26 | Module: Academic Research and Study Skills (W_HTH4C042R-2025.26) | Assessment: Essay"
+ */
+function identityHeader(metadata = {}) {
+  const parts = [
+    ['Course', describe(metadata.course_title, metadata.course_code)],
+    ['Module', describe(metadata.module_title, metadata.module_code)],
+    ['Assessment', metadata.assessment_type]
+  ].filter(([, value]) => value);
+
+  if (parts.length === 0) {
+    return metadata.title ? `Document: ${metadata.title}` : null;
+  }
+  return parts.map(([label, value]) => `${label}: ${value}`).join(' | ');
+}
+
+// Tokens a unit adds to a chunk after the one before it
+function unitTokens(unit, first) {
+  return countTokens(first ? unit.text : unit.sep + unit.text);
+}
+
+// Break a unit that doesn't fit in limit tokens into smaller ones: list -> lines -> sentences -> token windows
+function fitUnit(unit, limit) {
+  if (countTokens(unit.text) <= limit) return [unit];
+
+  let parts;
+  if (unit.kind === 'list' && unit.items.length > 1) {
+    parts = unit.items.map((item, index) => ({ ...item, kind: 'line', sep: index === 0 ? unit.sep : item.sep }));
+  } else if (unit.kind !== 'sentence' && unit.kind !== 'piece') {
+    const lines = splitLines(unit.text);
+    parts = lines.length > 1
+      ? lines.map((line, index) => ({ ...line, kind: 'line', sep: index === 0 ? unit.sep : line.sep }))
+      : splitSentences(unit);
+    if (parts.length === 1) parts = null;
+  }
+  if (!parts) {
+    parts = splitByTokens(unit.text, limit).map((text, index) => ({ text, sep: index === 0 ? unit.sep : '', kind: 'piece' }));
+  }
+
+  return parts.flatMap(part => fitUnit(part, limit));
+}
+
+// The units from the end of a chunk to repeat at the start of the next
+function overlapUnits(units, overlapTokens) {
+  const overlap = [];
+  let tokens = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    const cost = unitTokens(units[i], false);
+    if (tokens + cost > overlapTokens) break;
+    overlap.unshift(units[i]);
+    tokens += cost;
+  }
+
+  // Nothing whole fits: take the tail of the last unit instead
+  if (overlap.length === 0 && units.length > 0 && overlapTokens > 0) {
+    const tail = tailTokens(units[units.length - 1].text, overlapTokens).trimStart();
+    if (tail) overlap.push({ text: tail, sep: '', kind: 'piece' });
+  }
+  return overlap;
+}
+
+// Join a section's units back together, with its heading on the first line
+function renderSection({ heading, units }) {
+  const body = units.map((unit, index) => (index === 0 ? unit.text : unit.sep + unit.text)).join('');
+  return heading ? `${heading}\n${body}` : body;
+}
+
+/**
+ * Pack blocks into chunks of at most budget tokens
+ * @returns {string[]} chunk bodies (without the identity header)
+ */
+function packBlocks(blocks, budget, overlapTokens) {
+  const chunks = [];
+  let sections = [];
+  let used = 0;
+
+  const flush = () => {
+    if (sections.length > 0) chunks.push(sections.map(renderSection).join(SECTION_SEPARATOR));
+    sections = [];
+    used = 0;
+  };
+
+  blocks.forEach(block => {
+    const headingTokens = block.heading ? countTokens(`${block.heading}\n`) : 0;
+    const separatorTokens = sections.length > 0 ? countTokens(SECTION_SEPARATOR) : 0;
+    const blockTokens = countTokens(renderSection(block));
+
+    // The whole section fits - in this chunk, or else in the next one
+    if (used + separatorTokens + blockTokens <= budget) {
+      sections.push(block);
+      used += separatorTokens + blockTokens;
+      return;
+    }
+    if (blockTokens <= budget) {
+      flush();
+      sections.push(block);
+      used = blockTokens;
+      return;
+    }
+
+    // Split the section over as many chunks as it needs, starting a fresh one
+    flush();
+    const limit = budget - headingTokens;
+    const units = block.units.flatMap(unit => fitUnit(unit, limit));
+    let current = { heading: block.heading, units: [] };
+    used = headingTokens;
+
+    units.forEach(unit => {
+      const cost = unitTokens(unit, current.units.length === 0);
+      if (current.units.length > 0 && used + cost > budget) {
+        const overlap = overlapUnits(current.units, overlapTokens);
+        sections = [current];
+        flush();
+
+        current = { heading: block.heading, units: [] };
+        used = headingTokens;
+        overlap.forEach(piece => {
+          const pieceCost = unitTokens(piece, current.units.length === 0);
+          // Overlap only where it leaves room for the unit that didn't fit
+          if (used + pieceCost + unitTokens(unit, false) <= budget) {
+            current.units.push(piece);
+            used += pieceCost;
+          }
+        });
+      }
+      current.units.push(unit);
+      used += unitTokens(unit, current.units.length === 1);
+    });
+
+    sections = [current];
+    flush();
+  });
+
+  flush();
+  return chunks;
+}
+
+// Prefix the header, trimming the body if re-tokenising the joined text went over maxTokens
+function withHeader(header, body, maxTokens) {
+  let text = header ? `${header}${SECTION_SEPARATOR}${body}` : body;
+  let tokens = countTokens(text);
+  while (tokens > maxTokens) {
+    body = splitByTokens(body, Math.max(1, countTokens(body) - (tokens - maxTokens)))[0];
+    text = header ? `${header}${SECTION_SEPARATOR}${body}` : body;
+    tokens = countTokens(text);
+  }
+  return { text, tokens };
+}
+
+/**
+ * Split a document into chunks
+ * @param {string} text - Document text
+ * @param {object} [metadata] - Document metadata, for the identity header
+ * @param {object} [options] - { strategy, maxTokens, overlapTokens } (see resolveChunkingOptions)
+ * @returns {Array<{ text: string, tokens: number }>}
+ */
+function chunkDocument(text, metadata = {}, options = {}) {
+  const { strategy, maxTokens, overlapTokens } = resolveChunkingOptions(options);
+  const trimmed = String(text || '').trim();
+
+  const totalTokens = countTokens(trimmed);
+  if (totalTokens <= maxTokens) {
+    return [{ text: trimmed, tokens: totalTokens }];
+  }
+
+  let header = identityHeader(metadata);
+  if (header && countTokens(header) > maxTokens * MAX_HEADER_SHARE) {
+    header = splitByTokens(header, Math.floor(maxTokens * MAX_HEADER_SHARE))[0].trimEnd() + '…';
+  }
+  const headerTokens = header ? countTokens(header + SECTION_SEPARATOR) : 0;
+  const budget = maxTokens - headerTokens;
+
+  let bodies;
+  switch (strategy) {
+    case 'structured':
+      bodies = packBlocks(parseBlocks(trimmed), budget, overlapTokens);
+      break;
+    case 'paragraph':
+      bodies = packBlocks(parseParagraphs(trimmed), budget, overlapTokens);
+      break;
+    case 'fixed':
+      bodies = splitByTokens(trimmed, budget, overlapTokens).map(body => body.trim());
+      break;
+  }
+
+  return bodies
+    .filter(body => body.trim() !== '')
+    .map(body => withHeader(header, body, maxTokens));
+}
+
+module.exports = {
+  chunkDocument,
+  resolveChunkingOptions,
+  parseChunkingOptions,
+  identityHeader,
+  countTokens,
+  STRATEGIES,
+  DEFAULT_CHUNKING
+};
@@ -0,0 +1,114 @@
+/**
+ * Document structure for the chunker
+ *
+ * Course, module and assessment texts are a block of "Field: value" lines
+ * followed by sections separated by blank lines, each opening with a heading
+ * line such as "Learning Outcomes:" or "Assessment Brief:". Inside a section,
+ * line breaks are often stored as a literal "\n" (two characters) - both kinds
+ * are treated as line breaks here and kept as they were in the output.
+ *
+ *   parseBlocks(text)       -> [{ heading, units }]   one per blank-line block
+ *   parseParagraphs(text)   -> [{ heading: null, units }] sentences, no structure
+ *
+ * Units are the pieces the chunker packs, each { text, sep } where sep is the
+ * line break (or space) that came before it. A run of list lines - LO1..LO6
+ * outcomes or bullets - is a single "list" unit, together with the line
+ * introducing it ("... students will be able to:"), so an outcomes list isn't
+ * cut in half unless it's too big for a chunk on its own.
+ */
+
+const LINE_BREAK = /(\n|\\n)/;
+
+// "Learning Outcomes:", "## Assessment Brief"
+const HEADING = /^(?:#{1,6}\s+\S.{0,80}|[A-Z][^:\n]{0,60}:)\s*$/;
+
+// "Module Code: W_HTH4C042R", "Credits: 20"
+const FIELD = /^[A-Z][\w /&()-]{0,40}:\s+\S/;
+
+// "Knowledge and Understanding: LO1 Describe ...", "● Develop ...", "2. Reflect ..."
+const LIST_ITEM = /\bLO\s?\d\b|^\s*(?:[●•◦▪‣*-]|\d{1,2}[.)])\s+/;
+
+const SENTENCE = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+
+// Split text into lines, remembering the break before each one
+function splitLines(text) {
+  const parts = text.split(LINE_BREAK);
+  const lines = [{ text: parts[0], sep: '' }];
+  for (let i = 1; i < parts.length; i += 2) {
+    lines.push({ text: parts[i + 1], sep: parts[i] });
+  }
+  return lines.filter(line => line.text.trim() !== '');
+}
+
+// Group consecutive list lines (and the line introducing them) into list units
+function groupLines(lines) {
+  const units = [];
+  lines.forEach(line => {
+    const previous = units[units.length - 1];
+    if (!LIST_ITEM.test(line.text)) {
+      units.push({ ...line, kind: 'line' });
+      return;
+    }
+
+    if (previous && previous.kind === 'list') {
+      previous.items.push(line);
+      previous.text += line.sep + line.text;
+    } else if (previous && previous.kind === 'line' && previous.text.trim().endsWith(':')) {
+      // "On completion of this module students will be able to:" belongs with its list
+      units[units.length - 1] = { ...previous, kind: 'list', items: [previous, line], text: previous.text + line.sep + line.text };
+    } else {
+      units.push({ ...line, kind: 'list', items: [line] });
+    }
+  });
+  return units;
+}
+
+/**
+ * Split text into blank-line blocks, each with its heading (if any) and units
+ * @param {string} text
+ * @returns {Array<{ heading: string|null, units: object[], fields: boolean }>}
+ */
+function parseBlocks(text) {
+  return text.split(/\n\s*\n/)
+    .filter(block => block.trim() !== '')
+    .map(block => {
+      const lines = splitLines(block.trim());
+      const heading = lines.length > 1 && HEADING.test(lines[0].text.trim()) ? lines[0].text.trim() : null;
+      const body = heading ? lines.slice(1) : lines;
+      if (body.length > 0) body[0] = { ...body[0], sep: '' };
+
+      // A block of "Field: value" lines names the document - keep it in one piece
+      if (!heading && body.every(line => FIELD.test(line.text))) {
+        const joined = body.map(line => line.sep + line.text).join('');
+        return { heading, fields: true, units: [{ text: joined, sep: '', kind: 'list', items: body }] };
+      }
+
+      return { heading, fields: false, units: groupLines(body) };
+    });
+}
+
+/**
+ * Split text into blank-line paragraphs of sentences, ignoring headings and lists
+ * @param {string} text
+ */
+function parseParagraphs(text) {
+  return text.split(/\n\s*\n/)
+    .filter(block => block.trim() !== '')
+    .map(block => ({ heading: null, fields: false, units: splitSentences({ text: block.trim(), sep: '' }) }));
+}
+
+// Sentences of a unit, the first keeping the unit's own separator
+function splitSentences(unit) {
+  const sentences = unit.text.match(SENTENCE) || [unit.text];
+  return sentences
+    .map(sentence => sentence.trimEnd())
+    .filter(sentence => sentence.trim() !== '')
+    .map((sentence, index) => ({ text: index === 0 ? sentence : sentence.trimStart(), sep: index === 0 ? unit.sep : ' ', kind: 'sentence' }));
+}
+
+module.exports = {
+  parseBlocks,
+  parseParagraphs,
+  splitSentences,
+  splitLines
+};
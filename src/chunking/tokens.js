@@ -0,0 +1,57 @@
+/**
+ * Token counting for the chunker
+ *
+ * Counts with the cl100k_base encoding (OpenAI's text-embedding-3 models).
+ * Gemini's tokenizer isn't published, but cl100k counts land within a few
+ * percent of it for English text - far closer than the ~4 characters per
+ * token estimate the context budget uses. The encoding tables are loaded on
+ * first use so requiring this module stays cheap.
+ */
+
+let encoding = null;
+
+function getEncoding() {
+  if (!encoding) {
+    encoding = require('gpt-tokenizer/encoding/cl100k_base');
+  }
+  return encoding;
+}
+
+function countTokens(text) {
+  return text ? getEncoding().countTokens(text) : 0;
+}
+
+/**
+ * Split text into pieces of at most maxTokens tokens
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {number} [overlapTokens] - Tokens each piece repeats from the end of the one before
+ * @returns {string[]}
+ */
+function splitByTokens(text, maxTokens, overlapTokens = 0) {
+  const { encode, decode } = getEncoding();
+  const tokens = encode(text);
+  if (tokens.length <= maxTokens) return [text];
+
+  const step = Math.max(1, maxTokens - Math.min(overlapTokens, maxTokens - 1));
+  const pieces = [];
+  for (let start = 0; start < tokens.length; start += step) {
+    pieces.push(decode(tokens.slice(start, start + maxTokens)));
+    if (start + maxTokens >= tokens.length) break;
+  }
+  return pieces;
+}
+
+// The last maxTokens tokens of text
+function tailTokens(text, maxTokens) {
+  if (maxTokens <= 0) return '';
+  const { encode, decode } = getEncoding();
+  const tokens = encode(text);
+  return tokens.length <= maxTokens ? text : decode(tokens.slice(-maxTokens));
+}
+
+module.exports = {
+  countTokens,
+  splitByTokens,
+  tailTokens
+};
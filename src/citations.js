@@ -0,0 +1,54 @@
+/**
+ * Inline citations
+ *
+ * The context assembly numbers every retrieved item "[Match N]" and the chat
+ * prompt asks the model to cite those numbers as [N]. After generation the
+ * answer is checked against the sources that were actually sent: citations
+ * of items that don't exist are removed so the UI never links to nothing,
+ * and "[Match 2]" / "[1, 3]" spellings are normalised to "[2]" / "[1][3]".
+ * Shared by the Express server and the Worker.
+ */
+
+const CITATION_INSTRUCTIONS = `### Citations (REQUIRED)
+Every item in the <CONTEXT> is numbered "[Match N]". Cite the item that supports each fact you state - deadlines, weights, word counts, tutors, module codes - by putting its number in square brackets straight after the sentence, e.g. "The essay is due on **Friday 14 November 2025 at 12:00 PM** [2]."
+
+- Use [1][3] when a sentence relies on more than one item.
+- For resolved deadline dates, cite the assessment the deadline belongs to.
+- Only cite numbers that appear in the <CONTEXT>. Never invent a citation.
+- Do not add a reference list at the end - the interface shows the sources.`;
+
+// "[2]", "[1, 3]" or "[Match 2]" - but not markdown links like "[2](https://...)"
+const CITATION_PATTERN = /(\s*)\[(?:Match\s+)?(\d{1,3}(?:\s*,\s*\d{1,3})*)\](?!\()/gi;
+
+/**
+ * Check the citations in a generated answer
+ * @param {string} text - Model output
+ * @param {number} sourceCount - Number of [Match N] items sent in the context
+ * @returns {{ text: string, citations: Array<number>, invalid: Array<number> }}
+ *   text with invalid citations removed, valid citation numbers in order of
+ *   first use, and the out-of-range numbers the model produced
+ */
+function validateCitations(text, sourceCount) {
+  const citations = [];
+  const invalid = [];
+
+  const cleaned = String(text || '').replace(CITATION_PATTERN, (marker, space, list) => {
+    const numbers = list.split(',').map(number => Number(number.trim()));
+    const valid = numbers.filter(number => number >= 1 && number <= sourceCount);
+
+    numbers.forEach(number => {
+      const bucket = valid.includes(number) ? citations : invalid;
+      if (!bucket.includes(number)) bucket.push(number);
+    });
+
+    // Drop the leading space with a removed citation so "noon [9]." becomes "noon."
+    return valid.length > 0 ? `${space}${valid.map(number => `[${number}]`).join('')}` : '';
+  });
+
+  return { text: cleaned, citations, invalid };
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  validateCitations
+};
@@ -0,0 +1,225 @@
+/**
+ * Context token budget
+ *
+ * Hierarchy expansion can pull in dozens of matches, each with its full text
+ * and metadata. Before <CONTEXT> is built the matches are fitted to a token
+ * budget shared out by hierarchy level - courses first, then modules, then
+ * assessments, then everything else - with whatever a level doesn't use
+ * passed on to the next:
+ *
+ *   - a learning-outcomes block over maxOutcomeTokens is summarised to its LO lines
+ *   - a match still over maxSourceTokens is truncated at a line or word boundary
+ *   - matches that don't fit their level's allowance are dropped, then re-added
+ *     in hierarchy order if budget is left over at the end
+ *
+ * Tokens are estimated at ~4 characters each, which is close enough for
+ * English text with Gemini and OpenAI tokenizers. The report lists what was
+ * summarised, truncated and dropped for the response diagnostics.
+ */
+
+const LEVELS = ['course', 'module', 'assessment', 'other'];
+
+const DEFAULT_CONTEXT_BUDGET = {
+  maxTokens: 8000,
+  maxSourceTokens: 600,
+  maxOutcomeTokens: 150,
+  shares: { course: 0.15, module: 0.35, assessment: 0.35, other: 0.15 }
+};
+
+// Metadata that formatMatch leaves out of [Match N]
+const HIDDEN_FIELDS = ['text', 'uploadTimestamp', 'namespace', 'contentHash'];
+
+// "[Match N] (Relevance: 85.0%) [...]" header, whatever N and the score are
+const HEADER_TOKENS = 8;
+
+const TRUNCATION_MARKER = ' […]';
+
+// Rough token count (~4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Tokens of a match's metadata line in <CONTEXT>
+function metadataTokens(metadata = {}) {
+  return estimateTokens(Object.entries(metadata)
+    .filter(([key]) => !HIDDEN_FIELDS.includes(key))
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', '));
+}
+
+// What a match costs in <CONTEXT>: header, metadata line and text
+function matchTokens(match, text = match.metadata?.text) {
+  return HEADER_TOKENS + metadataTokens(match.metadata) + estimateTokens(text);
+}
+
+/**
+ * Parse CONTEXT_TOKEN_BUDGET / CONTEXT_SOURCE_TOKENS
+ * @param {object} [env] - Environment variables
+ * @returns {object} budget for createRagCore({ contextBudget })
+ * @throws {Error} when a value isn't a non-negative number
+ */
+function parseContextBudget(env = {}) {
+  const read = (name, fallback) => {
+    const value = env[name];
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+    return number;
+  };
+
+  return {
+    ...DEFAULT_CONTEXT_BUDGET,
+    maxTokens: read('CONTEXT_TOKEN_BUDGET', DEFAULT_CONTEXT_BUDGET.maxTokens),
+    maxSourceTokens: read('CONTEXT_SOURCE_TOKENS', DEFAULT_CONTEXT_BUDGET.maxSourceTokens)
+  };
+}
+
+// Module texts store line breaks inside the outcomes block as a literal "\n"
+function splitLines(text) {
+  return text.split(/\n|\\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Summarise the "Learning Outcomes:" block to one short line per outcome
+ * "Knowledge and Understanding: LO1 Describe and explain key theories of learning and development. (K1)"
+ *   -> "LO1 Describe and explain key theories of learning and development"
+ * @returns {string} the text, unchanged if it has no block over maxOutcomeTokens
+ */
+function summariseLearningOutcomes(text, maxOutcomeTokens = DEFAULT_CONTEXT_BUDGET.maxOutcomeTokens) {
+  const block = String(text || '').match(/Learning Outcomes:[ \t]*\n([\s\S]*?)(?=\n\s*\n|$)/i);
+  if (!block || estimateTokens(block[1]) <= maxOutcomeTokens) {
+    return text;
+  }
+
+  const outcomes = splitLines(block[1])
+    .map(line => line.match(/\b(LO\d+)\b\s*(.*)/))
+    .filter(Boolean)
+    .map(([, label, statement]) => {
+      const words = statement.replace(/\s*\([A-Z]\d+\)\s*$/, '').replace(/\.$/, '').split(/\s+/);
+      return `${label} ${words.slice(0, 15).join(' ')}${words.length > 15 ? '…' : ''}`;
+    });
+
+  const summary = outcomes.length > 0
+    ? outcomes.join('\n')
+    : truncateText(block[1], maxOutcomeTokens);
+  return text.replace(block[0], `Learning Outcomes (summarised):\n${summary}`);
+}
+
+// Cut text to about maxTokens, at the last line break or space before the limit
+function truncateText(text, maxTokens) {
+  const limit = maxTokens * 4 - TRUNCATION_MARKER.length;
+  if (text.length <= maxTokens * 4) return text;
+
+  const cut = text.slice(0, Math.max(0, limit));
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+  return `${(boundary > limit / 2 ? cut.slice(0, boundary) : cut).trimEnd()}${TRUNCATION_MARKER}`;
+}
+
+function levelOf(match) {
+  switch (match.metadata?.type) {
+    case 'course_overview': return 'course';
+    case 'module': return 'module';
+    case 'assessment': return 'assessment';
+    default: return 'other';
+  }
+}
+
+/**
+ * Fit organized matches to the budget
+ * Kept matches whose text was shortened get `contextText`, which <CONTEXT> uses instead of
+ * metadata.text (sources and the grounding check still see the full text)
+ * @param {Array} organizedMatches - Matches in hierarchy order (organizeMatches)
+ * @param {object} [budget] - { maxTokens, maxSourceTokens, maxOutcomeTokens, shares }; maxTokens 0 = no limit
+ * @returns {{ matches: Array, report: object }}
+ */
+function fitMatchesToBudget(organizedMatches, budget = DEFAULT_CONTEXT_BUDGET) {
+  const { maxTokens, maxSourceTokens, maxOutcomeTokens, shares } = { ...DEFAULT_CONTEXT_BUDGET, ...budget };
+  const truncated = [];
+
+  const items = organizedMatches.map((match, index) => {
+    const text = String(match.metadata?.text || '');
+    let contextText = summariseLearningOutcomes(text, maxOutcomeTokens);
+    const summarised = contextText !== text;
+    if (maxSourceTokens > 0 && estimateTokens(contextText) > maxSourceTokens) {
+      contextText = truncateText(contextText, maxSourceTokens);
+    }
+
+    if (contextText !== text) {
+      truncated.push({
+        id: match.id,
+        fromTokens: estimateTokens(text),
+        toTokens: estimateTokens(contextText),
+        summarisedOutcomes: summarised,
+        truncated: contextText.endsWith(TRUNCATION_MARKER)
+      });
+    }
+
+    return {
+      index,
+      level: levelOf(match),
+      match: contextText !== text ? { ...match, contextText } : match,
+      tokens: matchTokens(match, contextText)
+    };
+  });
+
+  const levels = {};
+  const kept = new Set();
+  let carry = 0;
+
+  LEVELS.forEach(level => {
+    const allowance = maxTokens > 0 ? Math.floor(maxTokens * (shares[level] || 0)) + carry : Infinity;
+    let used = 0;
+    items.filter(item => item.level === level).forEach(item => {
+      if (used + item.tokens <= allowance) {
+        used += item.tokens;
+        kept.add(item);
+      }
+    });
+    levels[level] = { allowance: maxTokens > 0 ? allowance : null, used };
+    carry = allowance - used;
+  });
+
+  // Budget nobody at a later level needed goes back to what was dropped, in hierarchy order
+  items.filter(item => !kept.has(item)).forEach(item => {
+    if (item.tokens <= carry) {
+      carry -= item.tokens;
+      levels[item.level].used += item.tokens;
+      kept.add(item);
+    }
+  });
+
+  const dropped = items
+    .filter(item => !kept.has(item))
+    .map(item => ({ id: item.match.id, type: item.match.metadata?.type || 'unknown', tokens: item.tokens }));
+
+  LEVELS.forEach(level => {
+    levels[level].kept = items.filter(item => item.level === level && kept.has(item)).length;
+    levels[level].dropped = items.filter(item => item.level === level && !kept.has(item)).length;
+  });
+
+  const matches = items.filter(item => kept.has(item)).map(item => item.match);
+  const keptIds = new Set(matches.map(match => match.id));
+
+  return {
+    matches,
+    report: {
+      maxTokens: maxTokens > 0 ? maxTokens : null,
+      usedTokens: items.filter(item => kept.has(item)).reduce((sum, item) => sum + item.tokens, 0),
+      levels,
+      truncated: truncated.filter(entry => keptIds.has(entry.id)),
+      dropped
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_BUDGET,
+  estimateTokens,
+  matchTokens,
+  parseContextBudget,
+  summariseLearningOutcomes,
+  truncateText,
+  fitMatchesToBudget
+};
@@ -0,0 +1,156 @@
+/**
+ * Context assembly
+ *
+ * Turns the retrieved matches into the <CONTEXT> block the model answers from:
+ * hierarchy overview, pre-computed academic calendar, ambiguity notes and the
+ * numbered [Match N] documents that sources and citations refer to.
+ */
+
+const { formatCalendarContext } = require('../academic-calendar');
+
+// Context used when nothing relevant was retrieved, so the model can still point students somewhere useful
+const NO_MATCHES_CONTEXT = "<CONTEXT>No specific information found. Available information includes: University Centre Leeds Sport courses for FD Sport Performance and Exercise (W_FD1099FR), including modules for Year 1 and Year 2, assessments, deadlines, tutors (Ruth Tolson, James Thwaite, Callum Lister, Matthew Mosalski), and academic calendar 2025-2026.</CONTEXT>";
+
+// Hierarchy-relevant metadata fields are listed first for each match
+const PRIORITY_FIELDS = ['type', 'course_code', 'module_code', 'course_title', 'module_title', 'assessment_type'];
+
+// Organize by hierarchy for clearer context: courses -> modules -> assessments -> other
+// This order is the [Match N] numbering, so analysis, sources and citations all use it
+function organizeMatches(matches) {
+  const courseMatches = matches.filter(m => m.metadata?.type === 'course_overview');
+  const moduleMatches = matches.filter(m => m.metadata?.type === 'module');
+  const assessmentMatches = matches.filter(m => m.metadata?.type === 'assessment');
+  const otherMatches = matches.filter(m => !['course_overview', 'module', 'assessment'].includes(m.metadata?.type));
+
+  return {
+    courseMatches,
+    moduleMatches,
+    assessmentMatches,
+    otherMatches,
+    organizedMatches: [...courseMatches, ...moduleMatches, ...assessmentMatches, ...otherMatches]
+  };
+}
+
+// "COURSES: ...", "MODULES: ...", "ASSESSMENTS: ..." lines for the hierarchy overview
+function buildHierarchySummary({ courseMatches, moduleMatches, assessmentMatches }) {
+  const hierarchySummary = [];
+  if (courseMatches.length > 0) {
+    const courseCodes = [...new Set(courseMatches.map(m => m.metadata?.course_code).filter(Boolean))];
+    hierarchySummary.push(`COURSES: ${courseCodes.join(', ')}`);
+  }
+  if (moduleMatches.length > 0) {
+    const moduleCodes = [...new Set(moduleMatches.map(m => m.metadata?.module_code).filter(Boolean))];
+    hierarchySummary.push(`MODULES: ${moduleCodes.join(', ')}`);
+  }
+  if (assessmentMatches.length > 0) {
+    const assessmentInfo = assessmentMatches.map(m => `${m.metadata?.assessment_type || 'Assessment'} (${m.metadata?.module_code})`);
+    hierarchySummary.push(`ASSESSMENTS: ${assessmentInfo.join(', ')}`);
+  }
+  return hierarchySummary;
+}
+
+// One [Match N] document with its relevance score and metadata
+// contextText is the text shortened to fit the token budget (see budget.js)
+function formatMatch(match, idx) {
+  const score = (match.score * 100).toFixed(1);
+  const metadata = match.metadata || {};
+  
+  // Highlight hierarchy links in metadata
+  const metadataEntries = Object.entries(metadata)
+    .filter(([key]) => key !== 'text' && key !== 'uploadTimestamp' && key !== 'namespace' && key !== 'contentHash');
+  
+  // Prioritize hierarchy-relevant fields
+  metadataEntries.sort((a, b) => {
+    const aIdx = PRIORITY_FIELDS.indexOf(a[0]);
+    const bIdx = PRIORITY_FIELDS.indexOf(b[0]);
+    if (aIdx === -1 && bIdx === -1) return 0;
+    if (aIdx === -1) return 1;
+    if (bIdx === -1) return -1;
+    return aIdx - bIdx;
+  });
+  
+  const metadataStr = metadataEntries
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+  
+  return `[Match ${idx + 1}] (Relevance: ${score}%)${metadataStr ? ` [${metadataStr}]` : ''}
+${match.contextText ?? (match.metadata?.text || '')}`;
+}
+
+// Ambiguity warning listing the similar items the model should offer as options
+function formatAmbiguity(matchAnalysis) {
+  let text = `\n⚠️ AMBIGUITY DETECTED: The search found multiple similar items that could match the student's query:\n`;
+  matchAnalysis.suggestions.forEach(suggestion => {
+    const typeLabel = suggestion.type === 'assessment' ? 'assessments' : 
+                     suggestion.type === 'module' ? 'modules' : 
+                     suggestion.type === 'course_overview' ? 'courses' : `${suggestion.type}s`;
+    text += `- ${suggestion.count} ${typeLabel} with similar relevance (avg: ${(suggestion.avgScore * 100).toFixed(1)}%)\n`;
+    suggestion.items.forEach(item => {
+      const title = item.metadata?.module_title || item.metadata?.course_title || item.metadata?.assessment_type || item.metadata?.type || 'Unknown';
+      const details = [];
+      if (item.metadata?.year) details.push(`Year ${item.metadata.year}`);
+      if (item.metadata?.semester) details.push(`Semester ${item.metadata.semester}`);
+      if (item.metadata?.module_code) details.push(`Module: ${item.metadata.module_code}`);
+      if (item.metadata?.course_code) details.push(`Course: ${item.metadata.course_code}`);
+      if (item.metadata?.deadline) details.push(`Deadline: ${item.metadata.deadline}`);
+      text += `  • Match ${item.index}: ${title}${details.length ? ` (${details.join(', ')})` : ''} - ${(item.score * 100).toFixed(1)}%\n`;
+    });
+  });
+  text += `\n**ACTION REQUIRED**: Present these as options to the student for clarification.\n`;
+  return text;
+}
+
+/**
+ * Build the <CONTEXT> block
+ * @param {object} organized - Result of organizeMatches
+ * @param {object} matchAnalysis - Result of analyzeMatchesForSuggestions on the organized matches
+ * @param {object} calendar - Academic calendar
+ * @param {Date} [now]
+ */
+function buildContext(organized, matchAnalysis, calendar, now = new Date()) {
+  const { organizedMatches } = organized;
+  const hierarchySummary = buildHierarchySummary(organized);
+
+  let context = `<CONTEXT>
+The following are the top ${organizedMatches.length} most relevant items from the knowledge base, organized by hierarchy (Courses -> Modules -> Assessments).
+Each item includes a relevance score (higher = more relevant) and metadata to help you differentiate between similar items.
+
+📊 HIERARCHY OVERVIEW:
+${hierarchySummary.length > 0 ? hierarchySummary.join('\n') : 'No structured hierarchy data found.'}
+
+🔗 HIERARCHY LINKS (use these to find related items):
+- Assessments link to Modules via: module_code
+- Modules link to Courses via: course_code
+- When asked about assessments for a module, look for ALL items with type=assessment AND matching module_code
+- When asked about modules for a course, look for ALL items with type=module AND matching course_code
+
+${formatCalendarContext(calendar, organizedMatches, now)}
+`;
+
+  // Add ambiguity warning if multiple similar items detected
+  if (matchAnalysis.hasSuggestions) {
+    context += formatAmbiguity(matchAnalysis);
+  }
+
+  context += `\n--- DOCUMENTS ---\n\n${organizedMatches.map(formatMatch).join('\n\n---\n\n')}\n</CONTEXT>`;
+  return context;
+}
+
+// Sources for the response - source N is [Match N] in the context, which is what citations refer to
+// Reranked matches also report their rerank { score, rank }
+function buildSources(organizedMatches) {
+  return organizedMatches.map((match, idx) => ({
+    id: idx + 1,
+    score: match.score,
+    ...(match.rerank ? { rerank: match.rerank } : {}),
+    text: match.metadata?.text || '',
+    metadata: match.metadata || {}
+  }));
+}
+
+module.exports = {
+  NO_MATCHES_CONTEXT,
+  organizeMatches,
+  buildContext,
+  buildSources
+};
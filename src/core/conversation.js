@@ -0,0 +1,434 @@
+/**
+ * Conversation state
+ *
+ * Tracks which course, year, semester, module, tutor and assessment the
+ * student is talking about. Mentions are resolved against the namespace's
+ * catalogue (catalogue.listEntries) instead of keyword lists, so only things
+ * that exist can fill a slot:
+ *
+ *   course      course_code ("FD-HAP-25/26"), or just the award ("FD", "BSc")
+ *               when no course in the catalogue has it
+ *   module      module_code, named by its code or its title
+ *   year        "year 2", "2nd year", "level 5" - or the named module's year
+ *   semester    "semester 1" - or the named module's semester
+ *   tutor       a module or assessment tutor, by full name or surname
+ *   assessment  an assessment_type ("presentation" -> "Electronic Presentation")
+ *
+ * Titles match word by word with a typo allowed ("acadmic reserch skills"),
+ * and a multi-word title needs at least two of its words, so "health" or
+ * "sport" on their own never name a module. A mention that fits two entries
+ * equally well is left unresolved unless the slots already filled pick one.
+ *
+ * Slots persist across turns: each question only changes what it mentions,
+ * and the session stores them so the next turn starts from there.
+ *
+ *   const index = createEntityIndex(await catalogue.listEntries({ namespace }));
+ *   const { slots, mentioned } = trackConversation(index, conversationHistory, message, session?.context);
+ *   describeContext(index, slots).label   // "FD HAP · Year 1 · Academic Research and Study Skills"
+ */
+
+const { normalizeModuleCode, codesMatch } = require('../catalogue');
+
+const SLOTS = ['course', 'module', 'year', 'semester', 'tutor', 'assessment'];
+
+// Words that never identify anything on their own
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'for', 'to', 'with', 'my', 'module', 'course', 'unit', 'assessment']);
+
+const HONORIFICS = new Set(['dr', 'mr', 'mrs', 'ms', 'miss', 'prof', 'professor']);
+
+// Award words in a question (stemmed tokens) and in course codes and titles
+const AWARDS = [
+  { award: 'FD', words: ['fd', 'foundation degree'], pattern: /^fd\b|foundation degree/i },
+  { award: 'BSc', words: ['bsc', 'bachelor', 'honour', 'hons', 'topup', 'top up'], pattern: /^bsc\b|\bbsc\b|bachelor|\bhons\b|honours|top.?up/i }
+];
+const AWARD_WORDS = /\b(?:foundation degree|fd|bsc|bachelor of science|hons|honours|top.?up)\b|[()]/gi;
+
+// "-2025.26" or "-25/26" at the end of a course or module code
+const YEAR_SUFFIX = /[-_ ]?\d{2,4}[./]\d{2}$/;
+
+const YEAR_PATTERN = /\byear\s*([1-4])\b|\b([1-4])(?:st|nd|rd|th)\s+year\b|\b(first|second|third)\s+year\b|\blevel\s*([4-6])\b/;
+const SEMESTER_PATTERN = /\b(?:semester|sem)\s*([1-3])\b/;
+const ORDINALS = { first: '1', second: '2', third: '3' };
+const LEVEL_YEARS = { 4: '1', 5: '2', 6: '3' };
+
+// "skills" and "skill", "essays" and "essay" are the same word
+function stem(token) {
+  return token.length > 4 && token.endsWith('s') ? token.slice(0, -1) : token;
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).map(stem);
+}
+
+function significantTokens(text) {
+  return tokenize(text).filter(token => !STOPWORDS.has(token));
+}
+
+// Optimal string alignment distance (a swapped pair of letters is one edit)
+function editDistance(a, b) {
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], previous2[j - 2] + 1);
+      }
+    }
+    previous2 = previous;
+    previous = row;
+  }
+  return previous[b.length];
+}
+
+// Short words must match exactly; longer ones may have a typo (two from 8 letters)
+function similar(a, b) {
+  if (a === b) return true;
+  if (a.length < 5 || b.length < 5) return false;
+  const limit = a.length >= 8 ? 2 : 1;
+  return Math.abs(a.length - b.length) <= limit && editDistance(a, b) <= limit;
+}
+
+function alias(tokens, weight = 1) {
+  return tokens.length > 0 ? [{ tokens, weight }] : [];
+}
+
+// "Academic Research and Study Skills" -> "arss" (titles of three or more words)
+function initials(tokens) {
+  return tokens.length >= 3 ? alias([tokens.map(token => token[0]).join('')]) : [];
+}
+
+/**
+ * How well the question's tokens cover an alias, 0 when they don't
+ * Multi-word aliases need at least two of their words and half of them
+ */
+function aliasScore({ tokens: aliasTokens, weight }, tokens) {
+  const matched = aliasTokens.filter(aliasToken => tokens.some(token => similar(aliasToken, token))).length;
+  const complete = matched === aliasTokens.length;
+  if (!complete && (matched < 2 || matched / aliasTokens.length < 0.5)) return 0;
+  return weight * matched / aliasTokens.length;
+}
+
+/**
+ * The candidate the question names, or null when none or several fit equally well
+ * @param {Function} [prefer] - Breaks ties, e.g. the module in the course already being discussed
+ */
+function bestMatch(candidates, tokens, prefer = () => false) {
+  let best = [];
+  let bestScore = 0;
+
+  candidates.forEach(candidate => {
+    const score = Math.max(0, ...candidate.aliases.map(entry => aliasScore(entry, tokens)));
+    if (score === 0 || score < bestScore) return;
+    if (score > bestScore) {
+      best = [];
+      bestScore = score;
+    }
+    best.push(candidate);
+  });
+
+  if (best.length > 1) best = best.filter(prefer);
+  return best.length === 1 ? best[0] : null;
+}
+
+// "[W_HTH4C042R-2025.26]", "w_hth4c042r-2025.26" and "W_HTH4C042R" all name the module
+function mentionsCode(text, code) {
+  const normalized = normalizeModuleCode(String(code)).toLowerCase();
+  const base = normalized.replace(YEAR_SUFFIX, '');
+  return text.includes(normalized) || (base.length >= 5 && text.includes(base));
+}
+
+function awardOf(text) {
+  return AWARDS.find(({ pattern }) => pattern.test(text || ''))?.award || null;
+}
+
+function mentionedAward(tokens) {
+  const text = ` ${tokens.join(' ')} `;
+  return AWARDS.find(({ words }) => words.some(word => text.includes(` ${word} `)))?.award || null;
+}
+
+function courseAliases(entry) {
+  const title = significantTokens(String(entry.course_title || '').replace(AWARD_WORDS, ' '));
+  // "FD-HAP-25/26" -> "hap"
+  const codeParts = tokenize(normalizeModuleCode(entry.course_code).replace(YEAR_SUFFIX, ''))
+    .filter(part => !/^\d+$/.test(part) && !awardOf(part));
+  return [...alias(title), ...initials(title), ...codeParts.map(part => ({ tokens: [part], weight: 1 }))];
+}
+
+function moduleAliases(entry) {
+  const title = significantTokens(entry.module_title);
+  return [...alias(title), ...initials(title)];
+}
+
+// "Shelley Sanderson", "Sanderson, Shelley" and "Dr Sanderson" all name the tutor
+function tutorAliases(name) {
+  const tokens = tokenize(name).filter(token => !HONORIFICS.has(token));
+  const surname = name.includes(',') ? tokenize(name.split(',')[0]).pop() : tokens[tokens.length - 1];
+  const surnameAlias = tokens.length > 1 && surname && surname.length >= 4 && !STOPWORDS.has(surname)
+    ? alias([surname])
+    : [];
+  return [...alias(tokens), ...surnameAlias];
+}
+
+// "Electronic Presentation" is also what "the presentation" means, a little less surely
+function assessmentAliases(type) {
+  const tokens = significantTokens(type);
+  return [...alias(tokens), ...(tokens.length > 1 ? alias(tokens.slice(-1), 0.75) : [])];
+}
+
+/**
+ * Everything a conversation can refer to, from a namespace's catalogue entries
+ * @param {Array<object>} entries - catalogue.listEntries() result
+ */
+function createEntityIndex(entries = []) {
+  const courses = entries
+    .filter(entry => entry.type === 'course_overview' && entry.course_code)
+    .map(entry => ({
+      value: entry.course_code,
+      entry,
+      award: awardOf(entry.course_code) || awardOf(entry.course_title),
+      aliases: courseAliases(entry)
+    }));
+
+  const modules = [];
+  entries
+    .filter(entry => entry.type === 'module' && entry.module_code)
+    .forEach(entry => {
+      if (modules.some(candidate => codesMatch(candidate.value, entry.module_code))) return;
+      modules.push({ value: normalizeModuleCode(entry.module_code), entry, aliases: moduleAliases(entry) });
+    });
+
+  const tutorNames = new Set();
+  const assessmentTypes = new Set();
+  entries.forEach(entry => {
+    if (entry.tutor && (entry.type === 'module' || entry.type === 'assessment')) tutorNames.add(String(entry.tutor).trim());
+    if (entry.type === 'assessment' && entry.assessment_type) assessmentTypes.add(String(entry.assessment_type).trim());
+  });
+
+  return {
+    courses,
+    modules,
+    tutors: [...tutorNames].map(name => ({ value: name, aliases: tutorAliases(name) })),
+    assessments: [...assessmentTypes].map(type => ({ value: type, aliases: assessmentAliases(type) }))
+  };
+}
+
+function emptySlots() {
+  return Object.fromEntries(SLOTS.map(slot => [slot, null]));
+}
+
+function findModule(index, code) {
+  return index.modules.find(candidate => codesMatch(candidate.value, code)) || null;
+}
+
+// The award of a course slot, whether it holds a course code or just the award
+function courseAward(index, course) {
+  if (!course) return null;
+  return index.courses.find(candidate => codesMatch(candidate.value, course))?.award || awardOf(course);
+}
+
+// Does a course code belong to the course slot ("FD" takes any FD course)?
+function courseFits(index, course, courseCode) {
+  if (!course || !courseCode) return true;
+  return codesMatch(course, courseCode) || (AWARDS.some(({ award }) => award === course) && courseAward(index, courseCode) === course);
+}
+
+function moduleFits(index, entry, slots) {
+  return courseFits(index, slots.course, entry.course_code) &&
+    (!slots.year || !entry.year || String(entry.year) === slots.year);
+}
+
+// An award names a course when the catalogue has exactly one with it (or it is the one already known)
+function resolveAward(index, award, current) {
+  if (current && courseAward(index, current) === award) return current;
+  const courses = index.courses.filter(candidate => candidate.award === award);
+  return courses.length === 1 ? courses[0].value : award;
+}
+
+// A module outside the course or year now being discussed no longer applies
+function dropStaleModule(index, slots) {
+  if (!slots.module) return slots;
+  const current = findModule(index, slots.module);
+  if (!current || moduleFits(index, current.entry, slots)) return slots;
+  return { ...slots, module: null };
+}
+
+function matchYear(text) {
+  const match = text.match(YEAR_PATTERN);
+  if (!match) return null;
+  return match[1] || match[2] || ORDINALS[match[3]] || LEVEL_YEARS[match[4]];
+}
+
+/**
+ * Update the slots with what one question mentions
+ * @returns {{ slots: object, mentioned: Set<string> }} mentioned holds the slots the question named itself
+ */
+function trackTurn(index, slots, text) {
+  const lower = String(text || '').toLowerCase();
+  const tokens = tokenize(lower);
+  const next = { ...emptySlots(), ...slots };
+  const mentioned = new Set();
+  const set = (slot, value) => {
+    if (value === null || value === undefined) return;
+    next[slot] = String(value);
+    mentioned.add(slot);
+  };
+
+  set('year', matchYear(lower));
+  set('semester', lower.match(SEMESTER_PATTERN)?.[1]);
+
+  const course = index.courses.find(candidate => mentionsCode(lower, candidate.value)) || bestMatch(index.courses, tokens);
+  if (course) {
+    set('course', course.value);
+  } else {
+    const award = mentionedAward(tokens);
+    if (award) set('course', resolveAward(index, award, next.course));
+  }
+
+  const named = index.modules.find(candidate => mentionsCode(lower, candidate.value)) ||
+    bestMatch(index.modules, tokens, candidate => moduleFits(index, candidate.entry, next));
+  if (named) {
+    set('module', named.value);
+    // The module places the conversation unless the question said otherwise
+    const { course_code: courseCode, year, semester } = named.entry;
+    if (!mentioned.has('course') && courseCode) next.course = courseCode;
+    if (!mentioned.has('year') && year) next.year = String(year);
+    if (!mentioned.has('semester') && semester) next.semester = String(semester);
+  }
+
+  set('tutor', bestMatch(index.tutors, tokens)?.value);
+  set('assessment', bestMatch(index.assessments, tokens)?.value);
+
+  // BSc courses are Year 3 top-ups only
+  if (!next.year && courseAward(index, next.course) === 'BSc') {
+    next.year = '3';
+  }
+
+  return { slots: dropStaleModule(index, next), mentioned };
+}
+
+/**
+ * Slots stored on a session, keeping only values the catalogue still has
+ * An empty catalogue can't rule anything out, so then values are kept as they are
+ */
+function restoreSlots(index, stored = {}) {
+  const known = (candidates, value, same) => candidates.length === 0 || candidates.some(candidate => same(candidate.value, value));
+  const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+  const slots = emptySlots();
+
+  SLOTS.forEach(slot => {
+    const value = stored[slot];
+    if (value === null || value === undefined || value === '') return;
+    slots[slot] = String(value);
+  });
+
+  if (slots.course && !AWARDS.some(({ award }) => award === slots.course) && !known(index.courses, slots.course, codesMatch)) slots.course = null;
+  if (slots.module && !known(index.modules, slots.module, codesMatch)) slots.module = null;
+  if (slots.tutor && !known(index.tutors, slots.tutor, sameText)) slots.tutor = null;
+  if (slots.assessment && !known(index.assessments, slots.assessment, sameText)) slots.assessment = null;
+  if (slots.year && !/^[1-4]$/.test(slots.year)) slots.year = null;
+  if (slots.semester && !/^[1-3]$/.test(slots.semester)) slots.semester = null;
+
+  return dropStaleModule(index, slots);
+}
+
+/**
+ * Slots after the current question
+ * A session's stored slots are the starting point; without them the questions
+ * in the history are replayed in order (answers are ignored - they mention
+ * everything they retrieved)
+ * @param {object} index - createEntityIndex() result
+ * @param {Array<{role, content}>} [conversationHistory]
+ * @param {string} [message]
+ * @param {object} [stored] - The session's context
+ * @returns {{ slots: object, mentioned: Set<string> }}
+ */
+function trackConversation(index, conversationHistory = [], message = '', stored = null) {
+  const hasStored = stored && SLOTS.some(slot => stored[slot] !== null && stored[slot] !== undefined && stored[slot] !== '');
+  let slots = hasStored ? restoreSlots(index, stored) : emptySlots();
+
+  if (!hasStored) {
+    conversationHistory
+      .filter(turn => turn.role !== 'assistant')
+      .forEach(turn => {
+        slots = trackTurn(index, slots, turn.content).slots;
+      });
+  }
+
+  return trackTurn(index, slots, message);
+}
+
+// "FD-HAP-25/26" -> "FD HAP"
+function courseLabel(course) {
+  if (AWARDS.some(({ award }) => award === course)) return course;
+  return normalizeModuleCode(course).replace(YEAR_SUFFIX, '').replace(/[-_]+/g, ' ').trim();
+}
+
+/**
+ * The slots as returned to clients, with the label the UI shows
+ * @returns {{ course, module, year, semester, tutor, assessment, label }} label is null when nothing is known
+ */
+function describeContext(index, slots) {
+  const context = { ...emptySlots(), ...slots };
+  const current = context.module ? findModule(index, context.module) : null;
+  const parts = [
+    context.course && courseLabel(context.course),
+    context.year && `Year ${context.year}`,
+    context.module && (current?.entry.module_title || context.module),
+    context.assessment
+  ].filter(Boolean);
+
+  return { ...context, label: parts.length > 0 ? parts.join(' · ') : null };
+}
+
+/**
+ * Metadata filters for retrieval
+ * Only a year the question names itself filters the search, and the BSc is always Year 3;
+ * courseContext ('FD', 'BSc' or null) is the award of the course being discussed
+ * @returns {{ filter: object, courseContext: string|null }}
+ */
+function buildQueryMetadata(index, slots, mentioned = new Set()) {
+  const courseContext = courseAward(index, slots.course);
+  const filter = {};
+
+  if (mentioned.has('year') && slots.year) {
+    filter.year = slots.year;
+  } else if (courseContext === 'BSc') {
+    filter.year = '3';
+  }
+
+  return { filter, courseContext };
+}
+
+/**
+ * Add the course from the conversation to the text that gets embedded
+ * "what modules are there?" after talking about the BSc -> "BSc course Year 3: what modules are there?"
+ */
+function enhanceQuery(message, courseContext) {
+  const messageLower = message.toLowerCase();
+
+  if (courseContext && !messageLower.includes('bsc') && !messageLower.includes('foundation')) {
+    // If BSc context, also add Year 3 for better matching
+    return courseContext === 'BSc'
+      ? `${courseContext} course Year 3: ${message}`
+      : `${courseContext} course: ${message}`;
+  }
+  if (messageLower.includes('bsc') && !messageLower.includes('year')) {
+    // If BSc is mentioned but no year specified, add Year 3
+    return `BSc Year 3: ${message}`;
+  }
+  return message;
+}
+
+module.exports = {
+  createEntityIndex,
+  trackTurn,
+  trackConversation,
+  restoreSlots,
+  describeContext,
+  buildQueryMetadata,
+  enhanceQuery,
+  SLOTS
+};
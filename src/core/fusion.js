@@ -0,0 +1,116 @@
+/**
+ * Hybrid search fusion
+ *
+ * Combines the vector and BM25 result lists with weighted reciprocal rank
+ * fusion: an item's fused score is the sum over lists of
+ *
+ *   weight / (k + rank)
+ *
+ * so items ranked well by both searches rise to the top, and an exact module
+ * code that only BM25 finds still makes it into the context.
+ *
+ * Weights are configured per namespace with HYBRID_SEARCH_WEIGHTS, a JSON
+ * object whose "default" entry applies everywhere and whose other keys
+ * override it for one namespace:
+ *
+ *   {"default": {"vector": 1, "lexical": 1, "k": 60}, "ucl-courses": {"lexical": 2}}
+ *
+ * A lexical weight of 0 turns BM25 off for that namespace.
+ */
+
+const DEFAULT_WEIGHTS = { vector: 1, lexical: 1, k: 60 };
+
+function validateWeights(weights, label) {
+  Object.entries(weights).forEach(([key, value]) => {
+    if (!(key in DEFAULT_WEIGHTS)) {
+      throw new Error(`Unknown HYBRID_SEARCH_WEIGHTS key "${key}" for ${label} (expected vector, lexical or k)`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`HYBRID_SEARCH_WEIGHTS ${label}.${key} must be a non-negative number`);
+    }
+  });
+  return weights;
+}
+
+/**
+ * Parse HYBRID_SEARCH_WEIGHTS
+ * @param {string|object} [value] - JSON text or an already parsed object
+ * @returns {{ default: object, namespaces: object }}
+ * @throws {Error} when the JSON or a weight is invalid
+ */
+function parseFusionWeights(value) {
+  let config = value || {};
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      throw new Error(`HYBRID_SEARCH_WEIGHTS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const { default: defaults = {}, ...namespaces } = config;
+  Object.entries(namespaces).forEach(([namespace, weights]) => validateWeights(weights, `"${namespace}"`));
+
+  return {
+    default: { ...DEFAULT_WEIGHTS, ...validateWeights(defaults, 'default') },
+    namespaces
+  };
+}
+
+// Weights for one namespace (the namespace entry over the default)
+function weightsFor(config, namespace = '') {
+  const fusion = config || parseFusionWeights();
+  return { ...fusion.default, ...(fusion.namespaces[namespace] || {}) };
+}
+
+/**
+ * Weighted reciprocal rank fusion
+ * @param {object} lists - { [name]: matches in rank order }, e.g. { vector, lexical }
+ * @param {object} weights - { [name]: weight, k }
+ * @returns {Array<{ id, fusedScore, ranks: { [name]: rank|null }, matches: { [name]: match } }>} best first
+ */
+function reciprocalRankFusion(lists, weights) {
+  const k = weights.k ?? DEFAULT_WEIGHTS.k;
+  const fused = new Map();
+
+  Object.entries(lists).forEach(([name, matches]) => {
+    const weight = weights[name] ?? 1;
+    matches.forEach((match, index) => {
+      if (!fused.has(match.id)) {
+        fused.set(match.id, {
+          id: match.id,
+          fusedScore: 0,
+          ranks: Object.fromEntries(Object.keys(lists).map(list => [list, null])),
+          matches: {}
+        });
+      }
+      const entry = fused.get(match.id);
+      entry.fusedScore += weight / (k + index + 1);
+      entry.ranks[name] = index + 1;
+      entry.matches[name] = match;
+    });
+  });
+
+  // Ties keep the order they were first seen in (vector results first)
+  return Array.from(fused.values()).sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  parseFusionWeights,
+  weightsFor,
+  reciprocalRankFusion,
+  cosineSimilarity
+};
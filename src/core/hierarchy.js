@@ -0,0 +1,278 @@
+/**
+ * Hierarchy expansion
+ *
+ * Course (course_code) -> Module (linked by course_code) -> Assessment (linked by module_code)
+ *
+ * After the main vector search, fetch the items linked to what was found:
+ * every assessment of a matched module, every module of a matched course when
+ * the student asks about modules, and the parent course overview.
+ *
+ * With a course graph (src/graph) built for the namespace this is a lookup of
+ * record ids plus one batched fetch - no embedding calls. Without one it falls
+ * back to a filtered vector query per code.
+ */
+
+const { normalizeModuleCode } = require('../catalogue');
+const { cosineSimilarity } = require('./fusion');
+
+// Look up the linked record ids in the course graph and fetch them in one call
+// Fetched records have no search score, so they get their cosine similarity to the question
+async function fetchFromGraph({ graph, fetch, embedding }, matches, namespace, intent, logger) {
+  const { shouldFetchAssessments, wantsModules, courseCodes, moduleCodes } = intent;
+  const fetchedIds = new Set(matches.map(m => m.id));
+  const sources = new Map(); // id -> _hierarchySource, in the order they were found
+
+  const want = (ids, source) => ids.forEach(id => {
+    if (!fetchedIds.has(id) && !sources.has(id)) sources.set(id, source);
+  });
+
+  if (shouldFetchAssessments) {
+    for (const moduleCode of moduleCodes) {
+      want(await graph.assessmentIds(moduleCode, { namespace }), `assessment for module ${moduleCode}`);
+    }
+  }
+
+  if (wantsModules) {
+    for (const courseCode of courseCodes) {
+      want(await graph.moduleIds(courseCode, { namespace }), `module in course ${courseCode}`);
+    }
+  }
+
+  for (const courseCode of courseCodes) {
+    const hasCourseOverview = matches.some(m =>
+      m.metadata?.type === 'course_overview' && m.metadata?.course_code === courseCode
+    );
+    if (!hasCourseOverview) {
+      want(await graph.courseIds(courseCode, { namespace }), `parent course for ${courseCode}`);
+    }
+  }
+
+  if (sources.size === 0) {
+    logger.log(`🕸️  Course graph: nothing linked beyond the current matches`);
+    return [];
+  }
+
+  const order = Array.from(sources.keys());
+  const records = await fetch(order);
+  const relatedItems = records
+    .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+    .map(record => ({
+      id: record.id,
+      score: embedding && record.values ? cosineSimilarity(embedding, record.values) : 0,
+      metadata: record.metadata,
+      _hierarchySource: sources.get(record.id)
+    }));
+
+  logger.log(`🕸️  Course graph: fetched ${relatedItems.length} linked items by id (${order.length - relatedItems.length} missing from the vector store)`);
+  return relatedItems;
+}
+
+/**
+ * Fetch hierarchically related items
+ * @param {object} retriever
+ * @param {Function} retriever.embed - (text) => embedding
+ * @param {Function} retriever.search - (embedding, { topK, namespace, filter, minScore }) => matches
+ * @param {object} [retriever.graph] - Course graph index (src/graph); used when built for the namespace
+ * @param {Function} [retriever.fetch] - (ids) => records from the vector store, for the graph path
+ * @param {number[]} [retriever.embedding] - Query embedding, to score what the graph path fetches
+ * @param {Array<object>} matches - Matches from the main search
+ * @param {string} query - The student's question
+ * @param {string} [namespace]
+ * @param {object} [logger] - console-like
+ * @returns {Promise<Array<object>>} matches not already in `matches`, tagged with _hierarchySource
+ */
+async function fetchHierarchicalRelatedItems(retriever, matches, query, namespace = '', logger = console) {
+  const { embed, search, graph } = retriever;
+  const relatedItems = [];
+  const fetchedIds = new Set(matches.map(m => m.id));
+  
+  // Detect what the user is asking about - be more inclusive
+  const wantsAssessments = /assessment|deadline|due|submit|exam|coursework|essay|presentation|weight|assignment|task|brief/i.test(query);
+  const wantsModules = /module|unit|subject|what modules|list modules|course content/i.test(query);
+  const mentionsModule = matches.some(m => m.metadata?.type === 'module');
+  
+  // ALWAYS fetch assessments if we found a module (even if not explicitly asked)
+  const shouldFetchAssessments = wantsAssessments || mentionsModule;
+  
+  logger.log(`🔗 Checking hierarchy - wantsAssessments: ${wantsAssessments}, wantsModules: ${wantsModules}, mentionsModule: ${mentionsModule}`);
+  
+  // Extract course_codes and module_codes from current matches
+  const courseCodes = new Set();
+  const moduleCodes = new Set();
+  const normalizedModuleCodes = new Set(); // Track both original and normalized
+  
+  matches.forEach(match => {
+    const metadata = match.metadata || {};
+    
+    // Collect course codes
+    if (metadata.course_code) {
+      courseCodes.add(metadata.course_code);
+    }
+    
+    // Collect module codes - normalize to handle bracket variations
+    if (metadata.module_code) {
+      const original = metadata.module_code;
+      const normalized = normalizeModuleCode(original);
+      moduleCodes.add(original);
+      normalizedModuleCodes.add(normalized);
+      if (original !== normalized) {
+        moduleCodes.add(normalized); // Also try normalized version
+      }
+    }
+  });
+  
+  logger.log(`🔗 Found course_codes: [${Array.from(courseCodes).join(', ')}]`);
+  logger.log(`🔗 Found module_codes: [${Array.from(moduleCodes).join(', ')}]`);
+
+  if (graph && await graph.has(namespace)) {
+    return fetchFromGraph(retriever, matches, namespace, { shouldFetchAssessments, wantsModules, courseCodes, moduleCodes }, logger);
+  }
+  if (graph) {
+    logger.log(`🕸️  No course graph for namespace "${namespace}" yet - using vector queries (POST /api/search-index/rebuild builds it)`);
+  }
+  
+  // If we should fetch assessments and we have module codes, fetch all assessments for those modules
+  if (shouldFetchAssessments && moduleCodes.size > 0) {
+    logger.log(`📝 Fetching assessments for ${moduleCodes.size} module(s)...`);
+    
+    for (const moduleCode of moduleCodes) {
+      try {
+        // Try multiple search strategies to find assessments
+        
+        // Strategy 1: Direct filter by module_code
+        const assessmentEmbedding = await embed(`assessments deadlines for module ${moduleCode}`);
+        let assessmentMatches = await search(assessmentEmbedding, {
+          topK: 15,
+          namespace: namespace,
+          filter: { 
+            type: 'assessment',
+            module_code: moduleCode 
+          },
+          minScore: 0.15
+        });
+        
+        // Strategy 2: If no results, try with normalized code
+        if (assessmentMatches.length === 0) {
+          const normalizedCode = normalizeModuleCode(moduleCode);
+          if (normalizedCode !== moduleCode) {
+            assessmentMatches = await search(assessmentEmbedding, {
+              topK: 15,
+              namespace: namespace,
+              filter: { 
+                type: 'assessment',
+                module_code: normalizedCode 
+              },
+              minScore: 0.15
+            });
+          }
+        }
+        
+        // Strategy 3: If still no results, try broader search with just type filter
+        if (assessmentMatches.length === 0) {
+          const broadMatches = await search(assessmentEmbedding, {
+            topK: 20,
+            namespace: namespace,
+            filter: { type: 'assessment' },
+            minScore: 0.3
+          });
+          
+          // Filter manually for module code matches (handles bracket variations)
+          const normalizedTarget = normalizeModuleCode(moduleCode);
+          assessmentMatches = broadMatches.filter(m => {
+            const matchCode = normalizeModuleCode(m.metadata?.module_code);
+            return matchCode === normalizedTarget;
+          });
+        }
+        
+        // Add non-duplicate matches
+        assessmentMatches.forEach(match => {
+          if (!fetchedIds.has(match.id)) {
+            fetchedIds.add(match.id);
+            match._hierarchySource = `assessment for module ${moduleCode}`;
+            relatedItems.push(match);
+          }
+        });
+        
+        logger.log(`   📝 Module ${moduleCode}: found ${assessmentMatches.length} assessments`);
+      } catch (error) {
+        logger.error(`   ❌ Error fetching assessments for ${moduleCode}:`, error.message);
+      }
+    }
+  }
+  
+  // If user wants modules and we have course codes, fetch all modules for those courses
+  if (wantsModules && courseCodes.size > 0) {
+    logger.log(`📚 Fetching modules for ${courseCodes.size} course(s)...`);
+    
+    for (const courseCode of courseCodes) {
+      try {
+        // Query with filter for modules matching this course_code
+        const moduleEmbedding = await embed(`modules for course ${courseCode}`);
+        const moduleMatches = await search(moduleEmbedding, {
+          topK: 20, // Courses can have many modules
+          namespace: namespace,
+          filter: { 
+            type: 'module',
+            course_code: courseCode 
+          },
+          minScore: 0.15
+        });
+        
+        // Add non-duplicate matches
+        moduleMatches.forEach(match => {
+          if (!fetchedIds.has(match.id)) {
+            fetchedIds.add(match.id);
+            match._hierarchySource = `module in course ${courseCode}`;
+            relatedItems.push(match);
+          }
+        });
+        
+        logger.log(`   📚 Course ${courseCode}: found ${moduleMatches.length} modules`);
+      } catch (error) {
+        logger.error(`   ❌ Error fetching modules for ${courseCode}:`, error.message);
+      }
+    }
+  }
+  
+  // If we found a module, also check if there's a related course to add context
+  if (courseCodes.size > 0) {
+    for (const courseCode of courseCodes) {
+      // Check if we already have the course overview
+      const hasCourseOverview = matches.some(m => 
+        m.metadata?.type === 'course_overview' && m.metadata?.course_code === courseCode
+      );
+      
+      if (!hasCourseOverview) {
+        try {
+          const courseEmbedding = await embed(`course overview ${courseCode}`);
+          const courseMatches = await search(courseEmbedding, {
+            topK: 1,
+            namespace: namespace,
+            filter: { 
+              type: 'course_overview',
+              course_code: courseCode 
+            },
+            minScore: 0.2
+          });
+          
+          courseMatches.forEach(match => {
+            if (!fetchedIds.has(match.id)) {
+              fetchedIds.add(match.id);
+              match._hierarchySource = `parent course for ${courseCode}`;
+              relatedItems.push(match);
+            }
+          });
+        } catch (error) {
+          logger.error(`   ❌ Error fetching course overview:`, error.message);
+        }
+      }
+    }
+  }
+  
+  logger.log(`🔗 Hierarchy search complete: found ${relatedItems.length} additional related items`);
+  return relatedItems;
+}
+
+module.exports = {
+  fetchHierarchicalRelatedItems
+};
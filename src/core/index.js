@@ -0,0 +1,481 @@
+/**
+ * RAG core
+ *
+ * Everything between "a student asked a question" and "here is the checked
+ * answer", shared by the Express server and the Cloudflare Worker so both
+ * give the same answers:
+ *
+ *   resolveQuery         the conversation's course/year/module/tutor/assessment slots (resolved
+ *                        against the catalogue), metadata filters, the query embedding
+ *   prepareChatContext   hybrid vector + BM25 search (with a relaxed retry),
+ *                        academic calendar lookup, hierarchy expansion, the
+ *                        assessment secondary search, optional reranking,
+ *                        the token budget, <CONTEXT>, sources and suggestion tiles
+ *   generate / stream    the chat prompt sent to the chat provider
+ *   finalize             citation checking, grounding verification and one
+ *                        corrective regeneration
+ *
+ * All I/O is injected - providers, the vector store, the optional lexical
+ * index, course graph, reranker and catalogue come from src/providers,
+ * src/vector-store, src/lexical, src/graph, src/rerank and src/catalogue - and
+ * nothing here touches the file system, so it bundles into the Worker unchanged.
+ *
+ *   const rag = createRagCore({ embeddingProvider, vectorStore, chatProvider, calendar, catalogue });
+ *   // optional - the query cache keys on it; session.context carries the slots from earlier turns
+ *   const resolved = await rag.resolveQuery(message, conversationHistory, { namespace, state: session?.context });
+ *   const prepared = await rag.prepareChatContext(message, conversationHistory, namespace, resolved);
+ *   const raw = await rag.generate(message, prepared, conversationHistory);
+ *   const { response, citations, verification } = await rag.finalize(raw, prepared, {
+ *     regenerate: unsupported => rag.regenerate(message, prepared, conversationHistory, raw, unsupported)
+ *   });
+ */
+
+const { validateCitations } = require('../citations');
+const { verifyAnswer, formatGroundingWarning } = require('../grounding');
+const { createCatalogue } = require('../catalogue');
+const { createEntityIndex, trackConversation, describeContext, buildQueryMetadata, enhanceQuery } = require('./conversation');
+const { analyzeMatchesForSuggestions, buildSuggestionFromMatch, extractSuggestionsFromMatches } = require('./suggestions');
+const { GENERATION_OPTIONS, buildChatPrompt, buildChatMessages, buildCorrectionMessages } = require('./prompt');
+const { fetchHierarchicalRelatedItems } = require('./hierarchy');
+const { NO_MATCHES_CONTEXT, organizeMatches, buildContext, buildSources } = require('./context');
+const { DEFAULT_CONTEXT_BUDGET, parseContextBudget, fitMatchesToBudget } = require('./budget');
+const { parseFusionWeights, weightsFor, reciprocalRankFusion, cosineSimilarity } = require('./fusion');
+
+const ASSESSMENT_QUERY = /assessment|deadline|exam|coursework|submission|weighting|grade|due date/;
+const CALENDAR_QUERY = /assessment|deadline|due|week \d+|academic week|calendar|start date|end date|holiday|break/i;
+
+/**
+ * @param {object} deps
+ * @param {object} deps.embeddingProvider - { embed(text) }
+ * @param {object} deps.vectorStore - { query(vector, options) }
+ * @param {object} deps.chatProvider - { generate(messages, options), stream(messages, options) }
+ * @param {object} deps.calendar - Academic calendar (src/academic-calendar.js)
+ * @param {object} [deps.lexicalIndex] - BM25 index (src/lexical); without it retrieval is vector-only
+ * @param {object} [deps.graphIndex] - Course graph (src/graph); without it hierarchy expansion runs vector queries
+ * @param {object} [deps.fusion] - Per-namespace fusion weights (parseFusionWeights(HYBRID_SEARCH_WEIGHTS))
+ * @param {object} [deps.reranker] - Reranker (src/rerank); without it every retrieved match goes into <CONTEXT>
+ * @param {object} [deps.contextBudget] - Token budget for the [Match N] documents (parseContextBudget(env))
+ * @param {object} [deps.catalogue] - Course catalogue (src/catalogue) the conversation's mentions are resolved
+ *                                    against; defaults to one over vectorStore
+ * @param {object} [deps.logger] - console-like; defaults to console
+ * @param {Function} [deps.now] - Clock for the calendar block and grounding checks
+ */
+function createRagCore({
+  embeddingProvider,
+  vectorStore,
+  chatProvider,
+  calendar,
+  lexicalIndex = null,
+  graphIndex = null,
+  fusion = parseFusionWeights(),
+  reranker = null,
+  contextBudget = DEFAULT_CONTEXT_BUDGET,
+  catalogue = createCatalogue(vectorStore, { calendar }),
+  logger = console,
+  now = () => new Date()
+}) {
+  async function embed(text) {
+    try {
+      return await embeddingProvider.embed(text);
+    } catch (error) {
+      logger.error('Error generating embedding:', error.message);
+      throw error;
+    }
+  }
+
+  // Vector search keeping only matches at or above minScore
+  async function search(embedding, { topK = 5, namespace = '', filter = {}, minScore = 0.3 } = {}) {
+    try {
+      if (namespace) {
+        logger.log(`🔍 Querying namespace: "${namespace}"`);
+      }
+
+      // Metadata filter (if specified) significantly reduces search space
+      const allMatches = await vectorStore.query(embedding, { topK, namespace, filter });
+      const matches = allMatches.filter(match => match.score >= minScore);
+
+      logger.log(`🔍 Retrieved ${matches.length} matches (out of ${allMatches.length}) above threshold ${minScore}`);
+      return matches;
+    } catch (error) {
+      logger.error(`Error querying vector store (${vectorStore?.backend}):`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Vector search fused with BM25 over the same namespace and filter (reciprocal rank fusion)
+   * Matches keep their cosine similarity as `score`; items only BM25 found get theirs from the
+   * stored vector, so relevance thresholds and percentages mean the same for every match.
+   * Each fused match carries `fusion: { score, vectorRank, lexicalRank }`.
+   */
+  async function hybridSearch(text, embedding, options = {}) {
+    const { topK = 5, namespace = '', filter = {} } = options;
+    const vectorMatches = await search(embedding, options);
+
+    const weights = weightsFor(fusion, namespace);
+    if (!lexicalIndex || weights.lexical === 0) {
+      return vectorMatches;
+    }
+
+    let lexicalMatches;
+    try {
+      lexicalMatches = await lexicalIndex.search(text, { namespace, topK, filter });
+    } catch (error) {
+      // BM25 only adds recall - fall back to the vector results rather than failing the question
+      logger.error('Error searching lexical index:', error.message);
+      return vectorMatches;
+    }
+
+    const fused = reciprocalRankFusion({ vector: vectorMatches, lexical: lexicalMatches }, weights).slice(0, topK);
+
+    // Cosine similarity for the items only BM25 found; ids missing from the vector store are stale and dropped
+    const lexicalOnlyIds = fused.filter(entry => !entry.matches.vector).map(entry => entry.id);
+    const storedVectors = new Map();
+    if (lexicalOnlyIds.length > 0) {
+      const records = await vectorStore.fetch(lexicalOnlyIds, { namespace });
+      records.forEach(record => storedVectors.set(record.id, record));
+    }
+
+    const matches = fused
+      .filter(entry => entry.matches.vector || storedVectors.has(entry.id))
+      .map(entry => {
+        const stored = storedVectors.get(entry.id);
+        const base = entry.matches.vector || { id: entry.id, metadata: stored.metadata };
+        return {
+          ...base,
+          score: entry.matches.vector ? entry.matches.vector.score : cosineSimilarity(embedding, stored.values),
+          fusion: { score: entry.fusedScore, vectorRank: entry.ranks.vector, lexicalRank: entry.ranks.lexical }
+        };
+      });
+
+    logger.log(`🔤 Hybrid search: ${vectorMatches.length} vector + ${lexicalMatches.length} lexical -> ${matches.length} fused (${lexicalOnlyIds.length} lexical only, weights ${weights.vector}/${weights.lexical})`);
+    return matches;
+  }
+
+  // What the conversation can refer to in a namespace - without it only years and awards are tracked
+  async function entityIndexFor(namespace) {
+    try {
+      return createEntityIndex(await catalogue.listEntries({ namespace }));
+    } catch (error) {
+      logger.error('Error loading course catalogue for conversation context:', error.message);
+      return createEntityIndex([]);
+    }
+  }
+
+  /**
+   * Steps 1-2 of a chat turn: the course, year, module, tutor and assessment the conversation
+   * is about, metadata filters and the query embedding. The query cache keys on the result,
+   * and passing it on to prepareChatContext saves embedding the question twice.
+   * @param {object} [options]
+   * @param {string} [options.namespace] - Whose catalogue mentions are resolved against
+   * @param {object} [options.state] - Slots stored on the session; without them the history is replayed
+   * @returns {Promise<{metadataFilter, courseContext, slots, context: {course, module, year, semester, tutor, assessment, label}, enhancedQuery, embedding, timings}>}
+   */
+  async function resolveQuery(message, conversationHistory = [], { namespace = '', state = null } = {}) {
+    // 1. Track the conversation's slots and extract metadata filters for faster search
+    const index = await entityIndexFor(namespace);
+    const { slots, mentioned } = trackConversation(index, conversationHistory, message, state);
+    const context = describeContext(index, slots);
+    if (context.label) {
+      logger.log(`🎓 Conversation context: ${context.label}`);
+    }
+
+    const { filter: metadataFilter, courseContext } = buildQueryMetadata(index, slots, mentioned);
+    if (Object.keys(metadataFilter).length > 0) {
+      logger.log(`📊 Applying metadata filter:`, metadataFilter);
+    }
+
+    // 2. Generate embedding for the query (with course context if available)
+    const embeddingStartTime = Date.now();
+    const enhancedQuery = enhanceQuery(message, courseContext);
+    if (enhancedQuery !== message) {
+      logger.log(`🎓 Enhanced query with course context: "${enhancedQuery}"`);
+    }
+
+    const embedding = await embed(enhancedQuery);
+    const timings = { embedding: Date.now() - embeddingStartTime };
+    logger.log(`🔢 Embedding generated in ${timings.embedding}ms`);
+
+    return { metadataFilter, courseContext, slots, context, enhancedQuery, embedding, timings };
+  }
+
+  /**
+   * Run retrieval for a chat turn and assemble everything the LLM needs
+   * @param {object} [resolved] - resolveQuery() result for this message, if already computed
+   * @returns {Promise<{noMatches, context, matches, sources, suggestions, timings, diagnostics}>}
+   */
+  async function prepareChatContext(message, conversationHistory = [], namespace = '', resolved = null) {
+    const {
+      metadataFilter,
+      context: conversationContext,
+      enhancedQuery,
+      embedding: queryEmbedding,
+      timings: resolveTimings
+    } = resolved || await resolveQuery(message, conversationHistory, { namespace });
+    const timings = { ...resolveTimings };
+
+    // 3. Search the vector store and the BM25 index - assessment questions fetch more results
+    const searchStartTime = Date.now();
+    const isAssessmentQuery = ASSESSMENT_QUERY.test(message.toLowerCase());
+    const topKValue = isAssessmentQuery ? 15 : 10;
+
+    const matches = await hybridSearch(message, queryEmbedding, {
+      topK: topKValue,
+      namespace,
+      filter: metadataFilter,
+      minScore: 0.3 // Lower threshold for better recall (0.3-0.5 is good for course data)
+    });
+    logger.log(`🔍 Vector search completed in ${Date.now() - searchStartTime}ms`);
+    logger.log(`📊 Namespace used: "${namespace}", Matches found: ${matches.length}, TopK: ${topKValue}${isAssessmentQuery ? ' (assessment query)' : ''}`);
+
+    if (matches.length === 0) {
+      // Try again without metadata filters and with a lower threshold
+      logger.log(`⚠️  No matches found, retrying with lower threshold...`);
+      const relaxedMatches = await hybridSearch(message, queryEmbedding, {
+        topK: topKValue,
+        namespace,
+        filter: {},
+        minScore: 0.2
+      });
+
+      if (relaxedMatches.length === 0) {
+        // Let the LLM produce a helpful response even without context
+        logger.log(`❌ No matches found even with relaxed threshold (namespace "${namespace}")`);
+        timings.search = Date.now() - searchStartTime;
+        return {
+          noMatches: true,
+          context: NO_MATCHES_CONTEXT,
+          matches: [],
+          sources: [],
+          suggestions: [],
+          timings,
+          diagnostics: null
+        };
+      }
+
+      matches.push(...relaxedMatches);
+    }
+
+    // 3.5. If query mentions assessments/deadlines/weeks, also fetch the academic calendar document
+    const needsCalendar = CALENDAR_QUERY.test(message);
+    if (needsCalendar) {
+      logger.log(`📅 Query mentions dates/assessments - fetching academic calendar...`);
+      const calendarEmbedding = await embed(`academic calendar ${calendar.academicYear} start date end date holidays breaks exclusion dates`);
+      const calendarMatches = await search(calendarEmbedding, {
+        topK: 2,
+        namespace,
+        filter: { type: 'academic_calendar' },
+        minScore: 0.2
+      });
+
+      if (calendarMatches.length > 0) {
+        logger.log(`📅 Added ${calendarMatches.length} calendar documents to context`);
+        // Add calendar matches at the beginning so AI sees them first
+        matches.unshift(...calendarMatches);
+      }
+    }
+
+    // 3.6. HIERARCHICAL SEARCH: a module brings its assessments, a course its modules and overview
+    logger.log(`🔗 Starting hierarchical search based on initial matches...`);
+    const hierarchicalItems = await fetchHierarchicalRelatedItems({
+      embed,
+      search,
+      graph: graphIndex,
+      fetch: ids => vectorStore.fetch(ids, { namespace }),
+      embedding: queryEmbedding
+    }, matches, message, namespace, logger);
+
+    if (hierarchicalItems.length > 0) {
+      const existingIds = new Set(matches.map(m => m.id));
+      const newItems = hierarchicalItems.filter(item => !existingIds.has(item.id));
+
+      // Add in order: courses first, then modules, then assessments
+      const assessments = newItems.filter(i => i.metadata?.type === 'assessment');
+      const modules = newItems.filter(i => i.metadata?.type === 'module');
+      const courses = newItems.filter(i => i.metadata?.type === 'course_overview');
+      matches.push(...courses, ...modules, ...assessments);
+
+      logger.log(`🔗 Added ${courses.length} courses, ${modules.length} modules, ${assessments.length} assessments from the hierarchy`);
+    }
+
+    // 3.7. If query specifically asks for assessments, also do a generic secondary search
+    if (isAssessmentQuery) {
+      logger.log(`📝 Assessment query detected - performing secondary search for assessment documents...`);
+      const assessmentEmbedding = await embed(`${enhancedQuery} assessment exam coursework submission deadline weighting`);
+      const assessmentMatches = await search(assessmentEmbedding, {
+        topK: 10,
+        namespace,
+        filter: { type: 'assessment' },
+        minScore: 0.25
+      });
+
+      const existingIds = new Set(matches.map(m => m.id));
+      const newAssessments = assessmentMatches.filter(a => !existingIds.has(a.id));
+
+      if (newAssessments.length > 0) {
+        logger.log(`📝 Adding ${newAssessments.length} new assessment documents to context`);
+        // Add assessments near the beginning (after calendar if present)
+        matches.splice(needsCalendar ? 1 : 0, 0, ...newAssessments);
+      }
+    }
+
+    timings.search = Date.now() - searchStartTime;
+
+    // 3.8. Rerank everything retrieved against the question and keep the best within the token budget
+    let candidates = matches;
+    if (reranker) {
+      const rerankStartTime = Date.now();
+      try {
+        const reranked = await reranker.rerank(message, matches);
+        candidates = reranked.matches;
+        logger.log(`🏅 Reranked ${matches.length} matches with ${reranker.name}: kept ${reranked.matches.length} (~${reranked.tokens}/${reranker.tokenBudget} tokens), dropped ${reranked.dropped.length}`);
+      } catch (error) {
+        // Reranking only tightens the context - answer from the unranked matches rather than failing
+        logger.error(`Error reranking matches with ${reranker.name}:`, error.message);
+      }
+      timings.rerank = Date.now() - rerankStartTime;
+    }
+
+    // 4. Organize by hierarchy, fit to the token budget level by level and look for ambiguity
+    const budgeted = fitMatchesToBudget(organizeMatches(candidates).organizedMatches, contextBudget);
+    const { report: contextReport } = budgeted;
+    if (contextReport.truncated.length > 0 || contextReport.dropped.length > 0) {
+      logger.log(`📏 Context budget: ~${contextReport.usedTokens}/${contextReport.maxTokens} tokens, shortened ${contextReport.truncated.length}, dropped ${contextReport.dropped.length} (${contextReport.dropped.map(item => item.id).join(', ') || 'none'})`);
+    }
+
+    const organized = organizeMatches(budgeted.matches);
+    const { organizedMatches } = organized;
+    logger.log(`📊 Context hierarchy: ${organized.courseMatches.length} courses, ${organized.moduleMatches.length} modules, ${organized.assessmentMatches.length} assessments, ${organized.otherMatches.length} other`);
+
+    const matchAnalysis = analyzeMatchesForSuggestions(organizedMatches, message);
+    logger.log(`📊 Match analysis: ${matchAnalysis.hasSuggestions ? `Found ${matchAnalysis.suggestions.length} ambiguous groups` : 'No ambiguities detected'}`);
+
+    // 5. Context, sources and suggestion tiles
+    const context = buildContext(organized, matchAnalysis, calendar, now());
+    const sources = buildSources(organizedMatches);
+    const suggestions = extractSuggestionsFromMatches(organizedMatches, matchAnalysis, message, conversationContext);
+    logger.log(`📊 Extracted ${suggestions.length} structured suggestions for UI tiles (max 3, context-aware)`);
+
+    return {
+      noMatches: false,
+      context,
+      matches: organizedMatches,
+      sources,
+      suggestions,
+      timings,
+      diagnostics: { context: contextReport }
+    };
+  }
+
+  // Generate an answer from the prepared context
+  async function generate(query, prepared, conversationHistory = []) {
+    try {
+      return await chatProvider.generate(buildChatMessages(query, prepared.context, conversationHistory), GENERATION_OPTIONS);
+    } catch (error) {
+      logger.error(`Error generating chat response with ${chatProvider?.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Stream an answer, yielding text deltas as they arrive
+  async function* stream(query, prepared, conversationHistory = []) {
+    try {
+      yield* chatProvider.stream(buildChatMessages(query, prepared.context, conversationHistory), GENERATION_OPTIONS);
+    } catch (error) {
+      logger.error(`Error streaming chat response with ${chatProvider?.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Ask for a corrected answer after the verifier found facts the context doesn't support
+  async function regenerate(query, prepared, conversationHistory, previousResponse, unsupported) {
+    try {
+      const text = await chatProvider.generate(
+        buildCorrectionMessages(query, prepared.context, conversationHistory, previousResponse, unsupported),
+        GENERATION_OPTIONS
+      );
+      return text || previousResponse;
+    } catch (error) {
+      logger.error(`Error regenerating chat response with ${chatProvider?.name}:`, error.message);
+      throw error;
+    }
+  }
+
+  // Check the answer's [N] citations against the sources sent to the model
+  function checkCitations(response, sources = []) {
+    const result = validateCitations(response, sources.length);
+    if (result.invalid.length > 0) {
+      logger.log(`⚠️  Removed citations to missing sources: ${result.invalid.map(n => `[${n}]`).join(', ')}`);
+    }
+    return result;
+  }
+
+  // Check the answer's dates, weeks, weights, word counts, module codes and emails against the matches
+  function checkGrounding(response, matches = []) {
+    const result = verifyAnswer(response, matches, { calendar, now: now() });
+    if (!result.grounded) {
+      logger.log(`⚠️  Unsupported facts in answer: ${result.unsupported.map(fact => `"${fact.text}"`).join(', ')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Validate citations and grounding of a generated answer
+   * With regenerate(unsupported) the model gets one chance to correct itself; whatever is still
+   * unsupported afterwards is flagged in a warning appended to the answer
+   * @returns {Promise<{response, citations, verification}>}
+   */
+  async function finalize(rawResponse, prepared, { regenerate: retry = null } = {}) {
+    let { text: response, citations } = checkCitations(rawResponse, prepared.sources);
+
+    // Nothing was retrieved, so there is nothing to check against
+    if (prepared.noMatches) {
+      return { response, citations, verification: null };
+    }
+
+    let grounding = checkGrounding(response, prepared.matches);
+    let regenerated = false;
+
+    if (!grounding.grounded && retry) {
+      logger.log(`🔁 Regenerating answer to correct ${grounding.unsupported.length} unsupported fact(s)...`);
+      const retried = checkCitations(await retry(grounding.unsupported), prepared.sources);
+      const retryGrounding = checkGrounding(retried.text, prepared.matches);
+      regenerated = true;
+
+      // Keep the first answer if the retry is no better
+      if (retryGrounding.unsupported.length < grounding.unsupported.length) {
+        ({ text: response, citations } = retried);
+        grounding = retryGrounding;
+      }
+    }
+
+    if (!grounding.grounded) {
+      response += formatGroundingWarning(grounding.unsupported);
+    }
+
+    return { response, citations, verification: { ...grounding, regenerated } };
+  }
+
+  return {
+    resolveQuery,
+    prepareChatContext,
+    generate,
+    stream,
+    regenerate,
+    finalize
+  };
+}
+
+module.exports = {
+  createRagCore,
+  createEntityIndex,
+  trackConversation,
+  describeContext,
+  analyzeMatchesForSuggestions,
+  buildSuggestionFromMatch,
+  extractSuggestionsFromMatches,
+  buildChatPrompt,
+  parseFusionWeights,
+  parseContextBudget,
+  GENERATION_OPTIONS
+};
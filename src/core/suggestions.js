@@ -0,0 +1,351 @@
+/**
+ * Suggestion tiles
+ *
+ * Spots groups of similarly scored courses, modules or assessments in the
+ * matches (an ambiguous question) and turns the best of them into clickable
+ * tiles for the UI. Tiles are only offered once the student has named a
+ * course, module, assessment or year - before that the model asks instead.
+ */
+
+const { buildCalendarUrl } = require('../ical');
+const { codesMatch } = require('../catalogue');
+
+// Analyze matches to identify similar items that should be presented as options
+// Now analyzes modules, assessments, AND courses for intelligent suggestions
+function analyzeMatchesForSuggestions(matches, query) {
+  // Group matches by type (module, assessment, course, etc.)
+  const typeGroups = {};
+  
+  matches.forEach((match, idx) => {
+    const type = match.metadata?.type || 'unknown';
+    if (!typeGroups[type]) {
+      typeGroups[type] = [];
+    }
+    typeGroups[type].push({
+      index: idx + 1,
+      score: match.score,
+      metadata: match.metadata,
+      match: match
+    });
+  });
+  
+  const suggestions = [];
+  
+  // Analyze each type group for potential suggestions
+  Object.entries(typeGroups).forEach(([type, items]) => {
+    // For assessments: show suggestions if multiple assessments match
+    if (type === 'assessment' && items.length >= 2) {
+      const topScore = items[0].score;
+      const similarItems = items.filter(item => (topScore - item.score) < 0.20); // Wider threshold for assessments
+      
+      if (similarItems.length >= 2) {
+        suggestions.push({
+          type: type,
+          count: similarItems.length,
+          items: similarItems,
+          avgScore: similarItems.reduce((sum, item) => sum + item.score, 0) / similarItems.length
+        });
+      }
+    }
+    
+    // For modules: show suggestions if multiple modules match
+    if (type === 'module' && items.length >= 2) {
+      const topScore = items[0].score;
+      const similarItems = items.filter(item => (topScore - item.score) < 0.15);
+      
+      if (similarItems.length >= 2) {
+        suggestions.push({
+          type: type,
+          count: similarItems.length,
+          items: similarItems,
+          avgScore: similarItems.reduce((sum, item) => sum + item.score, 0) / similarItems.length
+        });
+      }
+    }
+    
+    // For courses: show suggestions if multiple courses match
+    if ((type === 'course_overview' || type === 'course') && items.length >= 2) {
+      const topScore = items[0].score;
+      const similarItems = items.filter(item => (topScore - item.score) < 0.15);
+      
+      if (similarItems.length >= 2) {
+        suggestions.push({
+          type: type,
+          count: similarItems.length,
+          items: similarItems,
+          avgScore: similarItems.reduce((sum, item) => sum + item.score, 0) / similarItems.length
+        });
+      }
+    }
+  });
+  
+  // CROSS-TYPE SUGGESTIONS: If query could relate to multiple types, suggest all
+  // E.g., "deadlines" could mean assessment deadlines or module information
+  const hasDeadlineQuery = /deadline|due|submit|when/i.test(query);
+  const hasGeneralQuery = /tell me|what|show|list|information/i.test(query);
+  
+  if (hasDeadlineQuery || hasGeneralQuery) {
+    // Check if we have high-scoring items across different types
+    const topItems = matches
+      .filter(m => m.score >= 0.4)
+      .slice(0, 8);
+    
+    const topTypes = new Set(topItems.map(m => m.metadata?.type));
+    
+    // If multiple types are relevant, create a mixed suggestion
+    if (topTypes.size >= 2 && suggestions.length === 0) {
+      const mixedItems = topItems.map((match, idx) => ({
+        index: idx + 1,
+        score: match.score,
+        metadata: match.metadata,
+        match: match
+      }));
+      
+      suggestions.push({
+        type: 'mixed',
+        count: mixedItems.length,
+        items: mixedItems,
+        avgScore: mixedItems.reduce((sum, item) => sum + item.score, 0) / mixedItems.length
+      });
+    }
+  }
+  
+  // Sort suggestions by average score
+  suggestions.sort((a, b) => b.avgScore - a.avgScore);
+  
+  return {
+    hasSuggestions: suggestions.length > 0,
+    suggestions: suggestions,
+    totalMatches: matches.length,
+    typeBreakdown: Object.fromEntries(
+      Object.entries(typeGroups).map(([type, items]) => [type, items.length])
+    )
+  };
+}
+
+// Build a suggestion object from a match item - IMPROVED: More concise
+function buildSuggestionFromMatch(item, queryContext) {
+  const metadata = item.metadata || {};
+  const type = metadata.type || 'unknown';
+  
+  // Build title based on type - keep it concise
+  let title = '';
+  let typeIcon = '📄';
+  
+  switch (type) {
+    case 'module':
+      title = metadata.module_title || 'Unknown Module';
+      typeIcon = '📚';
+      break;
+    case 'assessment':
+      // For assessments, show the module name with assessment type
+      if (metadata.module_title) {
+        title = metadata.module_title;
+        if (metadata.assessment_type) {
+          title += ` (${metadata.assessment_type})`;
+        }
+      } else {
+        title = metadata.assessment_type || 'Assessment';
+      }
+      typeIcon = '📝';
+      break;
+    case 'course_overview':
+    case 'course':
+      title = metadata.course_title || 'Unknown Course';
+      typeIcon = '🎓';
+      break;
+    default:
+      title = metadata.module_title || metadata.course_title || metadata.assessment_type || 'Information';
+  }
+  
+  // Build CONCISE details - max 2-3 key details only
+  const details = [];
+  
+  // For modules: Year + Semester
+  if (type === 'module') {
+    if (metadata.year && metadata.semester) {
+      details.push({
+        icon: '📅',
+        label: `Y${metadata.year} S${metadata.semester}`
+      });
+    } else if (metadata.year) {
+      details.push({
+        icon: '📅',
+        label: `Year ${metadata.year}`
+      });
+    }
+  }
+  
+  // For assessments: Deadline is most important
+  if (type === 'assessment') {
+    if (metadata.deadline) {
+      details.push({
+        icon: '⏰',
+        label: metadata.deadline
+      });
+    }
+    if (metadata.weight) {
+      details.push({
+        icon: '⚖️',
+        label: metadata.weight
+      });
+    }
+  }
+  
+  // For courses: Level only
+  if (type === 'course_overview' || type === 'course') {
+    if (metadata.level) {
+      details.push({
+        icon: '📊',
+        label: metadata.level
+      });
+    }
+  }
+  
+  // Build concise, contextual click query
+  let clickQuery = '';
+  const moduleName = metadata.module_title || title;
+  const courseName = metadata.course_title || title;
+  
+  switch (type) {
+    case 'module':
+      // Follow hierarchy: If asking about module, next logical step is assessments
+      clickQuery = `What are the assessments and deadlines for ${moduleName}?`;
+      break;
+      
+    case 'assessment':
+      // Be specific about the assessment
+      clickQuery = `Tell me about the ${metadata.assessment_type || 'assessment'} in ${metadata.module_title || 'this module'}`;
+      break;
+      
+    case 'course_overview':
+    case 'course':
+      // Follow hierarchy: If asking about course, next logical step is modules
+      clickQuery = `What modules are in ${courseName}?`;
+      break;
+      
+    default:
+      clickQuery = `Tell me more about ${title}`;
+  }
+  
+  return {
+    id: item.match?.id || `suggestion-${Date.now()}-${Math.random()}`,
+    title: title,
+    details: details.slice(0, 3), // Max 3 details for cleaner UI
+    query: clickQuery,
+    score: item.score,
+    type: type,
+    icon: typeIcon,
+    // "Add to calendar" link for assessment tiles
+    calendarUrl: type === 'assessment' ? buildCalendarUrl(metadata, item.match?.id) : null
+  };
+}
+
+// Extract structured suggestions from matches for UI tiles
+// IMPROVED: Only show suggestions AFTER user has provided enough context
+// conversationContext is the resolveQuery() context: { course, module, year, assessment, ... }
+function extractSuggestionsFromMatches(matches, matchAnalysis, query, conversationContext = {}) {
+  // Check if user has provided enough context to show suggestions
+  // Suggestions should ONLY appear after a course, module, or assessment is identified
+  const hasEnoughContext = Boolean(
+    conversationContext.course ||
+    conversationContext.module ||
+    conversationContext.assessment ||
+    conversationContext.year
+  );
+  
+  // If not enough context, don't show suggestions - let AI ask clarifying questions first
+  if (!hasEnoughContext) {
+    return [];
+  }
+  
+  // Only show suggestions when there's genuine ambiguity AND we have context
+  if (!matchAnalysis.hasSuggestions) {
+    return []; // No ambiguity = no suggestions needed
+  }
+  
+  // Detect what type of information the user is asking about
+  const queryContext = {
+    wantsDeadline: /deadline|due|submit|when|date/i.test(query),
+    wantsAssessment: /assessment|essay|exam|coursework|assignment|portfolio|presentation|report|task/i.test(query),
+    wantsModule: /module|unit|subject|course content|learning|teach/i.test(query),
+    wantsCourse: /course|programme|program|degree|qualification/i.test(query),
+    wantsTutor: /tutor|teacher|lecturer|who teaches|contact/i.test(query),
+    wantsCredits: /credit|points|weighting/i.test(query),
+    // Context from conversation
+    knownCourse: conversationContext.course,
+    knownModule: conversationContext.module,
+    knownYear: conversationContext.year
+  };
+  
+  // Get unique items from the ambiguous matches, prioritizing by hierarchy relevance
+  const seenTitles = new Set();
+  const candidateSuggestions = [];
+  
+  matchAnalysis.suggestions.forEach(suggestionGroup => {
+    suggestionGroup.items.forEach(item => {
+      const metadata = item.metadata || {};
+      const type = metadata.type;
+      
+      // Create a unique key to avoid duplicates
+      const uniqueKey = `${type}-${metadata.module_title || metadata.course_title || metadata.assessment_type}`;
+      
+      if (seenTitles.has(uniqueKey)) return;
+      seenTitles.add(uniqueKey);
+      
+      // Filter by context - only show relevant suggestions based on what we know
+      let isRelevant = true;
+      let relevanceScore = 0;
+      
+      // If we know the course from conversation, prioritize matching course
+      if (queryContext.knownCourse && metadata.course_code) {
+        if (metadata.course_code.toLowerCase().includes(queryContext.knownCourse.toLowerCase())) {
+          relevanceScore += 0.3;
+        } else {
+          isRelevant = false; // Filter out non-matching courses
+        }
+      }
+      
+      // If we know the year from conversation, prioritize matching year
+      if (queryContext.knownYear && metadata.year) {
+        if (String(metadata.year) === queryContext.knownYear) {
+          relevanceScore += 0.2;
+        } else {
+          isRelevant = false; // Filter out non-matching years
+        }
+      }
+      
+      // If we know the module from conversation, prioritize matching module
+      if (queryContext.knownModule && codesMatch(metadata.module_code, queryContext.knownModule)) {
+        relevanceScore += 0.3;
+      }
+      
+      if (!isRelevant) return;
+      
+      // Prioritize based on what user is asking
+      let priority = item.score + relevanceScore;
+      
+      if (queryContext.wantsAssessment && type === 'assessment') priority += 0.3;
+      if (queryContext.wantsModule && type === 'module') priority += 0.3;
+      if (queryContext.wantsCourse && type === 'course_overview') priority += 0.3;
+      if (queryContext.wantsDeadline && type === 'assessment') priority += 0.2;
+      
+      const suggestionData = buildSuggestionFromMatch(item, queryContext);
+      if (suggestionData) {
+        suggestionData.priority = priority;
+        candidateSuggestions.push(suggestionData);
+      }
+    });
+  });
+  
+  // Sort by priority and limit to TOP 3 only
+  return candidateSuggestions
+    .sort((a, b) => b.priority - a.priority)
+    .slice(0, 3);
+}
+
+module.exports = {
+  analyzeMatchesForSuggestions,
+  buildSuggestionFromMatch,
+  extractSuggestionsFromMatches
+};
@@ -0,0 +1,258 @@
+/**
+ * Course graph
+ *
+ * The course -> module -> assessment hierarchy, materialised at upload time
+ * so hierarchy expansion is a map lookup plus one fetch-by-id instead of an
+ * embedding call and a filtered vector query per code.
+ *
+ *   course_overview  keyed by course_code
+ *   module           keyed by module_code, linked to its course by course_code
+ *   assessment       linked to its module by module_code
+ *
+ * Codes are keyed by codeKey() - brackets stripped and upper-cased - so
+ * "[W_HTH4C042R-2025.26]" and "w_hth4c042r-2025.26" are the same module.
+ *
+ * Only one small node per record is kept ({ id, type, codes, titles, ... });
+ * the lookup maps are derived from them on first use after a change, so only
+ * the nodes need persisting (toJSON / createCourseGraph(snapshot)).
+ *
+ * Pure JavaScript with no I/O, so it runs on the server and in the Worker.
+ */
+
+const { normalizeModuleCode } = require('../catalogue');
+
+const GRAPH_TYPES = ['course_overview', 'module', 'assessment'];
+
+// Metadata copied onto each node (enough for GET /api/graph without fetching records)
+const NODE_FIELDS = [
+  'course_code', 'course_title', 'module_code', 'module_title',
+  'assessment_type', 'year', 'semester', 'deadline', 'weight'
+];
+
+function codeKey(code) {
+  return code ? normalizeModuleCode(String(code)).toUpperCase() : null;
+}
+
+function toNode(record) {
+  const metadata = record.metadata || {};
+  const node = { id: record.id, type: metadata.type, docId: metadata.originalDocId || record.id };
+  NODE_FIELDS.forEach(field => {
+    if (metadata[field] !== undefined && metadata[field] !== null && metadata[field] !== '') {
+      node[field] = metadata[field];
+    }
+  });
+  return node;
+}
+
+function pushTo(map, key, value) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+// Chunks of one document -> one entry listing every chunk id
+function collapse(nodes, build) {
+  const entries = new Map();
+  nodes.forEach(node => {
+    if (!entries.has(node.docId)) {
+      entries.set(node.docId, { ...build(node), ids: [] });
+    }
+    entries.get(node.docId).ids.push(node.id);
+  });
+  return Array.from(entries.values());
+}
+
+/**
+ * @param {object} [snapshot] - Output of toJSON() to start from
+ */
+function createCourseGraph(snapshot = null) {
+  // { [namespace]: { [id]: node } }
+  const namespaces = (snapshot && snapshot.namespaces) || {};
+  // { [namespace]: { courses, modules, courseModules, moduleAssessments } } - Map<codeKey, node[]>
+  const derived = {};
+
+  function getNamespace(namespace, create = false) {
+    if (!namespaces[namespace] && create) {
+      namespaces[namespace] = {};
+    }
+    return namespaces[namespace] || {};
+  }
+
+  function derive(namespace) {
+    if (derived[namespace]) return derived[namespace];
+
+    const maps = {
+      courses: new Map(),
+      modules: new Map(),
+      courseModules: new Map(),
+      moduleAssessments: new Map()
+    };
+    Object.values(getNamespace(namespace)).forEach(node => {
+      if (node.type === 'course_overview') {
+        pushTo(maps.courses, codeKey(node.course_code), node);
+      } else if (node.type === 'module') {
+        pushTo(maps.modules, codeKey(node.module_code), node);
+        pushTo(maps.courseModules, codeKey(node.course_code), node);
+      } else if (node.type === 'assessment') {
+        pushTo(maps.moduleAssessments, codeKey(node.module_code), node);
+      }
+    });
+
+    derived[namespace] = maps;
+    return maps;
+  }
+
+  /**
+   * Add or replace records (same shape as vector store records; values are ignored)
+   * Records that aren't courses, modules or assessments are skipped
+   */
+  function add(records, { namespace = '' } = {}) {
+    const target = getNamespace(namespace, true);
+    let linkedCount = 0;
+    records.forEach(record => {
+      if (GRAPH_TYPES.includes(record.metadata?.type)) {
+        target[record.id] = toNode(record);
+        linkedCount++;
+      } else {
+        delete target[record.id];
+      }
+    });
+    delete derived[namespace];
+    return { linkedCount };
+  }
+
+  function remove(ids, { namespace = '' } = {}) {
+    const target = getNamespace(namespace);
+    let removedCount = 0;
+    (ids || []).forEach(id => {
+      if (target[id]) {
+        delete target[id];
+        removedCount++;
+      }
+    });
+    delete derived[namespace];
+    return { removedCount };
+  }
+
+  function clear({ namespace = '' } = {}) {
+    delete namespaces[namespace];
+    delete derived[namespace];
+    return { namespace };
+  }
+
+  // Whether anything has been linked in the namespace (an empty graph means "not built yet")
+  function has(namespace = '') {
+    return Object.keys(getNamespace(namespace)).length > 0;
+  }
+
+  const idsOf = nodes => (nodes || []).map(node => node.id);
+
+  // Record ids of a course's overview, a course's modules and a module's assessments
+  function courseIds(courseCode, { namespace = '' } = {}) {
+    return idsOf(derive(namespace).courses.get(codeKey(courseCode)));
+  }
+
+  function moduleIds(courseCode, { namespace = '' } = {}) {
+    return idsOf(derive(namespace).courseModules.get(codeKey(courseCode)));
+  }
+
+  function assessmentIds(moduleCode, { namespace = '' } = {}) {
+    return idsOf(derive(namespace).moduleAssessments.get(codeKey(moduleCode)));
+  }
+
+  /**
+   * The hierarchy as a tree, for GET /api/graph
+   * Modules whose course has no overview record and assessments whose module has no
+   * module record are listed under `unlinked`
+   * @param {object} [options] - { namespace, courseCode }
+   * @returns {object|null} null when courseCode is given and matches nothing
+   */
+  function tree({ namespace = '', courseCode } = {}) {
+    const { courses, modules, courseModules, moduleAssessments } = derive(namespace);
+
+    const buildModule = key => collapse(modules.get(key) || [], node => ({
+      module_code: node.module_code,
+      module_title: node.module_title,
+      year: node.year,
+      semester: node.semester
+    })).map(entry => ({
+      ...entry,
+      assessments: collapse(moduleAssessments.get(key) || [], node => ({
+        id: node.docId,
+        assessment_type: node.assessment_type,
+        deadline: node.deadline,
+        weight: node.weight
+      }))
+    }));
+
+    const buildCourse = key => {
+      const overview = (courses.get(key) || [])[0];
+      const courseModuleKeys = [...new Set((courseModules.get(key) || []).map(node => codeKey(node.module_code)))];
+      return {
+        course_code: overview ? overview.course_code : (courseModules.get(key) || [])[0].course_code,
+        course_title: overview ? overview.course_title : undefined,
+        ids: idsOf(courses.get(key)),
+        modules: courseModuleKeys.flatMap(buildModule)
+      };
+    };
+
+    const courseKeys = [...new Set([...courses.keys(), ...courseModules.keys()])];
+
+    if (courseCode) {
+      const key = codeKey(courseCode);
+      return courseKeys.includes(key) ? { namespace, courses: [buildCourse(key)] } : null;
+    }
+
+    const linkedModuleKeys = new Set([...modules.keys()].filter(key =>
+      (modules.get(key) || []).some(node => courseKeys.includes(codeKey(node.course_code)))
+    ));
+
+    return {
+      namespace,
+      courses: courseKeys.map(buildCourse),
+      unlinked: {
+        modules: [...modules.keys()].filter(key => !linkedModuleKeys.has(key)).flatMap(buildModule),
+        assessments: collapse(
+          [...moduleAssessments.entries()].filter(([key]) => !modules.has(key)).flatMap(([, nodes]) => nodes),
+          node => ({ id: node.docId, module_code: node.module_code, assessment_type: node.assessment_type, deadline: node.deadline })
+        )
+      }
+    };
+  }
+
+  function stats() {
+    const summary = {};
+    Object.keys(namespaces).forEach(name => {
+      const { courses, modules, moduleAssessments } = derive(name);
+      summary[name] = {
+        courses: courses.size,
+        modules: modules.size,
+        assessments: [...moduleAssessments.values()].reduce((sum, nodes) => sum + new Set(nodes.map(node => node.docId)).size, 0)
+      };
+    });
+    return { namespaces: summary };
+  }
+
+  function toJSON() {
+    return { namespaces };
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    has,
+    courseIds,
+    moduleIds,
+    assessmentIds,
+    tree,
+    stats,
+    toJSON
+  };
+}
+
+module.exports = {
+  createCourseGraph,
+  codeKey,
+  GRAPH_TYPES
+};
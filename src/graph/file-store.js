@@ -0,0 +1,32 @@
+/**
+ * File-backed course graph
+ *
+ * Keeps the graph snapshot in a JSON file next to the local vector store
+ * (GRAPH_INDEX_PATH, default ./data/course-graph.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createGraphIndex } = require('./store');
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file to persist to
+ */
+function createFileGraphIndex({ filePath }) {
+  return createGraphIndex({
+    backend: 'file',
+    load: async () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null),
+    save: async snapshot => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write-then-rename so a crash never leaves a half-written graph
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+      fs.renameSync(tempPath, filePath);
+    }
+  });
+}
+
+module.exports = {
+  createFileGraphIndex
+};
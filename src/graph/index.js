@@ -0,0 +1,69 @@
+/**
+ * Course Graph Index
+ *
+ * Every backend returns an object with the same async methods:
+ *
+ *   add(records, { namespace })               -> { linkedCount }   records: [{ id, metadata }]
+ *   remove(ids, { namespace })                -> { removedCount }
+ *   clear({ namespace })                      -> { namespace }
+ *   rebuild(records, { namespace })           -> { linkedCount }   replaces the namespace
+ *   has(namespace)                            -> whether the namespace has been built
+ *   courseIds(courseCode, { namespace })      -> record ids of the course overview
+ *   moduleIds(courseCode, { namespace })      -> record ids of the course's modules
+ *   assessmentIds(moduleCode, { namespace })  -> record ids of the module's assessments
+ *   tree({ namespace, courseCode })           -> course -> module -> assessment tree (GET /api/graph)
+ *   stats()                                   -> { backend, namespaces: { [ns]: { courses, modules, assessments } } }
+ *
+ * Backends:
+ *   file   - JSON file next to the vectors, survives restarts (default)
+ *   memory - lost on restart, for tests
+ *   kv     - Cloudflare Workers KV (used by the Worker, see kv-store.js)
+ *   off    - no graph; hierarchy expansion falls back to filtered vector queries
+ *
+ * Select with GRAPH_INDEX=file|memory|off. The file backend stores data in
+ * GRAPH_INDEX_PATH (default ./data/course-graph.json). The server links
+ * every upload; POST /api/search-index/rebuild rebuilds a namespace from the
+ * vector store.
+ */
+
+const path = require('path');
+const { createCourseGraph, codeKey } = require('./course-graph');
+const { createGraphIndex } = require('./store');
+const { createFileGraphIndex } = require('./file-store');
+const { createKVGraphIndex } = require('./kv-store');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'course-graph.json');
+
+/**
+ * Create the configured course graph index
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @returns {object|null} null when GRAPH_INDEX=off
+ */
+function createGraphIndexFromEnv(env = process.env) {
+  const backend = (env.GRAPH_INDEX || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return createFileGraphIndex({
+        filePath: env.GRAPH_INDEX_PATH || DEFAULT_FILE_PATH
+      });
+
+    case 'memory':
+      return createGraphIndex({ backend: 'memory' });
+
+    case 'off':
+      return null;
+
+    default:
+      throw new Error(`Unknown GRAPH_INDEX "${backend}" (expected file, memory or off)`);
+  }
+}
+
+module.exports = {
+  createGraphIndexFromEnv,
+  createGraphIndex,
+  createFileGraphIndex,
+  createKVGraphIndex,
+  createCourseGraph,
+  codeKey
+};
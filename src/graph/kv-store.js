@@ -0,0 +1,28 @@
+/**
+ * Cloudflare Workers KV course graph
+ *
+ * The whole graph snapshot is one KV entry ("course-graph"), loaded once per
+ * isolate. It lives in the same SEARCH_INDEX namespace as the BM25 index and
+ * is normally copied from the server's data/course-graph.json (see
+ * CLOUDFLARE-DEPLOYMENT.md).
+ */
+
+const { createGraphIndex } = require('./store');
+
+const KV_KEY = 'course-graph';
+
+/**
+ * @param {object} kv - KV namespace binding (env.SEARCH_INDEX)
+ */
+function createKVGraphIndex(kv) {
+  return createGraphIndex({
+    backend: 'kv',
+    load: () => kv.get(KV_KEY, 'json'),
+    save: snapshot => kv.put(KV_KEY, JSON.stringify(snapshot))
+  });
+}
+
+module.exports = {
+  createKVGraphIndex,
+  KV_KEY
+};
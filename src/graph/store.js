@@ -0,0 +1,99 @@
+/**
+ * Persistent course graph
+ *
+ * Wraps the course graph with a snapshot loader and saver. The snapshot is
+ * loaded on first use and saved after every change.
+ */
+
+const { createCourseGraph } = require('./course-graph');
+
+/**
+ * @param {object} options
+ * @param {string} options.backend - Name reported by stats() and /api/health
+ * @param {Function} [options.load] - async () => snapshot | null
+ * @param {Function} [options.save] - async (snapshot) => void
+ */
+function createGraphIndex({ backend, load = async () => null, save = async () => {} }) {
+  let graph = null;
+  let loading = null;
+
+  async function getGraph() {
+    if (graph) return graph;
+    if (!loading) {
+      loading = Promise.resolve(load()).then(snapshot => {
+        graph = createCourseGraph(snapshot);
+        return graph;
+      });
+    }
+    return loading;
+  }
+
+  async function add(records, { namespace = '' } = {}) {
+    const result = (await getGraph()).add(records, { namespace });
+    await save(graph.toJSON());
+    return result;
+  }
+
+  async function remove(ids, { namespace = '' } = {}) {
+    const result = (await getGraph()).remove(ids, { namespace });
+    await save(graph.toJSON());
+    return result;
+  }
+
+  async function clear({ namespace = '' } = {}) {
+    const result = (await getGraph()).clear({ namespace });
+    await save(graph.toJSON());
+    return result;
+  }
+
+  // Replace a namespace's nodes in one save (used to build the graph from the vector store)
+  async function rebuild(records, { namespace = '' } = {}) {
+    const current = await getGraph();
+    current.clear({ namespace });
+    const result = current.add(records, { namespace });
+    await save(current.toJSON());
+    return result;
+  }
+
+  async function has(namespace = '') {
+    return (await getGraph()).has(namespace);
+  }
+
+  async function courseIds(courseCode, options = {}) {
+    return (await getGraph()).courseIds(courseCode, options);
+  }
+
+  async function moduleIds(courseCode, options = {}) {
+    return (await getGraph()).moduleIds(courseCode, options);
+  }
+
+  async function assessmentIds(moduleCode, options = {}) {
+    return (await getGraph()).assessmentIds(moduleCode, options);
+  }
+
+  async function tree(options = {}) {
+    return (await getGraph()).tree(options);
+  }
+
+  async function stats() {
+    return { backend, ...(await getGraph()).stats() };
+  }
+
+  return {
+    backend,
+    add,
+    remove,
+    clear,
+    rebuild,
+    has,
+    courseIds,
+    moduleIds,
+    assessmentIds,
+    tree,
+    stats
+  };
+}
+
+module.exports = {
+  createGraphIndex
+};
@@ -0,0 +1,251 @@
+/**
+ * Answer grounding verifier
+ *
+ * Post-generation check that the facts students act on - deadlines, academic
+ * weeks, weightings, word counts, module codes and email addresses - appear
+ * in the matches the answer was generated from. Facts are pulled out of the
+ * answer with patterns and compared against evidence collected from the
+ * match metadata and text:
+ *
+ *   date / week   resolved deadlines (via the academic calendar), dates in the
+ *                 matches, today's date and the non-teaching periods
+ *   weight        "60%" values in the matches
+ *   word_count    "1800 words" values in the matches
+ *   module_code   module_code / course_code fields and codes in the text
+ *   email         addresses in the matches, plus firstname.lastname@ucleeds.ac.uk
+ *                 for every tutor (the format the prompt tells the model to use)
+ *
+ * Shared by the Express server and the Worker.
+ */
+
+const EMAIL_DOMAIN = 'ucleeds.ac.uk';
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const MONTH_NAME = '(January|February|March|April|May|June|July|August|September|October|November|December|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sept|Sep|Oct|Nov|Dec)';
+
+// Patterns for each fact type - every one is global so all occurrences are found
+const PATTERNS = {
+  isoDate: /\b(\d{4})-(\d{2})-(\d{2})\b/g,
+  numericDate: /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/g,
+  dayMonthDate: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_NAME}\\b\\.?(?:,?\\s+(\\d{4}))?`, 'gi'),
+  monthDayDate: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+  week: /\b(?:academic\s+)?week\s+(\d{1,2})\b/gi,
+  weight: /(\d{1,3}(?:\.\d+)?)\s?%/g,
+  wordCount: /\b(\d{1,3}(?:,\d{3})+|\d{2,6})(?:\s*[-–]\s*|\s+)words?\b/gi,
+  moduleCode: /\b([A-Z]_[A-Z0-9]{4,}(?:-\d{4}\.\d{2})?)\b/g,
+  email: /\b[A-Za-z0-9._%+'-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+};
+
+const TITLES = /^(dr|prof|professor|mr|mrs|ms|miss|mx)\.?$/i;
+
+function monthIndex(name) {
+  return MONTHS.findIndex(month => month.startsWith(name.toLowerCase().slice(0, 3)));
+}
+
+// "2025-11-14", or "*-11-14" when the year wasn't written
+function dateKey(year, month, day) {
+  return `${year || '*'}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Run a global pattern, skipping matches that overlap text already claimed by another pattern
+function eachMatch(pattern, text, claimed, onMatch) {
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (claimed.some(range => start < range.end && end > range.start)) continue;
+    if (onMatch(match) !== false) claimed.push({ start, end });
+  }
+}
+
+/**
+ * Extract checkable facts from text
+ * @returns {Array<{type: string, value: string|number, text: string}>} in text order, de-duplicated by type + value
+ */
+function extractFacts(text) {
+  const source = String(text || '');
+  const facts = [];
+  const claimed = [];
+  const seen = new Set();
+
+  const add = (type, value, match) => {
+    const key = `${type}:${value}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    facts.push({ type, value, text: match[0].trim(), index: match.index });
+  };
+
+  // Emails first, so "john.smith@ucleeds.ac.uk" is never read as anything else
+  eachMatch(PATTERNS.email, source, claimed, match => add('email', match[0].toLowerCase(), match));
+
+  eachMatch(PATTERNS.isoDate, source, claimed, match => {
+    add('date', dateKey(match[1], Number(match[2]) - 1, Number(match[3])), match);
+  });
+  eachMatch(PATTERNS.numericDate, source, claimed, match => {
+    add('date', dateKey(match[3], Number(match[2]) - 1, Number(match[1])), match);
+  });
+  eachMatch(PATTERNS.dayMonthDate, source, claimed, match => {
+    add('date', dateKey(match[3], monthIndex(match[2]), Number(match[1])), match);
+  });
+  eachMatch(PATTERNS.monthDayDate, source, claimed, match => {
+    add('date', dateKey(match[3], monthIndex(match[1]), Number(match[2])), match);
+  });
+
+  eachMatch(PATTERNS.week, source, claimed, match => add('week', Number(match[1]), match));
+  eachMatch(PATTERNS.wordCount, source, claimed, match => add('word_count', Number(match[1].replace(/,/g, '')), match));
+  eachMatch(PATTERNS.weight, source, claimed, match => add('weight', Number(match[1]), match));
+  eachMatch(PATTERNS.moduleCode, source, claimed, match => add('module_code', match[1].toUpperCase(), match));
+
+  // In the order they appear in the text
+  return facts
+    .sort((a, b) => a.index - b.index)
+    .map(({ type, value, text: raw }) => ({ type, value, text: raw }));
+}
+
+/**
+ * Addresses the prompt tells the model to build from staff names
+ * "Dr Mary-Jane Wilson" -> mary-jane.wilson@ucleeds.ac.uk
+ */
+function emailsForNames(value) {
+  return String(value || '')
+    .split(/[,;&/]|\band\b/i)
+    .map(name => name.trim().split(/\s+/).filter(part => part && !TITLES.test(part)))
+    .filter(parts => parts.length >= 2)
+    .map(parts => {
+      const clean = part => part.toLowerCase().replace(/[^a-z-]/g, '');
+      return `${clean(parts[0])}.${clean(parts[parts.length - 1])}@${EMAIL_DOMAIN}`;
+    });
+}
+
+/**
+ * Collect the values an answer may state
+ * @param {Array<object>} matches - Matches passed to the model ({ metadata })
+ * @param {object} [options]
+ * @param {object} [options.calendar] - Academic calendar, used to resolve "Academic Week N" deadlines
+ * @param {Date} [options.now]
+ */
+function collectEvidence(matches = [], { calendar = null, now = new Date() } = {}) {
+  const evidence = {
+    date: new Set(),
+    week: new Set(),
+    weight: new Set(),
+    word_count: new Set(),
+    module_code: new Set(),
+    email: new Set()
+  };
+
+  const addFacts = text => extractFacts(text).forEach(fact => evidence[fact.type].add(fact.value));
+
+  matches.forEach(match => {
+    const metadata = match.metadata || {};
+
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      addFacts(String(value));
+
+      // Structured fields that may be stored without their unit
+      if (key === 'weight' && Number.isFinite(parseFloat(value))) evidence.weight.add(parseFloat(value));
+      if (key === 'word_count' && Number.isFinite(parseFloat(String(value).replace(/,/g, '')))) {
+        evidence.word_count.add(parseFloat(String(value).replace(/,/g, '')));
+      }
+      if (key === 'module_code' || key === 'course_code') {
+        evidence.module_code.add(String(value).replace(/[[\]]/g, '').trim().toUpperCase());
+      }
+      if (/tutor|leader|lecturer|contact/i.test(key)) {
+        emailsForNames(value).forEach(email => evidence.email.add(email));
+      }
+    });
+
+    if (calendar && metadata.deadline) {
+      const resolved = calendar.resolveDeadline(metadata.deadline);
+      if (resolved) {
+        evidence.date.add(toDateKey(resolved.date));
+        if (resolved.week) evidence.week.add(resolved.week);
+      }
+    }
+  });
+
+  // The calendar block in the context also gives today's date and the non-teaching periods
+  if (calendar) {
+    const current = calendar.getCurrentWeek(now);
+    evidence.date.add(toDateKey(current.date));
+    if (current.week) evidence.week.add(current.week);
+    calendar.exclusions.forEach(period => {
+      evidence.date.add(toDateKey(period.start));
+      evidence.date.add(toDateKey(period.end));
+    });
+  }
+
+  return evidence;
+}
+
+function isSupported(fact, evidence) {
+  if (fact.type !== 'date') {
+    return evidence[fact.type].has(fact.value);
+  }
+  // A date written without a year matches the same day and month in any year
+  if (fact.value.startsWith('*')) {
+    return Array.from(evidence.date).some(date => date.slice(4) === fact.value.slice(1));
+  }
+  return evidence.date.has(fact.value);
+}
+
+/**
+ * Check an answer against the matches it was generated from
+ * @param {string} text - Generated answer
+ * @param {Array<object>} matches
+ * @param {object} [options] - See collectEvidence
+ * @returns {{ grounded: boolean, checked: number, unsupported: Array<{type, value, text}> }}
+ */
+function verifyAnswer(text, matches, options = {}) {
+  const evidence = collectEvidence(matches, options);
+  const facts = extractFacts(text);
+  const unsupported = facts.filter(fact => !isSupported(fact, evidence));
+
+  return {
+    grounded: unsupported.length === 0,
+    checked: facts.length,
+    unsupported
+  };
+}
+
+const FACT_LABELS = {
+  date: 'date',
+  week: 'academic week',
+  weight: 'weighting',
+  word_count: 'word count',
+  module_code: 'module code',
+  email: 'email address'
+};
+
+// 'the date "21 November 2025" and weighting "50%"'
+function describeFacts(unsupported) {
+  const labels = unsupported.map(fact => `${FACT_LABELS[fact.type]} "${fact.text}"`);
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels.join('');
+}
+
+// Follow-up instruction asking the model to correct an answer with unsupported facts
+function buildGroundingCorrection(unsupported) {
+  return `Your previous answer stated the following, which do not appear in the <CONTEXT>: ${describeFacts(unsupported)}.
+Rewrite the answer using only dates, academic weeks, weightings, word counts, module codes and email addresses that appear in the <CONTEXT>. If the <CONTEXT> doesn't contain a detail, say you don't have it rather than guessing. Reply with the corrected answer only.`;
+}
+
+// Note appended to an answer that still contains unsupported facts
+function formatGroundingWarning(unsupported) {
+  return `\n\n> ⚠️ **Please double-check:** I couldn't match the ${describeFacts(unsupported)} to the course information I was given. Confirm these details on the module page or with your tutor before relying on them.`;
+}
+
+module.exports = {
+  extractFacts,
+  collectEvidence,
+  verifyAnswer,
+  emailsForNames,
+  buildGroundingCorrection,
+  formatGroundingWarning
+};
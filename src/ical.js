@@ -0,0 +1,262 @@
+/**
+ * iCalendar (RFC 5545) deadline feeds
+ *
+ * Turns catalogue assessments into .ics feeds students can subscribe to.
+ * Deadlines come pre-resolved by the catalogue (deadline_date / deadline_time
+ * from the academic calendar), so "Academic Week X" and literal dates both
+ * become events at the configured deadline time (Friday 12:00).
+ *
+ * Event UIDs are derived from the assessment document id, so re-uploading
+ * data updates existing events in subscribed calendars instead of
+ * duplicating them.
+ */
+
+const { normalizeModuleCode } = require('./catalogue');
+
+const PRODUCT_ID = '-//University Centre Leeds//UC Oracle Deadlines//EN';
+const UID_DOMAIN = 'uc-oracle';
+const REFRESH_INTERVAL = 'PT12H';
+const MAX_LINE_OCTETS = 75;
+
+// Escape TEXT values (RFC 5545 3.3.11)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold lines longer than 75 octets (RFC 5545 3.1), never splitting a UTF-8 character
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  // Continuation lines start with a space, which counts towards the limit
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Offset (ms) of a time zone from UTC at a given instant
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(timestamp)).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to a UTC Date
+ * @param {string} isoDate - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @param {string} timeZone - IANA zone, e.g. "Europe/London"
+ */
+function zonedTimeToUtc(isoDate, time, timeZone) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  const [hours, minutes] = (time || '00:00').split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Apply the offset, then re-check it in case the guess crossed a DST change
+  let utc = wallClock - timeZoneOffset(wallClock, timeZone);
+  const corrected = wallClock - timeZoneOffset(utc, timeZone);
+  if (corrected !== utc) utc = corrected;
+
+  return new Date(utc);
+}
+
+function buildUid(assessment) {
+  const id = String(assessment.id || `${assessment.module_code}-${assessment.assessment_type}`)
+    .replace(/[^A-Za-z0-9._-]/g, '-');
+  return `${id}@${UID_DOMAIN}`;
+}
+
+function buildSummary(assessment) {
+  const type = assessment.assessment_type || 'Assessment';
+  return assessment.module_title ? `${type} deadline - ${assessment.module_title}` : `${type} deadline`;
+}
+
+function buildDescription(assessment) {
+  const lines = [];
+  if (assessment.module_title) {
+    lines.push(`Module: ${assessment.module_title}${assessment.module_code ? ` (${assessment.module_code})` : ''}`);
+  }
+  if (assessment.assessment_type) lines.push(`Assessment: ${assessment.assessment_type}`);
+  if (assessment.weight) lines.push(`Weighting: ${assessment.weight}`);
+  if (assessment.word_count) lines.push(`Word count: ${assessment.word_count}`);
+  if (assessment.deadline) {
+    const week = assessment.academic_week ? ` (Academic Week ${assessment.academic_week})` : '';
+    lines.push(`Deadline: ${assessment.deadline}${week}`);
+  }
+  if (assessment.tutor) lines.push(`Tutor: ${assessment.tutor}`);
+  return lines.join('\n');
+}
+
+/**
+ * Build an iCalendar document with one event per assessment deadline
+ * Assessments without a resolved deadline_date (e.g. "TBC") are skipped.
+ * @param {object} options
+ * @param {string} options.name - Calendar name shown by clients
+ * @param {Array<object>} options.assessments - Catalogue assessment entries
+ * @param {string} [options.timeZone]
+ * @param {Date} [options.now] - DTSTAMP (defaults to the current time)
+ */
+function buildDeadlineCalendar({ name, assessments = [], timeZone = 'Europe/London', now = new Date() }) {
+  const dtstamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  assessments
+    .filter(assessment => assessment.deadline_date)
+    .forEach(assessment => {
+      const start = zonedTimeToUtc(assessment.deadline_date, assessment.deadline_time, timeZone);
+      const summary = buildSummary(assessment);
+
+      // No DTEND: a DATE-TIME event without one is an instant - the deadline itself
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${buildUid(assessment)}`,
+        `DTSTAMP:${dtstamp}`,
+        `DTSTART:${formatUtc(start)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `DESCRIPTION:${escapeText(buildDescription(assessment))}`,
+        'CATEGORIES:Assessment deadline',
+        'TRANSP:TRANSPARENT',
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'TRIGGER:-P1D',
+        `DESCRIPTION:${escapeText(`Due tomorrow: ${summary}`)}`,
+        'END:VALARM',
+        'END:VEVENT'
+      );
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Safe download filename, e.g. "FD-HAP-25/26" -> "FD-HAP-25-26.ics"
+function toFilename(...parts) {
+  return `${parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9._-]+/g, '-')}.ics`;
+}
+
+/**
+ * Link to a single assessment's deadline (module feed filtered to one event)
+ * @param {object} metadata - Assessment match metadata (module_code, originalDocId, namespace)
+ * @param {string} [matchId] - Vector id, used when the document wasn't chunked
+ * @returns {string|null}
+ */
+function buildCalendarUrl(metadata = {}, matchId) {
+  const moduleCode = normalizeModuleCode(metadata.module_code);
+  if (!moduleCode) return null;
+
+  const params = new URLSearchParams();
+  const assessmentId = metadata.originalDocId || matchId;
+  if (assessmentId) params.set('assessment', assessmentId);
+  if (metadata.namespace) params.set('namespace', metadata.namespace);
+
+  const query = params.toString();
+  return `/api/calendar/modules/${encodeURIComponent(moduleCode)}.ics${query ? `?${query}` : ''}`;
+}
+
+const ALL_ITEMS = { page: 1, pageSize: Number.MAX_SAFE_INTEGER };
+
+/**
+ * Course and module deadline feeds on top of the catalogue
+ * Each method resolves to { filename, body } or null when the course/module doesn't exist.
+ * @param {object} catalogue - From src/catalogue.js
+ * @param {object} [options]
+ * @param {string} [options.timeZone]
+ */
+function createDeadlineFeeds(catalogue, { timeZone = 'Europe/London' } = {}) {
+  async function courseFeed(courseCode, { namespace, year, semester } = {}) {
+    const course = await catalogue.listModules(courseCode, { namespace, ...ALL_ITEMS });
+    if (!course) return null;
+
+    const { assessments } = await catalogue.listAssessments({ namespace, courseCode, year, semester, ...ALL_ITEMS });
+    const code = course.course?.course_code || courseCode;
+    const title = course.course?.course_title || code;
+
+    return {
+      filename: toFilename(code, year && `year-${year}`, semester && `semester-${semester}`),
+      body: buildDeadlineCalendar({
+        name: `${title}${year ? ` - Year ${year}` : ''}${semester ? ` Semester ${semester}` : ''} deadlines`,
+        assessments,
+        timeZone
+      })
+    };
+  }
+
+  async function moduleFeed(moduleCode, { namespace, assessmentId } = {}) {
+    const result = await catalogue.listModuleAssessments(moduleCode, { namespace, ...ALL_ITEMS });
+    if (!result) return null;
+
+    const assessments = assessmentId
+      ? result.assessments.filter(assessment => assessment.id === assessmentId)
+      : result.assessments;
+    if (assessmentId && assessments.length === 0) return null;
+
+    const code = result.module?.module_code || moduleCode;
+    const title = result.module?.module_title || result.assessments[0]?.module_title || code;
+
+    return {
+      filename: toFilename(code, assessmentId && assessments[0].assessment_type),
+      body: buildDeadlineCalendar({ name: `${title} deadlines`, assessments, timeZone })
+    };
+  }
+
+  return {
+    courseFeed,
+    moduleFeed
+  };
+}
+
+module.exports = {
+  buildDeadlineCalendar,
+  buildCalendarUrl,
+  createDeadlineFeeds,
+  zonedTimeToUtc,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,388 @@
+/**
+ * Assessment schedule import
+ *
+ * Programme leaders keep assessment schedules as spreadsheets - a row per
+ * assessment with its module code, type, weight, word count, deadline and
+ * tutor. This reads one (CSV, or the first sheet of an XLSX workbook) into
+ * assessment documents that match assessment.schema.json and the shape the
+ * suggestion tiles read (buildSuggestionFromMatch in src/core/suggestions.js),
+ * ready for the normal ingest pipeline (src/ingest). Used by
+ * POST /api/import/assessments and `oracle-ingest import-assessments`.
+ *
+ *   - header cells are matched to fields (SCHEDULE_COLUMNS), or mapped
+ *     explicitly with { "Due": "deadline" }; unknown columns are ignored
+ *   - module codes go through normalizeModuleCode and must belong to a
+ *     module already in the namespace, which also supplies the module
+ *     title, year, semester and (unless the row names one) tutor
+ *   - ids are assessment-<module title>-<type> from the catalogue's title
+ *     (whatever the row calls the module), numbered within a module in row
+ *     order, so importing the same schedule again - or a handbook's copy of
+ *     it - replaces the documents rather than adding copies
+ *   - the schedule is the whole list for each module it names: assessments
+ *     of those modules it no longer has come back as `stale`, for the
+ *     caller to delete
+ *
+ *   importAssessmentSchedule(content, options) -> { documents, stale, errors, warnings, columns, counts }
+ *
+ * Issues are { id, index, field, message } like src/schema's, with the
+ * spreadsheet row (the header is row 1) at the start of `field`.
+ */
+
+const { normalizeModuleCode, codesMatch } = require('../catalogue');
+const { validateDocuments } = require('../schema');
+const { assessmentId, assessmentText } = require('./documents');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Header cells (lowercase, punctuation collapsed) and the field each one fills
+const SCHEDULE_COLUMNS = {
+  'module code': 'module_code',
+  'module': 'module_code',
+  'code': 'module_code',
+  'unit code': 'module_code',
+  'module title': 'module_title',
+  'module name': 'module_title',
+  'assessment type': 'assessment_type',
+  'assessment': 'assessment_type',
+  'type': 'assessment_type',
+  'method': 'assessment_type',
+  'assessment title': 'title',
+  'title': 'title',
+  'task': 'title',
+  'weight': 'weight',
+  'weighting': 'weight',
+  'percentage': 'weight',
+  'word count': 'word_count',
+  'words': 'word_count',
+  'length': 'word_count',
+  'deadline': 'deadline',
+  'due': 'deadline',
+  'due date': 'deadline',
+  'deadline week': 'deadline',
+  'week': 'deadline',
+  'submission date': 'deadline',
+  'submission week': 'deadline',
+  'deadline time': 'deadline_time',
+  'time': 'deadline_time',
+  'due time': 'deadline_time',
+  'duration': 'duration',
+  'tutor': 'tutor',
+  'module tutor': 'tutor',
+  'unit assessor': 'tutor',
+  'assessor': 'tutor',
+  'marker': 'tutor',
+  'learning outcomes': 'learning_outcomes',
+  'los': 'learning_outcomes'
+};
+
+// Fields a mapping may name: the assessment metadata a row can set, plus the title and learning outcomes for the text
+const FIELDS = ['module_code', 'module_title', 'assessment_type', 'title', 'weight', 'word_count', 'deadline',
+  'deadline_time', 'duration', 'tutor', 'learning_outcomes'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+function normalizeHeader(text) {
+  // "Weight (%)" -> "weight", "%" -> "percentage"
+  const name = String(text ?? '').toLowerCase().replace(/\([^)]*\)/g, ' ').trim() || String(text ?? '').toLowerCase();
+  return name.replace(/%/g, ' percentage ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// "14th November 2025", the way the course data writes dates
+function formatDeadlineDate(date) {
+  const day = date.getUTCDate();
+  const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+  return `${day}${suffix} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return formatDeadlineDate(value);
+  return String(value).trim();
+}
+
+/**
+ * Split CSV text into rows - quoted fields may hold commas, quotes ("") and newlines.
+ * The delimiter is whichever of , ; or tab the header line has most of.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const headerLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read a schedule's rows
+ * @param {string|Buffer} content - CSV text, or an XLSX workbook (a Buffer, or base64 text)
+ * @param {object} [options]
+ * @param {string} [options.format] - csv (default) or xlsx
+ * @param {string|number} [options.sheet] - XLSX sheet name or 1-based number (default the first)
+ * @returns {Promise<Array<Array<string|number|Date|null>>>}
+ */
+async function readSchedule(content, { format = 'csv', sheet } = {}) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown schedule format "${format}" (expected ${FORMATS.join(' or ')})`);
+  }
+  if (format === 'csv') {
+    return parseCsv(Buffer.isBuffer(content) ? content.toString('utf-8') : String(content));
+  }
+
+  const { readSheet } = require('read-excel-file/node');
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'base64');
+  return sheet === undefined || sheet === null ? readSheet(buffer) : readSheet(buffer, sheet);
+}
+
+// Which field each column fills: explicit mappings first, then the header names
+function mapColumns(header, mapping = {}) {
+  const explicit = Object.fromEntries(Object.entries(mapping).map(([name, field]) => [normalizeHeader(name), field]));
+  const errors = [];
+  const warnings = [];
+  const columns = {};
+
+  Object.entries(explicit).forEach(([name, field]) => {
+    if (!FIELDS.includes(field)) {
+      errors.push({ id: null, index: null, field: 'columns', message: `"${field}" isn't a field a column can map to (${FIELDS.join(', ')})` });
+    } else if (!header.some(cell => normalizeHeader(cell) === name)) {
+      errors.push({ id: null, index: null, field: 'columns', message: `no "${name}" column to map to ${field}` });
+    }
+  });
+
+  header.forEach((cell, i) => {
+    const name = normalizeHeader(cell);
+    if (!name) return;
+    const field = explicit[name] || SCHEDULE_COLUMNS[name];
+    if (!field || !FIELDS.includes(field)) {
+      warnings.push({ id: null, index: null, field: `row 1, ${cellText(cell)}`, message: 'column ignored - map it with columns if it matters' });
+    } else if (columns[field] !== undefined) {
+      warnings.push({ id: null, index: null, field: `row 1, ${cellText(cell)}`, message: `column ignored - "${cellText(header[columns[field]])}" already gives ${field}` });
+    } else {
+      columns[field] = i;
+    }
+  });
+
+  ['module_code', 'assessment_type'].forEach(field => {
+    if (columns[field] === undefined) {
+      errors.push({ id: null, index: null, field: 'columns', message: `no column for ${field}` });
+    }
+  });
+  return { columns, errors, warnings };
+}
+
+// 60, "60", "60%", 0.6 (a percentage-formatted spreadsheet cell) -> "60%"
+function parseWeight(value) {
+  const text = cellText(value).replace(/\s+/g, '');
+  const match = /^(\d+(?:\.\d+)?)(%?)$/.exec(text);
+  if (!match) return null;
+  let number = Number(match[1]);
+  if (!match[2] && number > 0 && number <= 1 && (typeof value === 'number' || match[1].includes('.'))) number *= 100;
+  number = Math.round(number * 1000) / 1000;
+  return Number.isInteger(number) && number >= 0 && number <= 100 ? `${number}%` : null;
+}
+
+// 1800, "1,800", "1800 words", "1500-2000" -> "1800 words"; empty and "N/A" -> null
+function parseWordCount(value) {
+  const match = /(\d[\d,]*(?:\s*[-–]\s*\d[\d,]*)?)/.exec(cellText(value));
+  return match ? `${match[1].replace(/,/g, '').replace(/\s*[-–]\s*/, '-')} words` : null;
+}
+
+// A week number (10, "10", "wk 10", "Week 10") -> "Week 10"; dates and anything else as written
+function parseDeadline(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? `Week ${value}` : null;
+  const text = cellText(value);
+  const week = /^(?:(?:academic\s+)?w(?:ee)?k\.?\s*)?(\d{1,2})$/i.exec(text);
+  return week ? `Week ${Number(week[1])}` : text || null;
+}
+
+// A time cell is a fraction of a day in XLSX; "12:00" and "12.00pm" stay as written
+function parseTime(value) {
+  if (typeof value === 'number' && value >= 0 && value < 1) {
+    const minutes = Math.round(value * 24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+  if (value instanceof Date) {
+    return `${String(value.getUTCHours()).padStart(2, '0')}:${String(value.getUTCMinutes()).padStart(2, '0')}`;
+  }
+  return cellText(value) || null;
+}
+
+/**
+ * Build assessment documents from a schedule's rows
+ * @param {Array<Array>} rows - Header row first (readSchedule)
+ * @param {object} [options]
+ * @param {object} [options.columns] - { "<header>": "<field>" } mappings on top of SCHEDULE_COLUMNS
+ * @param {object[]} [options.existing] - Metadata already in the namespace (the parent modules)
+ * @param {object} [options.calendar] - From src/academic-calendar; deadlines it can't resolve are warned about
+ * @returns {{ documents: object[], errors: object[], warnings: object[], columns: object, rows: number[] }}
+ *   rows[i] is the spreadsheet row documents[i] came from
+ */
+function buildAssessments(rows, { columns: mapping = {}, existing = [], calendar = null } = {}) {
+  const [header = [], ...body] = rows;
+  const { columns, errors, warnings } = mapColumns(header, mapping);
+  if (errors.length > 0) return { documents: [], errors, warnings, columns, rows: [] };
+
+  const modules = existing.filter(metadata => metadata.type === 'module' && metadata.module_code);
+  const documents = [];
+  const sourceRows = [];
+  const taken = new Set();
+
+  body.forEach((cells, i) => {
+    const row = i + 2;
+    const cell = field => (columns[field] !== undefined ? cells[columns[field]] : null);
+    if (cells.every(value => cellText(value) === '')) return;
+
+    const rowIssue = (list, field, message, id = null) => list.push({ id, index: null, field: `row ${row}${field ? `, ${field}` : ''}`, message });
+
+    const code = normalizeModuleCode(cellText(cell('module_code')));
+    const assessmentType = cellText(cell('assessment_type'));
+    if (!code) return rowIssue(errors, 'module_code', 'is required');
+    if (!assessmentType) return rowIssue(errors, 'assessment_type', 'is required');
+
+    const parent = modules.find(candidate => codesMatch(candidate.module_code, code));
+    if (!parent) return rowIssue(errors, 'module_code', `no module "${code}" in the namespace - upload the module first`);
+
+    const moduleTitle = cellText(cell('module_title')) || parent.module_title;
+    const id = assessmentId(parent.module_title || normalizeModuleCode(parent.module_code), assessmentType, taken);
+    const metadata = {
+      type: 'assessment',
+      module_code: normalizeModuleCode(parent.module_code),
+      module_title: moduleTitle,
+      assessment_type: assessmentType
+    };
+    if (moduleTitle && parent.module_title && moduleTitle !== parent.module_title) {
+      rowIssue(warnings, 'module_title', `"${moduleTitle}" but module ${metadata.module_code} is "${parent.module_title}"`, id);
+    }
+
+    const weight = cell('weight');
+    if (cellText(weight)) {
+      const parsed = parseWeight(weight);
+      if (parsed) {
+        metadata.weight = parsed;
+      } else {
+        rowIssue(errors, 'weight', `"${cellText(weight)}" isn't a whole percentage of 100 or less`, id);
+      }
+    }
+
+    const wordCount = parseWordCount(cell('word_count'));
+    if (wordCount) metadata.word_count = wordCount;
+
+    const deadline = parseDeadline(cell('deadline'));
+    if (deadline) {
+      metadata.deadline = deadline;
+      if (calendar && !calendar.resolveDeadline(deadline)) {
+        rowIssue(warnings, 'deadline', `"${deadline}" isn't a week or a date the academic calendar knows`, id);
+      }
+    } else {
+      rowIssue(warnings, 'deadline', 'no deadline', id);
+    }
+
+    const deadlineTime = parseTime(cell('deadline_time'));
+    if (deadlineTime) metadata.deadline_time = deadlineTime;
+    const duration = cellText(cell('duration'));
+    if (duration) metadata.duration = duration;
+
+    const tutor = cellText(cell('tutor')) || parent.tutor;
+    if (tutor) metadata.tutor = tutor;
+    ['year', 'semester'].forEach(field => {
+      if (parent[field] !== undefined && parent[field] !== '') metadata[field] = String(parent[field]);
+    });
+    if (parent.university) metadata.university = parent.university;
+    metadata.source = 'assessment-schedule';
+
+    documents.push({
+      id,
+      text: assessmentText(metadata, {
+        title: cellText(cell('title')) || assessmentType,
+        learningOutcomes: cellText(cell('learning_outcomes'))
+      }),
+      metadata
+    });
+    sourceRows.push(row);
+  });
+
+  return { documents, errors, warnings, columns, rows: sourceRows };
+}
+
+// Assessments in the namespace (catalogue entries, with ids) of the schedule's modules that it doesn't list
+function findStale(documents, existing) {
+  const ids = new Set(documents.map(doc => doc.id));
+  const codes = documents.map(doc => doc.metadata.module_code);
+  return existing
+    .filter(entry => entry.type === 'assessment' && entry.id && !ids.has(entry.id) &&
+      codes.some(code => codesMatch(entry.module_code, code)))
+    .map(({ id, module_code, assessment_type }) => ({ id, module_code, assessment_type }));
+}
+
+/**
+ * Read a schedule and build validated assessment documents from it
+ * @param {string|Buffer} content - See readSchedule
+ * @param {object} [options] - format and sheet (readSchedule), columns, existing and calendar (buildAssessments)
+ * @returns {Promise<{ documents: object[], stale: object[], errors: object[], warnings: object[], columns: object, counts: object }>}
+ *   stale lists { id, module_code, assessment_type } of assessments the import should delete
+ */
+async function importAssessmentSchedule(content, { format, sheet, columns, existing = [], calendar = null } = {}) {
+  const rows = await readSchedule(content, { format, sheet });
+  const built = buildAssessments(rows, { columns, existing, calendar });
+  const { documents, errors, warnings } = built;
+
+  if (errors.length === 0) {
+    // Schema checks, with issues pointed at the spreadsheet row
+    const validation = validateDocuments(documents, { existing });
+    const locate = issue => ({
+      ...issue,
+      index: null,
+      field: issue.index !== null ? `row ${built.rows[issue.index]}, ${issue.field}` : issue.field
+    });
+    errors.push(...validation.errors.map(locate));
+    warnings.push(...validation.warnings.map(locate));
+  }
+
+  const stale = errors.length === 0 ? findStale(documents, existing) : [];
+  return { documents, stale, errors, warnings, columns: built.columns, counts: { assessment: documents.length } };
+}
+
+module.exports = {
+  importAssessmentSchedule,
+  readSchedule,
+  buildAssessments,
+  parseCsv,
+  SCHEDULE_COLUMNS,
+  FORMATS
+};
@@ -0,0 +1,61 @@
+/**
+ * Document builders shared by the importers
+ *
+ * Ids and text bodies in the shape of the hand-written course data, so an
+ * imported assessment reads - and is chunked and cited - like the ones in
+ * uc-course-data.json, whichever importer produced it:
+ *
+ *   assessment-<module title>-<assessment type>[-2, -3...]
+ *
+ *   Assessment: Essay (1800 words) (60%)
+ *   Module: Academic Research and Study Skills
+ *   Module Code: W_HTH4C042R-2025.26
+ *   Unit Assessor: Shelley Sanderson
+ *   Deadline: Week 10
+ */
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Id for an assessment, numbered when the module already has one of that type
+ * @param {string} moduleTitle - Or the module code when there is no title
+ * @param {string} assessmentType
+ * @param {Set<string>} taken - Ids already used; the new id is added to it
+ */
+function assessmentId(moduleTitle, assessmentType, taken) {
+  const base = `assessment-${slugify(moduleTitle)}-${slugify(assessmentType)}`;
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  taken.add(id);
+  return id;
+}
+
+/**
+ * Text body for an assessment document, built from its metadata
+ * @param {object} metadata - Assessment metadata (src/schema/assessment.schema.json)
+ * @param {object} [options]
+ * @param {string} [options.title] - How the handbook or schedule names it; the assessment type otherwise
+ * @param {string} [options.learningOutcomes] - e.g. "LO 1, 2"
+ */
+function assessmentText(metadata, { title = metadata.assessment_type, learningOutcomes = '' } = {}) {
+  // Word count and weight are appended once, from the metadata, even when the title repeats them
+  const size = [metadata.word_count, metadata.weight].filter(Boolean).map(value => ` (${value})`).join('');
+  return [
+    `Assessment: ${title.replace(/\s*\([^)]*(words?|%)[^)]*\)/gi, '')}${size}`,
+    `Module: ${metadata.module_title || metadata.module_code}`,
+    metadata.module_code && `Module Code: ${metadata.module_code}`,
+    metadata.tutor && `Unit Assessor: ${metadata.tutor}`,
+    metadata.deadline && `Deadline: ${metadata.deadline}`,
+    metadata.deadline_time && `Deadline Time: ${metadata.deadline_time}`,
+    metadata.duration && `Duration: ${metadata.duration}`,
+    learningOutcomes && `\nLearning Outcomes:\n${learningOutcomes}`
+  ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  slugify,
+  assessmentId,
+  assessmentText
+};
@@ -0,0 +1,153 @@
+/**
+ * Handbook text extraction
+ *
+ * Turns a PDF or DOCX file into lines of cells - a paragraph is one cell, a
+ * table row one cell per column - so the handbook parser (./handbook.js)
+ * can read label/value pairs and assessment tables the same way whichever
+ * format they came in.
+ *
+ *   PDF   text items grouped by baseline (unpdf/pdf.js); a gap wider than
+ *         two characters between items starts a new cell
+ *   DOCX  converted to HTML (mammoth); <td>/<th> are cells, <p>, <li> and
+ *         headings are lines
+ *
+ * Both libraries are loaded on first use so requiring this module stays cheap.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+// How far apart (in font sizes) two items on a line must be to count as separate cells
+const CELL_GAP = 2;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function cleanCell(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Text of an HTML fragment, with block boundaries as spaces
+function htmlText(html) {
+  return cleanCell(decodeEntities(html.replace(/<br\s*\/?>|<\/(p|li|h\d)>/gi, ' ').replace(/<[^>]+>/g, '')));
+}
+
+/**
+ * Lines of cells from HTML (mammoth's output for DOCX)
+ * @param {string} html
+ * @returns {string[][]}
+ */
+function htmlLines(html) {
+  const lines = [];
+  // Tables first, so the paragraphs inside their cells aren't read as lines of their own
+  const pattern = /<tr[^>]*>([\s\S]*?)<\/tr>|<(p|li|h[1-6])[^>]*>([\s\S]*?)<\/\2>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[1] !== undefined) {
+      const cells = [];
+      const cellPattern = /<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi;
+      let cell;
+      while ((cell = cellPattern.exec(match[1])) !== null) cells.push(htmlText(cell[1]));
+      if (cells.some(Boolean)) lines.push(cells);
+    } else {
+      const text = htmlText(match[3]);
+      if (text) lines.push([text]);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Lines of cells from pdf.js text items, page by page
+ * @param {object[][]} pages - getTextContent().items of each page
+ * @returns {string[][]}
+ */
+function pdfLines(pages) {
+  return pages.flatMap(items => {
+    // Baselines, top of the page first; items on the same baseline left to right
+    const rows = new Map();
+    items.forEach(item => {
+      if (!item.str) return;
+      const y = Math.round(item.transform[5]);
+      if (!rows.has(y)) rows.set(y, []);
+      rows.get(y).push(item);
+    });
+
+    return Array.from(rows.entries())
+      .sort((a, b) => b[0] - a[0])
+      .map(([, row]) => {
+        row.sort((a, b) => a.transform[4] - b.transform[4]);
+        const cells = [];
+        let current = '';
+        let end = null;
+        row.forEach(item => {
+          const x = item.transform[4];
+          const size = Math.abs(item.transform[0]) || 10;
+          if (!item.str.trim()) return;
+          if (end !== null && x - end > size * CELL_GAP) {
+            cells.push(cleanCell(current));
+            current = '';
+          } else if (end !== null && x - end > size * 0.15 && !current.endsWith(' ')) {
+            current += ' ';
+          }
+          current += item.str;
+          end = x + item.width;
+        });
+        cells.push(cleanCell(current));
+        return cells.filter(Boolean);
+      })
+      .filter(cells => cells.length > 0);
+  });
+}
+
+async function extractPdf(buffer) {
+  const { getDocumentProxy } = require('unpdf');
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const pages = [];
+  for (let number = 1; number <= pdf.numPages; number++) {
+    const page = await pdf.getPage(number);
+    pages.push((await page.getTextContent()).items);
+  }
+  return pdfLines(pages);
+}
+
+async function extractDocx(buffer) {
+  const mammoth = require('mammoth');
+  const { value } = await mammoth.convertToHtml({ buffer });
+  return htmlLines(value);
+}
+
+const EXTRACTORS = {
+  '.pdf': extractPdf,
+  '.docx': extractDocx
+};
+
+/**
+ * Read a handbook into lines of cells
+ * @param {string} file - Path to a .pdf or .docx file
+ * @returns {Promise<string[][]>}
+ */
+async function extractLines(file) {
+  const extension = path.extname(file).toLowerCase();
+  const extract = EXTRACTORS[extension];
+  if (!extract) {
+    throw new Error(`can't import ${extension || 'files without an extension'} - expected ${Object.keys(EXTRACTORS).join(' or ')}`);
+  }
+  return extract(fs.readFileSync(file));
+}
+
+module.exports = {
+  extractLines,
+  htmlLines,
+  pdfLines,
+  SUPPORTED_EXTENSIONS: Object.keys(EXTRACTORS)
+};
@@ -0,0 +1,372 @@
+/**
+ * Module handbook parser
+ *
+ * Reads the lines of a module handbook or assessment brief (./extract.js)
+ * and builds the documents COURSE-DATA-GUIDE.md describes writing by hand:
+ *
+ *   - "Label: value" lines and two-column label/value table rows give the
+ *     module title, code, tutor, credits, year, semester and course
+ *   - a "Learning Outcomes" section, or LO1/LO2... lines anywhere
+ *   - a "Module Description" (or Descriptor, Aims) section
+ *   - an assessment table: a header row naming a type column and a weight
+ *     or deadline column, then one row per assessment
+ *
+ *   parseHandbook(lines, options) -> { documents, review }
+ *
+ * Anything the parser had to guess, couldn't find or found twice with
+ * different values goes in `review` as { id, index, field, message } (the
+ * shape src/schema reports issues in), for a person to check before the
+ * documents are indexed.
+ */
+
+const { normalizeModuleCode } = require('../catalogue');
+const { slugify, assessmentId, assessmentText } = require('./documents');
+
+// Labels (lowercase, without the colon) and the field each one gives
+const LABELS = {
+  'module title': 'module_title',
+  'module name': 'module_title',
+  'module': 'module_title',
+  'unit title': 'module_title',
+  'module code': 'module_code',
+  'unit code': 'module_code',
+  'module tutor': 'tutor',
+  'module leader': 'tutor',
+  'module lead': 'tutor',
+  'unit assessor': 'tutor',
+  'tutor': 'tutor',
+  'credits': 'credits',
+  'credit value': 'credits',
+  'year': 'year',
+  'year of study': 'year',
+  'academic year': 'year',
+  'level': 'level',
+  'fheq level': 'level',
+  'semester': 'semester',
+  'course code': 'course_code',
+  'programme code': 'course_code',
+  'course': 'course_title',
+  'course title': 'course_title',
+  'programme': 'course_title',
+  'programme title': 'course_title'
+};
+
+// Section headings and the part of the module text they start
+const SECTIONS = [
+  { pattern: /^(module |intended )?learning outcomes?:?$/i, section: 'outcomes' },
+  { pattern: /^(module (description|descriptor|aims|overview)|aims( of the module)?|description):?$/i, section: 'description' },
+  { pattern: /^(assessments?|assessment (strategy|schedule|details|information)|indicative content|reading list|resources):?$/i, section: null }
+];
+
+// Assessment table columns, matched against header cells
+const COLUMNS = {
+  type: /^(assessment( type| method| task)?|type|task|method|component)$/i,
+  weight: /weight|^%$|percentage/i,
+  word_count: /word|length/i,
+  deadline: /deadline|due|submission|hand.?in|^week$/i,
+  learning_outcomes: /^(learning outcomes?|los?|outcomes)$/i,
+  duration: /duration/i
+};
+
+// Assessment types the data already uses, in the order they are looked for
+const ASSESSMENT_TYPES = [
+  ['Literature Review', /literature review/i],
+  ['Case Study', /case study/i],
+  ['Reflective Account', /reflect/i],
+  ['Presentation', /presentation/i],
+  ['Portfolio', /portfolio/i],
+  ['Essay', /essay/i],
+  ['Report', /report/i],
+  ['Exam', /exam/i],
+  ['Practical', /practical/i],
+  ['Poster', /poster/i],
+  ['Dissertation', /dissertation/i],
+  ['Proposal', /proposal/i],
+  ['Project', /project/i],
+  ['Observation', /observation/i],
+  ['Viva', /viva/i],
+  ['Test', /\btest\b/i]
+];
+
+// FHEQ level -> year of a foundation or bachelor's degree
+const LEVEL_YEARS = { 4: '1', 5: '2', 6: '3' };
+
+// UC Leeds module codes, e.g. W_HTH4C042R-2025.26
+const MODULE_CODE_PATTERN = /\[?\b[A-Z]_[A-Z]{2,4}\d[A-Z0-9]{3,}-\d{4}\.\d{2}\b\]?/;
+
+function normalizeLabel(text) {
+  return text.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+}
+
+// Label/value pairs on a line: "Credits: 20", or label and value cells side by side
+function linePairs(cells) {
+  if (cells.length === 1) {
+    const match = cells[0].match(/^([A-Za-z][A-Za-z ]{1,30}):\s*(.+)$/);
+    return match && LABELS[normalizeLabel(match[1])] ? [{ label: match[1].trim(), value: match[2].trim() }] : [];
+  }
+
+  const pairs = [];
+  for (let i = 0; i + 1 < cells.length; i += 2) {
+    if (!LABELS[normalizeLabel(cells[i])]) return [];
+    pairs.push({ label: cells[i].replace(/:\s*$/, '').trim(), value: cells[i + 1] });
+  }
+  return pairs;
+}
+
+function sectionOf(cells) {
+  if (cells.length !== 1) return undefined;
+  const heading = SECTIONS.find(({ pattern }) => pattern.test(cells[0].trim()));
+  return heading ? heading.section : undefined;
+}
+
+// Which column holds what, when this row is an assessment table header
+function tableColumns(cells) {
+  if (cells.length < 2) return null;
+  const columns = {};
+  cells.forEach((cell, i) => {
+    const column = Object.keys(COLUMNS).find(name => columns[name] === undefined && COLUMNS[name].test(cell.trim()));
+    if (column) columns[column] = i;
+  });
+  return columns.type !== undefined && (columns.weight !== undefined || columns.deadline !== undefined) ? columns : null;
+}
+
+// Values a field should be compared by
+function comparable(value) {
+  return normalizeModuleCode(String(value)).replace(/\s+/g, ' ').toLowerCase();
+}
+
+function parseNumber(value, pattern) {
+  const match = String(value).match(pattern);
+  return match ? match[1] : null;
+}
+
+/**
+ * Build course, module and assessment documents from a handbook's lines
+ * @param {string[][]} lines - Lines of cells (see ./extract.js)
+ * @param {object} [options]
+ * @param {string} [options.filename] - Stored as metadata.filename
+ * @param {string} [options.courseCode] - Used when the handbook doesn't name its course
+ * @param {string} [options.courseTitle]
+ * @param {object} [options.calendar] - From src/academic-calendar, to check deadlines resolve
+ * @returns {{ documents: object[], review: object[] }}
+ */
+function parseHandbook(lines, { filename = null, courseCode = null, courseTitle = null, calendar = null } = {}) {
+  const values = {};
+  const sections = { outcomes: [], description: [] };
+  const tables = [];
+  let section = null;
+  let table = null;
+
+  lines.forEach(cells => {
+    const columns = tableColumns(cells);
+    if (columns) {
+      table = { columns, rows: [] };
+      tables.push(table);
+      section = null;
+      return;
+    }
+    if (table && cells.length > 1) {
+      table.rows.push(cells);
+      return;
+    }
+    table = null;
+
+    const heading = sectionOf(cells);
+    if (heading !== undefined) {
+      section = heading;
+      return;
+    }
+
+    const pairs = linePairs(cells);
+    if (pairs.length > 0) {
+      pairs.forEach(({ label, value }) => {
+        const field = LABELS[normalizeLabel(label)];
+        (values[field] = values[field] || []).push({ label, value });
+      });
+      section = null;
+      return;
+    }
+
+    if (/^LO\s*\d+\b/i.test(cells[0]) && section !== 'outcomes') {
+      sections.outcomes.push(cells.join(' '));
+    } else if (section) {
+      sections[section].push(cells.join(' '));
+    }
+  });
+
+  const review = [];
+  const moduleReview = [];
+  const found = {};
+
+  // First value of a field; a different second value is worth a look
+  function take(field, parse = value => value) {
+    const candidates = (values[field] || [])
+      .map(({ label, value }) => ({ label, value: parse(value) }))
+      .filter(candidate => candidate.value !== null && candidate.value !== '');
+    if (candidates.length === 0) return null;
+    const [first] = candidates;
+    const other = candidates.find(candidate => comparable(candidate.value) !== comparable(first.value));
+    if (other) {
+      moduleReview.push({ field, message: `"${first.label}: ${first.value}" used, but the handbook also has "${other.label}: ${other.value}"` });
+    }
+    return first.value;
+  }
+
+  found.module_title = take('module_title');
+  found.module_code = take('module_code', value => normalizeModuleCode(value.split(/\s+/)[0]));
+  found.tutor = take('tutor');
+  found.credits = take('credits', value => parseNumber(value, /^(\d+)\b/));
+  // "Academic Year: 2025/26" is the session, not the year of study
+  found.year = take('year', value => parseNumber(value, /^(?:year\s*)?([1-4])$/i));
+  found.semester = take('semester', value => parseNumber(value, /^(?:semester\s*)?([1-3])$/i));
+  found.course_code = take('course_code');
+  found.course_title = take('course_title');
+
+  if (!found.module_code) {
+    const text = lines.map(cells => cells.join(' ')).join('\n');
+    const match = text.match(MODULE_CODE_PATTERN);
+    if (match) {
+      found.module_code = normalizeModuleCode(match[0]);
+      moduleReview.push({ field: 'module_code', message: `no "Module Code" label - "${found.module_code}" was found in the text` });
+    }
+  }
+  if (!found.year) {
+    const level = take('level', value => parseNumber(value, /^(?:level\s*|l)?([4-6])\b/i));
+    if (level) {
+      found.year = LEVEL_YEARS[level];
+      moduleReview.push({ field: 'year', message: `inferred from Level ${level} - check the year of study` });
+    }
+  }
+  if ((values.semester || []).length > 0 && !found.semester) {
+    moduleReview.push({ field: 'semester', message: `"${values.semester[0].value}" isn't a single semester - set it by hand` });
+  }
+
+  if (courseCode && found.course_code && comparable(courseCode) !== comparable(found.course_code)) {
+    moduleReview.push({ field: 'course_code', message: `the handbook says "${found.course_code}", --course-code says "${courseCode}"` });
+  }
+  found.course_code = found.course_code || courseCode;
+  found.course_title = found.course_title || courseTitle;
+
+  const required = { module_title: 'module title', module_code: 'module code' };
+  Object.entries(required).forEach(([field, name]) => {
+    if (!found[field]) moduleReview.push({ field, message: `no ${name} found` });
+  });
+  ['tutor', 'credits', 'year', 'semester', 'course_code'].forEach(field => {
+    if (!found[field] && !moduleReview.some(item => item.field === field)) {
+      moduleReview.push({ field, message: 'not found in the handbook' });
+    }
+  });
+  if (sections.outcomes.length === 0) {
+    moduleReview.push({ field: 'text', message: 'no learning outcomes found' });
+  }
+
+  const moduleTitle = found.module_title || found.module_code || filename || 'module';
+  const moduleId = `module-${slugify(moduleTitle) || 'untitled'}`;
+  const source = { source: 'handbook', ...(filename ? { filename } : {}) };
+  const documents = [];
+
+  if (found.course_code && found.course_title) {
+    documents.push({
+      id: `course-${slugify(found.course_title)}`,
+      text: `Course: ${found.course_title}\nCourse Code: ${found.course_code}`,
+      metadata: { type: 'course_overview', course_code: found.course_code, course_title: found.course_title, ...source }
+    });
+  }
+
+  const moduleMetadata = { type: 'module' };
+  ['module_code', 'module_title', 'tutor', 'credits', 'year', 'semester', 'course_code'].forEach(field => {
+    if (found[field]) moduleMetadata[field] = found[field];
+  });
+  documents.push({
+    id: moduleId,
+    text: [
+      `Module: ${moduleTitle}`,
+      found.module_code && `Module Code: ${found.module_code}`,
+      found.tutor && `Module Tutor: ${found.tutor}`,
+      found.credits && `Credits: ${found.credits}`,
+      found.year && `Year: ${found.year}`,
+      found.semester && `Semester: ${found.semester}`,
+      sections.outcomes.length > 0 && `\nLearning Outcomes:\n${sections.outcomes.join('\n')}`,
+      sections.description.length > 0 && `\nModule Description:\n${sections.description.join('\n')}`
+    ].filter(Boolean).join('\n'),
+    metadata: { ...moduleMetadata, ...source }
+  });
+  moduleReview.forEach(({ field, message }) => review.push({ id: moduleId, index: null, field: field === 'text' ? 'text' : `metadata.${field}`, message }));
+
+  // One assessment per table row
+  const rows = tables.flatMap(({ columns, rows: tableRows }) => tableRows.map(cells => ({ columns, cells })));
+  if (rows.length === 0) {
+    review.push({ id: moduleId, index: null, field: 'assessments', message: 'no assessment table found' });
+  }
+
+  const ids = new Set(documents.map(doc => doc.id));
+  const weights = [];
+  rows.forEach(({ columns, cells }) => {
+    const cell = name => (columns[name] !== undefined ? (cells[columns[name]] || '').trim() : '');
+    const title = cell('type');
+    if (!title || /^total\b/i.test(title)) return;
+
+    const known = ASSESSMENT_TYPES.find(([, pattern]) => pattern.test(title));
+    const assessmentType = known ? known[0] : title;
+    const id = assessmentId(moduleTitle, assessmentType, ids);
+
+    const issue = (field, message) => review.push({ id, index: null, field, message });
+    if (!known) issue('metadata.assessment_type', `"${title}" isn't a type the importer knows - check it`);
+
+    const metadata = { type: 'assessment' };
+    if (found.module_code) metadata.module_code = found.module_code;
+    metadata.module_title = moduleTitle;
+    metadata.assessment_type = assessmentType;
+
+    const weight = parseNumber(cell('weight') || title, /(\d{1,3}(?:\.\d+)?)\s*%/) || parseNumber(cell('weight'), /^(\d{1,3})$/);
+    if (weight === null) {
+      issue('metadata.weight', cell('weight') ? `weighting "${cell('weight')}" not recognised` : 'no weighting found');
+    } else if (!/^(100|[1-9]?\d)$/.test(weight)) {
+      issue('metadata.weight', `weighting "${weight}%" isn't a whole percentage of 100 or less`);
+    } else {
+      metadata.weight = `${weight}%`;
+      weights.push(Number(weight));
+    }
+
+    const words = parseNumber(cell('word_count') || title.match(/\(([^)]*words?[^)]*)\)/i)?.[1] || '', /(\d[\d,]*(?:\s*[-–]\s*\d[\d,]*)?)/);
+    if (words) metadata.word_count = `${words.replace(/,/g, '').replace(/\s*[-–]\s*/, '-')} words`;
+
+    const deadline = cell('deadline');
+    const week = parseNumber(deadline, /\bweek\s*(\d{1,2})\b/i);
+    if (week) {
+      metadata.deadline = `Week ${Number(week)}`;
+    } else if (deadline) {
+      metadata.deadline = deadline;
+      if (calendar && !calendar.resolveDeadline(deadline)) {
+        issue('metadata.deadline', `"${deadline}" isn't a week or a date the academic calendar knows`);
+      }
+    } else {
+      issue('metadata.deadline', 'no deadline found');
+    }
+    if (week && calendar && !calendar.resolveDeadline(metadata.deadline)) {
+      issue('metadata.deadline', `${metadata.deadline} is outside the academic calendar`);
+    }
+
+    if (cell('duration')) metadata.duration = cell('duration');
+    ['year', 'semester', 'tutor'].forEach(field => {
+      if (found[field]) metadata[field] = found[field];
+    });
+
+    documents.push({
+      id,
+      text: assessmentText(metadata, { title, learningOutcomes: cell('learning_outcomes') }),
+      metadata: { ...metadata, ...source }
+    });
+  });
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weights.length > 0 && weights.length === documents.filter(doc => doc.metadata.type === 'assessment').length && total !== 100) {
+    review.push({ id: moduleId, index: null, field: 'assessments', message: `assessment weightings add up to ${total}%, not 100%` });
+  }
+
+  return { documents, review };
+}
+
+module.exports = {
+  parseHandbook
+};
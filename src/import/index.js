@@ -0,0 +1,84 @@
+/**
+ * Handbook import
+ *
+ * Turns module handbooks and assessment briefs (PDF or DOCX) into course,
+ * module and assessment documents, parsed locally - nothing is sent to a
+ * model. Used by `oracle-ingest import` (bin/oracle-ingest.js), which writes
+ * the result as a course data file:
+ *
+ *   { "documents": [...], "review": [...] }
+ *
+ * `review` lists what the parser guessed or couldn't find (./handbook.js)
+ * and anything the documents fail validation on (src/schema). src/ingest
+ * refuses a file whose review list isn't empty, so a person fixes the
+ * documents and clears the list before they are indexed.
+ *
+ *   importHandbooks(files, options) -> { files, documents, review, counts }
+ *
+ * Assessment schedules (CSV/XLSX) are the other way in - see ./assessments.js.
+ */
+
+const path = require('path');
+const { extractLines, SUPPORTED_EXTENSIONS } = require('./extract');
+const { parseHandbook } = require('./handbook');
+const { importAssessmentSchedule, FORMATS: SCHEDULE_FORMATS } = require('./assessments');
+const { validateDocuments } = require('../schema');
+const { createAcademicCalendar } = require('../academic-calendar');
+
+/**
+ * Import handbooks into documents and a review report
+ * @param {string[]} files - Paths to .pdf or .docx files
+ * @param {object} [options]
+ * @param {string} [options.courseCode] - Course for handbooks that don't name theirs
+ * @param {string} [options.courseTitle]
+ * @param {object} [options.calendar] - Academic calendar deadlines are checked against
+ * @returns {Promise<{ files: object[], documents: object[], review: object[], counts: object }>}
+ *   review items are { file, id, index, field, message }
+ */
+async function importHandbooks(files, { courseCode = null, courseTitle = null, calendar = createAcademicCalendar() } = {}) {
+  const fileReports = [];
+  const documents = [];
+  const review = [];
+  // The file each document came from, by position
+  const owners = [];
+  // Handbooks for modules of the same course each name it - keep one overview per course
+  const courses = new Set();
+
+  for (const file of files) {
+    let parsed;
+    try {
+      const lines = await extractLines(file);
+      parsed = parseHandbook(lines, { filename: path.basename(file), courseCode, courseTitle, calendar });
+    } catch (error) {
+      fileReports.push({ file, documents: 0, error: error.message });
+      review.push({ file, id: null, index: null, field: '', message: `couldn't read the file: ${error.message}` });
+      continue;
+    }
+
+    const kept = parsed.documents.filter(doc => {
+      if (doc.metadata.type !== 'course_overview') return true;
+      const code = doc.metadata.course_code.toUpperCase();
+      if (courses.has(code)) return false;
+      courses.add(code);
+      return true;
+    });
+    fileReports.push({ file, documents: kept.length, error: null });
+    documents.push(...kept);
+    owners.push(...kept.map(() => file));
+    review.push(...parsed.review.map(item => ({ file, ...item })));
+  }
+
+  // Schema errors need fixing before indexing too; orphan and mismatch warnings are left for ingest,
+  // which can check them against what the namespace already holds
+  const { errors, counts } = validateDocuments(documents);
+  errors.forEach(issue => review.push({ file: issue.index !== null ? owners[issue.index] : null, ...issue, index: null }));
+
+  return { files: fileReports, documents, review, counts };
+}
+
+module.exports = {
+  importHandbooks,
+  importAssessmentSchedule,
+  SUPPORTED_EXTENSIONS,
+  SCHEDULE_FORMATS
+};
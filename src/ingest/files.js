@@ -0,0 +1,92 @@
+/**
+ * Course data files
+ *
+ * Reads the files the CLI ingests - JSON holding an array of documents or
+ * { "documents": [...] }, or any other file (.txt, .md) as a single untyped
+ * document named after the file - and validates them together (src/schema),
+ * so an assessment in one file can belong to a module in another. Issues
+ * carry the file they came from and the document's position within it.
+ *
+ * A JSON file may also carry a "review" list - what `oracle-ingest import`
+ * wasn't sure about (src/import). Each entry is an error until someone has
+ * checked it and removed it from the file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateDocuments } = require('../schema');
+
+// A text file is one document: "Study Skills.md" -> id "study-skills"
+function textDocument(file, text) {
+  const name = path.basename(file, path.extname(file));
+  const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'document';
+  return { id, text: text.trim(), metadata: { source: 'file', filename: path.basename(file) } };
+}
+
+// Documents in a file, or an error explaining why there aren't any
+function loadFile(file) {
+  try {
+    if (path.extname(file).toLowerCase() !== '.json') {
+      return { documents: [textDocument(file, fs.readFileSync(file, 'utf-8'))], review: [], error: null };
+    }
+
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const documents = Array.isArray(data) ? data : data && data.documents;
+    if (!Array.isArray(documents)) {
+      return { documents: [], review: [], error: 'expected an array of documents or { "documents": [...] }' };
+    }
+    const review = !Array.isArray(data) && Array.isArray(data.review) ? data.review : [];
+    return { documents, review, error: null };
+  } catch (error) {
+    return { documents: [], review: [], error: error.message };
+  }
+}
+
+/**
+ * Load and validate course data files
+ * @param {string[]} files - Paths to JSON or text files
+ * @param {object} [options] - { existing } metadata already in the namespace (see validateDocuments)
+ * @returns {{ files: object[], documents: object[], errors: object[], warnings: object[], counts: object }}
+ *   issues are { file, id, index, field, message } with index counted within the file
+ */
+function loadDocumentFiles(files, { existing = [] } = {}) {
+  const loaded = files.map(file => ({ file, ...loadFile(file) }));
+  const documents = loaded.flatMap(item => item.documents);
+
+  // Map positions in the combined list back to the file each document came from
+  const owners = loaded.flatMap(({ file, documents: fileDocuments }) => fileDocuments.map((doc, position) => ({ file, position })));
+  const locate = issue => {
+    if (issue.index === null) return issue;
+    const { file, position } = owners[issue.index];
+    return { ...issue, file, index: position };
+  };
+
+  // An empty file is only a problem when every file is empty - validateDocuments reports that
+  const result = validateDocuments(documents, { existing });
+  const fileIssue = (file, message) => ({ file, id: null, index: null, field: '', message });
+
+  return {
+    files: loaded.map(({ file, documents: fileDocuments, error }) => ({ file, documents: fileDocuments.length, error })),
+    documents,
+    errors: [
+      ...loaded.filter(({ error }) => error).map(({ file, error }) => fileIssue(file, error)),
+      ...loaded.flatMap(({ file, review }) => review.map(item => ({
+        file,
+        id: item.id || null,
+        index: null,
+        field: item.field || '',
+        message: `not reviewed: ${item.message}`
+      }))),
+      ...result.errors.map(locate)
+    ],
+    warnings: [
+      ...loaded.filter(({ documents: fileDocuments, error }) => !error && fileDocuments.length === 0).map(({ file }) => fileIssue(file, 'no documents')),
+      ...result.warnings.map(locate)
+    ],
+    counts: result.counts
+  };
+}
+
+module.exports = {
+  loadDocumentFiles
+};
@@ -0,0 +1,317 @@
+/**
+ * Document ingestion
+ *
+ * The path every document takes into the index, shared by POST /api/upload
+ * and the oracle-ingest CLI (bin/oracle-ingest.js):
+ *
+ *   1. chunk the text (src/chunking) - ids are "<id>-chunk-N" when a document
+ *      needs more than one chunk
+ *   2. embed the chunks with the configured embedding provider
+ *   3. upsert them to the vector store, batchSize vectors at a time
+ *   4. add them to the BM25 index and the course graph, when those are on
+ *
+ *   ingest(documents, options) -> { documents: [report], chunksCount }
+ *   report = { id, status: 'uploaded' | 'failed' | 'skipped' | 'dry-run', chunks, tokens, error? }
+ *
+ *   sync(documents, options) -> { documents: [report], summary, chunksCount, deletedCount }
+ *   makes a namespace match a source, re-embedding only what changed (see ./sync.js);
+ *   reports also carry change: 'added' | 'changed' | 'removed' | 'unchanged'
+ *
+ *   remove(ids, options) -> deletedCount
+ *   deletes chunks from the vector store, the BM25 index and the course graph
+ *
+ * Validation (src/schema) and cache invalidation stay with the caller: the
+ * server checks against the namespace it serves and clears its own caches.
+ */
+
+const { chunkDocument, DEFAULT_CHUNKING } = require('../chunking');
+const { loadDocumentFiles } = require('./files');
+const { hashDocument, documentId, groupStoredDocuments, planSync } = require('./sync');
+
+// Pinecone's upsert limit
+const DEFAULT_BATCH_SIZE = 100;
+
+// Ids of a document's chunks - its own id when it fits in one
+function chunkIds(baseId, count) {
+  return count > 1 ? Array.from({ length: count }, (_, i) => `${baseId}-chunk-${i + 1}`) : [baseId];
+}
+
+/**
+ * Split a document into the vector records it will be stored as (without embeddings)
+ * @param {object} doc - { id, text, metadata }
+ * @param {object} options - { namespace, chunking }
+ * @returns {{ id: string, records: Array<{ id, text, tokens, metadata }> }}
+ */
+function prepareDocument(doc, { namespace = '', chunking = DEFAULT_CHUNKING } = {}) {
+  const chunks = chunkDocument(doc.text, doc.metadata, chunking);
+  const baseId = documentId(doc);
+  const ids = chunkIds(baseId, chunks.length);
+  const contentHash = hashDocument(doc, chunking);
+  const uploadTimestamp = Date.now();
+
+  return {
+    id: baseId,
+    records: chunks.map((chunk, i) => ({
+      id: ids[i],
+      text: chunk.text,
+      tokens: chunk.tokens,
+      metadata: {
+        text: chunk.text,
+        originalDocId: baseId,
+        chunkIndex: i + 1,
+        totalChunks: chunks.length,
+        namespace: namespace, // Store namespace in metadata for reference
+        uploadTimestamp,
+        contentHash,
+        ...doc.metadata
+      }
+    }))
+  };
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.embeddingProvider - From src/providers (embedMany)
+ * @param {object} deps.vectorStore - From src/vector-store
+ * @param {object} [deps.lexicalIndex] - BM25 index, or null when LEXICAL_INDEX=off
+ * @param {object} [deps.graphIndex] - Course graph, or null when GRAPH_INDEX=off
+ * @param {object} [deps.logger] - console by default
+ */
+function createIngester({ embeddingProvider, vectorStore, lexicalIndex = null, graphIndex = null, logger = console }) {
+  async function updateSearchIndexes(vectors, namespace) {
+    const records = vectors.map(({ id, metadata }) => ({ id, metadata }));
+
+    if (lexicalIndex) {
+      try {
+        const { indexedCount } = await lexicalIndex.add(records, { namespace });
+        logger.log(`🔤 Indexed ${indexedCount} chunks for lexical search`);
+      } catch (error) {
+        logger.error('⚠️  Failed to update lexical index:', error.message);
+      }
+    }
+
+    if (graphIndex) {
+      try {
+        const { linkedCount } = await graphIndex.add(records, { namespace });
+        logger.log(`🕸️  Linked ${linkedCount} chunks into the course graph`);
+      } catch (error) {
+        logger.error('⚠️  Failed to update course graph:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Chunk, embed and store documents
+   * @param {object[]} documents - [{ id, text, metadata }], already validated
+   * @param {object} [options]
+   * @param {string} [options.namespace]
+   * @param {object} [options.chunking] - Resolved chunking options (see src/chunking)
+   * @param {number} [options.batchSize] - Vectors per upsert (default 100)
+   * @param {boolean} [options.dryRun] - Chunk only: no embeddings, nothing stored
+   * @param {Function} [options.skip] - doc => true to leave a document out (reported as skipped)
+   * @param {boolean} [options.failFast] - Throw on the first failure instead of reporting it and carrying on
+   * @param {Function} [options.onDocument] - Called with each report as soon as the document is stored (or fails)
+   */
+  async function ingest(documents, {
+    namespace = '',
+    chunking = DEFAULT_CHUNKING,
+    batchSize = DEFAULT_BATCH_SIZE,
+    dryRun = false,
+    skip = () => false,
+    failFast = false,
+    onDocument = () => {}
+  } = {}) {
+    // In document order, whatever order they finish in
+    const reports = new Array(documents.length);
+    // Embedded documents waiting to be upserted: [{ index, report, vectors }]
+    let pending = [];
+    let chunksCount = 0;
+
+    const finish = (index, report) => {
+      reports[index] = report;
+      onDocument(report);
+    };
+
+    // Upsert whole documents together, in slices of at most batchSize vectors
+    async function flush() {
+      const batch = pending;
+      pending = [];
+      if (batch.length === 0) return;
+
+      const vectors = batch.flatMap(item => item.vectors);
+      try {
+        for (let i = 0; i < vectors.length; i += batchSize) {
+          await vectorStore.upsert(vectors.slice(i, i + batchSize), { namespace });
+        }
+      } catch (error) {
+        if (failFast) throw error;
+        batch.forEach(({ index, report }) => finish(index, { ...report, status: 'failed', error: error.message }));
+        return;
+      }
+
+      await updateSearchIndexes(vectors, namespace);
+      chunksCount += vectors.length;
+      batch.forEach(({ index, report }) => finish(index, { ...report, status: 'uploaded' }));
+    }
+
+    for (const [index, doc] of documents.entries()) {
+      if (skip(doc)) {
+        finish(index, { id: doc.id, status: 'skipped', chunks: 0, tokens: 0 });
+        continue;
+      }
+
+      const { id, records } = prepareDocument(doc, { namespace, chunking });
+      const report = { id, chunks: records.length, tokens: records.reduce((sum, record) => sum + record.tokens, 0) };
+
+      if (records.length > 1) {
+        logger.log(`📄 Document "${id}" split into ${records.length} chunks (${chunking.strategy})`);
+      }
+      if (dryRun) {
+        finish(index, { ...report, status: 'dry-run' });
+        continue;
+      }
+
+      try {
+        const embeddings = await embeddingProvider.embedMany(records.map(record => record.text));
+        pending.push({
+          index,
+          report,
+          vectors: records.map((record, i) => ({ id: record.id, values: embeddings[i], metadata: record.metadata }))
+        });
+      } catch (error) {
+        if (failFast) throw error;
+        finish(index, { ...report, status: 'failed', error: error.message });
+        continue;
+      }
+
+      if (pending.reduce((sum, item) => sum + item.vectors.length, 0) >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+
+    return { documents: reports, chunksCount };
+  }
+
+  // Delete chunks from the vector store and the search indexes, batchSize ids at a time
+  async function remove(ids, { namespace = '', batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    let deletedCount = 0;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const result = await vectorStore.delete(ids.slice(i, i + batchSize), { namespace });
+      deletedCount += result.deletedCount || 0;
+    }
+
+    if (lexicalIndex && ids.length > 0) {
+      try {
+        await lexicalIndex.remove(ids, { namespace });
+      } catch (error) {
+        logger.error('⚠️  Failed to update lexical index:', error.message);
+      }
+    }
+    if (graphIndex && ids.length > 0) {
+      try {
+        await graphIndex.remove(ids, { namespace });
+      } catch (error) {
+        logger.error('⚠️  Failed to update course graph:', error.message);
+      }
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Make a namespace hold exactly these documents, re-embedding only the ones that changed
+   * @param {object[]} documents - The full source, already validated
+   * @param {object} [options] - As for ingest: namespace, chunking, batchSize, dryRun, failFast, onDocument
+   */
+  async function sync(documents, {
+    namespace = '',
+    chunking = DEFAULT_CHUNKING,
+    batchSize = DEFAULT_BATCH_SIZE,
+    dryRun = false,
+    failFast = false,
+    onDocument = () => {}
+  } = {}) {
+    // list() returns the whole namespace or throws: a short listing would re-embed unchanged
+    // documents as added and never delete removed ones. Index stats lag writes, so they can't be the check
+    const stored = groupStoredDocuments(await vectorStore.list({}, { namespace }));
+    const plan = planSync(documents, stored, chunking);
+    const changes = new Map();
+    plan.added.forEach(entry => changes.set(entry.id, 'added'));
+    plan.changed.forEach(entry => changes.set(entry.id, 'changed'));
+
+    const reports = new Map();
+    const finish = report => {
+      reports.set(report.id, report);
+      onDocument(report);
+    };
+
+    // Added and changed documents go through the normal pipeline; unchanged ones are only reported
+    const { chunksCount } = await ingest(plan.added.concat(plan.changed).map(entry => entry.doc), {
+      namespace,
+      chunking,
+      batchSize,
+      dryRun,
+      failFast,
+      onDocument: report => finish({ ...report, change: changes.get(report.id) })
+    });
+    plan.unchanged.forEach(entry => finish({ id: entry.id, change: 'unchanged', status: 'unchanged', chunks: entry.storedIds.length, tokens: 0 }));
+
+    // Chunks to delete: all of a removed document's, and those a changed document no longer has
+    const stale = plan.changed.flatMap(entry => {
+      const report = reports.get(entry.id);
+      if (report.status !== 'uploaded') return [];
+      const current = new Set(chunkIds(entry.id, report.chunks));
+      return entry.storedIds.filter(id => !current.has(id));
+    });
+    const removedIds = plan.removed.flatMap(entry => entry.storedIds);
+
+    let deletedCount = 0;
+    let removeError = null;
+    if (!dryRun) {
+      try {
+        deletedCount = await remove(stale.concat(removedIds), { namespace, batchSize });
+      } catch (error) {
+        if (failFast) throw error;
+        removeError = error.message;
+      }
+    }
+    plan.removed.forEach(entry => finish({
+      id: entry.id,
+      change: 'removed',
+      status: dryRun ? 'dry-run' : removeError ? 'failed' : 'removed',
+      chunks: entry.storedIds.length,
+      tokens: 0,
+      ...(removeError ? { error: removeError } : {})
+    }));
+
+    // Source order, then the removed documents
+    const ordered = plan.added.concat(plan.changed, plan.unchanged)
+      .sort((a, b) => a.index - b.index)
+      .concat(plan.removed)
+      .map(entry => reports.get(entry.id));
+    const summary = {
+      added: plan.added.length,
+      changed: plan.changed.length,
+      removed: plan.removed.length,
+      unchanged: plan.unchanged.length,
+      failed: ordered.filter(report => report.status === 'failed').length
+    };
+
+    return { documents: ordered, summary, chunksCount, deletedCount };
+  }
+
+  return {
+    ingest,
+    sync,
+    remove
+  };
+}
+
+module.exports = {
+  createIngester,
+  prepareDocument,
+  loadDocumentFiles,
+  hashDocument,
+  DEFAULT_BATCH_SIZE
+};
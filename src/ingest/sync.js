@@ -0,0 +1,103 @@
+/**
+ * Incremental sync
+ *
+ * Every chunk is stored with the contentHash of the document it came from -
+ * a hash of its text, metadata and the chunking options. Syncing a source
+ * (the full set of documents a namespace should hold) compares those hashes
+ * with what is stored:
+ *
+ *   added     - in the source, not stored: embedded and upserted
+ *   changed   - stored with a different hash (or none): re-embedded, and
+ *               chunks the new version no longer has are deleted
+ *   removed   - stored, no longer in the source: all its chunks are deleted
+ *   unchanged - same hash: left alone
+ *
+ * Documents without an id get one from their content, so uploading the same
+ * document twice overwrites it instead of adding a copy.
+ */
+
+const crypto = require('crypto');
+
+// JSON with sorted keys, so metadata order doesn't change the hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a document's content
+ * @param {object} doc - { text, metadata }
+ * @param {object} [chunking] - Resolved chunking options; included so re-chunking counts as a change
+ * @returns {string} sha256 hex digest
+ */
+function hashDocument(doc, chunking = null) {
+  const { strategy, maxTokens, overlapTokens } = chunking || {};
+  const content = { text: doc.text, metadata: doc.metadata || {}, chunking: chunking ? { strategy, maxTokens, overlapTokens } : null };
+  return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+// The document's own id, or one derived from its content
+function documentId(doc) {
+  return doc.id || `doc-${hashDocument(doc).slice(0, 16)}`;
+}
+
+/**
+ * Group stored chunks by the document they came from
+ * @param {Array<{ id, metadata }>} records - From vectorStore.list()
+ * @returns {Map<string, { ids: string[], contentHash: string|null }>}
+ */
+function groupStoredDocuments(records) {
+  const stored = new Map();
+  records.forEach(({ id, metadata = {} }) => {
+    const docId = metadata.originalDocId || id;
+    if (!stored.has(docId)) stored.set(docId, { ids: [], contentHash: metadata.contentHash || null });
+    const entry = stored.get(docId);
+    entry.ids.push(id);
+    // Chunks of one upload share a hash - a mix means an upload was interrupted, so treat it as changed
+    if (entry.contentHash !== (metadata.contentHash || null)) entry.contentHash = null;
+  });
+  return stored;
+}
+
+/**
+ * Compare a source with what is stored
+ * @param {object[]} documents - The full source: [{ id, text, metadata }]
+ * @param {Map} stored - From groupStoredDocuments
+ * @param {object} chunking - Resolved chunking options
+ * @returns {{ added: object[], changed: object[], removed: object[], unchanged: object[] }}
+ *   source entries are { id, index, doc, contentHash, storedIds }, removed entries { id, storedIds }
+ */
+function planSync(documents, stored, chunking) {
+  const plan = { added: [], changed: [], removed: [], unchanged: [] };
+  const seen = new Set();
+
+  documents.forEach((doc, index) => {
+    const id = documentId(doc);
+    const contentHash = hashDocument(doc, chunking);
+    const existing = stored.get(id);
+    const entry = { id, index, doc: { ...doc, id }, contentHash, storedIds: existing ? existing.ids : [] };
+    seen.add(id);
+
+    if (!existing) plan.added.push(entry);
+    else if (existing.contentHash !== contentHash) plan.changed.push(entry);
+    else plan.unchanged.push(entry);
+  });
+
+  stored.forEach(({ ids }, id) => {
+    if (!seen.has(id)) plan.removed.push({ id, storedIds: ids });
+  });
+
+  return plan;
+}
+
+module.exports = {
+  hashDocument,
+  documentId,
+  groupStoredDocuments,
+  planSync
+};
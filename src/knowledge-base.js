@@ -0,0 +1,154 @@
+/**
+ * Knowledge base administration
+ *
+ * What the admin API needs to look inside the vector store and take things
+ * out of it, without the Pinecone console:
+ *
+ *   listDocuments({ namespace, filter, page, pageSize }) -> { documents, pagination }
+ *   deleteDocument(id, { namespace })                    -> { id, deletedCount, chunkIds } | null
+ *   listNamespaces()                                     -> [{ namespace, recordCount }]
+ *   describeNamespace(namespace)                         -> { namespace, recordCount, documentCount, types } | null
+ *   deleteNamespace(namespace)                           -> { namespace, deletedCount } | null
+ *
+ * Documents are what was uploaded: their chunks ("<id>-chunk-N") are listed
+ * together, and deleted together by id prefix. Listing filters go to the
+ * store as metadata filters; only code fields, which match loosely, are
+ * checked here. Deletes also reach the BM25 index and the course graph;
+ * clearing cached answers is left to the caller.
+ */
+
+const { paginate, codesMatch, INTERNAL_FIELDS } = require('./catalogue');
+
+// Metadata fields GET /api/documents can filter on
+const FILTER_FIELDS = ['type', 'course_code', 'module_code', 'year', 'semester', 'assessment_type', 'source'];
+
+// Codes match like the catalogue's (brackets and case ignored), other fields as strings
+function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([field, expected]) => {
+    if (expected === undefined || expected === null || expected === '') return true;
+    return field.endsWith('_code')
+      ? codesMatch(metadata[field], expected)
+      : String(metadata[field]) === String(expected);
+  });
+}
+
+// The store's share of a listing filter: exact fields, as strings or numbers (year may be stored as 1 or '1')
+function storeFilter(filter) {
+  const conditions = {};
+  Object.entries(filter).forEach(([field, expected]) => {
+    if (expected === undefined || expected === null || expected === '' || field.endsWith('_code')) return;
+    const value = String(expected);
+    conditions[field] = { $in: value.trim() !== '' && !Number.isNaN(Number(value)) ? [value, Number(value)] : [value] };
+  });
+  return conditions;
+}
+
+// Collapse chunks into one entry per uploaded document
+function groupDocuments(records) {
+  const documents = new Map();
+
+  records.forEach(({ id, metadata = {} }) => {
+    const docId = metadata.originalDocId || id;
+    if (!documents.has(docId)) {
+      const entry = {
+        id: docId,
+        chunks: 0,
+        uploadedAt: metadata.uploadTimestamp ? new Date(metadata.uploadTimestamp).toISOString() : null,
+        contentHash: metadata.contentHash || null,
+        metadata: {}
+      };
+      Object.entries(metadata).forEach(([key, value]) => {
+        if (!INTERNAL_FIELDS.includes(key)) entry.metadata[key] = value;
+      });
+      documents.set(docId, entry);
+    }
+    documents.get(docId).chunks++;
+  });
+
+  return Array.from(documents.values());
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.vectorStore - From src/vector-store
+ * @param {object} deps.ingester - From src/ingest (remove() deletes chunks everywhere they are indexed)
+ * @param {object} [deps.lexicalIndex] - BM25 index, or null when LEXICAL_INDEX=off
+ * @param {object} [deps.graphIndex] - Course graph, or null when GRAPH_INDEX=off
+ */
+function createKnowledgeBase({ vectorStore, ingester, lexicalIndex = null, graphIndex = null }) {
+  async function listDocuments({ namespace = '', filter = {}, ...pageOptions } = {}) {
+    const records = await vectorStore.list(storeFilter(filter), { namespace });
+    const documents = groupDocuments(records)
+      .filter(document => matchesFilter(document.metadata, filter))
+      .sort((a, b) => a.id.localeCompare(b.id, 'en', { numeric: true }));
+
+    const { items, pagination } = paginate(documents, pageOptions);
+    return { documents: items, pagination };
+  }
+
+  // A document's own record (single-chunk uploads) and every "<id>-chunk-N" record
+  async function findChunkIds(id, { namespace = '' } = {}) {
+    const [chunks, own] = await Promise.all([
+      vectorStore.list({ originalDocId: id }, { namespace, prefix: `${id}-chunk-` }),
+      vectorStore.fetch([id], { namespace })
+    ]);
+    return Array.from(new Set(own.map(record => record.id).concat(chunks.map(record => record.id))));
+  }
+
+  async function deleteDocument(id, { namespace = '' } = {}) {
+    const chunkIds = await findChunkIds(id, { namespace });
+    if (chunkIds.length === 0) return null;
+
+    const deletedCount = await ingester.remove(chunkIds, { namespace });
+    return { id, deletedCount, chunkIds };
+  }
+
+  async function listNamespaces() {
+    const { namespaces } = await vectorStore.stats();
+    return Object.entries(namespaces || {})
+      .map(([namespace, { recordCount }]) => ({ namespace, recordCount }))
+      .sort((a, b) => a.namespace.localeCompare(b.namespace));
+  }
+
+  async function describeNamespace(namespace) {
+    const { namespaces } = await vectorStore.stats();
+    if (!namespaces || !namespaces[namespace]) return null;
+
+    const documents = groupDocuments(await vectorStore.list({}, { namespace }));
+    const types = {};
+    documents.forEach(document => {
+      const type = document.metadata.type || 'untyped';
+      types[type] = (types[type] || 0) + 1;
+    });
+
+    return {
+      namespace,
+      recordCount: namespaces[namespace].recordCount,
+      documentCount: documents.length,
+      types
+    };
+  }
+
+  async function deleteNamespace(namespace) {
+    const { namespaces } = await vectorStore.stats();
+    if (!namespaces || !namespaces[namespace]) return null;
+
+    await vectorStore.deleteAll({ namespace });
+    if (lexicalIndex) await lexicalIndex.clear({ namespace });
+    if (graphIndex) await graphIndex.clear({ namespace });
+    return { namespace, deletedCount: namespaces[namespace].recordCount };
+  }
+
+  return {
+    listDocuments,
+    deleteDocument,
+    listNamespaces,
+    describeNamespace,
+    deleteNamespace
+  };
+}
+
+module.exports = {
+  createKnowledgeBase,
+  FILTER_FIELDS
+};
@@ -0,0 +1,196 @@
+/**
+ * BM25 lexical index
+ *
+ * An inverted index over each record's text and key metadata fields, scored
+ * with Okapi BM25. It finds what embeddings are bad at - exact module codes
+ * ("W_HTH4C042R"), tutor surnames and other rare tokens - and is fused with
+ * the vector results (see src/core/fusion.js).
+ *
+ * Records are kept per namespace as { id, metadata, terms: { term: count }, length };
+ * the postings and document frequencies are derived from them, so only the
+ * records need persisting (toJSON / createBM25Index(snapshot)).
+ *
+ * Pure JavaScript with no I/O, so it runs on the server and in the Worker.
+ */
+
+const { matchesFilter } = require('../vector-store/filter');
+
+// Metadata fields indexed alongside the text (values are repeated in the text of most records)
+const INDEXED_FIELDS = [
+  'module_code', 'module_title', 'course_code', 'course_title',
+  'assessment_type', 'tutor', 'module_leader', 'lecturer', 'contact'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'this', 'that', 'to',
+  'was', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+// "W_HTH4C042R-2025.26 Assessments" -> ['w_hth4c042r', '2025', '26', 'assessment']
+// Underscores stay inside tokens so module codes survive; a trailing plural "s" is dropped
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9_]+/)
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(token => (token.length > 4 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+// Text that gets indexed for a record
+function indexedText(metadata = {}) {
+  const fields = INDEXED_FIELDS
+    .map(field => metadata[field])
+    .filter(value => value !== undefined && value !== null && typeof value !== 'object');
+  return [metadata.text || '', ...fields].join(' ');
+}
+
+function countTerms(tokens) {
+  const terms = {};
+  tokens.forEach(token => {
+    terms[token] = (terms[token] || 0) + 1;
+  });
+  return terms;
+}
+
+/**
+ * @param {object} [snapshot] - Output of toJSON() to start from
+ * @param {object} [options]
+ * @param {number} [options.k1] - Term frequency saturation (default 1.2)
+ * @param {number} [options.b] - Length normalisation (default 0.75)
+ */
+function createBM25Index(snapshot = null, { k1 = DEFAULT_K1, b = DEFAULT_B } = {}) {
+  // { [namespace]: { [id]: { id, metadata, terms, length } } }
+  const namespaces = (snapshot && snapshot.namespaces) || {};
+  // { [namespace]: { postings: Map<term, Set<id>>, totalLength } } - rebuilt on first search after a change
+  const derived = {};
+
+  function getNamespace(namespace, create = false) {
+    if (!namespaces[namespace] && create) {
+      namespaces[namespace] = {};
+    }
+    return namespaces[namespace] || {};
+  }
+
+  function derive(namespace) {
+    if (derived[namespace]) return derived[namespace];
+
+    const postings = new Map();
+    let totalLength = 0;
+    Object.values(getNamespace(namespace)).forEach(record => {
+      totalLength += record.length;
+      Object.keys(record.terms).forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(record.id);
+      });
+    });
+
+    derived[namespace] = { postings, totalLength };
+    return derived[namespace];
+  }
+
+  /**
+   * Index records (same shape as vector store records; values are ignored)
+   * @param {Array<{id, metadata}>} records
+   */
+  function add(records, { namespace = '' } = {}) {
+    const target = getNamespace(namespace, true);
+    records.forEach(record => {
+      const tokens = tokenize(indexedText(record.metadata));
+      target[record.id] = {
+        id: record.id,
+        metadata: record.metadata || {},
+        terms: countTerms(tokens),
+        length: tokens.length
+      };
+    });
+    delete derived[namespace];
+    return { indexedCount: records.length };
+  }
+
+  function remove(ids, { namespace = '' } = {}) {
+    const target = getNamespace(namespace);
+    let removedCount = 0;
+    (ids || []).forEach(id => {
+      if (target[id]) {
+        delete target[id];
+        removedCount++;
+      }
+    });
+    delete derived[namespace];
+    return { removedCount };
+  }
+
+  function clear({ namespace = '' } = {}) {
+    delete namespaces[namespace];
+    delete derived[namespace];
+    return { namespace };
+  }
+
+  /**
+   * BM25 search
+   * @param {string} query
+   * @param {object} [options] - { namespace, topK, filter } (filter uses the vector store's Pinecone-style syntax)
+   * @returns {Array<{id, score, metadata}>} highest score first; only records sharing a term with the query
+   */
+  function search(query, { namespace = '', topK = 10, filter = {} } = {}) {
+    const records = getNamespace(namespace);
+    const documentCount = Object.keys(records).length;
+    if (documentCount === 0) return [];
+
+    const { postings, totalLength } = derive(namespace);
+    const averageLength = totalLength / documentCount || 1;
+    const scores = new Map();
+
+    new Set(tokenize(query)).forEach(term => {
+      const ids = postings.get(term);
+      if (!ids) return;
+
+      const idf = Math.log(1 + (documentCount - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach(id => {
+        const record = records[id];
+        const frequency = record.terms[term];
+        const termScore = idf * (frequency * (k1 + 1)) /
+          (frequency + k1 * (1 - b + b * (record.length / averageLength)));
+        scores.set(id, (scores.get(id) || 0) + termScore);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([id, score]) => ({ id, score, metadata: records[id].metadata }))
+      .filter(match => matchesFilter(match.metadata, filter))
+      .sort((x, y) => y.score - x.score)
+      .slice(0, topK);
+  }
+
+  function stats() {
+    const summary = {};
+    Object.entries(namespaces).forEach(([name, records]) => {
+      summary[name] = { recordCount: Object.keys(records).length };
+    });
+    return { namespaces: summary };
+  }
+
+  function toJSON() {
+    return { namespaces };
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    search,
+    stats,
+    toJSON
+  };
+}
+
+module.exports = {
+  createBM25Index,
+  tokenize,
+  indexedText,
+  INDEXED_FIELDS
+};
@@ -0,0 +1,32 @@
+/**
+ * File-backed lexical index
+ *
+ * Keeps the BM25 snapshot in a JSON file next to the local vector store
+ * (LEXICAL_INDEX_PATH, default ./data/lexical-index.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLexicalIndex } = require('./store');
+
+/**
+ * @param {object} options
+ * @param {string} options.filePath - JSON file to persist to
+ */
+function createFileLexicalIndex({ filePath }) {
+  return createLexicalIndex({
+    backend: 'file',
+    load: async () => (fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : null),
+    save: async snapshot => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      // Write-then-rename so a crash never leaves a half-written index
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+      fs.renameSync(tempPath, filePath);
+    }
+  });
+}
+
+module.exports = {
+  createFileLexicalIndex
+};
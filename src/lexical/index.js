@@ -0,0 +1,65 @@
+/**
+ * Lexical (BM25) Index
+ *
+ * Every backend returns an object with the same async methods:
+ *
+ *   add(records, { namespace })              -> { indexedCount }   records: [{ id, metadata }]
+ *   remove(ids, { namespace })               -> { removedCount }
+ *   clear({ namespace })                     -> { namespace }
+ *   rebuild(records, { namespace })          -> { indexedCount }   replaces the namespace
+ *   search(query, { namespace, topK, filter }) -> [{ id, score, metadata }] sorted by BM25 score
+ *   stats()                                  -> { backend, namespaces: { [ns]: { recordCount } } }
+ *
+ * Backends:
+ *   file   - JSON file next to the vectors, survives restarts (default)
+ *   memory - lost on restart, for tests
+ *   kv     - Cloudflare Workers KV (used by the Worker, see kv-store.js)
+ *   off    - no lexical search; retrieval is vector-only
+ *
+ * Select with LEXICAL_INDEX=file|memory|off. The file backend stores data in
+ * LEXICAL_INDEX_PATH (default ./data/lexical-index.json). The server indexes
+ * every upload; POST /api/search-index/rebuild re-indexes a namespace from
+ * the vector store (e.g. after uploading straight to Pinecone).
+ */
+
+const path = require('path');
+const { createBM25Index, tokenize } = require('./bm25');
+const { createLexicalIndex } = require('./store');
+const { createFileLexicalIndex } = require('./file-store');
+const { createKVLexicalIndex } = require('./kv-store');
+
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'lexical-index.json');
+
+/**
+ * Create the configured lexical index
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @returns {object|null} null when LEXICAL_INDEX=off
+ */
+function createLexicalIndexFromEnv(env = process.env) {
+  const backend = (env.LEXICAL_INDEX || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return createFileLexicalIndex({
+        filePath: env.LEXICAL_INDEX_PATH || DEFAULT_FILE_PATH
+      });
+
+    case 'memory':
+      return createLexicalIndex({ backend: 'memory' });
+
+    case 'off':
+      return null;
+
+    default:
+      throw new Error(`Unknown LEXICAL_INDEX "${backend}" (expected file, memory or off)`);
+  }
+}
+
+module.exports = {
+  createLexicalIndexFromEnv,
+  createLexicalIndex,
+  createFileLexicalIndex,
+  createKVLexicalIndex,
+  createBM25Index,
+  tokenize
+};
@@ -0,0 +1,27 @@
+/**
+ * Cloudflare Workers KV lexical index
+ *
+ * The whole BM25 snapshot is one KV entry ("lexical-index"), loaded once per
+ * isolate. The Worker has no upload route, so the entry is normally copied
+ * from the server's data/lexical-index.json (see CLOUDFLARE-DEPLOYMENT.md).
+ */
+
+const { createLexicalIndex } = require('./store');
+
+const KV_KEY = 'lexical-index';
+
+/**
+ * @param {object} kv - KV namespace binding (env.SEARCH_INDEX)
+ */
+function createKVLexicalIndex(kv) {
+  return createLexicalIndex({
+    backend: 'kv',
+    load: () => kv.get(KV_KEY, 'json'),
+    save: snapshot => kv.put(KV_KEY, JSON.stringify(snapshot))
+  });
+}
+
+module.exports = {
+  createKVLexicalIndex,
+  KV_KEY
+};
@@ -0,0 +1,79 @@
+/**
+ * Persistent lexical index
+ *
+ * Wraps the BM25 index with a snapshot loader and saver. The snapshot is
+ * loaded on first use and saved after every change.
+ */
+
+const { createBM25Index } = require('./bm25');
+
+/**
+ * @param {object} options
+ * @param {string} options.backend - Name reported by stats() and /api/health
+ * @param {Function} [options.load] - async () => snapshot | null
+ * @param {Function} [options.save] - async (snapshot) => void
+ */
+function createLexicalIndex({ backend, load = async () => null, save = async () => {} }) {
+  let index = null;
+  let loading = null;
+
+  async function getIndex() {
+    if (index) return index;
+    if (!loading) {
+      loading = Promise.resolve(load()).then(snapshot => {
+        index = createBM25Index(snapshot);
+        return index;
+      });
+    }
+    return loading;
+  }
+
+  async function add(records, { namespace = '' } = {}) {
+    const result = (await getIndex()).add(records, { namespace });
+    await save(index.toJSON());
+    return result;
+  }
+
+  async function remove(ids, { namespace = '' } = {}) {
+    const result = (await getIndex()).remove(ids, { namespace });
+    await save(index.toJSON());
+    return result;
+  }
+
+  async function clear({ namespace = '' } = {}) {
+    const result = (await getIndex()).clear({ namespace });
+    await save(index.toJSON());
+    return result;
+  }
+
+  // Replace a namespace's records in one save (used to build the index from the vector store)
+  async function rebuild(records, { namespace = '' } = {}) {
+    const current = await getIndex();
+    current.clear({ namespace });
+    const result = current.add(records, { namespace });
+    await save(current.toJSON());
+    return result;
+  }
+
+  async function search(query, options = {}) {
+    return (await getIndex()).search(query, options);
+  }
+
+  async function stats() {
+    return { backend, ...(await getIndex()).stats() };
+  }
+
+  return {
+    backend,
+    add,
+    remove,
+    clear,
+    rebuild,
+    search,
+    stats
+  };
+}
+
+module.exports = {
+  createLexicalIndex
+};
@@ -0,0 +1,136 @@
+/**
+ * Google Gemini provider adapters
+ *
+ * Uses the Generative Language REST API (v1beta) with fetch, shared by the
+ * Express server and the Cloudflare Worker.
+ */
+
+const { readEventStream } = require('../sse');
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+async function post(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const error = await response.text();
+    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+  }
+
+  return response;
+}
+
+// Gemini calls the assistant "model" and takes system prompts separately
+function toGeminiRequest(messages, { temperature, maxOutputTokens } = {}) {
+  const system = messages.filter(message => message.role === 'system');
+  const request = {
+    contents: messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      }))
+  };
+
+  if (system.length > 0) {
+    request.systemInstruction = { parts: system.map(message => ({ text: message.content })) };
+  }
+
+  const generationConfig = {};
+  if (temperature !== undefined) generationConfig.temperature = temperature;
+  if (maxOutputTokens !== undefined) generationConfig.maxOutputTokens = maxOutputTokens;
+  if (Object.keys(generationConfig).length > 0) request.generationConfig = generationConfig;
+
+  return request;
+}
+
+function extractText(data) {
+  return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ */
+function createGeminiChat({ apiKey, model = 'gemini-2.5-flash-lite-preview-09-2025' } = {}) {
+  if (!apiKey) {
+    throw new Error('Gemini chat requires an API key (GEMINI_API_KEY)');
+  }
+
+  const modelUrl = `${GEMINI_BASE_URL}/models/${model}`;
+
+  async function generate(messages, options) {
+    const response = await post(`${modelUrl}:generateContent?key=${apiKey}`, toGeminiRequest(messages, options));
+    return extractText(await response.json());
+  }
+
+  async function* stream(messages, options) {
+    const response = await post(`${modelUrl}:streamGenerateContent?alt=sse&key=${apiKey}`, toGeminiRequest(messages, options));
+
+    for await (const event of readEventStream(response)) {
+      const text = extractText(JSON.parse(event.data));
+      if (text) yield text;
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    generate,
+    stream
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model]
+ * @param {number} [options.dimensions] - outputDimensionality (defaults to the model's native size)
+ */
+function createGeminiEmbeddings({ apiKey, model = 'text-embedding-004', dimensions = null } = {}) {
+  if (!apiKey) {
+    throw new Error('Gemini embeddings require an API key (GEMINI_API_KEY)');
+  }
+
+  const modelName = `models/${model}`;
+
+  function buildRequest(text) {
+    const request = { model: modelName, content: { parts: [{ text }] } };
+    if (dimensions) request.outputDimensionality = dimensions;
+    return request;
+  }
+
+  async function embedMany(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await post(
+      `${GEMINI_BASE_URL}/${modelName}:batchEmbedContents?key=${apiKey}`,
+      { requests: texts.map(buildRequest) }
+    );
+    const data = await response.json();
+    return data.embeddings.map(embedding => embedding.values);
+  }
+
+  async function embed(text) {
+    const [embedding] = await embedMany([text]);
+    return embedding;
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    dimension: dimensions || (model === 'text-embedding-004' ? 768 : null),
+    embed,
+    embedMany
+  };
+}
+
+module.exports = {
+  createGeminiChat,
+  createGeminiEmbeddings
+};
@@ -0,0 +1,116 @@
+/**
+ * Model Providers
+ *
+ * Embedding providers:
+ *   { name, model, dimension, embed(text) -> number[], embedMany(texts) -> number[][] }
+ *
+ * Chat providers:
+ *   { name, model, generate(messages, options) -> string, stream(messages, options) -> async iterable of text deltas }
+ *   messages: [{ role: 'system' | 'user' | 'assistant', content }]
+ *   options:  { temperature, maxOutputTokens }
+ *
+ * Selection (process.env on the server, the Worker env on Cloudflare):
+ *   EMBEDDING_PROVIDER  openai (default) | gemini | local | hash
+ *   CHAT_PROVIDER       gemini (default) | openai | local | canned
+ *   EMBEDDING_MODEL, EMBEDDING_DIMENSIONS, CHAT_MODEL  override the provider defaults
+ *   LOCAL_LLM_BASE_URL, LOCAL_LLM_API_KEY             OpenAI-compatible local server
+ *   CANNED_CHAT_RESPONSE                              reply used by the canned provider
+ *
+ * Embeddings must be produced by the same provider/model at upload and query
+ * time - vectors from different models are not comparable.
+ */
+
+const { createOpenAIEmbeddings, createOpenAIChat } = require('./openai');
+const { createGeminiEmbeddings, createGeminiChat } = require('./gemini');
+const { createHashEmbeddings, createCannedChat } = require('./offline');
+
+const DEFAULT_LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+
+// EMBEDDING_DIMENSIONS, or undefined for the model's own size
+function parseEmbeddingDimensions(env = {}) {
+  const value = env.EMBEDDING_DIMENSIONS;
+  if (value === undefined || value === '') return undefined;
+
+  const dimensions = Number(value);
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error('EMBEDDING_DIMENSIONS must be a positive integer');
+  }
+  return dimensions;
+}
+
+/**
+ * Create the configured embedding provider
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @param {object} [defaultModels] - Per-provider fallback models when EMBEDDING_MODEL isn't set, e.g. { openai: 'text-embedding-3-large' }
+ */
+function createEmbeddingProvider(env = process.env, defaultModels = {}) {
+  const provider = (env.EMBEDDING_PROVIDER || 'openai').toLowerCase();
+  const model = env.EMBEDDING_MODEL || defaultModels[provider];
+  const dimensions = parseEmbeddingDimensions(env);
+
+  switch (provider) {
+    case 'openai':
+      return createOpenAIEmbeddings({ apiKey: env.OPENAI_API_KEY, model, dimensions });
+
+    case 'gemini':
+      return createGeminiEmbeddings({ apiKey: env.GEMINI_API_KEY, model, dimensions });
+
+    case 'local':
+      return createOpenAIEmbeddings({
+        name: 'local',
+        apiKey: env.LOCAL_LLM_API_KEY,
+        baseUrl: env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_LLM_BASE_URL,
+        model: model || 'nomic-embed-text',
+        dimensions
+      });
+
+    case 'hash':
+      return createHashEmbeddings({ dimensions });
+
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${provider}" (expected openai, gemini, local or hash)`);
+  }
+}
+
+/**
+ * Create the configured chat provider
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @param {object} [defaultModels] - Per-provider fallback models when CHAT_MODEL isn't set, e.g. { gemini: 'gemini-2.0-flash-lite' }
+ */
+function createChatProvider(env = process.env, defaultModels = {}) {
+  const provider = (env.CHAT_PROVIDER || 'gemini').toLowerCase();
+  const model = env.CHAT_MODEL || defaultModels[provider];
+
+  switch (provider) {
+    case 'gemini':
+      return createGeminiChat({ apiKey: env.GEMINI_API_KEY, model });
+
+    case 'openai':
+      return createOpenAIChat({ apiKey: env.OPENAI_API_KEY, model });
+
+    case 'local':
+      return createOpenAIChat({
+        name: 'local',
+        apiKey: env.LOCAL_LLM_API_KEY,
+        baseUrl: env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_LLM_BASE_URL,
+        model: model || 'llama3.1'
+      });
+
+    case 'canned':
+      return createCannedChat({ response: env.CANNED_CHAT_RESPONSE || undefined });
+
+    default:
+      throw new Error(`Unknown CHAT_PROVIDER "${provider}" (expected gemini, openai, local or canned)`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createChatProvider,
+  createOpenAIEmbeddings,
+  createOpenAIChat,
+  createGeminiEmbeddings,
+  createGeminiChat,
+  createHashEmbeddings,
+  createCannedChat
+};
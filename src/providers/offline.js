@@ -0,0 +1,98 @@
+/**
+ * Offline provider stand-ins
+ *
+ * Deterministic, network-free providers for tests, CI and local development:
+ *   - hashing embeddings: feature-hashed word unigrams + bigrams, so texts that
+ *     share words land close together and the same text always embeds the same
+ *   - canned chat: fixed responses, optionally chosen by pattern
+ */
+
+const DEFAULT_CANNED_RESPONSE = 'This is a canned response from the offline chat provider.';
+
+// 32-bit FNV-1a hash
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.dimensions] - Defaults to 1536 so it fits a text-embedding-3-small index
+ */
+function createHashEmbeddings({ dimensions = 1536 } = {}) {
+  function embed(text) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [
+      ...tokens,
+      ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+    ];
+
+    features.forEach(feature => {
+      const hash = hashString(feature);
+      // Low bits pick the slot, top bit the sign (keeps collisions unbiased)
+      vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  return {
+    name: 'hash',
+    model: `hash-${dimensions}`,
+    dimension: dimensions,
+    embed: async text => embed(text),
+    embedMany: async texts => texts.map(embed)
+  };
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.response] - Default reply
+ * @param {Array<{pattern: RegExp|string, response: string}>} [options.responses] - Checked against the last user message, first match wins
+ */
+function createCannedChat({ response = DEFAULT_CANNED_RESPONSE, responses = [] } = {}) {
+  function pickResponse(messages) {
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser ? lastUser.content : '';
+
+    const rule = responses.find(({ pattern }) =>
+      pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern)
+    );
+    return rule ? rule.response : response;
+  }
+
+  async function generate(messages) {
+    return pickResponse(messages);
+  }
+
+  // Yield word by word so streaming consumers see several deltas
+  async function* stream(messages) {
+    const parts = pickResponse(messages).match(/\S+\s*/g) || [];
+    for (const part of parts) {
+      yield part;
+    }
+  }
+
+  return {
+    name: 'canned',
+    model: 'canned',
+    generate,
+    stream
+  };
+}
+
+module.exports = {
+  createHashEmbeddings,
+  createCannedChat,
+  DEFAULT_CANNED_RESPONSE
+};
@@ -0,0 +1,133 @@
+/**
+ * OpenAI provider adapters
+ *
+ * Plain fetch against the OpenAI REST API so the same code runs in Node and
+ * in the Cloudflare Worker. Pass `baseUrl` to talk to any OpenAI-compatible
+ * server instead (Ollama, LM Studio, vLLM, llama.cpp...).
+ */
+
+const { readEventStream } = require('../sse');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+function createClient({ apiKey, baseUrl = OPENAI_BASE_URL, label = 'OpenAI' }) {
+  const root = baseUrl.replace(/\/$/, '');
+
+  return async function post(path, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${root}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`${label} API error: ${response.status} - ${error}`);
+    }
+
+    return response;
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.apiKey] - Required for api.openai.com, optional for local servers
+ * @param {string} [options.model]
+ * @param {number} [options.dimensions] - Output size (text-embedding-3 models support shortening)
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.name] - Provider name reported to callers
+ */
+function createOpenAIEmbeddings({ apiKey, model = 'text-embedding-3-small', dimensions = null, baseUrl, name = 'openai' } = {}) {
+  if (!apiKey && !baseUrl) {
+    throw new Error('OpenAI embeddings require an API key (OPENAI_API_KEY)');
+  }
+
+  const post = createClient({ apiKey, baseUrl, label: name === 'openai' ? 'OpenAI' : `Embedding (${name})` });
+
+  async function embedMany(texts) {
+    if (texts.length === 0) return [];
+
+    const body = { model, input: texts };
+    if (dimensions) body.dimensions = dimensions;
+
+    const response = await post('/embeddings', body);
+    const data = await response.json();
+
+    // Responses carry an index per input - don't rely on ordering
+    return data.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async function embed(text) {
+    const [embedding] = await embedMany([text]);
+    return embedding;
+  }
+
+  return {
+    name,
+    model,
+    dimension: dimensions || (model === 'text-embedding-3-small' ? 1536 : null),
+    embed,
+    embedMany
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} [options.apiKey]
+ * @param {string} [options.model]
+ * @param {string} [options.baseUrl]
+ * @param {string} [options.name]
+ */
+function createOpenAIChat({ apiKey, model = 'gpt-4o-mini', baseUrl, name = 'openai' } = {}) {
+  if (!apiKey && !baseUrl) {
+    throw new Error('OpenAI chat requires an API key (OPENAI_API_KEY)');
+  }
+
+  const post = createClient({ apiKey, baseUrl, label: name === 'openai' ? 'OpenAI' : `Chat (${name})` });
+
+  function buildBody(messages, { temperature, maxOutputTokens } = {}) {
+    const body = {
+      model,
+      messages: messages.map(message => ({ role: message.role, content: message.content }))
+    };
+    if (temperature !== undefined) body.temperature = temperature;
+    if (maxOutputTokens !== undefined) body.max_tokens = maxOutputTokens;
+    return body;
+  }
+
+  async function generate(messages, options) {
+    const response = await post('/chat/completions', buildBody(messages, options));
+    const data = await response.json();
+    return data.choices?.[0]?.message?.content || '';
+  }
+
+  async function* stream(messages, options) {
+    const response = await post('/chat/completions', { ...buildBody(messages, options), stream: true });
+
+    for await (const event of readEventStream(response)) {
+      if (event.data === '[DONE]') return;
+
+      const text = JSON.parse(event.data).choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  return {
+    name,
+    model,
+    generate,
+    stream
+  };
+}
+
+module.exports = {
+  createOpenAIEmbeddings,
+  createOpenAIChat
+};
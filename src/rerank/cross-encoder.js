@@ -0,0 +1,65 @@
+/**
+ * Cross-encoder reranker
+ *
+ * Calls a hosted or self-hosted cross-encoder over HTTP - POST {url}/rerank
+ * with { query, texts } (or { query, documents } for Cohere/Jina-style APIs).
+ * Works with Hugging Face text-embeddings-inference running a reranker such
+ * as BAAI/bge-reranker-base, and with Cohere- or Jina-compatible endpoints.
+ *
+ * Accepted responses:
+ *   [{ index, score }]                          text-embeddings-inference
+ *   { results: [{ index, relevance_score }] }   Cohere / Jina
+ */
+
+function candidateText(match) {
+  const metadata = match.metadata || {};
+  const title = [metadata.module_code, metadata.module_title || metadata.course_title, metadata.assessment_type]
+    .filter(Boolean)
+    .join(' - ');
+  return title ? `${title}\n${metadata.text || ''}` : String(metadata.text || '');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.url - Base URL of the rerank service
+ * @param {string} [options.apiKey] - Sent as a Bearer token
+ * @param {string} [options.model] - Sent as `model` (Cohere/Jina); selects the documents/top_n request shape
+ */
+function createCrossEncoderScorer({ url, apiKey, model } = {}) {
+  if (!url) {
+    throw new Error('The cross-encoder reranker needs RERANKER_URL');
+  }
+  const endpoint = `${url.replace(/\/$/, '')}/rerank`;
+
+  async function score(query, matches) {
+    const texts = matches.map(candidateText);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = model
+      ? { model, query, documents: texts, top_n: texts.length }
+      : { query, texts };
+
+    const response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Reranker API error: ${response.status} - ${error}`);
+    }
+
+    const data = await response.json();
+    const results = Array.isArray(data) ? data : data.results || [];
+    const scores = new Array(matches.length).fill(0);
+    results.forEach(result => {
+      scores[result.index] = result.score ?? result.relevance_score ?? 0;
+    });
+    return scores;
+  }
+
+  return { score };
+}
+
+module.exports = {
+  createCrossEncoderScorer
+};
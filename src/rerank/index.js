@@ -0,0 +1,81 @@
+/**
+ * Rerankers
+ *
+ * Retrieval can merge up to ~50 matches (main search, relaxed retry,
+ * calendar, hierarchy expansion, assessment secondary search). A reranker
+ * scores each one against the question, drops what scores too low and keeps
+ * the best within a token budget before <CONTEXT> is assembled:
+ *
+ *   rerank(query, matches) -> { matches, dropped, tokens }
+ *   kept matches carry rerank: { score, rank }, which also ends up in `sources`
+ *
+ * Scorers:
+ *   local         - BM25 over the candidates blended with cosine similarity, no model calls
+ *   llm           - LLM-as-judge with the configured chat provider (one extra call per question)
+ *   cross-encoder - HTTP rerank service (text-embeddings-inference, Cohere, Jina)
+ *   off           - no reranking (default)
+ *
+ * Selection (process.env on the server, the Worker env on Cloudflare):
+ *   RERANKER              off | local | llm | cross-encoder
+ *   RERANK_TOKEN_BUDGET   context tokens the kept matches may use (default 6000)
+ *   RERANK_MIN_SCORE      drop matches scoring below this, 0-1 (default 0)
+ *   RERANKER_URL, RERANKER_API_KEY, RERANKER_MODEL   cross-encoder service
+ */
+
+const { createReranker, estimateTokens, DEFAULT_TOKEN_BUDGET } = require('./stage');
+const { createLocalScorer } = require('./local');
+const { createLLMScorer } = require('./llm');
+const { createCrossEncoderScorer } = require('./cross-encoder');
+
+function parseNumber(value, name, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return number;
+}
+
+/**
+ * Create the configured reranker
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @param {object} [deps] - { chatProvider } for the llm reranker
+ * @returns {object|null} null when RERANKER=off
+ */
+function createRerankerFromEnv(env = process.env, { chatProvider } = {}) {
+  const name = (env.RERANKER || 'off').toLowerCase();
+  const options = {
+    name,
+    tokenBudget: parseNumber(env.RERANK_TOKEN_BUDGET, 'RERANK_TOKEN_BUDGET', DEFAULT_TOKEN_BUDGET),
+    minScore: parseNumber(env.RERANK_MIN_SCORE, 'RERANK_MIN_SCORE', 0)
+  };
+
+  switch (name) {
+    case 'off':
+      return null;
+
+    case 'local':
+      return createReranker({ ...options, ...createLocalScorer() });
+
+    case 'llm':
+      return createReranker({ ...options, ...createLLMScorer({ chatProvider }) });
+
+    case 'cross-encoder':
+      return createReranker({
+        ...options,
+        ...createCrossEncoderScorer({ url: env.RERANKER_URL, apiKey: env.RERANKER_API_KEY, model: env.RERANKER_MODEL })
+      });
+
+    default:
+      throw new Error(`Unknown RERANKER "${name}" (expected off, local, llm or cross-encoder)`);
+  }
+}
+
+module.exports = {
+  createRerankerFromEnv,
+  createReranker,
+  createLocalScorer,
+  createLLMScorer,
+  createCrossEncoderScorer,
+  estimateTokens
+};
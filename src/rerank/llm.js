@@ -0,0 +1,71 @@
+/**
+ * LLM-as-judge reranker
+ *
+ * Sends the question and every candidate (type, codes, titles and the start
+ * of its text) to the chat provider in one request and asks for a 0-10
+ * usefulness score per candidate. One extra model call per question.
+ */
+
+const EXCERPT_LENGTH = 500;
+const JUDGE_OPTIONS = { temperature: 0, maxOutputTokens: 512 };
+const LABEL_FIELDS = ['type', 'course_code', 'module_code', 'module_title', 'course_title', 'assessment_type', 'year'];
+
+function describeCandidate(match, idx) {
+  const metadata = match.metadata || {};
+  const labels = LABEL_FIELDS
+    .filter(field => metadata[field])
+    .map(field => `${field}: ${metadata[field]}`);
+  const text = String(metadata.text || '').replace(/\s+/g, ' ').slice(0, EXCERPT_LENGTH);
+  return `[${idx + 1}] (${labels.join(', ')})\n${text}`;
+}
+
+function buildJudgePrompt(query, matches) {
+  return `You are ranking search results for a student's question about University Centre Leeds courses.
+
+QUESTION: ${query}
+
+Rate how useful each document is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+Documents about a different course, module or assessment than the one asked about are irrelevant.
+Reply with only a JSON array of ${matches.length} numbers, one per document in order.
+
+${matches.map(describeCandidate).join('\n\n')}`;
+}
+
+// "Scores: [8, 2, 0]" -> [0.8, 0.2, 0]
+function parseScores(text, count) {
+  const found = String(text || '').match(/\[[\s\S]*?\]/);
+  let scores = null;
+  try {
+    scores = found ? JSON.parse(found[0]) : null;
+  } catch (error) {
+    scores = null;
+  }
+
+  if (!Array.isArray(scores) || scores.length !== count || !scores.every(value => typeof value === 'number')) {
+    throw new Error(`LLM reranker expected a JSON array of ${count} scores, got: ${String(text).slice(0, 100)}`);
+  }
+  return scores.map(value => Math.max(0, Math.min(10, value)) / 10);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.chatProvider - { generate(messages, options) }
+ */
+function createLLMScorer({ chatProvider }) {
+  if (!chatProvider) {
+    throw new Error('The llm reranker needs a chat provider');
+  }
+
+  async function score(query, matches) {
+    const text = await chatProvider.generate([{ role: 'user', content: buildJudgePrompt(query, matches) }], JUDGE_OPTIONS);
+    return parseScores(text, matches.length);
+  }
+
+  return { score };
+}
+
+module.exports = {
+  createLLMScorer,
+  buildJudgePrompt,
+  parseScores
+};
@@ -0,0 +1,36 @@
+/**
+ * Local reranker
+ *
+ * A lightweight scorer with no model calls: BM25 of the question over the
+ * candidate set itself (so a term that appears in every candidate counts for
+ * little), normalised to 0-1 and blended with the candidate's cosine
+ * similarity. Cheap enough to run on every question, server or Worker.
+ */
+
+const { createBM25Index } = require('../lexical/bm25');
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.lexicalWeight] - Share of the score from term overlap; the rest is cosine similarity (default 0.5)
+ */
+function createLocalScorer({ lexicalWeight = 0.5 } = {}) {
+  async function score(query, matches) {
+    const index = createBM25Index();
+    index.add(matches.map(({ id, metadata }) => ({ id, metadata })));
+
+    const lexicalScores = new Map(index.search(query, { topK: matches.length }).map(match => [match.id, match.score]));
+    const best = Math.max(0, ...lexicalScores.values());
+
+    return matches.map(match => {
+      const lexical = best > 0 ? (lexicalScores.get(match.id) || 0) / best : 0;
+      const vector = Math.max(0, Math.min(1, match.score || 0));
+      return lexicalWeight * lexical + (1 - lexicalWeight) * vector;
+    });
+  }
+
+  return { score };
+}
+
+module.exports = {
+  createLocalScorer
+};
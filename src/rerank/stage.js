@@ -0,0 +1,78 @@
+/**
+ * Rerank stage
+ *
+ * Wraps a scorer ({ score(query, matches) -> number[] in 0-1 }) with what
+ * every reranker does the same way: de-duplicate the candidates, sort them
+ * by score, drop the ones below the minimum and keep the best within a
+ * token budget. Each kept match gets `rerank: { score, rank }`.
+ */
+
+const { estimateTokens, matchTokens } = require('../core/budget');
+
+const DEFAULT_TOKEN_BUDGET = 6000;
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Reported in logs and health
+ * @param {Function} options.score - async (query, matches) => number[] (one 0-1 score per match)
+ * @param {number} [options.tokenBudget] - Context tokens the kept matches may use (default 6000)
+ * @param {number} [options.minScore] - Matches scoring below this are dropped (default 0 - keep all)
+ */
+function createReranker({ name, score, tokenBudget = DEFAULT_TOKEN_BUDGET, minScore = 0 }) {
+  /**
+   * Score, sort and trim the candidates
+   * The best match is always kept, even if it alone is over budget or below minScore
+   * @returns {Promise<{ matches, dropped: string[], tokens: number }>}
+   */
+  async function rerank(query, matches) {
+    const seen = new Set();
+    const candidates = matches.filter(match => {
+      if (seen.has(match.id)) return false;
+      seen.add(match.id);
+      return true;
+    });
+    if (candidates.length === 0) {
+      return { matches: [], dropped: [], tokens: 0 };
+    }
+
+    const scores = await score(query, candidates);
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+      throw new Error(`Reranker "${name}" returned ${scores?.length} scores for ${candidates.length} matches`);
+    }
+
+    // Ties keep the retrieval order
+    const ranked = candidates
+      .map((match, index) => ({ match, score: scores[index], index }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const kept = [];
+    const dropped = [];
+    let tokens = 0;
+    ranked.forEach(({ match, score: rerankScore }) => {
+      const cost = matchTokens(match);
+      const fits = kept.length === 0 || (rerankScore >= minScore && tokens + cost <= tokenBudget);
+      if (!fits) {
+        dropped.push(match.id);
+        return;
+      }
+      tokens += cost;
+      kept.push({ ...match, rerank: { score: rerankScore, rank: kept.length + 1 } });
+    });
+
+    return { matches: kept, dropped, tokens };
+  }
+
+  return {
+    name,
+    tokenBudget,
+    minScore,
+    rerank
+  };
+}
+
+module.exports = {
+  createReranker,
+  estimateTokens,
+  matchTokens,
+  DEFAULT_TOKEN_BUDGET
+};
@@ -0,0 +1,200 @@
+/**
+ * Course data validation
+ *
+ * Checks documents before they are indexed - in /api/upload and with
+ * `oracle-ingest validate` (bin/oracle-ingest.js). Every document must have
+ * text (document.schema.json), and documents whose metadata.type has a schema
+ * must match it:
+ *
+ *   course_overview    course-overview.schema.json
+ *   module             module.schema.json
+ *   assessment         assessment.schema.json
+ *   academic_calendar  academic-calendar.schema.json
+ *
+ * Other types (notes uploaded from the web UI, say) only need text.
+ *
+ * Errors reject the upload: schema violations, duplicate ids and an empty
+ * document list. Warnings are reported but don't stop it:
+ *
+ *   - assessments whose module_code matches no module, modules whose
+ *     course_code matches no course overview (or that have no course_code)
+ *   - module codes written with brackets ("[W_HTH4C042R-2025.26]")
+ *   - "Field: value" lines in the text that disagree with the metadata, e.g.
+ *     "Module Tutor: ..." when metadata.tutor is missing or different
+ *
+ *   validateDocuments(documents, { existing }) -> { valid, errors, warnings, counts }
+ *
+ * `existing` is metadata already in the namespace, so an upload of a single
+ * assessment isn't reported as an orphan when its module was uploaded before.
+ */
+
+const Ajv = require('ajv');
+const { normalizeModuleCode } = require('../catalogue');
+
+const SCHEMAS = {
+  document: require('./document.schema.json'),
+  course_overview: require('./course-overview.schema.json'),
+  module: require('./module.schema.json'),
+  assessment: require('./assessment.schema.json'),
+  academic_calendar: require('./academic-calendar.schema.json')
+};
+
+// "Field: value" labels in document text and the metadata key each one repeats
+const TEXT_FIELDS = {
+  'Course Code': 'course_code',
+  'Module Code': 'module_code',
+  'Module Tutor': 'tutor',
+  'Unit Assessor': 'tutor',
+  'Credits': 'credits',
+  'Year': 'year',
+  'Academic Year': 'year',
+  'Semester': 'semester',
+  'Deadline': 'deadline'
+};
+
+let validators = null;
+
+// Schemas are compiled once, on first use
+function getValidators() {
+  if (!validators) {
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    validators = Object.fromEntries(Object.entries(SCHEMAS).map(([type, schema]) => [type, ajv.compile(schema)]));
+  }
+  return validators;
+}
+
+// Compare codes and labels the way the catalogue does: no brackets, any case, collapsed spaces
+function normalizeValue(value) {
+  return normalizeModuleCode(String(value)).replace(/\s+/g, ' ').toLowerCase();
+}
+
+// "Module Tutor: Shelley Sanderson" lines from the text, before the first literal "\n"
+function textFields(text) {
+  const fields = [];
+  String(text || '').split('\n').forEach(line => {
+    const match = line.match(/^([A-Z][A-Za-z -]{1,30}):\s+(.+)$/);
+    if (match && TEXT_FIELDS[match[1]]) {
+      fields.push({ label: match[1], key: TEXT_FIELDS[match[1]], value: match[2].split('\\n')[0].trim() });
+    }
+  });
+  return fields;
+}
+
+function schemaIssues(validate, value, prefix) {
+  if (validate(value)) return [];
+  return validate.errors.map(error => {
+    let path = `${prefix}${error.instancePath.replace(/\//g, '.')}`;
+    let message = error.message;
+    if (error.keyword === 'required') {
+      path = `${path}.${error.params.missingProperty}`;
+      message = 'is required';
+    } else if (error.keyword === 'const') {
+      message = `must be ${JSON.stringify(error.params.allowedValue)}`;
+    } else if (error.keyword === 'pattern' && error.params.pattern === '\\S') {
+      message = 'must not be empty';
+    }
+    return { field: path.replace(/^\./, ''), message };
+  });
+}
+
+/**
+ * Validate documents before indexing
+ * @param {object[]} documents - [{ id, text, metadata }]
+ * @param {object} [options]
+ * @param {object[]} [options.existing] - Metadata of documents already in the namespace
+ * @returns {{ valid: boolean, errors: object[], warnings: object[], counts: object }}
+ *   issues are { id, index, field, message }
+ */
+function validateDocuments(documents, { existing = [] } = {}) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+
+  if (!Array.isArray(documents) || documents.length === 0) {
+    errors.push({ id: null, index: null, field: 'documents', message: 'no documents to index' });
+    return { valid: false, errors, warnings, counts };
+  }
+
+  const schemas = getValidators();
+  const seenIds = new Map();
+
+  documents.forEach((doc, index) => {
+    const id = doc && typeof doc.id === 'string' ? doc.id : null;
+    const issue = (list, field, message) => list.push({ id, index, field, message });
+
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      issue(errors, '', 'must be an object with text and metadata');
+      return;
+    }
+    schemaIssues(schemas.document, doc, '').forEach(({ field, message }) => issue(errors, field, message));
+
+    if (id !== null) {
+      if (seenIds.has(id)) {
+        issue(errors, 'id', `duplicate id (also #${seenIds.get(id) + 1})`);
+      } else {
+        seenIds.set(id, index);
+      }
+    }
+
+    const metadata = doc.metadata || {};
+    const type = typeof metadata.type === 'string' ? metadata.type : 'untyped';
+    counts[type] = (counts[type] || 0) + 1;
+    if (!schemas[type] || type === 'document') return;
+
+    schemaIssues(schemas[type], metadata, 'metadata').forEach(({ field, message }) => issue(errors, field, message));
+
+    ['module_code', 'course_code'].forEach(key => {
+      if (typeof metadata[key] === 'string' && /[[\]]/.test(metadata[key])) {
+        issue(warnings, `metadata.${key}`, `written with brackets - store it as "${normalizeModuleCode(metadata[key])}"`);
+      }
+    });
+
+    textFields(doc.text).forEach(({ label, key, value }) => {
+      if (metadata[key] === undefined || metadata[key] === '') {
+        issue(warnings, `metadata.${key}`, `missing, but the text has "${label}: ${value}"`);
+      } else if (normalizeValue(metadata[key]) !== normalizeValue(value)) {
+        issue(warnings, `metadata.${key}`, `"${metadata[key]}" but the text has "${label}: ${value}"`);
+      }
+    });
+  });
+
+  // Cross-references, against this batch and what the namespace already holds
+  const all = [
+    ...existing.map(metadata => ({ metadata, fromBatch: false })),
+    ...documents.map((doc, index) => ({ metadata: (doc && doc.metadata) || {}, doc, index, fromBatch: true }))
+  ];
+  const codesOf = (type, key) => new Set(all
+    .filter(({ metadata }) => metadata.type === type && metadata[key])
+    .map(({ metadata }) => normalizeValue(metadata[key])));
+  const courseCodes = codesOf('course_overview', 'course_code');
+  const moduleCodes = codesOf('module', 'module_code');
+
+  all.filter(item => item.fromBatch).forEach(({ metadata, doc, index }) => {
+    const issue = (field, message) => warnings.push({ id: doc && typeof doc.id === 'string' ? doc.id : null, index, field, message });
+
+    if (metadata.type === 'assessment' && metadata.module_code && !moduleCodes.has(normalizeValue(metadata.module_code))) {
+      issue('metadata.module_code', `orphan assessment: no module "${metadata.module_code}"`);
+    }
+    if (metadata.type === 'module') {
+      if (!metadata.course_code) {
+        issue('metadata.course_code', 'module has no course_code');
+      } else if (!courseCodes.has(normalizeValue(metadata.course_code))) {
+        issue('metadata.course_code', `module without a course: no course overview "${metadata.course_code}"`);
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors, warnings, counts };
+}
+
+// "module-foo (#2) metadata.weight: must match pattern ..."
+function formatIssue({ id, index, field, message }) {
+  const where = id ? `${id}${index !== null ? ` (#${index + 1})` : ''}` : (index !== null ? `#${index + 1}` : '');
+  return [where, field ? `${field}:` : null, message].filter(Boolean).join(' ');
+}
+
+module.exports = {
+  validateDocuments,
+  formatIssue,
+  SCHEMAS
+};
@@ -0,0 +1,90 @@
+/**
+ * File session store (Node only)
+ *
+ * The in-memory store persisted as one JSON file per session
+ * (<dirPath>/<ownerId>/<sessionId>.json), so conversations survive server
+ * restarts and a turn only rewrites its own session. Fine for a single
+ * server process; use a shared backend when running several.
+ *
+ * Sessions from the old single-file format (legacyFilePath) are split into
+ * the directory on startup, and the old file is renamed to *.migrated.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemorySessionStore } = require('./memory-store');
+
+// Owner and session ids become path segments
+const SAFE_ID = /^[A-Za-z0-9_-]+$/;
+
+function assertSafeId(kind, id) {
+  if (!SAFE_ID.test(String(id))) {
+    throw new Error(`Session ${kind} "${id}" can't be used as a file name`);
+  }
+}
+
+// Write-then-rename so a crash never leaves a half-written file
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+function loadSessions(dirPath) {
+  const sessions = {};
+  if (!fs.existsSync(dirPath)) return sessions;
+
+  fs.readdirSync(dirPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && SAFE_ID.test(entry.name))
+    .forEach(({ name: ownerId }) => {
+      fs.readdirSync(path.join(dirPath, ownerId))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const session = JSON.parse(fs.readFileSync(path.join(dirPath, ownerId, file), 'utf-8'));
+          sessions[ownerId] = { ...sessions[ownerId], [session.id]: session };
+        });
+    });
+  return sessions;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dirPath - Directory holding a folder of session files per owner
+ * @param {string} [options.legacyFilePath] - Single JSON file of earlier versions, migrated when present
+ */
+function createFileSessionStore({ dirPath, legacyFilePath = null }) {
+  const fileFor = (ownerId, id) => {
+    assertSafeId('owner', ownerId);
+    assertSafeId('id', id);
+    return path.join(dirPath, ownerId, `${id}.json`);
+  };
+
+  if (legacyFilePath && fs.existsSync(legacyFilePath)) {
+    const legacy = JSON.parse(fs.readFileSync(legacyFilePath, 'utf-8')).sessions || {};
+    Object.values(legacy).forEach(owned => Object.values(owned).forEach(session => {
+      writeJson(fileFor(session.ownerId, session.id), session);
+    }));
+    fs.renameSync(legacyFilePath, `${legacyFilePath}.migrated`);
+  }
+
+  function save(ownerId, id, session) {
+    const filePath = fileFor(ownerId, id);
+    if (session) {
+      writeJson(filePath, session);
+      return;
+    }
+    fs.rmSync(filePath, { force: true });
+    // Owners without sessions leave no folder behind
+    if (fs.readdirSync(path.dirname(filePath)).length === 0) fs.rmdirSync(path.dirname(filePath));
+  }
+
+  return {
+    ...createMemorySessionStore({ sessions: loadSessions(dirPath), onChange: save }),
+    backend: 'file'
+  };
+}
+
+module.exports = {
+  createFileSessionStore
+};
@@ -0,0 +1,63 @@
+/**
+ * Conversation Sessions
+ *
+ * Every store backend returns an object with the same async methods:
+ *
+ *   get(ownerId, id)              -> session | null
+ *   put(session)                  -> session (keyed by session.ownerId + session.id)
+ *   delete(ownerId, id)           -> true when something was deleted
+ *   list(ownerId, { limit })      -> [{ id, title, namespace, createdAt, updatedAt, turnCount, context }]
+ *                                    newest first
+ *
+ * Backends:
+ *   file   - a JSON file per session, survives restarts (default for the Express server)
+ *   memory - lost on restart, for tests
+ *   kv     - Cloudflare Workers KV (used by the Worker, see kv-store.js)
+ *
+ * Select with SESSION_STORE=file|memory. The file backend stores data in
+ * SESSIONS_DIR (default ./data/sessions), and moves sessions saved by
+ * earlier versions in SESSIONS_PATH (default ./data/sessions.json) there.
+ * createSessionManager wraps a store with the turn/title/context bookkeeping
+ * the chat endpoints need, including the per-owner session limit.
+ */
+
+const path = require('path');
+const { createMemorySessionStore } = require('./memory-store');
+const { createFileSessionStore } = require('./file-store');
+const { createKVSessionStore } = require('./kv-store');
+const { createSessionManager, validateOwnerId, normalizeTitle } = require('./manager');
+
+const DEFAULT_DIR_PATH = path.join(__dirname, '..', '..', 'data', 'sessions');
+const LEGACY_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'sessions.json');
+
+/**
+ * Create the configured session store
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ */
+function createSessionStore(env = process.env) {
+  const backend = (env.SESSION_STORE || 'file').toLowerCase();
+
+  switch (backend) {
+    case 'file':
+      return createFileSessionStore({
+        dirPath: env.SESSIONS_DIR || DEFAULT_DIR_PATH,
+        legacyFilePath: env.SESSIONS_PATH || LEGACY_FILE_PATH
+      });
+
+    case 'memory':
+      return createMemorySessionStore();
+
+    default:
+      throw new Error(`Unknown SESSION_STORE "${backend}" (expected file or memory)`);
+  }
+}
+
+module.exports = {
+  createSessionStore,
+  createSessionManager,
+  createMemorySessionStore,
+  createFileSessionStore,
+  createKVSessionStore,
+  validateOwnerId,
+  normalizeTitle
+};
@@ -0,0 +1,71 @@
+/**
+ * Cloudflare Workers KV session store
+ *
+ * One KV entry per session under "session:<ownerId>:<sessionId>". The
+ * session summary is written as KV metadata too, so listing a student's
+ * conversations is a single list() call rather than one get() per session.
+ *
+ * KV is eventually consistent: a rename or delete can take up to a minute
+ * to show in other regions.
+ */
+
+const { toSummary, byMostRecent } = require('./memory-store');
+
+const KEY_PREFIX = 'session';
+
+// Sessions expire after 90 days without activity
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 90;
+
+/**
+ * @param {object} kv - KV namespace binding (env.SESSIONS)
+ */
+function createKVSessionStore(kv) {
+  const keyFor = (ownerId, id) => `${KEY_PREFIX}:${ownerId}:${id}`;
+
+  async function get(ownerId, id) {
+    return kv.get(keyFor(ownerId, id), 'json');
+  }
+
+  async function put(session) {
+    await kv.put(keyFor(session.ownerId, session.id), JSON.stringify(session), {
+      metadata: toSummary(session),
+      expirationTtl: SESSION_TTL_SECONDS
+    });
+    return session;
+  }
+
+  async function remove(ownerId, id) {
+    const key = keyFor(ownerId, id);
+    if ((await kv.get(key)) === null) return false;
+
+    await kv.delete(key);
+    return true;
+  }
+
+  async function list(ownerId, { limit = 50 } = {}) {
+    const summaries = [];
+    let cursor;
+
+    do {
+      const page = await kv.list({ prefix: `${KEY_PREFIX}:${ownerId}:`, cursor });
+      page.keys.forEach(key => {
+        if (key.metadata) summaries.push(key.metadata);
+      });
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+
+    return summaries.sort(byMostRecent).slice(0, limit);
+  }
+
+  return {
+    backend: 'kv',
+    get,
+    put,
+    delete: remove,
+    list
+  };
+}
+
+module.exports = {
+  createKVSessionStore
+};
@@ -0,0 +1,160 @@
+/**
+ * Conversation session manager
+ *
+ * Server-side conversations on top of any session store. A session holds:
+ *
+ *   id, ownerId, title, namespace, createdAt, updatedAt
+ *   turns    [{ role: 'user'|'assistant', content, timestamp, sources: [vector ids] }]
+ *   context  { course, module, year, semester, tutor, assessment, label } tracked so far
+ *            (src/core/conversation.js) - the next turn starts from these slots
+ *
+ * The chat endpoints read history from here instead of trusting whatever the
+ * client sends. Owners are the opaque X-Client-Id each browser generates -
+ * it scopes listing to "my conversations", it is not authentication. Since
+ * anyone can make one up, an owner keeps at most maxSessions sessions (the
+ * least recently used go first) of at most maxTurns turns.
+ * Shared by the Express server and the Worker.
+ */
+
+const MAX_TURNS = 200;
+const MAX_SESSIONS = 50;
+const MAX_TITLE_LENGTH = 80;
+const DEFAULT_TITLE = 'New conversation';
+const CONTEXT_KEYS = ['course', 'module', 'year', 'semester', 'tutor', 'assessment', 'label'];
+
+const OWNER_ID_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check an X-Client-Id value
+ * @throws {Error} with status 400 when missing or malformed
+ */
+function validateOwnerId(ownerId) {
+  if (!ownerId || !OWNER_ID_PATTERN.test(ownerId)) {
+    throw badRequest('X-Client-Id header is required (8-128 letters, digits, "-" or "_")');
+  }
+  return ownerId;
+}
+
+// Collapse whitespace and cap the length ("" when nothing is left)
+function normalizeTitle(title) {
+  const clean = String(title || '').replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_TITLE_LENGTH ? `${clean.slice(0, MAX_TITLE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * @param {object} store - Any store from src/sessions
+ * @param {object} [options]
+ * @param {number} [options.maxTurns] - Oldest turns are dropped beyond this
+ * @param {number} [options.maxSessions] - Sessions per owner; creating one more deletes the least recently used
+ */
+function createSessionManager(store, { maxTurns = MAX_TURNS, maxSessions = MAX_SESSIONS } = {}) {
+  async function create(ownerId, { title, namespace = '' } = {}) {
+    // Listed newest first, so whatever is past the limit is the least recently used
+    const owned = await store.list(validateOwnerId(ownerId), { limit: Infinity });
+    for (const { id } of owned.slice(maxSessions - 1)) {
+      await store.delete(ownerId, id);
+    }
+
+    const now = new Date().toISOString();
+    const session = {
+      id: globalThis.crypto.randomUUID(),
+      ownerId: validateOwnerId(ownerId),
+      title: normalizeTitle(title) || DEFAULT_TITLE,
+      // Untitled sessions take their title from the first question
+      autoTitle: !normalizeTitle(title),
+      namespace,
+      createdAt: now,
+      updatedAt: now,
+      turns: [],
+      context: {}
+    };
+    return store.put(session);
+  }
+
+  async function get(ownerId, id) {
+    return store.get(validateOwnerId(ownerId), id);
+  }
+
+  async function list(ownerId, options) {
+    return store.list(validateOwnerId(ownerId), options);
+  }
+
+  async function rename(ownerId, id, title) {
+    const clean = normalizeTitle(title);
+    if (!clean) {
+      throw badRequest('title is required');
+    }
+
+    const session = await get(ownerId, id);
+    if (!session) return null;
+
+    return store.put({ ...session, title: clean, autoTitle: false, updatedAt: new Date().toISOString() });
+  }
+
+  async function remove(ownerId, id) {
+    return store.delete(validateOwnerId(ownerId), id);
+  }
+
+  /**
+   * Append a question and its answer
+   * @param {object} session
+   * @param {object} exchange
+   * @param {string} exchange.message - The student's question
+   * @param {string} exchange.response - The assistant's answer
+   * @param {Array<string>} [exchange.sourceIds] - Vector ids retrieved for the answer
+   * @param {object} [exchange.context] - Resolved conversation context (null values are ignored)
+   */
+  async function recordExchange(session, { message, response, sourceIds = [], context = {} }) {
+    const timestamp = new Date().toISOString();
+    const turns = [
+      ...session.turns,
+      { role: 'user', content: message, timestamp },
+      { role: 'assistant', content: response, timestamp, sources: sourceIds }
+    ].slice(-maxTurns);
+
+    // Keep what earlier turns established unless this one says otherwise
+    const mergedContext = { ...session.context };
+    CONTEXT_KEYS.forEach(key => {
+      if (context[key] !== null && context[key] !== undefined) mergedContext[key] = context[key];
+    });
+
+    const useQuestionAsTitle = session.autoTitle && session.turns.length === 0;
+
+    return store.put({
+      ...session,
+      title: useQuestionAsTitle ? normalizeTitle(message) || session.title : session.title,
+      autoTitle: session.autoTitle && !useQuestionAsTitle,
+      updatedAt: timestamp,
+      turns,
+      context: mergedContext
+    });
+  }
+
+  // Most recent turns as { role, content } for prompt building
+  function historyFor(session, limit = 20) {
+    return session.turns.slice(-limit).map(({ role, content }) => ({ role, content }));
+  }
+
+  return {
+    backend: store.backend,
+    create,
+    get,
+    list,
+    rename,
+    remove,
+    recordExchange,
+    historyFor
+  };
+}
+
+module.exports = {
+  createSessionManager,
+  validateOwnerId,
+  normalizeTitle
+};
@@ -0,0 +1,79 @@
+/**
+ * In-memory session store
+ *
+ * Keeps sessions in a plain object keyed by owner then session id. Used on
+ * its own for tests and Workers without a KV binding, and by the file store,
+ * which passes an onChange hook to persist each session as it changes.
+ */
+
+function toSummary(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    namespace: session.namespace,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    turnCount: session.turns.length,
+    context: session.context
+  };
+}
+
+function byMostRecent(a, b) {
+  return String(b.updatedAt).localeCompare(String(a.updatedAt));
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.sessions] - Initial data: { [ownerId]: { [sessionId]: session } }
+ * @param {Function} [options.onChange] - Called with (ownerId, id, session) after each write; session is null once deleted
+ */
+function createMemorySessionStore({ sessions = {}, onChange = null } = {}) {
+  function changed(ownerId, id) {
+    if (onChange) onChange(ownerId, id, sessions[ownerId]?.[id] || null);
+  }
+
+  async function get(ownerId, id) {
+    return sessions[ownerId]?.[id] || null;
+  }
+
+  async function put(session) {
+    if (!sessions[session.ownerId]) {
+      sessions[session.ownerId] = {};
+    }
+    sessions[session.ownerId][session.id] = session;
+    changed(session.ownerId, session.id);
+    return session;
+  }
+
+  async function remove(ownerId, id) {
+    if (!sessions[ownerId]?.[id]) return false;
+
+    delete sessions[ownerId][id];
+    if (Object.keys(sessions[ownerId]).length === 0) {
+      delete sessions[ownerId];
+    }
+    changed(ownerId, id);
+    return true;
+  }
+
+  async function list(ownerId, { limit = 50 } = {}) {
+    return Object.values(sessions[ownerId] || {})
+      .map(toSummary)
+      .sort(byMostRecent)
+      .slice(0, limit);
+  }
+
+  return {
+    backend: 'memory',
+    get,
+    put,
+    delete: remove,
+    list
+  };
+}
+
+module.exports = {
+  createMemorySessionStore,
+  toSummary,
+  byMostRecent
+};
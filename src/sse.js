@@ -0,0 +1,94 @@
+/**
+ * Server-Sent Events helpers
+ *
+ * Shared by the Express server and the Cloudflare Worker so both speak the
+ * same streaming protocol for /api/chat/stream:
+ *
+ *   event: metadata  -> { sources, suggestions, context, noMatches, cached, sessionId,
+ *                         retrieval: { namespace, matchCount, timings }, diagnostics }
+ *   event: token     -> { text }
+ *   event: done      -> { response, citations, verification, responseTime, timings,
+ *                         cached, noMatches, sessionId }
+ *   event: error     -> { error, details }
+ *
+ * sessionId is only sent for chats in a session. A cached answer comes as
+ * metadata without noMatches, retrieval or diagnostics, then a single token
+ * with the whole response, then done with timings: { total }.
+ */
+
+// Format a single SSE frame
+function formatEvent(event, data) {
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  const dataLines = payload.split('\n').map(line => `data: ${line}`).join('\n');
+  return `event: ${event}\n${dataLines}\n\n`;
+}
+
+// Incremental SSE parser - feed it text chunks, get back complete events
+// Used to consume upstream SSE streams (e.g. Gemini's streamGenerateContent)
+function createEventParser() {
+  let buffer = '';
+
+  function parseFrame(frame) {
+    let event = 'message';
+    const dataLines = [];
+
+    frame.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+
+    if (dataLines.length === 0) return null;
+    return { event, data: dataLines.join('\n') };
+  }
+
+  return {
+    feed(chunk) {
+      buffer += chunk;
+      const events = [];
+      const frames = buffer.split(/\r?\n\r?\n/);
+      buffer = frames.pop();
+
+      frames.forEach(frame => {
+        const parsed = parseFrame(frame);
+        if (parsed) events.push(parsed);
+      });
+
+      return events;
+    },
+
+    flush() {
+      const parsed = buffer.trim() ? parseFrame(buffer) : null;
+      buffer = '';
+      return parsed ? [parsed] : [];
+    }
+  };
+}
+
+// Read an upstream fetch() Response body as SSE, yielding parsed events
+async function* readEventStream(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  const parser = createEventParser();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    for (const event of parser.feed(decoder.decode(value, { stream: true }))) {
+      yield event;
+    }
+  }
+
+  for (const event of parser.flush()) {
+    yield event;
+  }
+}
+
+module.exports = {
+  formatEvent,
+  createEventParser,
+  readEventStream
+};
@@ -0,0 +1,79 @@
+/**
+ * Pinecone-style metadata filter evaluation
+ *
+ * Supports the operators the app uses against Pinecone so the local store
+ * behaves the same offline:
+ *   { type: 'module' }                        implicit $eq
+ *   { year: { $eq: '1' } }, $ne
+ *   { type: { $in: ['module', 'assessment'] } }, $nin
+ *   { credits: { $gt: 10 } }, $gte, $lt, $lte
+ *   { deadline: { $exists: true } }
+ *   { $and: [ ... ] }, { $or: [ ... ] }
+ *
+ * Array metadata values match when any element matches (as in Pinecone).
+ */
+
+const COMPARISON_OPERATORS = {
+  $eq: (value, operand) => valuesOf(value).some(item => item === operand),
+  $ne: (value, operand) => !valuesOf(value).some(item => item === operand),
+  $in: (value, operand) => assertArray('$in', operand) && valuesOf(value).some(item => operand.includes(item)),
+  $nin: (value, operand) => assertArray('$nin', operand) && !valuesOf(value).some(item => operand.includes(item)),
+  $gt: (value, operand) => typeof value === 'number' && value > operand,
+  $gte: (value, operand) => typeof value === 'number' && value >= operand,
+  $lt: (value, operand) => typeof value === 'number' && value < operand,
+  $lte: (value, operand) => typeof value === 'number' && value <= operand,
+  $exists: (value, operand) => (value !== undefined && value !== null) === Boolean(operand)
+};
+
+function valuesOf(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function assertArray(operator, operand) {
+  if (!Array.isArray(operand)) {
+    throw new Error(`Filter operator ${operator} expects an array`);
+  }
+  return true;
+}
+
+function matchesCondition(value, condition) {
+  // Bare values are shorthand for $eq
+  if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+    return COMPARISON_OPERATORS.$eq(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const evaluate = COMPARISON_OPERATORS[operator];
+    if (!evaluate) {
+      throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+    return evaluate(value, operand);
+  });
+}
+
+/**
+ * Check whether a metadata object satisfies a filter
+ * @param {object} metadata
+ * @param {object} filter - Pinecone metadata filter (empty/undefined matches everything)
+ */
+function matchesFilter(metadata = {}, filter = {}) {
+  if (!filter || Object.keys(filter).length === 0) return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return assertArray('$and', condition) && condition.every(sub => matchesFilter(metadata, sub));
+    }
+    if (key === '$or') {
+      return assertArray('$or', condition) && condition.some(sub => matchesFilter(metadata, sub));
+    }
+    if (key.startsWith('$')) {
+      throw new Error(`Unsupported filter operator: ${key}`);
+    }
+    return matchesCondition(metadata[key], condition);
+  });
+}
+
+module.exports = {
+  matchesFilter
+};
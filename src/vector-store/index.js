@@ -0,0 +1,65 @@
+/**
+ * Vector Store
+ *
+ * Every backend returns an object with the same async methods:
+ *
+ *   query(vector, { topK, namespace, filter, minScore, includeValues })
+ *       -> [{ id, score, metadata }] sorted by score
+ *   upsert(vectors, { namespace })           -> { upsertedCount }
+ *   delete(ids, { namespace })               -> { deletedCount }
+ *   deleteAll({ namespace })                 -> { namespace }
+ *   fetch(ids, { namespace })                -> [{ id, values, metadata }]
+ *   list(filter, { namespace, prefix, limit }) -> [{ id, metadata }] (prefix narrows by id)
+ *       every matching record up to limit - a backend that can't list them all throws
+ *   stats()                                  -> { backend, dimension, totalRecordCount, namespaces: { [ns]: { recordCount } } }
+ *
+ * Backends:
+ *   pinecone - Pinecone REST API (default)
+ *   local    - cosine similarity in memory, persisted to a JSON file
+ *
+ * Select with VECTOR_STORE=pinecone|local. The local backend stores data in
+ * LOCAL_VECTOR_STORE_PATH (default ./data/vector-store.json), so development
+ * and CI need no cloud accounts.
+ */
+
+const path = require('path');
+const { createPineconeStore } = require('./pinecone-store');
+const { createLocalStore } = require('./local-store');
+const { matchesFilter } = require('./filter');
+
+const DEFAULT_LOCAL_PATH = path.join(__dirname, '..', '..', 'data', 'vector-store.json');
+
+/**
+ * Create the configured vector store
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ */
+function createVectorStore(env = process.env) {
+  const backend = (env.VECTOR_STORE || 'pinecone').toLowerCase();
+
+  switch (backend) {
+    case 'pinecone':
+      return createPineconeStore({
+        apiKey: env.PINECONE_API_KEY,
+        host: env.PINECONE_HOST,
+        indexName: env.PINECONE_INDEX_NAME
+      });
+
+    case 'local':
+      return createLocalStore({
+        filePath: env.LOCAL_VECTOR_STORE_PATH || DEFAULT_LOCAL_PATH
+      });
+
+    case 'memory':
+      return createLocalStore();
+
+    default:
+      throw new Error(`Unknown VECTOR_STORE "${backend}" (expected pinecone, local or memory)`);
+  }
+}
+
+module.exports = {
+  createVectorStore,
+  createPineconeStore,
+  createLocalStore,
+  matchesFilter
+};
@@ -0,0 +1,168 @@
+/**
+ * Local vector store adapter
+ *
+ * Brute-force cosine similarity over vectors kept in memory, optionally
+ * persisted to a JSON file so data survives restarts. Intended for offline
+ * development and CI - it answers the same calls as the Pinecone adapter,
+ * including Pinecone-style metadata filters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter } = require('./filter');
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Vector dimension mismatch: ${a.length} vs ${b.length}`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.filePath] - JSON file to persist to; omit for a purely in-memory store
+ */
+function createLocalStore({ filePath = null } = {}) {
+  // { [namespace]: { [id]: { id, values, metadata } } }
+  let namespaces = null;
+
+  function load() {
+    if (namespaces) return namespaces;
+
+    namespaces = {};
+    if (filePath && fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      namespaces = data.namespaces || {};
+    }
+    return namespaces;
+  }
+
+  function save() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write-then-rename so a crash never leaves a half-written store
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ namespaces }));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  function getNamespace(namespace, create = false) {
+    const all = load();
+    if (!all[namespace] && create) {
+      all[namespace] = {};
+    }
+    return all[namespace] || {};
+  }
+
+  async function query(vector, { topK = 10, namespace = '', filter = {}, minScore = 0, includeValues = false } = {}) {
+    const records = Object.values(getNamespace(namespace));
+
+    return records
+      .filter(record => matchesFilter(record.metadata, filter))
+      .map(record => ({
+        id: record.id,
+        score: cosineSimilarity(vector, record.values),
+        metadata: record.metadata,
+        ...(includeValues ? { values: record.values } : {})
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .filter(match => match.score >= minScore);
+  }
+
+  async function upsert(vectors, { namespace = '' } = {}) {
+    const records = getNamespace(namespace, true);
+    vectors.forEach(vector => {
+      records[vector.id] = {
+        id: vector.id,
+        values: Array.from(vector.values),
+        metadata: vector.metadata || {}
+      };
+    });
+    save();
+    return { upsertedCount: vectors.length };
+  }
+
+  async function deleteVectors(ids, { namespace = '' } = {}) {
+    const records = getNamespace(namespace);
+    let deletedCount = 0;
+    (ids || []).forEach(id => {
+      if (records[id]) {
+        delete records[id];
+        deletedCount++;
+      }
+    });
+    save();
+    return { deletedCount };
+  }
+
+  async function deleteAll({ namespace = '' } = {}) {
+    delete load()[namespace];
+    save();
+    return { namespace };
+  }
+
+  async function fetchVectors(ids, { namespace = '' } = {}) {
+    const records = getNamespace(namespace);
+    return (ids || [])
+      .filter(id => records[id])
+      .map(id => ({ ...records[id] }));
+  }
+
+  async function list(filter = {}, { namespace = '', prefix = '', limit = Infinity } = {}) {
+    return Object.values(getNamespace(namespace))
+      .filter(record => record.id.startsWith(prefix) && matchesFilter(record.metadata, filter))
+      .slice(0, limit)
+      .map(record => ({ id: record.id, metadata: record.metadata }));
+  }
+
+  async function stats() {
+    const all = load();
+    const summary = {};
+    let totalRecordCount = 0;
+    let dimension = null;
+
+    Object.entries(all).forEach(([name, records]) => {
+      const values = Object.values(records);
+      summary[name] = { recordCount: values.length };
+      totalRecordCount += values.length;
+      if (!dimension && values.length > 0) {
+        dimension = values[0].values.length;
+      }
+    });
+
+    return {
+      backend: 'local',
+      dimension,
+      totalRecordCount,
+      namespaces: summary
+    };
+  }
+
+  return {
+    backend: 'local',
+    query,
+    upsert,
+    delete: deleteVectors,
+    deleteAll,
+    fetch: fetchVectors,
+    list,
+    stats
+  };
+}
+
+module.exports = {
+  createLocalStore,
+  cosineSimilarity
+};
@@ -0,0 +1,232 @@
+/**
+ * Pinecone vector store adapter
+ *
+ * Talks to the Pinecone data-plane REST API with fetch, so the same adapter
+ * runs in Node (server + scripts) and in the Cloudflare Worker.
+ * The index host comes from `host` (PINECONE_HOST) or is looked up once from
+ * the control plane by `indexName` (PINECONE_INDEX_NAME).
+ *
+ * list() pages through every id in the namespace (/vectors/list) and fetches
+ * the metadata to filter on, so catalogue snapshots, sync diffs and index
+ * rebuilds see the whole namespace rather than the top 1000 of a query.
+ */
+
+const { matchesFilter } = require('./filter');
+
+const API_VERSION = '2024-07';
+const CONTROL_PLANE_URL = 'https://api.pinecone.io';
+const UPSERT_BATCH_SIZE = 100; // Pinecone's recommended upsert batch size
+const MAX_TOP_K_WITH_METADATA = 1000; // Pinecone limit when includeMetadata is true
+const LIST_PAGE_SIZE = 100; // Pinecone's maximum /vectors/list page
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.host] - Index host, e.g. "my-index-abc123.svc.pinecone.io"
+ * @param {string} [options.indexName] - Used to resolve the host when it isn't given
+ */
+function createPineconeStore({ apiKey, host, indexName } = {}) {
+  if (!apiKey) {
+    throw new Error('Pinecone vector store requires an API key (PINECONE_API_KEY)');
+  }
+  if (!host && !indexName) {
+    throw new Error('Pinecone vector store requires PINECONE_HOST or PINECONE_INDEX_NAME');
+  }
+
+  const headers = {
+    'Api-Key': apiKey,
+    'Content-Type': 'application/json',
+    'X-Pinecone-API-Version': API_VERSION
+  };
+
+  let hostPromise = null;
+  let dimension = null;
+
+  // Resolve (and memoise) the index host
+  function resolveHost() {
+    if (!hostPromise) {
+      hostPromise = host
+        ? Promise.resolve(host.replace(/^https?:\/\//, '').replace(/\/$/, ''))
+        : request(`${CONTROL_PLANE_URL}/indexes/${encodeURIComponent(indexName)}`, { method: 'GET' })
+          .then(description => {
+            dimension = description.dimension || null;
+            return description.host;
+          });
+      hostPromise.catch(() => { hostPromise = null; });
+    }
+    return hostPromise;
+  }
+
+  async function request(url, init) {
+    const response = await fetch(url, { ...init, headers });
+
+    if (!response.ok) {
+      const error = new Error(`Pinecone API error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+  }
+
+  async function dataPlane(path, body, method = 'POST') {
+    const indexHost = await resolveHost();
+    return request(`https://${indexHost}${path}`, {
+      method,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  }
+
+  async function query(vector, { topK = 10, namespace = '', filter = {}, minScore = 0, includeValues = false } = {}) {
+    const body = {
+      vector,
+      topK,
+      includeMetadata: true,
+      includeValues
+    };
+
+    if (namespace) body.namespace = namespace;
+    if (filter && Object.keys(filter).length > 0) body.filter = filter;
+
+    const data = await dataPlane('/query', body);
+    return (data.matches || []).filter(match => match.score >= minScore);
+  }
+
+  async function upsert(vectors, { namespace = '' } = {}) {
+    let upsertedCount = 0;
+    for (let i = 0; i < vectors.length; i += UPSERT_BATCH_SIZE) {
+      const batch = vectors.slice(i, i + UPSERT_BATCH_SIZE);
+      const data = await dataPlane('/vectors/upsert', { vectors: batch, namespace });
+      upsertedCount += data.upsertedCount ?? batch.length;
+    }
+    return { upsertedCount };
+  }
+
+  async function deleteVectors(ids, { namespace = '' } = {}) {
+    if (!ids || ids.length === 0) return { deletedCount: 0 };
+    // Pinecone accepts up to 1000 ids per delete request
+    for (let i = 0; i < ids.length; i += 1000) {
+      await dataPlane('/vectors/delete', { ids: ids.slice(i, i + 1000), namespace });
+    }
+    return { deletedCount: ids.length };
+  }
+
+  async function deleteAll({ namespace = '' } = {}) {
+    await dataPlane('/vectors/delete', { deleteAll: true, namespace });
+    return { namespace };
+  }
+
+  async function fetchVectors(ids, { namespace = '' } = {}) {
+    if (!ids || ids.length === 0) return [];
+
+    const records = {};
+    // Keep query strings well under URL length limits
+    for (let i = 0; i < ids.length; i += 100) {
+      const params = new URLSearchParams();
+      ids.slice(i, i + 100).forEach(id => params.append('ids', id));
+      if (namespace) params.append('namespace', namespace);
+
+      const data = await dataPlane(`/vectors/fetch?${params.toString()}`, undefined, 'GET');
+      Object.assign(records, data.vectors || {});
+    }
+
+    return ids
+      .filter(id => records[id])
+      .map(id => ({ id, values: records[id].values, metadata: records[id].metadata || {} }));
+  }
+
+  async function stats() {
+    const data = await dataPlane('/describe_index_stats', {});
+    dimension = data.dimension || dimension;
+
+    const namespaces = {};
+    Object.entries(data.namespaces || {}).forEach(([name, info]) => {
+      namespaces[name] = { recordCount: info.vectorCount ?? info.recordCount ?? 0 };
+    });
+
+    return {
+      backend: 'pinecone',
+      dimension: data.dimension,
+      totalRecordCount: data.totalVectorCount ?? data.totalRecordCount ?? 0,
+      namespaces
+    };
+  }
+
+  // Every id in a namespace (or starting with prefix), a page at a time
+  async function listIds(namespace, prefix) {
+    const ids = [];
+    let paginationToken = null;
+
+    do {
+      const params = new URLSearchParams({ limit: String(LIST_PAGE_SIZE) });
+      if (namespace) params.append('namespace', namespace);
+      if (prefix) params.append('prefix', prefix);
+      if (paginationToken) params.append('paginationToken', paginationToken);
+
+      const data = await dataPlane(`/vectors/list?${params.toString()}`, undefined, 'GET');
+      (data.vectors || []).forEach(vector => ids.push(vector.id));
+      paginationToken = data.pagination?.next || null;
+    } while (paginationToken);
+
+    return ids;
+  }
+
+  // Pod-based indexes can't list ids: query with a neutral vector instead, keeping every
+  // score, and fail rather than return a listing cut off at the topK limit
+  async function listByQuery(filter, namespace, prefix) {
+    if (!dimension) {
+      await stats();
+    }
+
+    const neutralVector = new Array(dimension).fill(1 / Math.sqrt(dimension));
+    const matches = await query(neutralVector, {
+      topK: MAX_TOP_K_WITH_METADATA,
+      namespace,
+      filter,
+      minScore: -Infinity
+    });
+
+    if (matches.length >= MAX_TOP_K_WITH_METADATA) {
+      throw new Error(`Pinecone index can't list namespace "${namespace}": it has more than ${MAX_TOP_K_WITH_METADATA} matching records and no /vectors/list (pod-based index)`);
+    }
+    return matches
+      .filter(match => match.id.startsWith(prefix))
+      .map(match => ({ id: match.id, metadata: match.metadata || {} }));
+  }
+
+  // Records matching a metadata filter, across the whole namespace
+  async function list(filter = {}, { namespace = '', prefix = '', limit = Infinity } = {}) {
+    let ids;
+    try {
+      ids = await listIds(namespace, prefix);
+    } catch (error) {
+      if (![400, 404, 405].includes(error.status)) throw error;
+      return (await listByQuery(filter, namespace, prefix)).slice(0, limit);
+    }
+
+    const records = [];
+    for (let i = 0; i < ids.length && records.length < limit; i += LIST_PAGE_SIZE) {
+      const fetched = await fetchVectors(ids.slice(i, i + LIST_PAGE_SIZE), { namespace });
+      fetched
+        .filter(record => matchesFilter(record.metadata, filter))
+        .forEach(record => records.push({ id: record.id, metadata: record.metadata }));
+    }
+    return records.slice(0, limit);
+  }
+
+  return {
+    backend: 'pinecone',
+    query,
+    upsert,
+    delete: deleteVectors,
+    deleteAll,
+    fetch: fetchVectors,
+    list,
+    stats
+  };
+}
+
+module.exports = {
+  createPineconeStore
+};
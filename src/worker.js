@@ -6,404 +6,302 @@
 
 import { getAssetFromKV } from '@cloudflare/kv-asset-handler';
 import manifestJSON from '__STATIC_CONTENT_MANIFEST';
+import { formatEvent } from './sse.js';
+import { createAcademicCalendar } from './academic-calendar.js';
+import { createPineconeStore } from './vector-store/pinecone-store.js';
+import { createEmbeddingProvider, createChatProvider } from './providers/index.js';
+import { createCatalogue, normalizeModuleCode, parsePagination, DEFAULT_NAMESPACE } from './catalogue.js';
+import { createDeadlineFeeds } from './ical.js';
+import { createSessionManager } from './sessions/manager.js';
+import { createMemorySessionStore } from './sessions/memory-store.js';
+import { createKVSessionStore } from './sessions/kv-store.js';
+import { createRagCore, parseFusionWeights, parseContextBudget } from './core/index.js';
+import { createKVLexicalIndex } from './lexical/kv-store.js';
+import { createKVGraphIndex } from './graph/kv-store.js';
+import { createRerankerFromEnv } from './rerank/index.js';
+import { createSemanticCache, parseSimilarityThreshold } from './cache/semantic.js';
+import { createMemoryCache } from './cache/memory-store.js';
+import { createKVCache } from './cache/kv-store.js';
+import { createAuth } from './auth.js';
 
 const assetManifest = JSON.parse(manifestJSON);
 
-// In-memory cache
-const queryCache = new Map();
-const CACHE_MAX_SIZE = 50;
+// Query cache, keyed like the server's on namespace, resolved context and query embedding (src/cache)
+const CACHE_MAX_SIZE = 50; // Only for the per-isolate fallback - KV has no size limit
 const CACHE_TTL = 1000 * 60 * 15; // 15 minutes
-
-// Helper: Generate embedding using OpenAI
-async function generateEmbedding(text, env) {
-  const response = await fetch('https://api.openai.com/v1/embeddings', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: 'text-embedding-3-small',
-      input: text,
-    }),
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${error}`);
-  }
-
-  const data = await response.json();
-  return data.data[0].embedding;
-}
-
-// Helper: Query Pinecone
-async function queryPinecone(embedding, options, env) {
-  const { topK = 10, namespace = '', filter = {}, minScore = 0.3 } = options;
-  
-  const body = {
-    vector: embedding,
-    topK,
-    includeMetadata: true,
-    includeValues: false,
-  };
-
-  if (namespace) body.namespace = namespace;
-  if (Object.keys(filter).length > 0) body.filter = filter;
-
-  const response = await fetch(`https://${env.PINECONE_HOST}/query`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Api-Key': env.PINECONE_API_KEY,
-    },
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Pinecone API error: ${response.status} - ${error}`);
+let queryCache = null;
+
+// Helper: The query cache, shared through KV when a namespace is bound as QUERY_CACHE
+// Without it each isolate keeps its own small LRU, which is lost whenever the isolate is recycled
+function getQueryCache(env) {
+  if (!queryCache) {
+    queryCache = createSemanticCache({
+      backend: env.QUERY_CACHE ? createKVCache(env.QUERY_CACHE) : createMemoryCache({ maxSize: CACHE_MAX_SIZE }),
+      threshold: parseSimilarityThreshold(env),
+      ttl: CACHE_TTL,
+    });
   }
-
-  const data = await response.json();
-  return (data.matches || []).filter(match => match.score >= minScore);
+  return queryCache;
 }
 
-// Helper: Calculate academic week and dates
-function getAcademicCalendarInfo() {
-  const now = new Date();
-  // UC Leeds 2024/25 academic year - Week 1 starts Monday 9th September 2024
-  const academicYearStart = new Date('2024-09-09T00:00:00Z');
-  const msPerWeek = 7 * 24 * 60 * 60 * 1000;
-  const msPerDay = 24 * 60 * 60 * 1000;
-  
-  const weeksSinceStart = Math.floor((now - academicYearStart) / msPerWeek) + 1;
-  const currentWeek = Math.max(1, Math.min(52, weeksSinceStart));
-  
-  // Calculate deadline date (Friday of that week at 12:00 PM)
-  function getDeadlineDate(weekNum) {
-    // Start of the week (Monday) + 4 days = Friday
-    const mondayOfWeek = new Date(academicYearStart.getTime() + (weekNum - 1) * msPerWeek);
-    const fridayOfWeek = new Date(mondayOfWeek.getTime() + 4 * msPerDay);
-    return fridayOfWeek.toLocaleDateString('en-GB', { 
-      weekday: 'long', 
-      day: 'numeric', 
-      month: 'long', 
-      year: 'numeric' 
+// Helper: Get providers and vector store for this deployment (created once, then reused)
+let services = null;
+function getServices(env) {
+  if (!services) {
+    // Same calendar as the Express server (config/academic-calendar.json) unless ACADEMIC_CALENDAR holds another as JSON
+    const academicCalendar = createAcademicCalendar(env.ACADEMIC_CALENDAR ? JSON.parse(env.ACADEMIC_CALENDAR) : undefined);
+    services = {
+      academicCalendar,
+      embeddingProvider: createEmbeddingProvider(env),
+      chatProvider: createChatProvider(env),
+      vectorStore: createPineconeStore({ apiKey: env.PINECONE_API_KEY, host: env.PINECONE_HOST }),
+    };
+    // Bind a KV namespace as SEARCH_INDEX holding the server's BM25 snapshot to fuse it with Pinecone results
+    services.lexicalIndex = env.SEARCH_INDEX ? createKVLexicalIndex(env.SEARCH_INDEX) : null;
+    // The same namespace holds the course graph, so hierarchy expansion is a lookup instead of vector queries
+    services.graphIndex = env.SEARCH_INDEX ? createKVGraphIndex(env.SEARCH_INDEX) : null;
+    // RERANKER=local|llm|cross-encoder trims the matches before <CONTEXT> is built (off by default)
+    services.reranker = createRerankerFromEnv(env, services);
+    // The catalogue also resolves what a conversation mentions (courses, modules, tutors, assessments)
+    services.catalogue = createCatalogue(services.vectorStore, { calendar: academicCalendar });
+    // Retrieval, prompt and answer checking shared with the Express server (src/core)
+    services.rag = createRagCore({
+      ...services,
+      calendar: academicCalendar,
+      fusion: parseFusionWeights(env.HYBRID_SEARCH_WEIGHTS),
+      contextBudget: parseContextBudget(env),
     });
+    services.deadlineFeeds = createDeadlineFeeds(services.catalogue, { timeZone: academicCalendar.timeZone });
+    // Bind a KV namespace as SESSIONS to keep conversations; without it they only last as long as the isolate
+    services.sessions = createSessionManager(
+      env.SESSIONS ? createKVSessionStore(env.SESSIONS) : createMemorySessionStore()
+    );
   }
-  
-  return {
-    currentDate: now.toLocaleDateString('en-GB', { 
-      weekday: 'long', 
-      day: 'numeric', 
-      month: 'long', 
-      year: 'numeric' 
-    }),
-    currentWeek,
-    getDeadlineDate
-  };
+  return services;
 }
 
-// Helper: Generate chat response using Gemini
-async function generateChatResponse(query, context, conversationHistory, env) {
-  const calendar = getAcademicCalendarInfo();
-  
-  const systemPrompt = `You are Oracle, a specialized AI assistant for University Centre Leeds. Your primary role is to answer student questions by strictly using the information provided in the <CONTEXT> section.
-
-You must NOT use any external knowledge or make up information. Your purpose is to accurately present and guide students through the provided data.
-
-### CURRENT DATE & ACADEMIC CALENDAR
-- Today's Date: ${calendar.currentDate}
-- Current Academic Week: Week ${calendar.currentWeek}
-- Academic Year: 2024/25 (Week 1 started Monday 9th September 2024)
-
-**IMPORTANT: All assessments are due on FRIDAY at 12:00 PM (noon)**
-
-When a deadline says "Week X", calculate the Friday of that week:
-- Week 20 deadline = ${calendar.getDeadlineDate(20)} at 12:00 PM
-- Week 29 deadline = ${calendar.getDeadlineDate(29)} at 12:00 PM
-- Week 30 deadline = ${calendar.getDeadlineDate(30)} at 12:00 PM
+// Helper: API keys, JWT roles and the CORS allowlist from the Worker env (see src/auth.js)
+let auth = null;
+function getAuth(env) {
+  if (!auth) auth = createAuth(env);
+  return auth;
+}
 
-If a student asks about a deadline in "Week X", ALWAYS tell them:
-1. The week number
-2. The exact date (Friday of that week)
-3. The time (12:00 PM / noon)
+// CORS headers - only sent back to origins listed in CORS_ORIGINS
+const corsHeaders = {
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Client-Id',
+};
 
-### DATA HIERARCHY
-The data follows a strict hierarchy: COURSE → MODULE → ASSESSMENT
-- Assessments link to Modules via module_code
-- Modules link to Courses via course_code
+function withCors(response, request, env) {
+  const origin = request.headers.get('Origin');
+  if (!origin || !getAuth(env).isOriginAllowed(origin)) return response;
 
-### Persona & Tone
-- Friendly & Conversational: Your name is Oracle. Be helpful and approachable.
-- Proactive Guide: Guide users step-by-step.
-- If information is not in context, say so and offer to help with something else.
+  const headers = new Headers(response.headers);
+  headers.set('Access-Control-Allow-Origin', origin);
+  headers.append('Vary', 'Origin');
+  Object.entries(corsHeaders).forEach(([name, value]) => headers.set(name, value));
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
 
-${context}`;
+function handleOptions() {
+  return new Response(null, { status: 204 });
+}
 
-  const contents = [];
-  
-  contents.push({
-    role: 'user',
-    parts: [{ text: systemPrompt }]
-  });
-  
-  contents.push({
-    role: 'model', 
-    parts: [{ text: 'I understand. I am Oracle, the UC Leeds assistant. I will only use the provided context to answer questions.' }]
+function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
   });
+}
 
-  if (conversationHistory && conversationHistory.length > 0) {
-    conversationHistory.slice(-6).forEach(msg => {
-      contents.push({
-        role: msg.role === 'user' ? 'user' : 'model',
-        parts: [{ text: msg.content }],
-      });
-    });
+// Helper: Require at least `role`; returns the user, or the error response to send
+async function requireRole(request, env, role) {
+  try {
+    return { user: await getAuth(env).authorize(request.headers.get('Authorization'), role) };
+  } catch (error) {
+    return { response: jsonResponse({ error: error.message }, error.status || 500) };
   }
+}
 
-  contents.push({
-    role: 'user',
-    parts: [{ text: query }],
-  });
+// ============ Conversation Sessions ============
 
-  const response = await fetch(
-    `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-lite:generateContent?key=${env.GEMINI_API_KEY}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents,
-        generationConfig: {
-          temperature: 0.7,
-          maxOutputTokens: 2048,
-        },
-      }),
-    }
-  );
+// Helper: Resolve the conversation for a chat request - stored turns replace client-sent history
+async function resolveChatSession(request, body, env) {
+  const { sessionId, conversationHistory = [] } = body;
+  if (!sessionId) return { session: null, conversationHistory };
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${error}`);
+  const { sessions } = getServices(env);
+  const session = await sessions.get(request.headers.get('X-Client-Id'), sessionId);
+  if (!session) {
+    const error = new Error(`Session "${sessionId}" not found`);
+    error.status = 404;
+    throw error;
   }
-
-  const data = await response.json();
-  return data.candidates?.[0]?.content?.parts?.[0]?.text || 'I apologize, but I could not generate a response.';
+  return { session, conversationHistory: sessions.historyFor(session) };
 }
 
-// ============ Intelligent Suggestions ============
-
-// Extract context from conversation history
-function extractConversationContext(conversationHistory = [], currentQuery = '') {
-  const context = {
-    course: null,
-    module: null,
-    year: null,
-    hasSpecificCourse: false,
-    hasSpecificModule: false,
-    hasSpecificYear: false,
-  };
-
-  const allContent = [
-    ...conversationHistory.slice(-6).map(msg => msg.content || ''),
-    currentQuery
-  ];
-
-  for (const content of allContent) {
-    const contentLower = content.toLowerCase();
-
-    // Detect course type
-    if (contentLower.includes('fd ') || contentLower.includes('foundation')) {
-      context.course = 'FD';
-      context.hasSpecificCourse = true;
-    } else if (contentLower.includes('bsc') || contentLower.includes('bachelor')) {
-      context.course = 'BSc';
-      context.hasSpecificCourse = true;
-    }
-
-    // Detect year
-    const yearMatch = contentLower.match(/year\s*(\d)/i);
-    if (yearMatch) {
-      context.year = yearMatch[1];
-      context.hasSpecificYear = true;
-    }
-
-    // Detect module mentions
-    const modulePatterns = /(?:psychology|anatomy|training|fitness|nutrition|sport|professional|research|academic|health|wellbeing|leadership)/i;
-    if (modulePatterns.test(contentLower)) {
-      const match = contentLower.match(modulePatterns);
-      if (match) {
-        context.module = match[0];
-        context.hasSpecificModule = true;
-      }
-    }
+// Helper: Store a question/answer pair with its source ids and the resolved conversation context
+async function recordChatTurn(session, { message, response, sourceIds = [], context = {} }, env) {
+  if (!session) return;
+  try {
+    await getServices(env).sessions.recordExchange(session, { message, response, sourceIds, context });
+  } catch (error) {
+    console.error('Failed to save session turn:', error.message);
   }
-
-  return context;
 }
 
-// Analyze matches for ambiguity
-function analyzeMatchesForSuggestions(matches, query) {
-  const typeGroups = {};
-
-  matches.forEach((match, idx) => {
-    const type = match.metadata?.type || 'unknown';
-    if (!typeGroups[type]) typeGroups[type] = [];
-    typeGroups[type].push({
-      index: idx + 1,
-      score: match.score,
-      metadata: match.metadata,
-      match: match
-    });
-  });
+// Handle /api/sessions (GET list, POST create) and /api/sessions/:id (GET resume, PATCH rename, DELETE)
+// - returns null for any other path
+async function handleSessionRequest(request, path, env) {
+  const single = path.match(/^\/api\/sessions\/([^/]+)$/);
+  if (path !== '/api/sessions' && !single) return null;
 
-  const suggestions = [];
+  try {
+    const { sessions } = getServices(env);
+    const ownerId = request.headers.get('X-Client-Id');
 
-  Object.entries(typeGroups).forEach(([type, items]) => {
-    if (items.length >= 2) {
-      const topScore = items[0].score;
-      const threshold = type === 'assessment' ? 0.20 : 0.15;
-      const similarItems = items.filter(item => (topScore - item.score) < threshold);
-
-      if (similarItems.length >= 2) {
-        suggestions.push({
-          type,
-          count: similarItems.length,
-          items: similarItems.slice(0, 3),
-          avgScore: similarItems.reduce((sum, item) => sum + item.score, 0) / similarItems.length
-        });
+    if (!single) {
+      if (request.method === 'GET') {
+        return jsonResponse({ sessions: await sessions.list(ownerId) });
       }
+      if (request.method === 'POST') {
+        const { title, namespace = '' } = await request.json().catch(() => ({}));
+        return jsonResponse(await sessions.create(ownerId, { title, namespace }), 201);
+      }
+      return null;
     }
-  });
 
-  return {
-    hasSuggestions: suggestions.length > 0,
-    suggestions
-  };
-}
+    const sessionId = decodeURIComponent(single[1]);
+    let result;
+
+    if (request.method === 'GET') {
+      result = await sessions.get(ownerId, sessionId);
+    } else if (request.method === 'PATCH') {
+      const { title } = await request.json().catch(() => ({}));
+      result = await sessions.rename(ownerId, sessionId, title);
+    } else if (request.method === 'DELETE') {
+      result = (await sessions.remove(ownerId, sessionId)) ? { deleted: true, sessionId } : null;
+    } else {
+      return null;
+    }
 
-// Build suggestion tile from match
-function buildSuggestion(item, queryContext) {
-  const metadata = item.metadata || {};
-  const type = metadata.type || 'unknown';
-
-  let title = '';
-  let icon = '📄';
-
-  switch (type) {
-    case 'module':
-      title = metadata.module_title || 'Unknown Module';
-      icon = '📚';
-      break;
-    case 'assessment':
-      title = metadata.module_title || '';
-      if (metadata.assessment_type) {
-        title += title ? ` (${metadata.assessment_type})` : metadata.assessment_type;
-      }
-      icon = '📝';
-      break;
-    case 'course_overview':
-      title = metadata.course_title || 'Unknown Course';
-      icon = '🎓';
-      break;
-    default:
-      title = metadata.module_title || metadata.course_title || 'Information';
+    return result ? jsonResponse(result) : jsonResponse({ error: `Session "${sessionId}" not found` }, 404);
+  } catch (error) {
+    if (error.status === 400) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    return jsonResponse({ error: 'Failed to access conversation sessions', details: error.message }, 500);
   }
+}
 
-  const details = [];
+// ============ Course Catalogue ============
 
-  if (type === 'module' && metadata.year) {
-    details.push({ icon: '📅', label: `Year ${metadata.year}` });
-  }
+// Handle GET /api/courses, /api/courses/:courseCode/modules, /api/modules/:moduleCode/assessments
+// and /api/assessments - returns null for any other path
+async function handleCatalogueRequest(path, url, env) {
+  const query = Object.fromEntries(url.searchParams);
+  const courseModules = path.match(/^\/api\/courses\/([^/]+)\/modules$/);
+  const moduleAssessments = path.match(/^\/api\/modules\/([^/]+)\/assessments$/);
 
-  if (type === 'assessment' && metadata.deadline) {
-    details.push({ icon: '⏰', label: metadata.deadline });
+  if (path !== '/api/courses' && path !== '/api/assessments' && !courseModules && !moduleAssessments) {
+    return null;
   }
 
-  if (type === 'assessment' && metadata.weight) {
-    details.push({ icon: '⚖️', label: metadata.weight });
-  }
+  try {
+    const { catalogue } = getServices(env);
+    const options = { namespace: query.namespace, ...parsePagination(query) };
+    let result;
+    let notFound;
+
+    if (path === '/api/courses') {
+      result = await catalogue.listCourses(options);
+    } else if (path === '/api/assessments') {
+      result = await catalogue.listAssessments({ ...options, year: query.year, semester: query.semester, courseCode: query.courseCode });
+    } else if (courseModules) {
+      const courseCode = decodeURIComponent(courseModules[1]);
+      result = await catalogue.listModules(courseCode, { ...options, year: query.year, semester: query.semester });
+      notFound = `Course "${courseCode}" not found`;
+    } else {
+      const moduleCode = normalizeModuleCode(decodeURIComponent(moduleAssessments[1]));
+      result = await catalogue.listModuleAssessments(moduleCode, options);
+      notFound = `Module "${moduleCode}" not found`;
+    }
 
-  // Build click query
-  let query = '';
-  switch (type) {
-    case 'module':
-      query = `What are the assessments and deadlines for ${metadata.module_title || title}?`;
-      break;
-    case 'assessment':
-      query = `Tell me about the ${metadata.assessment_type || 'assessment'} in ${metadata.module_title || 'this module'}`;
-      break;
-    case 'course_overview':
-      query = `What modules are in ${metadata.course_title || title}?`;
-      break;
-    default:
-      query = `Tell me more about ${title}`;
+    return result ? jsonResponse(result) : jsonResponse({ error: notFound }, 404);
+  } catch (error) {
+    if (error.status === 400) {
+      return jsonResponse({ error: error.message }, 400);
+    }
+    return jsonResponse({ error: 'Failed to load course catalogue', details: error.message }, 500);
   }
-
-  return {
-    id: item.match?.id || `suggestion-${Date.now()}`,
-    title,
-    details,
-    query,
-    score: item.score,
-    type,
-    icon
-  };
 }
 
-// Extract suggestions from matches
-function extractSuggestions(matches, matchAnalysis, query, conversationHistory = []) {
-  const context = extractConversationContext(conversationHistory, query);
-
-  // Only show suggestions if user has provided some context
-  const hasEnoughContext = context.hasSpecificCourse || context.hasSpecificModule || context.hasSpecificYear;
+// Handle GET /api/graph (the course -> module -> assessment tree) - returns null for any other path
+async function handleGraphRequest(path, url, env) {
+  if (path !== '/api/graph') return null;
 
-  if (!hasEnoughContext || !matchAnalysis.hasSuggestions) {
-    return [];
+  const { graphIndex } = getServices(env);
+  if (!graphIndex) {
+    return jsonResponse({ error: 'Course graph not configured (bind a SEARCH_INDEX KV namespace)' }, 503);
   }
 
-  const seen = new Set();
-  const suggestions = [];
-
-  matchAnalysis.suggestions.forEach(group => {
-    group.items.forEach(item => {
-      const key = `${item.metadata?.type}-${item.metadata?.module_title || item.metadata?.course_title}`;
-      if (seen.has(key)) return;
-      seen.add(key);
-
-      const suggestion = buildSuggestion(item, context);
-      if (suggestion) {
-        suggestion.priority = item.score;
-        suggestions.push(suggestion);
-      }
-    });
-  });
-
-  return suggestions.sort((a, b) => b.priority - a.priority).slice(0, 3);
+  try {
+    const course = url.searchParams.get('course');
+    const graph = await graphIndex.tree({ namespace: url.searchParams.get('namespace') || DEFAULT_NAMESPACE, courseCode: course });
+    return graph ? jsonResponse(graph) : jsonResponse({ error: `Course "${course}" not found` }, 404);
+  } catch (error) {
+    return jsonResponse({ error: 'Failed to load course graph', details: error.message }, 500);
+  }
 }
 
-// CORS headers
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-};
+// Handle GET /api/calendar/modules/:moduleCode.ics and /api/calendar/:courseCode.ics
+// (iCalendar deadline feeds) - returns null for any other path
+async function handleCalendarFeedRequest(path, url, env) {
+  const moduleFeed = path.match(/^\/api\/calendar\/modules\/([^/]+)\.ics$/);
+  const courseFeed = path.match(/^\/api\/calendar\/([^/]+)\.ics$/);
+  if (!moduleFeed && !courseFeed) return null;
+
+  const query = Object.fromEntries(url.searchParams);
+
+  try {
+    const { deadlineFeeds } = getServices(env);
+    let feed;
+    let notFound;
+
+    if (moduleFeed) {
+      const moduleCode = normalizeModuleCode(decodeURIComponent(moduleFeed[1]));
+      feed = await deadlineFeeds.moduleFeed(moduleCode, { namespace: query.namespace, assessmentId: query.assessment });
+      notFound = `Module "${moduleCode}" not found`;
+    } else {
+      const courseCode = decodeURIComponent(courseFeed[1]);
+      feed = await deadlineFeeds.courseFeed(courseCode, { namespace: query.namespace, year: query.year, semester: query.semester });
+      notFound = `Course "${courseCode}" not found`;
+    }
 
-function handleOptions() {
-  return new Response(null, { status: 204, headers: corsHeaders });
-}
+    if (!feed) {
+      return jsonResponse({ error: notFound }, 404);
+    }
 
-function jsonResponse(data, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: { 'Content-Type': 'application/json', ...corsHeaders },
-  });
+    return new Response(feed.body, {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `inline; filename="${feed.filename}"`,
+        'Cache-Control': 'public, max-age=300',
+      },
+    });
+  } catch (error) {
+    return jsonResponse({ error: 'Failed to build calendar feed', details: error.message }, 500);
+  }
 }
 
-// Main request handler
-export default {
+// Main request handler - CORS headers are added to every response on the way out
+const worker = {
   async fetch(request, env, ctx) {
+    return withCors(await worker.route(request, env, ctx), request, env);
+  },
+
+  async route(request, env, ctx) {
     const url = new URL(request.url);
     const path = url.pathname;
 
@@ -420,119 +318,249 @@ export default {
           status: 'ok',
           timestamp: new Date().toISOString(),
           platform: 'cloudflare-workers',
-          cache: { size: queryCache.size, maxSize: CACHE_MAX_SIZE },
+          sessionStore: env.SESSIONS ? 'kv' : 'memory',
+          lexicalIndex: env.SEARCH_INDEX ? 'kv' : null,
+          graphIndex: env.SEARCH_INDEX ? 'kv' : null,
+          reranker: env.RERANKER && env.RERANKER !== 'off' ? env.RERANKER : null,
+          auth: getAuth(env).methods,
+          cache: await getQueryCache(env).stats(),
         });
       }
 
       if (path === '/api/chat' && request.method === 'POST') {
         const startTime = Date.now();
         const body = await request.json();
-        const { message, conversationHistory = [], namespace = 'ucl-courses', useCache = true } = body;
+        const { message, namespace = 'ucl-courses', useCache = true } = body;
 
         if (!message) {
           return jsonResponse({ error: 'Message is required' }, 400);
         }
 
-        if (!env.OPENAI_API_KEY || !env.PINECONE_API_KEY || !env.PINECONE_HOST || !env.GEMINI_API_KEY) {
+        try {
+          getServices(env);
+        } catch (error) {
           return jsonResponse({ 
             error: 'Server configuration error', 
-            details: 'Missing required API keys.' 
+            details: error.message 
           }, 500);
         }
 
-        const cacheKey = `${namespace}:${message.trim().toLowerCase()}`;
-        if (useCache && queryCache.has(cacheKey)) {
-          const cached = queryCache.get(cacheKey);
-          if (Date.now() - cached.timestamp < CACHE_TTL) {
-            return jsonResponse({ ...cached.data, cached: true, responseTime: Date.now() - startTime });
-          }
-          queryCache.delete(cacheKey);
+        let chatSession;
+        try {
+          chatSession = await resolveChatSession(request, body, env);
+        } catch (error) {
+          return jsonResponse({ error: error.message }, error.status || 500);
+        }
+        const { session, conversationHistory } = chatSession;
+        const sessionFields = session ? { sessionId: session.id } : {};
+
+        const { rag } = getServices(env);
+        const resolved = await rag.resolveQuery(message, conversationHistory, { namespace, state: session?.context });
+        const cacheRequest = { namespace, query: message, context: resolved.context, embedding: resolved.embedding, conversationHistory };
+        const cacheLookup = await getQueryCache(env).lookup(cacheRequest, { useCache });
+        if (cacheLookup.status === 'hit') {
+          const cached = cacheLookup.data;
+          await recordChatTurn(session, { message, response: cached.response, sourceIds: cached.sourceIds, context: resolved.context }, env);
+          return jsonResponse({ ...cached, ...sessionFields, context: resolved.context, cached: true, responseTime: Date.now() - startTime });
         }
 
-        // Parallel: Generate embedding while preparing cache key
-        const embeddingPromise = generateEmbedding(message, env);
-        
-        const embedding = await embeddingPromise;
-        // Reduced topK for faster queries (was 15)
-        const matches = await queryPinecone(embedding, { topK: 8, namespace, minScore: 0.35 }, env);
-
-        // Build rich context with ALL metadata fields
-        const context = matches.length > 0
-          ? `<CONTEXT>\n${matches.map((m, i) => {
-              const meta = m.metadata || {};
-              let contextEntry = `[Match ${i + 1}] (Score: ${(m.score * 100).toFixed(1)}%)\n`;
-              contextEntry += `Type: ${meta.type || 'unknown'}\n`;
-              
-              if (meta.type === 'assessment') {
-                contextEntry += `Module: ${meta.module_title || 'Unknown'}\n`;
-                contextEntry += `Assessment Type: ${meta.assessment_type || 'Not specified'}\n`;
-                contextEntry += `Deadline: ${meta.deadline || 'Not specified'}\n`;
-                contextEntry += `Weight: ${meta.weight || 'Not specified'}\n`;
-                contextEntry += `Word Count: ${meta.word_count || 'Not specified'}\n`;
-                contextEntry += `Tutor: ${meta.tutor || 'Not specified'}\n`;
-                contextEntry += `Year: ${meta.year || 'Not specified'}\n`;
-                contextEntry += `Semester: ${meta.semester || 'Not specified'}\n`;
-                if (meta.submission_method) contextEntry += `Submission: ${meta.submission_method}\n`;
-                if (meta.learning_outcomes) contextEntry += `Learning Outcomes: ${meta.learning_outcomes}\n`;
-              } else if (meta.type === 'module') {
-                contextEntry += `Module Title: ${meta.module_title || 'Unknown'}\n`;
-                contextEntry += `Module Code: ${meta.module_code || 'Not specified'}\n`;
-                contextEntry += `Year: ${meta.year || 'Not specified'}\n`;
-                contextEntry += `Semester: ${meta.semester || 'Not specified'}\n`;
-                contextEntry += `Tutor: ${meta.tutor || 'Not specified'}\n`;
-                contextEntry += `Credits: ${meta.credits || 'Not specified'}\n`;
-              } else if (meta.type === 'course_overview') {
-                contextEntry += `Course: ${meta.course_title || 'Unknown'}\n`;
-                contextEntry += `Course Code: ${meta.course_code || 'Not specified'}\n`;
-              }
-              
-              contextEntry += `\nContent:\n${meta.text || 'No additional content'}`;
-              return contextEntry;
-            }).join('\n\n---\n\n')}\n</CONTEXT>`
-          : '<CONTEXT>No relevant information found.</CONTEXT>';
-
-        const aiResponse = await generateChatResponse(message, context, conversationHistory, env);
-
-        const sources = matches.slice(0, 5).map((match, idx) => ({
-          id: idx + 1,
-          score: match.score,
-          text: (match.metadata?.text || '').substring(0, 300) + '...',
-          metadata: {
-            type: match.metadata?.type,
-            module_title: match.metadata?.module_title,
-            course_title: match.metadata?.course_title,
-            year: match.metadata?.year,
-            semester: match.metadata?.semester,
-          },
-        }));
-
-        // Generate intelligent suggestions
-        const matchAnalysis = analyzeMatchesForSuggestions(matches, message);
-        const suggestions = extractSuggestions(matches, matchAnalysis, message, conversationHistory);
+        const prepared = await rag.prepareChatContext(message, conversationHistory, namespace, resolved);
+        const rawResponse = await rag.generate(message, prepared, conversationHistory);
+        // Keep only citations of sources that exist and check the facts against the matches
+        const { response: aiResponse, citations, verification } = await rag.finalize(rawResponse, prepared, {
+          regenerate: unsupported => rag.regenerate(message, prepared, conversationHistory, rawResponse, unsupported),
+        });
+        const sourceIds = prepared.matches.map(match => match.id);
+        await recordChatTurn(session, { message, response: aiResponse, sourceIds, context: resolved.context }, env);
 
         const result = {
           response: aiResponse,
-          sources,
-          suggestions,
+          sources: prepared.sources,
+          sourceIds,
+          citations,
+          verification,
+          suggestions: prepared.suggestions,
+          diagnostics: prepared.diagnostics,
           responseTime: Date.now() - startTime,
           cached: false,
+          ...(prepared.noMatches ? { noMatches: true } : {}),
         };
 
-        if (useCache && queryCache.size < CACHE_MAX_SIZE) {
-          queryCache.set(cacheKey, { data: result, timestamp: Date.now() });
+        if (cacheLookup.status === 'miss' && !prepared.noMatches) {
+          ctx.waitUntil(getQueryCache(env).store(cacheRequest, result));
+        }
+
+        return jsonResponse({ ...result, context: resolved.context, ...sessionFields });
+      }
+
+      if (path === '/api/chat/stream' && request.method === 'POST') {
+        const startTime = Date.now();
+        const body = await request.json();
+        const { message, namespace = 'ucl-courses', useCache = true } = body;
+
+        if (!message) {
+          return jsonResponse({ error: 'Message is required' }, 400);
         }
 
-        return jsonResponse(result);
+        try {
+          getServices(env);
+        } catch (error) {
+          return jsonResponse({ 
+            error: 'Server configuration error', 
+            details: error.message 
+          }, 500);
+        }
+
+        let chatSession;
+        try {
+          chatSession = await resolveChatSession(request, body, env);
+        } catch (error) {
+          return jsonResponse({ error: error.message }, error.status || 500);
+        }
+        const { session, conversationHistory } = chatSession;
+        const sessionFields = session ? { sessionId: session.id } : {};
+
+        const encoder = new TextEncoder();
+
+        // Same event protocol as the Express server (see src/sse.js)
+        const stream = new ReadableStream({
+          async start(controller) {
+            const sendEvent = (event, data) => controller.enqueue(encoder.encode(formatEvent(event, data)));
+
+            try {
+              const { rag } = getServices(env);
+              const resolved = await rag.resolveQuery(message, conversationHistory, { namespace, state: session?.context });
+              const cacheRequest = { namespace, query: message, context: resolved.context, embedding: resolved.embedding, conversationHistory };
+              const cacheLookup = await getQueryCache(env).lookup(cacheRequest, { useCache });
+              if (cacheLookup.status === 'hit') {
+                const cached = cacheLookup.data;
+                sendEvent('metadata', { sources: cached.sources, suggestions: cached.suggestions, context: resolved.context, cached: true, ...sessionFields });
+                sendEvent('token', { text: cached.response });
+                await recordChatTurn(session, { message, response: cached.response, sourceIds: cached.sourceIds, context: resolved.context }, env);
+                sendEvent('done', {
+                  response: cached.response,
+                  citations: cached.citations || [],
+                  verification: cached.verification || null,
+                  ...sessionFields,
+                  cached: true,
+                  responseTime: Date.now() - startTime,
+                  timings: { total: Date.now() - startTime },
+                });
+                return;
+              }
+
+              const prepared = await rag.prepareChatContext(message, conversationHistory, namespace, resolved);
+              const retrievalTime = Date.now() - startTime;
+
+              sendEvent('metadata', {
+                sources: prepared.sources,
+                suggestions: prepared.suggestions,
+                context: resolved.context,
+                noMatches: prepared.noMatches,
+                cached: false,
+                ...sessionFields,
+                retrieval: {
+                  namespace,
+                  matchCount: prepared.matches.length,
+                  timings: { ...prepared.timings, retrieval: retrievalTime },
+                },
+                diagnostics: prepared.diagnostics,
+              });
+
+              const llmStartTime = Date.now();
+              let firstTokenTime = null;
+              let rawResponse = '';
+
+              for await (const text of rag.stream(message, prepared, conversationHistory)) {
+                if (firstTokenTime === null) firstTokenTime = Date.now() - llmStartTime;
+                rawResponse += text;
+                sendEvent('token', { text });
+              }
+
+              // Tokens are already out, so no regenerating: "done" carries the answer with invalid
+              // citations removed and a warning about unsupported facts
+              const { response: aiResponse, citations, verification } = await rag.finalize(rawResponse, prepared);
+
+              const responseTime = Date.now() - startTime;
+              const sourceIds = prepared.matches.map(match => match.id);
+              await recordChatTurn(session, { message, response: aiResponse, sourceIds, context: resolved.context }, env);
+
+              sendEvent('done', {
+                response: aiResponse,
+                citations,
+                verification,
+                responseTime,
+                cached: false,
+                noMatches: prepared.noMatches,
+                ...sessionFields,
+                timings: {
+                  ...prepared.timings,
+                  retrieval: retrievalTime,
+                  firstToken: firstTokenTime,
+                  generation: Date.now() - llmStartTime,
+                  total: responseTime,
+                },
+              });
+
+              if (cacheLookup.status === 'miss' && !prepared.noMatches) {
+                await getQueryCache(env).store(cacheRequest, {
+                  response: aiResponse,
+                  sources: prepared.sources,
+                  sourceIds,
+                  citations,
+                  verification,
+                  suggestions: prepared.suggestions,
+                  responseTime,
+                  cached: false,
+                });
+              }
+            } catch (error) {
+              console.error('Worker stream error:', error);
+              sendEvent('error', { error: 'Failed to process chat message', details: error.message });
+            } finally {
+              controller.close();
+            }
+          },
+        });
+
+        return new Response(stream, {
+          headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+          },
+        });
+      }
+
+      if (path === '/api/auth/me') {
+        try {
+          const user = await getAuth(env).authenticate(request.headers.get('Authorization'));
+          return jsonResponse({ ...getAuth(env).describe(user), methods: getAuth(env).methods });
+        } catch (error) {
+          return jsonResponse({ error: error.message }, error.status || 500);
+        }
       }
 
       if (path === '/api/cache/stats') {
-        return jsonResponse({ size: queryCache.size, maxSize: CACHE_MAX_SIZE, ttl: CACHE_TTL });
+        const { response } = await requireRole(request, env, 'admin');
+        if (response) return response;
+        return jsonResponse(await getQueryCache(env).stats({ includeEntries: true }));
       }
 
       if (path === '/api/cache/clear' && request.method === 'POST') {
-        const previousSize = queryCache.size;
-        queryCache.clear();
-        return jsonResponse({ message: 'Cache cleared', entriesCleared: previousSize });
+        const { response } = await requireRole(request, env, 'admin');
+        if (response) return response;
+        const { removedCount } = await getQueryCache(env).clear();
+        return jsonResponse({ message: 'Cache cleared', entriesCleared: removedCount });
+      }
+
+      const sessionResponse = await handleSessionRequest(request, path, env);
+      if (sessionResponse) return sessionResponse;
+
+      if (request.method === 'GET') {
+        const readOnlyResponse = await handleCatalogueRequest(path, url, env)
+          || await handleGraphRequest(path, url, env)
+          || await handleCalendarFeedRequest(path, url, env);
+        if (readOnlyResponse) return readOnlyResponse;
       }
 
       // ============ Static Assets ============
@@ -578,3 +606,5 @@ export default {
     }
   },
 };
+
+export default worker;
@@ -0,0 +1,185 @@
+/**
+ * Unit tests for the academic calendar (src/academic-calendar.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-academic-calendar.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createAcademicCalendar,
+  formatCalendarContext,
+  toISODate
+} = require('./src/academic-calendar');
+
+// Fixture mirrors the 2025/26 calendar so boundary expectations stay readable
+const config = {
+  academicYear: '2025/26',
+  weekOneStart: '2025-09-15',
+  yearEnd: '2026-07-03',
+  timeZone: 'Europe/London',
+  deadline: { weekday: 'Friday', time: '12:00' },
+  exclusions: [
+    { name: 'Reading Week 1', start: '2025-10-27', end: '2025-11-03' },
+    { name: 'Christmas', start: '2025-12-22', end: '2026-01-05' },
+    { name: 'Reading Week 2', start: '2026-02-17', end: '2026-02-21' },
+    { name: 'Easter', start: '2026-04-07', end: '2026-04-14' }
+  ]
+};
+
+const calendar = createAcademicCalendar(config);
+
+function deadline(week) {
+  const date = calendar.getDeadlineDate(week);
+  return date && toISODate(date);
+}
+
+function weekOf(isoDate) {
+  return calendar.getWeekForDate(isoDate);
+}
+
+test('week 1 starts on the configured Monday with a Friday deadline', () => {
+  assert.equal(toISODate(calendar.getWeekStart(1)), '2025-09-15');
+  assert.equal(deadline(1), '2025-09-19');
+  assert.equal(weekOf('2025-09-15').week, 1);
+  assert.equal(weekOf('2025-09-21').week, 1);
+  assert.equal(weekOf('2025-09-22').week, 2);
+});
+
+test('Reading Week 1 boundaries', () => {
+  assert.equal(deadline(6), '2025-10-24');
+  assert.equal(weekOf('2025-10-26').week, 6);
+
+  // 27/10 - 31/10 is fully excluded
+  assert.equal(weekOf('2025-10-27').week, null);
+  assert.equal(weekOf('2025-10-27').exclusion.name, 'Reading Week 1');
+  assert.equal(weekOf('2025-10-31').exclusion.name, 'Reading Week 1');
+
+  // The period ends on Monday 03/11 - that week is still a teaching week
+  assert.equal(weekOf('2025-11-03').week, 7);
+  assert.equal(weekOf('2025-11-03').exclusion, null);
+  assert.equal(toISODate(calendar.getWeekStart(7)), '2025-11-03');
+  assert.equal(deadline(7), '2025-11-07');
+});
+
+test('Christmas boundaries', () => {
+  assert.equal(deadline(13), '2025-12-19');
+  assert.equal(weekOf('2025-12-21').week, 13);
+
+  assert.equal(weekOf('2025-12-22').exclusion.name, 'Christmas');
+  assert.equal(weekOf('2025-12-29').exclusion.name, 'Christmas');
+  assert.equal(weekOf('2026-01-04').exclusion.name, 'Christmas');
+
+  // Return week: only Monday 05/01 is covered
+  assert.equal(weekOf('2026-01-05').week, 14);
+  assert.equal(deadline(14), '2026-01-09');
+});
+
+test('Reading Week 2 boundaries', () => {
+  assert.equal(deadline(19), '2026-02-13');
+  assert.equal(weekOf('2026-02-15').week, 19);
+
+  // Period starts on a Tuesday but still covers most of the week
+  assert.equal(weekOf('2026-02-16').exclusion.name, 'Reading Week 2');
+  assert.equal(weekOf('2026-02-17').exclusion.name, 'Reading Week 2');
+  assert.equal(weekOf('2026-02-21').exclusion.name, 'Reading Week 2');
+
+  assert.equal(weekOf('2026-02-23').week, 20);
+  assert.equal(deadline(20), '2026-02-27');
+});
+
+test('Easter boundaries', () => {
+  assert.equal(deadline(25), '2026-04-03');
+  assert.equal(weekOf('2026-04-05').week, 25);
+
+  assert.equal(weekOf('2026-04-06').exclusion.name, 'Easter');
+  assert.equal(weekOf('2026-04-10').exclusion.name, 'Easter');
+
+  // Period spills into Mon/Tue of the following week - still a teaching week
+  assert.equal(weekOf('2026-04-13').week, 26);
+  assert.equal(weekOf('2026-04-14').week, 26);
+  assert.equal(deadline(26), '2026-04-17');
+});
+
+test('week -> date -> week round-trips for every teaching week', () => {
+  assert.equal(calendar.totalWeeks, 37);
+  for (let week = 1; week <= calendar.totalWeeks; week++) {
+    assert.equal(calendar.getWeekForDate(calendar.getDeadlineDate(week)).week, week);
+    assert.equal(calendar.getWeekForDate(calendar.getWeekStart(week)).week, week);
+  }
+});
+
+test('out-of-range weeks and dates', () => {
+  assert.equal(calendar.getDeadlineDate(0), null);
+  assert.equal(calendar.getDeadlineDate(38), null);
+  assert.equal(calendar.getWeekStart('abc'), null);
+
+  assert.equal(weekOf('2025-09-01').week, null);
+  assert.equal(weekOf('2025-09-01').beforeStart, true);
+  assert.equal(weekOf('2026-08-01').afterEnd, true);
+});
+
+test('current week uses the calendar time zone', () => {
+  // 23:30 UTC on Sunday 21/09 is already Monday 22/09 in London (BST)
+  const current = calendar.getCurrentWeek(new Date('2025-09-21T23:30:00Z'));
+  assert.equal(toISODate(current.date), '2025-09-22');
+  assert.equal(current.week, 2);
+
+  const holiday = calendar.getCurrentWeek(new Date('2025-12-24T12:00:00Z'));
+  assert.equal(holiday.week, null);
+  assert.equal(holiday.exclusion.name, 'Christmas');
+});
+
+test('resolveDeadline handles academic weeks and literal dates', () => {
+  const fromWeek = calendar.resolveDeadline('Academic Week 15');
+  assert.equal(fromWeek.source, 'week');
+  assert.equal(fromWeek.week, 15);
+  assert.equal(toISODate(fromWeek.date), '2026-01-16');
+  assert.equal(fromWeek.display, 'Friday 16 January 2026 at 12:00 PM');
+
+  assert.equal(toISODate(calendar.resolveDeadline('Week 20').date), '2026-02-27');
+
+  for (const text of ['14th November 2025', '14 Nov 2025', '14/11/2025', '2025-11-14']) {
+    const resolved = calendar.resolveDeadline(text);
+    assert.equal(resolved.source, 'date', text);
+    assert.equal(toISODate(resolved.date), '2025-11-14', text);
+    assert.equal(resolved.week, 8, text);
+  }
+
+  assert.equal(calendar.resolveDeadline('TBC'), null);
+  assert.equal(calendar.resolveDeadline('Week 99'), null);
+  assert.equal(calendar.resolveDeadline(undefined), null);
+});
+
+test('custom deadline weekday and time', () => {
+  const custom = createAcademicCalendar({
+    ...config,
+    deadline: { weekday: 'Wednesday', time: '17:00' }
+  });
+  assert.equal(toISODate(custom.getDeadlineDate(1)), '2025-09-17');
+  assert.equal(custom.resolveDeadline('Week 1').display, 'Wednesday 17 September 2025 at 5:00 PM');
+
+  assert.throws(() => createAcademicCalendar({ ...config, deadline: { weekday: 'Funday' } }), /Invalid deadline weekday/);
+  assert.throws(() => createAcademicCalendar({ ...config, weekOneStart: '15/09/2025' }), /Invalid calendar date/);
+});
+
+test('formatCalendarContext injects resolved dates for the LLM', () => {
+  const matches = [{
+    id: 'assessment-essay',
+    metadata: { module_title: 'Academic Research', assessment_type: 'Essay', deadline: 'Academic Week 15' }
+  }];
+  const context = formatCalendarContext(calendar, matches, new Date('2025-11-12T10:00:00Z'));
+
+  assert.match(context, /Today: Wednesday 12 November 2025 - Academic Week 8/);
+  assert.match(context, /Week 15: 2026-01-16/);
+  assert.match(context, /Academic Research - Essay: "Academic Week 15" = Academic Week 15, Friday 16 January 2026 at 12:00 PM/);
+  assert.match(context, /Christmas \(Monday 22 December 2025 to Monday 5 January 2026\)/);
+});
+
+test('shipped config loads', () => {
+  const shipped = createAcademicCalendar();
+  assert.ok(shipped.totalWeeks > 30);
+  assert.ok(shipped.exclusions.length > 0);
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for assessment schedule import (src/import/assessments.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-assessment-import.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const writeExcelFile = require('write-excel-file/node').default;
+const { importAssessmentSchedule, parseCsv } = require('./src/import/assessments');
+const { createIngester } = require('./src/ingest');
+const { createLocalStore } = require('./src/vector-store/local-store');
+const { createHashEmbeddings } = require('./src/providers');
+const { buildSuggestionFromMatch } = require('./src/core');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const { createCatalogue } = require('./src/catalogue');
+const { createKnowledgeBase } = require('./src/knowledge-base');
+
+const courseData = require('./uc-course-data.json');
+
+const calendar = createAcademicCalendar();
+const existing = courseData.map(doc => doc.metadata);
+
+const SCHEDULE = [
+  'Module Code,Assessment Type,Weighting (%),Word Count,Week,Tutor',
+  '[W_HTH4C042R-2025.26],Essay,60,"1,800",10,',
+  'w_hth4c042r-2025.26,Presentation,40%,N/A,Week 12,"Sanderson, Shelley"'
+].join('\n');
+
+test('CSV fields may be quoted, hold newlines and use ; or tabs', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\r\n"x, ""y""","line\nbreak"\n'), [['a', 'b'], ['x, "y"', 'line\nbreak']]);
+  assert.deepEqual(parseCsv('a;b\n1,5;2'), [['a', 'b'], ['1,5', '2']]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('rows become assessments of modules already in the namespace', async () => {
+  const { documents, errors, warnings } = await importAssessmentSchedule(SCHEDULE, { existing, calendar });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(documents.map(doc => doc.id), [
+    'assessment-academic-research-and-study-skills-essay',
+    'assessment-academic-research-and-study-skills-presentation'
+  ]);
+
+  const [essay, presentation] = documents;
+  assert.deepEqual(essay.metadata, {
+    type: 'assessment',
+    module_code: 'W_HTH4C042R-2025.26',
+    module_title: 'Academic Research and Study Skills',
+    assessment_type: 'Essay',
+    weight: '60%',
+    word_count: '1800 words',
+    deadline: 'Week 10',
+    tutor: 'Shelley Sanderson',
+    year: '1',
+    semester: '1',
+    source: 'assessment-schedule'
+  });
+  assert.equal(essay.text, [
+    'Assessment: Essay (1800 words) (60%)',
+    'Module: Academic Research and Study Skills',
+    'Module Code: W_HTH4C042R-2025.26',
+    'Unit Assessor: Shelley Sanderson',
+    'Deadline: Week 10'
+  ].join('\n'));
+
+  // The row's tutor wins over the module's; "N/A" is no word count
+  assert.equal(presentation.metadata.tutor, 'Sanderson, Shelley');
+  assert.equal(presentation.metadata.word_count, undefined);
+  assert.equal(presentation.metadata.weight, '40%');
+});
+
+test('importing the same schedule again gives the same ids, numbered within a module', async () => {
+  const schedule = `${SCHEDULE}\nW_HTH4C042R-2025.26,Essay,0,500,Week 14,`;
+  const first = await importAssessmentSchedule(schedule, { existing });
+  const second = await importAssessmentSchedule(schedule, { existing });
+
+  assert.deepEqual(first.documents.map(doc => doc.id), second.documents.map(doc => doc.id));
+  assert.equal(first.documents[2].id, 'assessment-academic-research-and-study-skills-essay-2');
+  assert.deepEqual(first.documents.map(doc => doc.text), second.documents.map(doc => doc.text));
+});
+
+test('XLSX cells are read as typed: percentages, dates, week numbers and times', async () => {
+  const workbook = await writeExcelFile([
+    ['Module', 'Type', 'Weight', 'Words', 'Due', 'Due Time', 'Learning Outcomes'],
+    ['W_HTH4C042R-2025.26', 'Essay', { value: 0.6, format: '0%' }, 1800, { value: new Date(Date.UTC(2025, 10, 14)), format: 'dd/mm/yyyy' }, { value: 0.5, format: 'hh:mm' }, 'LO 1, 2'],
+    ['W_HTH4C042R-2025.26', 'Presentation', { value: 0.4, format: '0%' }, null, 12, null, null]
+  ]).toBuffer();
+
+  const { documents, errors } = await importAssessmentSchedule(workbook, { format: 'xlsx', existing, calendar });
+  assert.deepEqual(errors, []);
+
+  const [essay, presentation] = documents;
+  assert.equal(essay.metadata.weight, '60%');
+  assert.equal(essay.metadata.deadline, '14th November 2025');
+  assert.equal(essay.metadata.deadline_time, '12:00');
+  assert.match(essay.text, /Deadline: 14th November 2025\nDeadline Time: 12:00\n\nLearning Outcomes:\nLO 1, 2$/);
+  assert.equal(presentation.metadata.deadline, 'Week 12');
+
+  // Base64 text is accepted too, as POST /api/import/assessments sends it
+  const fromBase64 = await importAssessmentSchedule(workbook.toString('base64'), { format: 'xlsx', existing });
+  assert.equal(fromBase64.documents.length, 2);
+});
+
+test('unknown modules, unusable weights and missing columns are errors', async () => {
+  const schedule = [
+    'Module Code,Assessment Type,Weight,Deadline,Room',
+    'W_SPT9X999R-2025.26,Essay,50,Week 10,A1',
+    'W_HTH4C042R-2025.26,Report,sixty,Week 99,A2'
+  ].join('\n');
+  const { documents, errors, warnings } = await importAssessmentSchedule(schedule, { existing, calendar });
+  const messages = list => list.map(({ field, message }) => `${field}: ${message}`);
+
+  assert.deepEqual(messages(errors), [
+    'row 2, module_code: no module "W_SPT9X999R-2025.26" in the namespace - upload the module first',
+    'row 3, weight: "sixty" isn\'t a whole percentage of 100 or less'
+  ]);
+  assert.deepEqual(messages(warnings), [
+    'row 1, Room: column ignored - map it with columns if it matters',
+    'row 3, deadline: "Week 99" isn\'t a week or a date the academic calendar knows'
+  ]);
+  assert.equal(documents.length, 1);
+
+  const noType = await importAssessmentSchedule('Module Code,Weight\nW_HTH4C042R-2025.26,50', { existing });
+  assert.deepEqual(messages(noType.errors), ['columns: no column for assessment_type']);
+
+  const badMapping = await importAssessmentSchedule(SCHEDULE, { existing, columns: { Week: 'due', Marker: 'tutor' } });
+  assert.deepEqual(messages(badMapping.errors), [
+    'columns: "due" isn\'t a field a column can map to (module_code, module_title, assessment_type, title, weight, word_count, deadline, deadline_time, duration, tutor, learning_outcomes)',
+    'columns: no "marker" column to map to tutor'
+  ]);
+});
+
+test('explicit column mappings override the header names', async () => {
+  const schedule = 'Unit,Component,Hand In\nW_HTH4C042R-2025.26,Essay,Week 10';
+  const { documents, errors } = await importAssessmentSchedule(schedule, {
+    existing,
+    columns: { Unit: 'module_code', Component: 'assessment_type', 'Hand In': 'deadline' }
+  });
+
+  assert.deepEqual(errors, []);
+  assert.equal(documents[0].metadata.deadline, 'Week 10');
+});
+
+test('imported assessments go through the ingest pipeline and read like uploaded ones', async () => {
+  const vectorStore = createLocalStore();
+  const ingester = createIngester({ embeddingProvider: createHashEmbeddings(), vectorStore, logger: { log() {}, error() {} } });
+  const { documents } = await importAssessmentSchedule(SCHEDULE, { existing, calendar });
+
+  const result = await ingester.ingest(documents, { namespace: 'ucl-courses' });
+  assert.deepEqual(result.documents.map(report => report.status), ['uploaded', 'uploaded']);
+
+  const [stored] = await vectorStore.list({ type: 'assessment' }, { namespace: 'ucl-courses' });
+  const suggestion = buildSuggestionFromMatch(stored, {});
+  assert.equal(suggestion.title, 'Academic Research and Study Skills (Essay)');
+  assert.deepEqual(suggestion.details.map(detail => detail.label), ['Week 10', '60%']);
+});
+
+test('a schedule replaces the stored copies of its assessments and reports the ones it dropped', async () => {
+  const vectorStore = createLocalStore();
+  const ingester = createIngester({ embeddingProvider: createHashEmbeddings(), vectorStore, logger: { log() {}, error() {} } });
+  await ingester.ingest(courseData, { namespace: 'ucl-courses' });
+  const entries = await createCatalogue(vectorStore).listEntries({ namespace: 'ucl-courses' });
+
+  // The row's spelling of the module is warned about, but the id comes from the catalogue
+  const schedule = 'Module Code,Module Title,Assessment Type,Week\nW_HTH4C042R-2025.26,Academic Research & Study Skills,Essay,10';
+  const { documents, stale, warnings } = await importAssessmentSchedule(schedule, { existing: entries, calendar });
+  assert.deepEqual(documents.map(doc => doc.id), ['assessment-academic-research-and-study-skills-essay']);
+  assert.match(warnings[0].message, /"Academic Research & Study Skills" but module/);
+  assert.deepEqual(stale, [{
+    id: 'assessment-academic-research-and-study-skills-electronic-presentation',
+    module_code: 'W_HTH4C042R-2025.26',
+    assessment_type: 'Electronic Presentation'
+  }]);
+
+  // Stored as the import routes store it: the essay replaced in place, the presentation gone
+  await ingester.ingest(documents, { namespace: 'ucl-courses' });
+  const knowledgeBase = createKnowledgeBase({ vectorStore, ingester });
+  for (const { id } of stale) await knowledgeBase.deleteDocument(id, { namespace: 'ucl-courses' });
+
+  const assessments = await vectorStore.list({ type: 'assessment' }, { namespace: 'ucl-courses' });
+  assert.deepEqual(assessments.map(record => [record.id, record.metadata.source]), [
+    ['assessment-academic-research-and-study-skills-essay', 'assessment-schedule']
+  ]);
+});
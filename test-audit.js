@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the audit log (src/audit)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-audit.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, createAuditLogFromEnv, createMemoryAuditStore, createFileAuditStore } = require('./src/audit');
+
+const admin = { id: 'api-key-1', role: 'admin', name: 'ignored' };
+
+test('entries record who did what, and are listed newest first with filters', async () => {
+  const auditLog = createAuditLog(createMemoryAuditStore());
+  const entry = await auditLog.record({ actor: admin, action: 'document.delete', namespace: 'ucl-courses', target: 'module-1', details: { deletedCount: 3 } });
+
+  assert.match(entry.id, /^[0-9a-f-]{36}$/);
+  assert.match(entry.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+  assert.deepEqual(entry.actor, { id: 'api-key-1', role: 'admin' });
+
+  await auditLog.record({ actor: { id: 'editor', role: 'admin' }, action: 'documents.list', namespace: 'ucl-courses' });
+  await auditLog.record({ actor: admin, action: 'namespace.delete', namespace: 'scratch', target: 'scratch' });
+
+  assert.deepEqual((await auditLog.list()).map(item => item.action), ['namespace.delete', 'documents.list', 'document.delete']);
+  // An action prefix matches the actions under it, but not other words that start the same way
+  assert.deepEqual((await auditLog.list({ action: 'document' })).map(item => item.target), ['module-1']);
+  assert.deepEqual((await auditLog.list({ actor: 'editor' })).map(item => item.action), ['documents.list']);
+  assert.deepEqual((await auditLog.list({ namespace: 'scratch' })).map(item => item.action), ['namespace.delete']);
+  assert.equal((await auditLog.list({ limit: 1 })).length, 1);
+});
+
+test('the file backend appends JSON lines and survives restarts', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-audit-'));
+  const filePath = path.join(dir, 'nested', 'audit-log.jsonl');
+  try {
+    const first = createAuditLogFromEnv({ AUDIT_LOG: 'file', AUDIT_LOG_PATH: filePath });
+    assert.deepEqual(await first.list(), []);
+    await first.record({ actor: admin, action: 'namespace.delete', target: 'scratch' });
+
+    // A torn line is skipped rather than breaking the log
+    fs.appendFileSync(filePath, '{"id": "half-writ');
+    fs.appendFileSync(filePath, '\n');
+
+    const second = createAuditLog(createFileAuditStore({ filePath }));
+    await second.record({ actor: admin, action: 'document.delete', target: 'module-1' });
+    assert.deepEqual((await second.list()).map(entry => entry.target), ['module-1', 'scratch']);
+    assert.equal(fs.readFileSync(filePath, 'utf-8').trim().split('\n').length, 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('AUDIT_LOG selects the backend', async () => {
+  assert.equal(createAuditLogFromEnv({ AUDIT_LOG: 'memory' }).backend, 'memory');
+  assert.equal(createAuditLogFromEnv({ AUDIT_LOG: 'off' }), null);
+  assert.throws(() => createAuditLogFromEnv({ AUDIT_LOG: 'syslog' }), /Unknown AUDIT_LOG "syslog"/);
+
+  // The memory backend keeps only the newest entries
+  const store = createMemoryAuditStore({ maxEntries: 2 });
+  for (const n of [1, 2, 3]) await store.append({ n });
+  assert.deepEqual((await store.readAll()).map(entry => entry.n), [2, 3]);
+});
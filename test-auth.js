@@ -0,0 +1,98 @@
+/**
+ * Unit tests for authentication, roles and CORS (src/auth.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-auth.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, hasRole, signToken, verifyToken } = require('./src/auth');
+
+const SECRET = 'test-secret-with-enough-entropy';
+const env = {
+  API_KEYS: 'admin:admin-key-123, staff:staff-key-456',
+  AUTH_JWT_SECRET: SECRET,
+  CORS_ORIGINS: 'https://oracle.ucleeds.ac.uk, http://localhost:5173'
+};
+
+const inOneHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+test('API keys map to their role', async () => {
+  const auth = createAuth(env);
+  assert.deepEqual(auth.methods, ['api-key', 'jwt']);
+
+  const admin = await auth.authenticate('Bearer admin-key-123');
+  assert.equal(admin.role, 'admin');
+  assert.equal(admin.method, 'api-key');
+  assert.equal((await auth.authenticate('bearer staff-key-456')).role, 'staff');
+
+  assert.equal(await auth.authenticate(undefined), null);
+  await assert.rejects(auth.authenticate('Bearer wrong-key'), error => error.status === 401);
+  await assert.rejects(auth.authenticate('Basic abc'), /Bearer/);
+});
+
+test('malformed API_KEYS entries are rejected at startup', () => {
+  assert.throws(() => createAuth({ API_KEYS: 'superuser:key' }), /Invalid API_KEYS entry 1/);
+  assert.throws(() => createAuth({ API_KEYS: 'staff:' }), /Invalid API_KEYS entry 1/);
+});
+
+test('signed JWTs are accepted with their highest role', async () => {
+  const auth = createAuth(env);
+  const token = await signToken({ sub: 'jsmith', name: 'Jo Smith', roles: ['student', 'staff'], exp: inOneHour() }, SECRET);
+
+  const user = await auth.authenticate(`Bearer ${token}`);
+  assert.deepEqual(user, { id: 'jsmith', role: 'staff', name: 'Jo Smith', method: 'jwt' });
+});
+
+test('tampered, expired and wrongly issued JWTs are rejected', async () => {
+  const token = await signToken({ sub: 'student-1', role: 'student', exp: inOneHour() }, SECRET);
+  const [header, , signature] = token.split('.');
+  const forgedBody = Buffer.from(JSON.stringify({ sub: 'student-1', role: 'admin' })).toString('base64url');
+  await assert.rejects(verifyToken(`${header}.${forgedBody}.${signature}`, SECRET), /Invalid token signature/);
+  await assert.rejects(verifyToken(`${token.split('.').slice(0, 2).join('.')}.!!!`, SECRET), error => error.status === 401 && /Malformed token/.test(error.message));
+
+  // Correctly signed, but the payload is not a claims object
+  for (const payload of [null, [], 'admin', 42]) {
+    const signed = await signToken(payload, SECRET);
+    await assert.rejects(createAuth(env).authenticate(`Bearer ${signed}`), error => error.status === 401 && /Malformed token/.test(error.message));
+  }
+
+  const expired = await signToken({ sub: 'student-1', role: 'student', exp: 1000 }, SECRET);
+  await assert.rejects(verifyToken(expired, SECRET), /expired/);
+
+  await assert.rejects(verifyToken(token, SECRET, { issuer: 'https://sso.ucleeds.ac.uk' }), /issuer/);
+  await assert.rejects(verifyToken(token, 'another-secret'), error => error.status === 401);
+
+  const noRole = await signToken({ sub: 'student-1', role: 'superuser' }, SECRET);
+  await assert.rejects(createAuth(env).authenticate(`Bearer ${noRole}`), /role/);
+});
+
+test('authorize enforces the role order and needs auth configured', async () => {
+  const auth = createAuth(env);
+  const studentToken = await signToken({ sub: 'student-1', role: 'student' }, SECRET);
+
+  assert.equal((await auth.authorize('Bearer admin-key-123', 'staff')).role, 'admin');
+  await assert.rejects(auth.authorize('Bearer staff-key-456', 'admin'), error => error.status === 403);
+  await assert.rejects(auth.authorize(`Bearer ${studentToken}`, 'staff'), error => error.status === 403);
+  await assert.rejects(auth.authorize(undefined, 'staff'), error => error.status === 401);
+
+  await assert.rejects(createAuth({}).authorize('Bearer anything', 'staff'), error => error.status === 503);
+
+  assert.equal(hasRole({ role: 'admin' }, 'student'), true);
+  assert.equal(hasRole(null, 'student'), false);
+});
+
+test('CORS allowlist and permission summary', () => {
+  const auth = createAuth(env);
+  assert.equal(auth.isOriginAllowed('https://oracle.ucleeds.ac.uk'), true);
+  assert.equal(auth.isOriginAllowed('https://evil.example'), false);
+  assert.equal(auth.isOriginAllowed(undefined), true);
+
+  assert.equal(createAuth({}).isOriginAllowed('http://localhost:5173'), false);
+  assert.equal(createAuth({ CORS_ORIGINS: '*' }).isOriginAllowed('https://anything.example'), true);
+
+  assert.deepEqual(auth.describe({ id: 'api-key-2', role: 'staff', name: null }).permissions, { upload: true, admin: false });
+  assert.deepEqual(auth.describe(null), { authenticated: false, user: null, permissions: { upload: false, admin: false } });
+});
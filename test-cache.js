@@ -0,0 +1,318 @@
+/**
+ * Unit tests for the semantic query cache (src/cache)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-cache.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {
+  createSemanticCache,
+  createCacheBackendFromEnv,
+  createMemoryCache,
+  createFileCache,
+  createRedisCache,
+  createRedisClient,
+  createKVCache,
+  parseSimilarityThreshold,
+  contextKey
+} = require('./src/cache');
+const { parseReply } = require('./src/cache/redis-client');
+const { createRagCore } = require('./src/core');
+const { createLocalStore } = require('./src/vector-store');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const { createCannedChat } = require('./src/providers/offline');
+
+const FD_YEAR_1 = { course: 'FD', year: '1', module: null };
+const silent = { log() {}, error() {} };
+const answer = text => ({ response: text, sources: [], sourceIds: [] });
+
+// Just enough of the Workers KV API for the cache
+function fakeKV() {
+  const entries = new Map();
+  return {
+    entries,
+    async get(key, type) {
+      if (!entries.has(key)) return null;
+      const value = entries.get(key);
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      entries.set(key, value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix }) {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+// Just enough of a Redis server (strings, sets and sorted sets over RESP) for the cache
+function startFakeRedis(t) {
+  const data = new Map();
+  const commands = [];
+  const zset = key => data.get(key) || new Map();
+  const sorted = key => [...zset(key).entries()].sort((a, b) => a[1] - b[1]);
+  const reply = value => {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(reply).join('')}`;
+    return `$${Buffer.byteLength(String(value))}\r\n${value}\r\n`;
+  };
+
+  const handlers = {
+    AUTH: () => 'OK',
+    GET: key => (data.has(key) ? data.get(key) : null),
+    SET: (key, value) => { data.set(key, value); return 'OK'; },
+    DEL: (...keys) => keys.filter(key => data.delete(key)).length,
+    SADD: (key, ...members) => { data.set(key, new Set([...(data.get(key) || []), ...members])); return members.length; },
+    SMEMBERS: key => [...(data.get(key) || [])],
+    PEXPIRE: () => 1,
+    ZADD: (key, score, member) => { data.set(key, zset(key).set(member, Number(score))); return 1; },
+    ZREM: (key, ...members) => members.filter(member => zset(key).delete(member)).length,
+    ZCARD: key => zset(key).size,
+    ZRANGE: key => sorted(key).map(([member]) => member),
+    ZREMRANGEBYSCORE: (key, min, max) => sorted(key).filter(([member, score]) => score <= Number(max) && zset(key).delete(member)).length,
+    ZPOPMIN: (key, count) => sorted(key).slice(0, Number(count)).flatMap(([member, score]) => { zset(key).delete(member); return [member, String(score)]; }),
+    SCAN: (cursor, match, pattern) => ['0', [...data.keys()].filter(key => key.startsWith(pattern.replace('*', '')))]
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [name, ...args] = parsed.value;
+        commands.push(name);
+        const result = handlers[name](...args);
+        socket.write(result === 'OK' ? '+OK\r\n' : reply(result));
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    t.after(() => server.close());
+    resolve({ url: `redis://:secret@127.0.0.1:${server.address().port}`, commands, data });
+  }));
+}
+
+test('paraphrases in the same context share an answer, other contexts and namespaces do not', async () => {
+  const cache = createSemanticCache({ threshold: 0.9 });
+  const request = { namespace: 'ucl-courses', query: 'When is my essay due?', context: FD_YEAR_1, embedding: [1, 0] };
+
+  assert.equal((await cache.lookup(request)).status, 'miss');
+  await cache.store(request, answer('14th November'));
+
+  // Nearly the same direction - a paraphrase
+  const paraphrase = await cache.lookup({ ...request, query: "when's the essay deadline", embedding: [0.99, 0.1] });
+  assert.equal(paraphrase.status, 'hit');
+  assert.equal(paraphrase.data.response, '14th November');
+  assert.ok(paraphrase.similarity > 0.99);
+
+  assert.equal((await cache.lookup({ ...request, embedding: [0.6, 0.8] })).status, 'miss');
+  assert.equal((await cache.lookup({ ...request, context: { ...FD_YEAR_1, year: '2' } })).status, 'miss');
+  assert.equal((await cache.lookup({ ...request, namespace: 'other' })).status, 'miss');
+
+  assert.equal(contextKey({ course: 'FD', year: '2' }), 'fd|2|*');
+});
+
+test('disabled lookups, follow-ups and an unreachable backend bypass the cache and are counted', async () => {
+  const cache = createSemanticCache();
+  const history = [{ role: 'user', content: 'Tell me about the FD' }, { role: 'assistant', content: 'The FD has...' }];
+  const request = { namespace: 'ucl-courses', query: 'what about year 2?', context: { course: 'FD', year: '2' }, embedding: [1, 0] };
+
+  assert.deepEqual(await cache.lookup(request, { useCache: false }), { status: 'bypass', reason: 'disabled' });
+  assert.deepEqual(await cache.lookup({ ...request, conversationHistory: history }), { status: 'bypass', reason: 'follow-up' });
+  // The same context asked outright is looked up as usual
+  assert.equal((await cache.lookup({ ...request, query: 'Which modules are in year 2?', conversationHistory: history })).status, 'miss');
+  // Without earlier turns there is nothing to follow up on
+  assert.equal((await cache.lookup(request)).status, 'miss');
+
+  const stats = await cache.stats();
+  assert.deepEqual(stats.bypasses, { total: 2, disabled: 1, 'follow-up': 1, unavailable: 0 });
+  assert.equal(stats.misses, 2);
+  assert.equal(stats.hitRate, 0);
+
+  const down = { backend: 'redis', get: async () => { throw new Error('ECONNREFUSED'); }, set: async () => { throw new Error('ECONNREFUSED'); } };
+  const offline = createSemanticCache({ backend: down, logger: silent });
+  assert.deepEqual(await offline.lookup(request), { status: 'bypass', reason: 'unavailable' });
+  await offline.store(request, answer('a'));
+});
+
+test('uploads invalidate only their namespace, and answers expire', async () => {
+  let clock = 0;
+  const now = () => clock;
+  const cache = createSemanticCache({ backend: createMemoryCache({ now }), ttl: 1000, now });
+  const request = { namespace: 'ucl-courses', query: 'Modules?', context: FD_YEAR_1, embedding: [1, 0] };
+
+  await cache.store(request, answer('a'));
+  await cache.store({ ...request, namespace: 'other' }, answer('b'));
+  assert.deepEqual(await cache.invalidate('ucl-courses'), { namespace: 'ucl-courses', removedCount: 2 });
+  assert.equal((await cache.lookup(request)).status, 'miss');
+  assert.equal((await cache.lookup({ ...request, namespace: 'other' })).status, 'hit');
+
+  const { entries } = await cache.stats({ includeEntries: true });
+  assert.deepEqual(entries, [{ namespace: 'other', context: 'fd|1|*', query: 'Modules?', age: 0 }]);
+
+  clock = 1001;
+  assert.equal((await cache.lookup({ ...request, namespace: 'other' })).status, 'miss');
+  assert.equal((await cache.stats()).size, 0);
+
+  assert.equal(parseSimilarityThreshold({}), 0.95);
+  assert.equal(parseSimilarityThreshold({ QUERY_CACHE_SIMILARITY: '0.9' }), 0.9);
+  assert.throws(() => parseSimilarityThreshold({ QUERY_CACHE_SIMILARITY: '1.5' }), /QUERY_CACHE_SIMILARITY/);
+});
+
+test('the memory backend evicts the least recently used key, counting reads as use', async () => {
+  const cache = createMemoryCache({ maxSize: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  assert.equal(await cache.get('a'), 1);
+  await cache.set('c', 3);
+
+  assert.deepEqual(await cache.keys(), ['a', 'c']);
+  assert.equal((await cache.stats()).evictions, 1);
+
+  // A listing read doesn't count as use
+  await cache.get('a', { touch: false });
+  await cache.set('d', 4);
+  assert.deepEqual(await cache.keys(), ['c', 'd']);
+});
+
+test('the file backend keeps answers and their LRU order across restarts', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'query-cache-'));
+  const filePath = path.join(dir, 'query-cache.json');
+
+  try {
+    const cache = createFileCache({ filePath, maxSize: 2 });
+    await cache.set('a', { response: 'x' }, { ttl: 60000, tags: ['namespace:ucl-courses'] });
+    await cache.set('b', { response: 'y' });
+    await cache.get('a');
+    await cache.set('c', { response: 'z' });
+    await cache.flush();
+
+    const reopened = createFileCache({ filePath, maxSize: 2 });
+    assert.deepEqual(await reopened.keys(), ['a', 'c']);
+    assert.deepEqual(await reopened.invalidateTag('namespace:ucl-courses'), { removedCount: 1 });
+
+    fs.writeFileSync(filePath, '{ not json');
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.deepEqual(await createFileCache({ filePath }).keys(), []);
+    } finally {
+      console.error = originalError;
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the redis backend talks RESP, evicts by last use and invalidates by tag', async t => {
+  const redis = await startFakeRedis(t);
+  let clock = 1;
+  const cache = createRedisCache({ url: redis.url, maxSize: 2, prefix: 'test:', now: () => clock++ });
+  t.after(() => cache.close());
+
+  await cache.set('a', { response: 'x' }, { ttl: 60000, tags: ['namespace:ucl-courses'] });
+  await cache.set('b', { response: 'y' }, { ttl: 60000, tags: ['namespace:other'] });
+  assert.deepEqual(await cache.get('a'), { response: 'x' });
+  await cache.set('c', { response: 'z' }, { ttl: 60000, tags: ['namespace:ucl-courses'] });
+
+  assert.equal(redis.commands[0], 'AUTH');
+  assert.deepEqual(await cache.keys(), ['a', 'c']);
+  assert.equal(await cache.get('b'), null);
+  assert.deepEqual(await cache.stats(), { backend: 'redis', size: 2, maxSize: 2, evictions: 1 });
+
+  assert.deepEqual(await cache.invalidateTag('namespace:ucl-courses'), { removedCount: 2 });
+  assert.equal(await cache.get('c'), null);
+  await cache.set('d', 1);
+  assert.deepEqual(await cache.clear(), { removedCount: 1 });
+  assert.deepEqual([...redis.data.keys()].filter(key => key.startsWith('test:') && !key.includes('~')), []);
+
+  assert.throws(() => createRedisClient({ url: 'http://localhost:6379' }), /redis:\/\/ or rediss:\/\//);
+  assert.throws(() => createCacheBackendFromEnv({ QUERY_CACHE: 'redis' }), /needs REDIS_URL/);
+  assert.throws(() => createCacheBackendFromEnv({ QUERY_CACHE: 'memcached' }), /Unknown QUERY_CACHE "memcached"/);
+  assert.equal(createCacheBackendFromEnv({}).backend, 'memory');
+});
+
+test('a redis server that stops answering fails commands instead of hanging them', async t => {
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+
+  const client = createRedisClient({ url: `redis://127.0.0.1:${server.address().port}`, commandTimeout: 50 });
+  await assert.rejects(Promise.all([client.command('GET', 'a'), client.command('GET', 'b')]), /Timed out waiting for Redis to answer GET/);
+  await assert.rejects(client.command('GET', 'c'), /Timed out/);
+  assert.equal(sockets.length, 2, 'the silent connection is dropped and the next command reconnects');
+  await client.close();
+
+  // Chat requests skip the cache rather than wait on it
+  const backend = createRedisCache({ client: createRedisClient({ url: `redis://127.0.0.1:${server.address().port}`, commandTimeout: 50 }) });
+  t.after(() => backend.close());
+  const cache = createSemanticCache({ backend, logger: silent });
+  const request = { namespace: 'ucl-courses', query: 'Modules?', context: FD_YEAR_1, embedding: [1, 0] };
+  assert.deepEqual(await cache.lookup(request), { status: 'bypass', reason: 'unavailable' });
+});
+
+test('the KV backend invalidates by bumping tag versions', async () => {
+  const kv = fakeKV();
+  const cache = createSemanticCache({ backend: createKVCache(kv), ttl: 60000 });
+  const request = { namespace: 'ucl-courses', query: 'Modules?', context: FD_YEAR_1, embedding: [1, 0] };
+
+  await cache.store(request, answer('a'));
+  await cache.store({ ...request, namespace: 'other' }, answer('b'));
+  assert.equal((await cache.lookup(request)).status, 'hit');
+
+  assert.deepEqual(await cache.invalidate('ucl-courses'), { namespace: 'ucl-courses', removedCount: null });
+  assert.equal((await cache.lookup(request)).status, 'miss');
+  assert.equal((await cache.lookup({ ...request, namespace: 'other' })).status, 'hit');
+  assert.deepEqual((await cache.stats({ includeEntries: true })).entries.map(entry => entry.namespace), ['other']);
+
+  await cache.clear();
+  assert.equal((await cache.lookup({ ...request, namespace: 'other' })).status, 'miss');
+});
+
+test('resolveQuery gives the cache its context and saves a second embedding', async () => {
+  const embedded = [];
+  const vectorStore = createLocalStore();
+  await vectorStore.upsert([
+    { id: 'module-research', values: [1, 0], metadata: { type: 'module', text: 'Academic Research module', year: '2' } }
+  ], { namespace: 'ucl-courses' });
+
+  const rag = createRagCore({
+    embeddingProvider: { embed: async text => { embedded.push(text); return [1, 0]; } },
+    vectorStore,
+    chatProvider: createCannedChat(),
+    calendar: createAcademicCalendar(),
+    logger: { log() {}, error() {} }
+  });
+
+  // No course or module in the catalogue: the award and year are all there is to go on
+  const history = [{ role: 'user', content: 'I am on the foundation degree' }];
+  const resolved = await rag.resolveQuery('Is there a research essay in year 2?', history, { namespace: 'ucl-courses' });
+  assert.deepEqual(resolved.context, {
+    course: 'FD', module: null, year: '2', semester: null, tutor: null, assessment: null, label: 'FD · Year 2'
+  });
+  assert.deepEqual(resolved.embedding, [1, 0]);
+
+  const prepared = await rag.prepareChatContext('Is there a research essay in year 2?', history, 'ucl-courses', resolved);
+  assert.equal(embedded.length, 1);
+  assert.equal(prepared.timings.embedding, resolved.timings.embedding);
+  assert.deepEqual(prepared.matches.map(match => match.id), ['module-research']);
+});
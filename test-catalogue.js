@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the course catalogue (src/catalogue.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-catalogue.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCatalogue, normalizeModuleCode, parsePagination, paginate } = require('./src/catalogue');
+const { createLocalStore } = require('./src/vector-store');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+
+const COURSE = 'FD-HAP-25/26';
+const MODULE = 'W_HTH4C042R-2025.26';
+
+function record(id, metadata, extra = {}) {
+  return { id, values: [1, 0], metadata: { ...metadata, ...extra } };
+}
+
+async function seededCatalogue() {
+  const store = createLocalStore();
+  await store.upsert([
+    record('course-fd-hap', { type: 'course_overview', course_code: COURSE, course_title: 'Healthcare Assistant Practitioner' }),
+    record('course-ba-sport', { type: 'course_overview', course_code: 'BA-SPORT-25/26', course_title: 'Sport' }),
+    record('module-research', { type: 'module', module_code: MODULE, module_title: 'Academic Research', course_code: COURSE, year: '1', semester: '1' }),
+    record('module-anatomy', { type: 'module', module_code: '[W_HTH4C043R-2025.26]', module_title: 'Anatomy', course_code: COURSE, year: '1', semester: '2' }),
+    record('module-leadership', { type: 'module', module_code: 'W_HTH5C001R-2025.26', module_title: 'Leadership', course_code: COURSE, year: 2, semester: '1' }),
+    // Chunked assessment - both chunks collapse into one entry
+    record('assessment-essay-chunk-1', { type: 'assessment', module_code: MODULE, assessment_type: 'Essay', deadline: '14th November 2025', year: '1', semester: '1' },
+      { text: 'part 1', originalDocId: 'assessment-essay', chunkIndex: 1, totalChunks: 2 }),
+    record('assessment-essay-chunk-2', { type: 'assessment', module_code: MODULE, assessment_type: 'Essay', deadline: '14th November 2025', year: '1', semester: '1' },
+      { text: 'part 2', originalDocId: 'assessment-essay', chunkIndex: 2, totalChunks: 2 }),
+    record('assessment-presentation', { type: 'assessment', module_code: `[${MODULE}]`, assessment_type: 'Presentation', deadline: 'Academic Week 15', year: '1', semester: '1' }),
+    record('assessment-anatomy-exam', { type: 'assessment', module_code: 'W_HTH4C043R-2025.26', assessment_type: 'Exam', deadline: 'TBC', year: '1', semester: '2' }),
+    record('general-info', { type: 'general', text: 'Library opening hours' })
+  ], { namespace: 'ucl-courses' });
+
+  return createCatalogue(store, { calendar: createAcademicCalendar() });
+}
+
+test('normalizeModuleCode strips brackets and whitespace', () => {
+  assert.equal(normalizeModuleCode(' [W_HTH4C042R-2025.26] '), 'W_HTH4C042R-2025.26');
+  assert.equal(normalizeModuleCode(undefined), undefined);
+});
+
+test('pagination parsing and slicing', () => {
+  assert.deepEqual(parsePagination({}), { page: 1, pageSize: 20 });
+  assert.deepEqual(parsePagination({ page: '2', pageSize: '5' }), { page: 2, pageSize: 5 });
+  assert.throws(() => parsePagination({ page: '0' }), error => error.status === 400);
+  assert.throws(() => parsePagination({ pageSize: '101' }), /pageSize/);
+  assert.throws(() => parsePagination({ page: 'abc' }), /page must be/);
+
+  const { items, pagination } = paginate([1, 2, 3, 4, 5], { page: 2, pageSize: 2 });
+  assert.deepEqual(items, [3, 4]);
+  assert.deepEqual(pagination, { page: 2, pageSize: 2, total: 5, totalPages: 3 });
+});
+
+test('listCourses returns course overviews without upload bookkeeping', async () => {
+  const catalogue = await seededCatalogue();
+  const { courses, pagination } = await catalogue.listCourses({ pageSize: 1 });
+
+  assert.deepEqual(courses.map(course => course.course_code), ['BA-SPORT-25/26']);
+  assert.equal(pagination.total, 2);
+  assert.equal(courses[0].text, undefined);
+});
+
+test('listModules filters by year and semester, matching codes loosely', async () => {
+  const catalogue = await seededCatalogue();
+
+  const yearOne = await catalogue.listModules('fd-hap-25/26', { year: '1' });
+  assert.equal(yearOne.course.course_title, 'Healthcare Assistant Practitioner');
+  assert.deepEqual(yearOne.modules.map(module => module.module_title), ['Academic Research', 'Anatomy']);
+
+  const yearTwo = await catalogue.listModules(COURSE, { year: '2' });
+  assert.deepEqual(yearTwo.modules.map(module => module.module_title), ['Leadership']);
+
+  const semesterTwo = await catalogue.listModules(COURSE, { semester: 2 });
+  assert.deepEqual(semesterTwo.modules.map(module => module.module_title), ['Anatomy']);
+
+  assert.equal(await catalogue.listModules('NOPE-25/26'), null);
+});
+
+test('listModuleAssessments collapses chunks and resolves deadlines', async () => {
+  const catalogue = await seededCatalogue();
+  const result = await catalogue.listModuleAssessments(`[${MODULE}]`);
+
+  assert.equal(result.module.module_title, 'Academic Research');
+  assert.deepEqual(result.assessments.map(assessment => assessment.id), ['assessment-essay', 'assessment-presentation']);
+
+  const [essay, presentation] = result.assessments;
+  assert.equal(essay.deadline_date, '2025-11-14');
+  assert.equal(essay.academic_week, 8);
+  assert.equal(essay.originalDocId, undefined);
+  assert.equal(presentation.deadline_date, '2026-01-16');
+  assert.equal(presentation.deadline_time, '12:00');
+
+  assert.equal(await catalogue.listModuleAssessments('W_UNKNOWN'), null);
+});
+
+test('listAssessments filters by year, semester and course', async () => {
+  const catalogue = await seededCatalogue();
+
+  const all = await catalogue.listAssessments();
+  assert.equal(all.pagination.total, 3);
+  // Unresolvable deadlines ("TBC") sort last
+  assert.equal(all.assessments[2].assessment_type, 'Exam');
+  assert.equal(all.assessments[2].deadline_date, undefined);
+
+  const semesterOne = await catalogue.listAssessments({ year: '1', semester: '1' });
+  assert.deepEqual(semesterOne.assessments.map(assessment => assessment.assessment_type), ['Essay', 'Presentation']);
+
+  assert.equal((await catalogue.listAssessments({ courseCode: COURSE })).pagination.total, 3);
+  assert.equal((await catalogue.listAssessments({ courseCode: 'BA-SPORT-25/26' })).pagination.total, 0);
+});
+
+test('snapshots are cached until invalidated', async () => {
+  const store = createLocalStore();
+  const catalogue = createCatalogue(store);
+  assert.equal((await catalogue.listCourses()).pagination.total, 0);
+
+  await store.upsert([record('course-new', { type: 'course_overview', course_code: 'NEW' })], { namespace: 'ucl-courses' });
+  assert.equal((await catalogue.listCourses()).pagination.total, 0);
+
+  catalogue.invalidate('ucl-courses');
+  assert.equal((await catalogue.listCourses()).pagination.total, 1);
+});
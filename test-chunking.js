@@ -0,0 +1,122 @@
+/**
+ * Unit tests for upload chunking (src/chunking)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-chunking.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument, resolveChunkingOptions, parseChunkingOptions, identityHeader, countTokens } = require('./src/chunking');
+
+const MODULE_METADATA = {
+  type: 'module',
+  module_code: 'W_HTH4C042R-2025.26',
+  module_title: 'Academic Research and Study Skills',
+  course_code: 'FD-HAP-25/26'
+};
+
+const OUTCOMES = [
+  'Learning outcomes',
+  'On completion of this module students will be able to:',
+  'Knowledge and Understanding: LO1 Describe and explain key theories of learning and development. (K1)',
+  'Cognitive and Intellectual Skills: LO2 Discuss the relevance of learning theories to your role when working in healthcare. (C2)',
+  'Key Transferable Skills: LO3 Reflect on the importance of effective communication to share complex information in a professional environment (T1)'
+].join('\\n');
+
+const DESCRIPTION = Array.from({ length: 12 }, (_, i) =>
+  `Sentence ${i + 1} of the description explains another part of the module in some detail.`).join(' ');
+
+const MODULE_TEXT = [
+  'Module: Academic Research and Study Skills\nModule Code: W_HTH4C042R-2025.26\nCredits: 20\nYear: 1',
+  `Learning Outcomes:\n${OUTCOMES}`,
+  `Module Description:\n${DESCRIPTION}`
+].join('\n\n');
+
+test('a document that fits in one chunk is stored as it is', () => {
+  const chunks = chunkDocument(MODULE_TEXT, MODULE_METADATA, { maxTokens: 2000 });
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].text, MODULE_TEXT);
+  assert.equal(chunks[0].tokens, countTokens(MODULE_TEXT));
+});
+
+test('structured chunks keep sections and the LO list together, each with the identity header', () => {
+  const chunks = chunkDocument(MODULE_TEXT, MODULE_METADATA, { strategy: 'structured', maxTokens: 150, overlapTokens: 0 });
+  const header = 'Course: FD-HAP-25/26 | Module: Academic Research and Study Skills (W_HTH4C042R-2025.26)';
+
+  assert.ok(chunks.length > 2);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.text.startsWith(`${header}\n\n`), chunk.text);
+    assert.ok(chunk.tokens <= 150, `${chunk.tokens} tokens`);
+  });
+
+  // All three outcomes, with the line introducing them, in one chunk under the heading
+  const outcomes = chunks.filter(chunk => chunk.text.includes('LO1'));
+  assert.equal(outcomes.length, 1);
+  assert.match(outcomes[0].text, /Learning Outcomes:\n[\s\S]*students will be able to:\\nKnowledge[\s\S]*LO2[\s\S]*LO3/);
+
+  // The description is split between sentences and every part keeps its heading
+  const description = chunks.filter(chunk => chunk.text.includes('of the description'));
+  assert.ok(description.length > 1);
+  description.forEach(chunk => assert.match(chunk.text, /\n\nModule Description:\nSentence \d+/));
+});
+
+test('continuation chunks repeat the end of the one before', () => {
+  const chunks = chunkDocument(MODULE_TEXT, MODULE_METADATA, { strategy: 'structured', maxTokens: 150, overlapTokens: 40 });
+  const description = chunks.filter(chunk => chunk.text.includes('of the description'));
+
+  for (let i = 1; i < description.length; i++) {
+    const first = description[i].text.match(/Module Description:\n(Sentence \d+)/)[1];
+    assert.ok(description[i - 1].text.includes(`${first} `), `${first} should end the previous chunk`);
+    assert.ok(description[i].tokens <= 150);
+  }
+});
+
+test('a list too big for one chunk is split between its items', () => {
+  const items = Array.from({ length: 6 }, (_, i) =>
+    `LO${i + 1} Evaluate a different aspect of professional practice using relevant theories and evidence. (C${i + 1})`);
+  const text = `Learning Outcomes:\n${items.join('\\n')}`;
+  const chunks = chunkDocument(text, {}, { maxTokens: 60, overlapTokens: 0 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.text.startsWith('Learning Outcomes:\n'));
+    assert.ok(chunk.tokens <= 60);
+  });
+  items.forEach(item => assert.ok(chunks.some(chunk => chunk.text.includes(item)), item));
+});
+
+test('paragraph and fixed strategies respect the token limit', () => {
+  const paragraph = chunkDocument(MODULE_TEXT, MODULE_METADATA, { strategy: 'paragraph', maxTokens: 100, overlapTokens: 20 });
+  const fixed = chunkDocument(MODULE_TEXT, MODULE_METADATA, { strategy: 'fixed', maxTokens: 100, overlapTokens: 20 });
+
+  [paragraph, fixed].forEach(chunks => {
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.tokens <= 100, `${chunk.tokens} tokens`));
+  });
+  // Fixed windows ignore structure, so the heading is only where it falls in the text
+  assert.equal(fixed.filter(chunk => chunk.text.includes('Module Description:')).length, 1);
+});
+
+test('options are validated and default from the environment', () => {
+  assert.deepEqual(parseChunkingOptions({}), { strategy: 'structured', maxTokens: 800, overlapTokens: 100 });
+  assert.deepEqual(parseChunkingOptions({ CHUNK_STRATEGY: 'Fixed', CHUNK_MAX_TOKENS: '300', CHUNK_OVERLAP_TOKENS: '0' }),
+    { strategy: 'fixed', maxTokens: 300, overlapTokens: 0 });
+  assert.throws(() => parseChunkingOptions({ CHUNK_STRATEGY: 'words' }), /Unknown chunking strategy "words"/);
+
+  const defaults = { strategy: 'fixed', maxTokens: 300, overlapTokens: 50 };
+  assert.deepEqual(resolveChunkingOptions('paragraph', defaults), { strategy: 'paragraph', maxTokens: 300, overlapTokens: 50 });
+  assert.deepEqual(resolveChunkingOptions({ maxTokens: 60 }, defaults), { strategy: 'fixed', maxTokens: 60, overlapTokens: 30 });
+  assert.throws(() => resolveChunkingOptions({ maxTokens: 10 }), error => error.status === 400);
+  assert.throws(() => resolveChunkingOptions({ maxTokens: 100, overlapTokens: 80 }), /overlapTokens/);
+});
+
+test('identity header names course, module and assessment', () => {
+  assert.equal(identityHeader({ course_code: 'FD-HAP-25/26', module_title: 'Academic Research', assessment_type: 'Essay' }),
+    'Course: FD-HAP-25/26 | Module: Academic Research | Assessment: Essay');
+  assert.equal(identityHeader({ course_title: 'Healthcare', course_code: 'FD-HAP-25/26' }), 'Course: Healthcare (FD-HAP-25/26)');
+  assert.equal(identityHeader({ title: 'Student Handbook' }), 'Document: Student Handbook');
+  assert.equal(identityHeader({}), null);
+});
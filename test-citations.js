@@ -0,0 +1,45 @@
+/**
+ * Unit tests for inline citation checking (src/citations.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-citations.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCitations, CITATION_INSTRUCTIONS } = require('./src/citations');
+
+test('valid citations are kept in order of first use', () => {
+  const result = validateCitations('The essay is due in Week 8 [2]. It is worth 60% [2][1].', 3);
+  assert.equal(result.text, 'The essay is due in Week 8 [2]. It is worth 60% [2][1].');
+  assert.deepEqual(result.citations, [2, 1]);
+  assert.deepEqual(result.invalid, []);
+});
+
+test('[Match N] and comma lists are normalised', () => {
+  const result = validateCitations('Tutor: Ruth Tolson [Match 1]. Both are in Year 1 [1, 3].', 3);
+  assert.equal(result.text, 'Tutor: Ruth Tolson [1]. Both are in Year 1 [1][3].');
+  assert.deepEqual(result.citations, [1, 3]);
+});
+
+test('citations of missing sources are removed with their spacing', () => {
+  const result = validateCitations('Due Friday at noon [9]. Worth 40% [0, 2].', 2);
+  assert.equal(result.text, 'Due Friday at noon. Worth 40% [2].');
+  assert.deepEqual(result.citations, [2]);
+  assert.deepEqual(result.invalid, [9, 0]);
+
+  assert.equal(validateCitations('No context here [1].', 0).text, 'No context here.');
+});
+
+test('markdown links and other brackets are left alone', () => {
+  const text = 'Email [1](mailto:ruth.tolson@ucleeds.ac.uk) or see [Dr. Smith](mailto:john.smith@ucleeds.ac.uk) [TBC].';
+  const result = validateCitations(text, 1);
+  assert.equal(result.text, text);
+  assert.deepEqual(result.citations, []);
+});
+
+test('prompt instructions describe the [N] format', () => {
+  assert.match(CITATION_INSTRUCTIONS, /\[Match N\]/);
+  assert.match(CITATION_INSTRUCTIONS, /\[1\]\[3\]/);
+});
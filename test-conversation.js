@@ -0,0 +1,133 @@
+/**
+ * Unit tests for conversation state tracking (src/core/conversation.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-conversation.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createEntityIndex,
+  trackConversation,
+  restoreSlots,
+  describeContext,
+  buildQueryMetadata
+} = require('./src/core/conversation');
+
+const FD = 'FD-HAP-25/26';
+
+// Catalogue entries as catalogue.listEntries() returns them
+const index = createEntityIndex([
+  { id: 'course-fd-hap', type: 'course_overview', course_code: FD, course_title: 'Foundation Degree Healthcare Assistant Practitioner' },
+  { id: 'module-research', type: 'module', module_code: 'W_HTH4C042R-2025.26', module_title: 'Academic Research and Study Skills', course_code: FD, year: '1', semester: '1', tutor: 'Shelley Sanderson' },
+  { id: 'module-ap1', type: 'module', module_code: 'W_HTH4C050R-2025.26', module_title: 'Anatomy and Physiology 1', course_code: FD, year: '1', semester: '2', tutor: 'Jordan Okafor' },
+  { id: 'module-ap2', type: 'module', module_code: 'W_HTH5C050R-2025.26', module_title: 'Anatomy and Physiology 2', course_code: FD, year: '2', semester: '1', tutor: 'Jordan Okafor' },
+  { id: 'module-sport', type: 'module', module_code: 'W_SPT5C010R-2025.26', module_title: 'Sport Psychology', course_code: FD, year: '2', semester: '2', tutor: 'Dr Alex Whitfield' },
+  { id: 'module-health', type: 'module', module_code: 'W_HTH5C020R-2025.26', module_title: 'Health and Wellbeing', course_code: FD, year: '2', semester: '1' },
+  { id: 'assessment-research-essay', type: 'assessment', module_code: 'W_HTH4C042R-2025.26', assessment_type: 'Essay' },
+  { id: 'assessment-research-presentation', type: 'assessment', module_code: 'W_HTH4C042R-2025.26', assessment_type: 'Electronic Presentation' }
+]);
+
+function track(history, message, stored) {
+  const { slots, mentioned } = trackConversation(index, history.map(content => ({ role: 'user', content })), message, stored);
+  return { slots, mentioned, context: describeContext(index, slots) };
+}
+
+test('awards are whole words wherever they appear and resolve to the catalogue course', () => {
+  for (const question of ['Are you FD?', 'fd-hap timetable', 'I study the foundation degree']) {
+    assert.equal(track([], question).slots.course, FD, question);
+  }
+  assert.equal(track([], 'Is the feedback due?').slots.course, null);
+
+  // No BSc in the catalogue: the award itself is the course, and the BSc is always Year 3
+  const { slots, context } = track([], 'What is on the BSc top up?');
+  assert.equal(slots.course, 'BSc');
+  assert.equal(context.label, 'BSc · Year 3');
+});
+
+test('module titles match fuzzily, but a single generic word never names a module', () => {
+  assert.equal(track([], 'tell me about sport and health').slots.module, null);
+  assert.equal(track([], 'is there a health module?').slots.module, null);
+
+  assert.equal(track([], 'when is the acadmic reserch skills essay due?').slots.module, 'W_HTH4C042R-2025.26');
+  assert.equal(track([], 'who teaches sports psychology?').slots.module, 'W_SPT5C010R-2025.26');
+  assert.equal(track([], 'what is health and wellbeing about').slots.module, 'W_HTH5C020R-2025.26');
+
+  // Codes with or without brackets and the academic year
+  assert.equal(track([], 'deadlines for [W_HTH4C042R-2025.26]').slots.module, 'W_HTH4C042R-2025.26');
+  assert.equal(track([], 'w_hth5c050r reading list').slots.module, 'W_HTH5C050R-2025.26');
+});
+
+test('a mention that fits two modules is left unresolved unless the known slots pick one', () => {
+  assert.equal(track([], 'anatomy and physiology exam').slots.module, null);
+  assert.equal(track(['I am in year 2'], 'anatomy and physiology exam').slots.module, 'W_HTH5C050R-2025.26');
+  assert.equal(track([], 'anatomy and physiology 1 exam').slots.module, 'W_HTH4C050R-2025.26');
+});
+
+test('slots persist across turns and each question only changes what it mentions', () => {
+  const { slots, context } = track(
+    ['Hi, I am on the FD', 'When is the academic research and study skills essay due?'],
+    'And who marks the presentation?'
+  );
+  assert.deepEqual(slots, {
+    course: FD,
+    module: 'W_HTH4C042R-2025.26',
+    year: '1',
+    semester: '1',
+    tutor: null,
+    assessment: 'Electronic Presentation'
+  });
+  assert.equal(context.label, 'FD HAP · Year 1 · Academic Research and Study Skills · Electronic Presentation');
+
+  // Moving on to another year leaves the year 1 module behind
+  const moved = track(['When is the academic research and study skills essay due?'], 'What about 2nd year?');
+  assert.equal(moved.slots.year, '2');
+  assert.equal(moved.slots.module, null);
+  assert.equal(moved.context.label, 'FD HAP · Year 2 · Essay');
+});
+
+test('tutors are found by full name or surname, and answers are never tracked', () => {
+  assert.equal(track([], 'how do I contact Shelley Sanderson?').slots.tutor, 'Shelley Sanderson');
+  assert.equal(track([], 'is Whitfield in today?').slots.tutor, 'Dr Alex Whitfield');
+  // "Jordan" alone is a first name, and first names are too easy to say by accident
+  assert.equal(track([], 'is jordan in today?').slots.tutor, null);
+
+  const { slots } = trackConversation(index, [
+    { role: 'user', content: 'What modules are there?' },
+    { role: 'assistant', content: 'Sport Psychology and Health and Wellbeing in year 2.' }
+  ], 'Thanks');
+  assert.equal(slots.module, null);
+  assert.equal(slots.year, null);
+});
+
+test('stored slots are restored only while the catalogue still has them', () => {
+  const stored = { course: FD, module: 'W_HTH9X999R-2025.26', year: '1', tutor: 'Nobody', assessment: 'Essay', label: 'old' };
+  assert.deepEqual(restoreSlots(index, stored), {
+    course: FD, module: null, year: '1', semester: null, tutor: null, assessment: 'Essay'
+  });
+
+  // Sessions from before tracking held keywords - they are dropped rather than trusted
+  assert.equal(restoreSlots(index, { module: 'research' }).module, null);
+
+  // With stored slots the history isn't replayed
+  const { slots } = track(['What about year 2?'], 'Any deadlines?', { course: FD, year: '1' });
+  assert.equal(slots.year, '1');
+
+  // An empty catalogue (it failed to load) can't rule anything out
+  assert.equal(restoreSlots(createEntityIndex([]), { module: 'W_HTH4C042R-2025.26' }).module, 'W_HTH4C042R-2025.26');
+});
+
+test('only a year the question names filters retrieval', () => {
+  const named = trackConversation(index, [], 'level 5 modules');
+  assert.equal(named.slots.year, '2');
+  assert.deepEqual(buildQueryMetadata(index, named.slots, named.mentioned), { filter: { year: '2' }, courseContext: null });
+
+  // The module's year is context, not a filter - the course overview has no year
+  const implied = trackConversation(index, [], 'sport psychology deadlines');
+  assert.equal(implied.slots.year, '2');
+  assert.deepEqual(buildQueryMetadata(index, implied.slots, implied.mentioned), { filter: {}, courseContext: 'FD' });
+
+  assert.equal(describeContext(index, {}).label, null);
+});
@@ -0,0 +1,263 @@
+/**
+ * Unit tests for the shared RAG core (src/core), used by both server.js and src/worker.js
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-core.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRagCore, parseFusionWeights, parseContextBudget, GENERATION_OPTIONS } = require('./src/core');
+const { fitMatchesToBudget, summariseLearningOutcomes } = require('./src/core/budget');
+const { createLocalStore } = require('./src/vector-store');
+const { createLexicalIndexFromEnv } = require('./src/lexical');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const { createCannedChat } = require('./src/providers/offline');
+
+const COURSE = 'FD-HAP-25/26';
+const MODULE = 'W_HTH4C042R-2025.26';
+const NOW = new Date('2025-11-05T10:00:00Z');
+const silent = { log() {}, error() {} };
+
+// Every record and query embeds to the same vector, so the metadata filters decide what is found
+const embeddingProvider = { name: 'fixed', embed: async () => [1, 0] };
+
+function record(id, metadata) {
+  return { id, values: [1, 0], metadata: { text: `${id} text`, ...metadata } };
+}
+
+async function seededStore() {
+  const store = createLocalStore();
+  await store.upsert([
+    record('course-fd-hap', { type: 'course_overview', course_code: COURSE, course_title: 'Healthcare Assistant Practitioner' }),
+    record('module-research', { type: 'module', module_code: MODULE, module_title: 'Academic Research', course_code: COURSE, year: '1', semester: '1' }),
+    record('assessment-essay', { type: 'assessment', module_code: MODULE, module_title: 'Academic Research', assessment_type: 'Essay', deadline: '14th November 2025', weight: '60%' }),
+    record('assessment-presentation', { type: 'assessment', module_code: MODULE, module_title: 'Academic Research', assessment_type: 'Presentation', deadline: 'Academic Week 15', weight: '40%' })
+  ], { namespace: 'ucl-courses' });
+  return store;
+}
+
+// Chat provider that records what it was sent
+function recordingChat(chat) {
+  const calls = [];
+  return {
+    calls,
+    name: chat.name,
+    generate: async (messages, options) => {
+      calls.push({ messages, options });
+      return chat.generate(messages, options);
+    },
+    stream: (messages, options) => {
+      calls.push({ messages, options });
+      return chat.stream(messages, options);
+    }
+  };
+}
+
+async function createCore(chat = createCannedChat(), options = {}) {
+  return createRagCore({
+    embeddingProvider,
+    vectorStore: await seededStore(),
+    chatProvider: chat,
+    calendar: createAcademicCalendar(),
+    logger: silent,
+    now: () => NOW,
+    ...options
+  });
+}
+
+test('resolveQuery tracks the conversation against the catalogue and filters on the year asked about', async () => {
+  const rag = await createCore();
+  const history = [{ role: 'user', content: 'I am on the BSc top-up' }];
+
+  const bsc = await rag.resolveQuery('what modules are there?', history, { namespace: 'ucl-courses' });
+  assert.deepEqual(bsc.metadataFilter, { year: '3' });
+  assert.equal(bsc.courseContext, 'BSc');
+  assert.equal(bsc.context.label, 'BSc · Year 3');
+
+  const fd = await rag.resolveQuery('when is the academic research essay due?', [], { namespace: 'ucl-courses' });
+  assert.deepEqual(fd.metadataFilter, {});
+  assert.deepEqual(fd.context, {
+    course: COURSE,
+    module: MODULE,
+    year: '1',
+    semester: '1',
+    tutor: null,
+    assessment: 'Essay',
+    label: 'FD HAP · Year 1 · Academic Research · Essay'
+  });
+  assert.equal(fd.enhancedQuery, 'FD course: when is the academic research essay due?');
+
+  // A session's stored slots carry on; the history isn't replayed over them
+  const followUp = await rag.resolveQuery('and the presentation in year 1?', history, { namespace: 'ucl-courses', state: fd.slots });
+  assert.deepEqual(followUp.metadataFilter, { year: '1' });
+  assert.equal(followUp.context.label, 'FD HAP · Year 1 · Academic Research · Presentation');
+});
+
+test('retrieval expands the hierarchy and numbers matches course -> module -> assessment', async () => {
+  const rag = await createCore();
+  const prepared = await rag.prepareChatContext('Tell me about the Academic Research module', [], 'ucl-courses');
+
+  assert.equal(prepared.noMatches, false);
+  assert.deepEqual(prepared.matches.map(match => match.metadata.type), ['course_overview', 'module', 'assessment', 'assessment']);
+  assert.deepEqual(prepared.sources.map(source => source.id), [1, 2, 3, 4]);
+
+  // The calendar block resolves deadlines so the model never does date arithmetic
+  assert.match(prepared.context, /📅 ACADEMIC CALENDAR/);
+  assert.match(prepared.context, /\[Match 3\] \(Relevance: 100\.0%\) \[type: assessment, module_code: W_HTH4C042R-2025\.26/);
+  assert.match(prepared.context, /AMBIGUITY DETECTED: .*\n- 2 assessments/);
+
+  // A module was named, so the ambiguous assessments are offered as tiles (one per module title)
+  assert.equal(prepared.suggestions.length, 1);
+  assert.equal(prepared.suggestions[0].title, 'Academic Research (Essay)');
+  assert.match(prepared.suggestions[0].calendarUrl, /\/api\/calendar\/modules\//);
+});
+
+test('nothing retrieved gives the fallback context without sources', async () => {
+  const rag = await createCore();
+  const prepared = await rag.prepareChatContext('Who runs the library?', [], 'another-namespace');
+
+  assert.equal(prepared.noMatches, true);
+  assert.deepEqual(prepared.sources, []);
+  assert.match(prepared.context, /No specific information found/);
+});
+
+test('both entrypoints send the same prompt and generation options', async () => {
+  const chat = recordingChat(createCannedChat({ response: 'Due in Week 8 [3].' }));
+  const rag = await createCore(chat);
+  const history = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello!' }];
+  const prepared = await rag.prepareChatContext('When is the Academic Research essay due?', history, 'ucl-courses');
+
+  assert.equal(await rag.generate('When is the Academic Research essay due?', prepared, history), 'Due in Week 8 [3].');
+  let streamed = '';
+  for await (const text of rag.stream('When is the Academic Research essay due?', prepared, history)) streamed += text;
+  assert.equal(streamed, 'Due in Week 8 [3].');
+
+  assert.equal(chat.calls.length, 2);
+  assert.deepEqual(chat.calls[0], chat.calls[1]);
+  const [{ messages, options }] = chat.calls;
+  assert.deepEqual(options, GENERATION_OPTIONS);
+  assert.equal(messages.length, 1);
+  assert.match(messages[0].content, /^You are Oracle/);
+  assert.match(messages[0].content, /User: Hi\nAssistant: Hello!/);
+  assert.ok(messages[0].content.includes(prepared.context));
+});
+
+test('finalize drops missing citations and regenerates unsupported facts once', async () => {
+  const chat = createCannedChat({
+    response: 'The essay is due 21 November 2025 and worth 50% [2][9].',
+    responses: [{ pattern: 'Your previous answer stated', response: 'The essay is due 14 November 2025 and worth 60% [3].' }]
+  });
+  const rag = await createCore(chat);
+  const question = 'When is the Academic Research essay due?';
+  const prepared = await rag.prepareChatContext(question, [], 'ucl-courses');
+  const raw = await rag.generate(question, prepared);
+
+  // Streaming answers can't be replaced, so they only get the warning
+  const streamed = await rag.finalize(raw, prepared);
+  assert.equal(streamed.verification.grounded, false);
+  assert.equal(streamed.verification.regenerated, false);
+  assert.deepEqual(streamed.citations, [2]);
+  assert.match(streamed.response, /Please double-check:\*\* I couldn't match the date "21 November 2025" and weighting "50%"/);
+
+  const corrected = await rag.finalize(raw, prepared, {
+    regenerate: unsupported => rag.regenerate(question, prepared, [], raw, unsupported)
+  });
+  assert.equal(corrected.response, 'The essay is due 14 November 2025 and worth 60% [3].');
+  assert.deepEqual(corrected.citations, [3]);
+  assert.deepEqual(corrected.verification, { grounded: true, checked: 2, unsupported: [], regenerated: true });
+});
+
+test('BM25 brings in exact module codes the embeddings missed', async () => {
+  const vectorStore = createLocalStore();
+  await vectorStore.upsert([
+    record('general-library', { type: 'general' }),
+    // Orthogonal to every query embedding, so vector search alone never returns it
+    { id: 'module-anatomy', values: [0, 1], metadata: { type: 'module', module_code: 'W_HTH4C043R-2025.26', module_title: 'Anatomy', text: 'Anatomy module' } }
+  ], { namespace: 'ucl-courses' });
+  const lexicalIndex = createLexicalIndexFromEnv({ LEXICAL_INDEX: 'memory' });
+  await lexicalIndex.add(await vectorStore.list({}, { namespace: 'ucl-courses' }), { namespace: 'ucl-courses' });
+
+  const core = fusion => createRagCore({
+    embeddingProvider,
+    vectorStore,
+    chatProvider: createCannedChat(),
+    calendar: createAcademicCalendar(),
+    lexicalIndex,
+    fusion,
+    logger: silent,
+    now: () => NOW
+  });
+
+  const prepared = await core(parseFusionWeights()).prepareChatContext('Who teaches W_HTH4C043R?', [], 'ucl-courses');
+  const anatomy = prepared.matches.find(match => match.id === 'module-anatomy');
+  assert.ok(anatomy);
+  assert.equal(anatomy.score, 0);
+  assert.deepEqual(anatomy.fusion, { score: 1 / 61, vectorRank: null, lexicalRank: 1 });
+
+  // A lexical weight of 0 turns BM25 off for the namespace
+  const vectorOnly = await core(parseFusionWeights({ 'ucl-courses': { lexical: 0 } })).prepareChatContext('Who teaches W_HTH4C043R?', [], 'ucl-courses');
+  assert.deepEqual(vectorOnly.matches.map(match => match.id), ['general-library']);
+});
+
+test('long learning-outcome blocks are summarised to their LO lines', () => {
+  const text = [
+    'Module: Academic Research',
+    '',
+    'Learning Outcomes:',
+    'Learning outcomes\\nOn completion of this module students will be able to:\\nKnowledge and Understanding: LO1 Describe and explain key theories of learning and development. (K1)\\nKey Transferable Skills: LO2 Reflect on the importance of effective communication to share complex information in a professional environment with colleagues and patients (T1)',
+    '',
+    'Module Description:',
+    'Study skills.'
+  ].join('\n');
+
+  assert.equal(summariseLearningOutcomes(text), text);
+  assert.equal(summariseLearningOutcomes(text, 20), [
+    'Module: Academic Research',
+    '',
+    'Learning Outcomes (summarised):',
+    'LO1 Describe and explain key theories of learning and development',
+    'LO2 Reflect on the importance of effective communication to share complex information in a professional environment…',
+    '',
+    'Module Description:',
+    'Study skills.'
+  ].join('\n'));
+});
+
+test('the token budget is shared course -> module -> assessment and reports what it cut', () => {
+  const long = 'word '.repeat(400).trim();
+  const matches = [
+    record('course-fd-hap', { type: 'course_overview', course_code: COURSE }),
+    record('module-research', { type: 'module', module_code: MODULE, text: long }),
+    record('assessment-essay', { type: 'assessment', module_code: MODULE, assessment_type: 'Essay' }),
+    record('assessment-presentation', { type: 'assessment', module_code: MODULE, assessment_type: 'Presentation', text: long })
+  ];
+
+  const { matches: kept, report } = fitMatchesToBudget(matches, { maxTokens: 300, maxSourceTokens: 100 });
+
+  // Both long texts are cut to 100 tokens; the module keeps its place, the second assessment no longer fits
+  assert.deepEqual(kept.map(match => match.id), ['course-fd-hap', 'module-research', 'assessment-essay']);
+  assert.ok(kept[1].contextText.endsWith(' […]'));
+  assert.equal(kept[1].metadata.text, long);
+  assert.deepEqual(report.truncated, [{ id: 'module-research', fromTokens: 500, toTokens: 100, summarisedOutcomes: false, truncated: true }]);
+  assert.deepEqual(report.dropped.map(item => item.id), ['assessment-presentation']);
+  assert.deepEqual(report.levels.module, { allowance: 125, used: 120, kept: 1, dropped: 0 });
+  assert.ok(report.usedTokens <= 300);
+
+  // 0 removes the limit
+  assert.equal(fitMatchesToBudget(matches, { maxTokens: 0 }).matches.length, 4);
+  assert.deepEqual(parseContextBudget({ CONTEXT_TOKEN_BUDGET: '2000' }).maxTokens, 2000);
+  assert.throws(() => parseContextBudget({ CONTEXT_SOURCE_TOKENS: '-5' }), /CONTEXT_SOURCE_TOKENS must be a non-negative number/);
+});
+
+test('the context only holds what fits and the diagnostics say what was dropped', async () => {
+  const rag = await createCore(createCannedChat(), { contextBudget: { ...parseContextBudget(), maxTokens: 120 } });
+  const prepared = await rag.prepareChatContext('Tell me about the Academic Research module', [], 'ucl-courses');
+
+  const { context } = prepared.diagnostics;
+  assert.equal(context.maxTokens, 120);
+  assert.ok(context.dropped.length > 0);
+  assert.equal(prepared.sources.length + context.dropped.length, 4);
+  assert.doesNotMatch(prepared.context, new RegExp(`\\[Match ${prepared.sources.length + 1}\\]`));
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for the course graph (src/graph) and graph-backed hierarchy expansion
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-graph.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCourseGraph, createFileGraphIndex, createGraphIndexFromEnv } = require('./src/graph');
+const { createRagCore } = require('./src/core');
+const { createLocalStore } = require('./src/vector-store');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const { createCannedChat } = require('./src/providers/offline');
+
+const COURSE = 'FD-HAP-25/26';
+const silent = { log() {}, error() {} };
+
+function record(id, metadata, values = [1, 0]) {
+  return { id, values, metadata: { text: `${id} text`, ...metadata } };
+}
+
+const records = [
+  record('course-fd-hap', { type: 'course_overview', course_code: COURSE, course_title: 'Healthcare Assistant Practitioner' }),
+  record('module-research', { type: 'module', module_code: 'W_HTH4C042R-2025.26', module_title: 'Academic Research', course_code: COURSE, year: '1' }),
+  // Bracketed code on the assessment, as in some source spreadsheets
+  record('assessment-essay-chunk-1', { type: 'assessment', module_code: '[W_HTH4C042R-2025.26]', assessment_type: 'Essay', originalDocId: 'assessment-essay' }),
+  record('assessment-essay-chunk-2', { type: 'assessment', module_code: '[W_HTH4C042R-2025.26]', assessment_type: 'Essay', originalDocId: 'assessment-essay' }),
+  record('assessment-orphan', { type: 'assessment', module_code: 'W_OTHER', assessment_type: 'Exam' }),
+  record('general-library', { type: 'general' })
+];
+
+test('codes are linked whatever their brackets or case', () => {
+  const graph = createCourseGraph();
+  assert.deepEqual(graph.add(records, { namespace: 'ucl-courses' }), { linkedCount: 5 });
+
+  assert.deepEqual(graph.assessmentIds('w_hth4c042r-2025.26', { namespace: 'ucl-courses' }), ['assessment-essay-chunk-1', 'assessment-essay-chunk-2']);
+  assert.deepEqual(graph.moduleIds(COURSE, { namespace: 'ucl-courses' }), ['module-research']);
+  assert.deepEqual(graph.courseIds(COURSE, { namespace: 'ucl-courses' }), ['course-fd-hap']);
+  assert.deepEqual(graph.courseIds(COURSE, { namespace: 'other' }), []);
+  assert.equal(graph.has('ucl-courses'), true);
+  assert.equal(graph.has('other'), false);
+
+  graph.remove(['assessment-essay-chunk-2'], { namespace: 'ucl-courses' });
+  assert.deepEqual(graph.assessmentIds('W_HTH4C042R-2025.26', { namespace: 'ucl-courses' }), ['assessment-essay-chunk-1']);
+});
+
+test('the tree collapses chunks and lists what is unlinked', () => {
+  const graph = createCourseGraph();
+  graph.add(records, { namespace: 'ucl-courses' });
+
+  const tree = graph.tree({ namespace: 'ucl-courses' });
+  assert.equal(tree.courses.length, 1);
+  const [course] = tree.courses;
+  assert.equal(course.course_title, 'Healthcare Assistant Practitioner');
+  assert.deepEqual(course.modules.map(module => module.module_code), ['W_HTH4C042R-2025.26']);
+  assert.deepEqual(course.modules[0].assessments, [{
+    id: 'assessment-essay',
+    assessment_type: 'Essay',
+    deadline: undefined,
+    weight: undefined,
+    ids: ['assessment-essay-chunk-1', 'assessment-essay-chunk-2']
+  }]);
+  assert.deepEqual(tree.unlinked.assessments.map(item => item.id), ['assessment-orphan']);
+
+  assert.equal(graph.tree({ namespace: 'ucl-courses', courseCode: 'fd-hap-25/26' }).courses.length, 1);
+  assert.equal(graph.tree({ namespace: 'ucl-courses', courseCode: 'NOPE' }), null);
+  assert.deepEqual(graph.stats(), { namespaces: { 'ucl-courses': { courses: 1, modules: 1, assessments: 2 } } });
+});
+
+test('the file backend persists the graph next to the vectors', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-'));
+  const filePath = path.join(dir, 'course-graph.json');
+
+  try {
+    await createFileGraphIndex({ filePath }).add(records, { namespace: 'ucl-courses' });
+    const reopened = createFileGraphIndex({ filePath });
+    assert.deepEqual(await reopened.moduleIds(COURSE, { namespace: 'ucl-courses' }), ['module-research']);
+
+    await reopened.rebuild(records.slice(0, 1), { namespace: 'ucl-courses' });
+    assert.deepEqual(await createFileGraphIndex({ filePath }).moduleIds(COURSE, { namespace: 'ucl-courses' }), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.equal(createGraphIndexFromEnv({ GRAPH_INDEX: 'off' }), null);
+  assert.equal(createGraphIndexFromEnv({ GRAPH_INDEX: 'memory' }).backend, 'memory');
+  assert.throws(() => createGraphIndexFromEnv({ GRAPH_INDEX: 'sqlite' }), /Unknown GRAPH_INDEX/);
+});
+
+test('hierarchy expansion uses the graph and a single fetch instead of embedding calls', async () => {
+  // Only the module and the general record are similar to the question, so the main search finds nothing else
+  const vectorStore = createLocalStore();
+  await vectorStore.upsert(records.map(item => (
+    ['module', 'general'].includes(item.metadata.type) ? item : { ...item, values: [0, 1] }
+  )), { namespace: 'ucl-courses' });
+  const fetches = [];
+  const store = { ...vectorStore, fetch: (ids, options) => { fetches.push(ids); return vectorStore.fetch(ids, options); } };
+
+  const graphIndex = createGraphIndexFromEnv({ GRAPH_INDEX: 'memory' });
+  await graphIndex.add(records, { namespace: 'ucl-courses' });
+
+  const embedded = [];
+  const embeddingProvider = { embed: async text => { embedded.push(text); return [1, 0]; } };
+  const core = graph => createRagCore({
+    embeddingProvider,
+    vectorStore: store,
+    chatProvider: createCannedChat(),
+    calendar: createAcademicCalendar(),
+    graphIndex: graph,
+    logger: silent,
+    now: () => new Date('2025-11-05T10:00:00Z')
+  });
+
+  // The graph brings in the module's assessments and its course (which the question is embedded with)
+  const prepared = await core(graphIndex).prepareChatContext('Tell me about Academic Research', [], 'ucl-courses');
+  assert.deepEqual(embedded, ['FD course: Tell me about Academic Research']);
+  assert.equal(fetches.length, 1);
+  assert.deepEqual(fetches[0].sort(), ['assessment-essay-chunk-1', 'assessment-essay-chunk-2', 'course-fd-hap']);
+  assert.deepEqual(prepared.matches.map(match => match.id), ['course-fd-hap', 'module-research', 'assessment-essay-chunk-1', 'assessment-essay-chunk-2', 'general-library']);
+  assert.equal(prepared.matches[0].score, 0);
+
+  // An unbuilt namespace falls back to vector queries
+  embedded.length = 0;
+  await core(createGraphIndexFromEnv({ GRAPH_INDEX: 'memory' })).prepareChatContext('Tell me about Academic Research', [], 'ucl-courses');
+  assert.ok(embedded.length > 1);
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the answer grounding verifier (src/grounding.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-grounding.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const {
+  extractFacts,
+  verifyAnswer,
+  emailsForNames,
+  buildGroundingCorrection,
+  formatGroundingWarning
+} = require('./src/grounding');
+
+const calendar = createAcademicCalendar();
+const NOW = new Date('2025-11-05T10:00:00Z');
+
+const matches = [
+  {
+    id: 'assessment-essay',
+    metadata: {
+      type: 'assessment',
+      module_code: 'W_HTH4C042R-2025.26',
+      module_title: 'Health and Wellbeing',
+      assessment_type: 'Essay',
+      deadline: '14th November 2025',
+      weight: '60%',
+      word_count: '1800 words',
+      tutor: 'Dr Shelley Sanderson',
+      text: 'Write a 1800 word essay on health behaviour change.'
+    }
+  },
+  {
+    id: 'assessment-presentation',
+    metadata: {
+      type: 'assessment',
+      deadline: 'Academic Week 15',
+      weight: '40',
+      word_count: '10 minutes'
+    }
+  }
+];
+
+test('facts are extracted in text order and normalised', () => {
+  const facts = extractFacts(
+    'The 1,800-word essay for W_HTH4C042R-2025.26 is due Friday 14th November 2025 (Week 8), ' +
+    'worth 60%. Email [Shelley](mailto:Shelley.Sanderson@ucleeds.ac.uk). Resubmit by 16/01/2026 or January 9th.'
+  );
+
+  assert.deepEqual(facts.map(fact => [fact.type, fact.value]), [
+    ['word_count', 1800],
+    ['module_code', 'W_HTH4C042R-2025.26'],
+    ['date', '2025-11-14'],
+    ['week', 8],
+    ['weight', 60],
+    ['email', 'shelley.sanderson@ucleeds.ac.uk'],
+    ['date', '2026-01-16'],
+    ['date', '*-01-09']
+  ]);
+  assert.equal(facts[2].text, '14th November 2025');
+});
+
+test('an answer built from the matches is grounded', () => {
+  const result = verifyAnswer(
+    'Your essay (W_HTH4C042R-2025.26) is due **Friday 14 November 2025 at 12:00 PM** (Week 8) [1]. ' +
+    'It is worth 60% and should be 1,800 words. The presentation is worth 40% and due Friday 16 January (Academic Week 15) [2]. ' +
+    'Contact [Dr Shelley Sanderson](mailto:shelley.sanderson@ucleeds.ac.uk).',
+    matches,
+    { calendar, now: NOW }
+  );
+
+  assert.equal(result.grounded, true);
+  assert.deepEqual(result.unsupported, []);
+  assert.equal(result.checked, 9);
+});
+
+test('wrong deadlines, weights, word counts, codes and emails are flagged', () => {
+  const result = verifyAnswer(
+    'The essay is due 21 November 2025 (Week 9), worth 50%, 2000 words, module W_HTH4C099R. ' +
+    'Email s.sanderson@ucleeds.ac.uk.',
+    matches,
+    { calendar, now: NOW }
+  );
+
+  assert.equal(result.grounded, false);
+  assert.deepEqual(result.unsupported.map(fact => fact.type), [
+    'date', 'week', 'weight', 'word_count', 'module_code', 'email'
+  ]);
+});
+
+test('calendar dates in the context count as evidence', () => {
+  // Today and the start of Reading Week are in the calendar block the model sees
+  const result = verifyAnswer('Today is 5 November 2025. Reading week started on 27 October 2025.', [], { calendar, now: NOW });
+  assert.equal(result.grounded, true);
+
+  // Without a calendar there is nothing to back them up
+  assert.equal(verifyAnswer('Today is 5 November 2025.', []).grounded, false);
+});
+
+test('tutor names map to firstname.lastname addresses', () => {
+  assert.deepEqual(emailsForNames("Dr Mary-Jane Wilson & Prof. James O'Neil / Ruth Tolson"), [
+    'mary-jane.wilson@ucleeds.ac.uk',
+    'james.oneil@ucleeds.ac.uk',
+    'ruth.tolson@ucleeds.ac.uk'
+  ]);
+  assert.deepEqual(emailsForNames('TBC'), []);
+});
+
+test('corrections and warnings name the unsupported facts', () => {
+  const { unsupported } = verifyAnswer('Due 21 November 2025, worth 50%.', matches, { calendar, now: NOW });
+
+  assert.match(buildGroundingCorrection(unsupported), /date "21 November 2025" and weighting "50%"/);
+  const warning = formatGroundingWarning(unsupported);
+  assert.match(warning, /^\n\n> ⚠️ \*\*Please double-check:\*\*/);
+  assert.match(warning, /weighting "50%"/);
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for the iCalendar deadline feeds (src/ical.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-ical.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildDeadlineCalendar,
+  buildCalendarUrl,
+  createDeadlineFeeds,
+  zonedTimeToUtc,
+  escapeText,
+  foldLine
+} = require('./src/ical');
+const { createCatalogue } = require('./src/catalogue');
+const { createLocalStore } = require('./src/vector-store');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+
+const NOW = new Date('2025-10-01T09:00:00Z');
+
+const essay = {
+  id: 'assessment-research-essay',
+  module_code: 'W_HTH4C042R-2025.26',
+  module_title: 'Academic Research and Study Skills',
+  assessment_type: 'Essay',
+  weight: '60%',
+  word_count: '1800 words',
+  deadline: '14th November 2025',
+  deadline_date: '2025-11-14',
+  deadline_time: '12:00',
+  academic_week: 8
+};
+
+// Unfold continuation lines so assertions can match whole properties
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+test('zonedTimeToUtc handles GMT and BST', () => {
+  assert.equal(zonedTimeToUtc('2025-11-14', '12:00', 'Europe/London').toISOString(), '2025-11-14T12:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-04-17', '12:00', 'Europe/London').toISOString(), '2026-04-17T11:00:00.000Z');
+  // Day of the spring-forward change
+  assert.equal(zonedTimeToUtc('2026-03-29', '12:00', 'Europe/London').toISOString(), '2026-03-29T11:00:00.000Z');
+});
+
+test('text escaping and line folding follow RFC 5545', () => {
+  assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+
+  const folded = foldLine(`DESCRIPTION:${'é'.repeat(60)}`);
+  const lines = folded.split('\r\n');
+  assert.ok(lines.length > 1);
+  lines.forEach((line, i) => {
+    assert.ok(Buffer.byteLength(line) <= 75, `line ${i} is ${Buffer.byteLength(line)} octets`);
+    if (i > 0) assert.ok(line.startsWith(' '));
+  });
+  assert.equal(lines.map((line, i) => (i > 0 ? line.slice(1) : line)).join(''), `DESCRIPTION:${'é'.repeat(60)}`);
+});
+
+test('buildDeadlineCalendar emits one event per resolved deadline', () => {
+  const ics = buildDeadlineCalendar({
+    name: 'FD HAP deadlines',
+    assessments: [essay, { ...essay, id: 'tbc', deadline: 'TBC', deadline_date: undefined }],
+    now: NOW
+  });
+  const text = unfold(ics);
+
+  assert.ok(ics.endsWith('\r\n'));
+  assert.ok(!/[^\r]\n/.test(ics), 'all line breaks are CRLF');
+  assert.equal(text.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(text, /X-WR-CALNAME:FD HAP deadlines/);
+  assert.match(text, /UID:assessment-research-essay@uc-oracle\r\n/);
+  assert.match(text, /DTSTAMP:20251001T090000Z/);
+  assert.match(text, /DTSTART:20251114T120000Z/);
+  assert.match(text, /SUMMARY:Essay deadline - Academic Research and Study Skills/);
+  assert.match(text, /Weighting: 60%\\nWord count: 1800 words\\nDeadline: 14th November 2025 \(Academic Week 8\)/);
+  assert.match(text, /TRIGGER:-P1D/);
+});
+
+test('buildCalendarUrl links a single assessment in its module feed', () => {
+  assert.equal(
+    buildCalendarUrl({ module_code: '[W_HTH4C042R-2025.26]', originalDocId: 'assessment-essay', namespace: 'ucl-courses' }, 'assessment-essay-chunk-1'),
+    '/api/calendar/modules/W_HTH4C042R-2025.26.ics?assessment=assessment-essay&namespace=ucl-courses'
+  );
+  assert.equal(buildCalendarUrl({ module_code: 'M1' }, 'a1'), '/api/calendar/modules/M1.ics?assessment=a1');
+  assert.equal(buildCalendarUrl({}, 'a1'), null);
+});
+
+test('course and module feeds come from the catalogue', async () => {
+  const store = createLocalStore();
+  const vector = [1, 0];
+  await store.upsert([
+    { id: 'course', values: vector, metadata: { type: 'course_overview', course_code: 'FD-HAP-25/26', course_title: 'FD HAP' } },
+    { id: 'module-1', values: vector, metadata: { type: 'module', module_code: 'M1', module_title: 'Research', course_code: 'FD-HAP-25/26', year: '1' } },
+    { id: 'module-2', values: vector, metadata: { type: 'module', module_code: 'M2', module_title: 'Leadership', course_code: 'FD-HAP-25/26', year: '2' } },
+    { id: 'essay', values: vector, metadata: { type: 'assessment', module_code: 'M1', assessment_type: 'Essay', deadline: 'Academic Week 15', year: '1' } },
+    { id: 'report', values: vector, metadata: { type: 'assessment', module_code: 'M1', assessment_type: 'Report', deadline: '14/11/2025', year: '1' } },
+    { id: 'project', values: vector, metadata: { type: 'assessment', module_code: 'M2', assessment_type: 'Project', deadline: 'Week 20', year: '2' } }
+  ], { namespace: 'ucl-courses' });
+
+  const calendar = createAcademicCalendar();
+  const feeds = createDeadlineFeeds(createCatalogue(store, { calendar }), { timeZone: calendar.timeZone });
+
+  const course = await feeds.courseFeed('FD-HAP-25/26');
+  assert.equal(course.filename, 'FD-HAP-25-26.ics');
+  assert.equal(course.body.match(/BEGIN:VEVENT/g).length, 3);
+  // Academic Week 15 -> Friday 16 January 2026 at 12:00
+  assert.match(course.body, /DTSTART:20260116T120000Z/);
+
+  const yearOne = await feeds.courseFeed('FD-HAP-25/26', { year: '1' });
+  assert.equal(yearOne.filename, 'FD-HAP-25-26-year-1.ics');
+  assert.equal(yearOne.body.match(/BEGIN:VEVENT/g).length, 2);
+  assert.match(yearOne.body, /X-WR-CALNAME:FD HAP - Year 1 deadlines/);
+
+  const moduleFeed = await feeds.moduleFeed('M1', { assessmentId: 'report' });
+  assert.equal(moduleFeed.filename, 'M1-Report.ics');
+  assert.equal(moduleFeed.body.match(/BEGIN:VEVENT/g).length, 1);
+  assert.match(moduleFeed.body, /DTSTART:20251114T120000Z/);
+
+  assert.equal(await feeds.courseFeed('NOPE'), null);
+  assert.equal(await feeds.moduleFeed('M1', { assessmentId: 'missing' }), null);
+});
@@ -0,0 +1,253 @@
+/**
+ * Unit tests for the handbook importer (src/import)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-import.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { importHandbooks } = require('./src/import');
+const { extractLines, htmlLines } = require('./src/import/extract');
+const { parseHandbook } = require('./src/import/handbook');
+const { loadDocumentFiles } = require('./src/ingest');
+const { validateDocuments } = require('./src/schema');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+
+const calendar = createAcademicCalendar();
+
+const HANDBOOK = [
+  ['Module Handbook 2025/26'],
+  ['Module Title', 'Academic Research and Study Skills', 'Module Code', '[W_HTH4C042R-2025.26]'],
+  ['Module Leader', 'Shelley Sanderson', 'Credits', '20 credits'],
+  ['Academic Year: 2025/26'],
+  ['Year of Study: 1'],
+  ['Semester: 1'],
+  ['Programme: Foundation Degree Healthcare Assistant Practitioner'],
+  ['Programme Code: FD-HAP-25/26'],
+  ['Learning Outcomes'],
+  ['LO1 Describe and explain key theories of learning and development. (K1)'],
+  ['LO2 Discuss the relevance of learning theories to your role. (C2)'],
+  ['Module Descriptor'],
+  ['The module provides the underpinning skills for undergraduate study.'],
+  ['Assessment Type', 'Weighting', 'Word Count', 'Submission Deadline', 'Learning Outcomes'],
+  ['Essay', '60%', '1,800', 'Week 10', 'LO 1, 2'],
+  ['Electronic Presentation', '40%', 'N/A', '9th January 2026', 'LO 3'],
+  ['Total', '100%', '', '', '']
+];
+
+// A one-page PDF with a line of text at each [x, y]
+function makePdf(items) {
+  const escape = text => text.replace(/[\\()]/g, match => `\\${match}`);
+  const content = items.map(([x, y, text]) => `BT /F1 11 Tf ${x} ${y} Td (${escape(text)}) Tj ET`).join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf);
+}
+
+const PDF_HANDBOOK = [
+  [72, 740, 'Module Title: Alternative Physical Activity'],
+  [72, 725, 'Module Code: W_SPT4C024R-2025.26'],
+  [72, 710, 'Module Tutor: Callum Lister'],
+  [72, 695, 'Credits: 20'],
+  [72, 680, 'Year: 1'],
+  [72, 665, 'Semester: 2'],
+  [72, 650, 'Course Code: FD-SPE-25/26'],
+  [72, 630, 'LO1 Plan and lead an alternative physical activity session.'],
+  [72, 605, 'Assessment'], [220, 605, 'Weight'], [320, 605, 'Deadline'],
+  [72, 590, 'Practical'], [220, 590, '50%'], [320, 590, 'Week 24'],
+  [72, 575, 'Report'], [220, 575, '50%'], [320, 575, 'Week 28']
+];
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-import-'));
+}
+
+test('DOCX HTML becomes lines, with a cell per table column', () => {
+  const html = '<h1>Module Handbook</h1><p>Module Code: W_HTH4C042R&#8209;2025.26</p>'
+    + '<table><tr><td><p>Assessment</p></td><td><p>Weight</p></td></tr>'
+    + '<tr><td><p>Essay &amp; plan</p></td><td><p>60%</p></td></tr></table>'
+    + '<ul><li>LO1 Describe</li></ul>';
+
+  assert.deepEqual(htmlLines(html), [
+    ['Module Handbook'],
+    ['Module Code: W_HTH4C042R‑2025.26'],
+    ['Assessment', 'Weight'],
+    ['Essay & plan', '60%'],
+    ['LO1 Describe']
+  ]);
+});
+
+test('PDF text is read line by line, splitting cells at wide gaps', async () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'handbook.pdf');
+  fs.writeFileSync(file, makePdf(PDF_HANDBOOK));
+
+  const lines = await extractLines(file);
+  assert.deepEqual(lines[0], ['Module Title: Alternative Physical Activity']);
+  assert.deepEqual(lines.slice(-3), [['Assessment', 'Weight', 'Deadline'], ['Practical', '50%', 'Week 24'], ['Report', '50%', 'Week 28']]);
+
+  await assert.rejects(extractLines(path.join(dir, 'handbook.odt')), /can't import \.odt/);
+});
+
+test('a complete handbook becomes valid documents with nothing to review', () => {
+  const { documents, review } = parseHandbook(HANDBOOK, { filename: 'research.docx', calendar });
+
+  assert.deepEqual(review, []);
+  assert.deepEqual(documents.map(doc => doc.id), [
+    'course-foundation-degree-healthcare-assistant-practitioner',
+    'module-academic-research-and-study-skills',
+    'assessment-academic-research-and-study-skills-essay',
+    'assessment-academic-research-and-study-skills-presentation'
+  ]);
+
+  const [, module, essay, presentation] = documents;
+  assert.deepEqual(module.metadata, {
+    type: 'module',
+    module_code: 'W_HTH4C042R-2025.26',
+    module_title: 'Academic Research and Study Skills',
+    tutor: 'Shelley Sanderson',
+    credits: '20',
+    year: '1',
+    semester: '1',
+    course_code: 'FD-HAP-25/26',
+    source: 'handbook',
+    filename: 'research.docx'
+  });
+  assert.match(module.text, /Learning Outcomes:\nLO1 Describe .*\nLO2 Discuss/);
+  assert.match(module.text, /Module Description:\nThe module provides/);
+
+  assert.equal(essay.metadata.weight, '60%');
+  assert.equal(essay.metadata.word_count, '1800 words');
+  assert.equal(essay.metadata.deadline, 'Week 10');
+  assert.match(essay.text, /^Assessment: Essay \(1800 words\) \(60%\)\n/);
+  assert.match(essay.text, /Learning Outcomes:\nLO 1, 2$/);
+  assert.equal(presentation.metadata.assessment_type, 'Presentation');
+  assert.equal(presentation.metadata.word_count, undefined);
+  assert.equal(presentation.metadata.deadline, '9th January 2026');
+
+  // Text and metadata agree, so the schema checks have nothing to say either
+  const result = validateDocuments(documents);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('guesses, gaps and conflicts go in the review list', () => {
+  const lines = [
+    ['Unit Title: Training and Fitness'],
+    ['Level: 5'],
+    ['Semester: 1 and 2'],
+    ['Module Title: Training & Fitness'],
+    ['This handbook covers [W_SPT5C011R-2025.26] for the year.'],
+    ['Task', 'Weight', 'Deadline'],
+    ['Essay', '70%', 'Week 99'],
+    ['Blog', 'half', 'end of term']
+  ];
+  const { documents, review } = parseHandbook(lines, { calendar });
+  const messages = review.map(item => `${item.id} ${item.field}: ${item.message}`);
+
+  const [module] = documents;
+  assert.equal(module.metadata.module_title, 'Training and Fitness');
+  assert.equal(module.metadata.module_code, 'W_SPT5C011R-2025.26');
+  assert.equal(module.metadata.year, '2');
+  assert.equal(module.metadata.semester, undefined);
+
+  const expected = [
+    /^module-training-and-fitness metadata.module_title: "Unit Title: Training and Fitness" used, but the handbook also has "Module Title: Training & Fitness"$/,
+    /^module-training-and-fitness metadata.module_code: no "Module Code" label/,
+    /^module-training-and-fitness metadata.year: inferred from Level 5/,
+    /^module-training-and-fitness metadata.semester: "1 and 2" isn't a single semester/,
+    /^module-training-and-fitness metadata.tutor: not found/,
+    /^module-training-and-fitness metadata.course_code: not found/,
+    /^module-training-and-fitness text: no learning outcomes found$/,
+    /^assessment-training-and-fitness-essay metadata.deadline: Week 99 is outside the academic calendar$/,
+    /^assessment-training-and-fitness-blog metadata.assessment_type: "Blog" isn't a type the importer knows/,
+    /^assessment-training-and-fitness-blog metadata.weight: weighting "half" not recognised$/,
+    /^assessment-training-and-fitness-blog metadata.deadline: "end of term" isn't a week or a date/
+  ];
+  expected.forEach(pattern => assert.ok(messages.some(message => pattern.test(message)), `expected ${pattern} in\n${messages.join('\n')}`));
+});
+
+test('weightings that don\'t add up to 100% are flagged', () => {
+  const { review } = parseHandbook([
+    ['Module Title: Coaching'],
+    ['Assessment', 'Weighting'],
+    ['Report', '50%'],
+    ['Presentation', '40%']
+  ]);
+  assert.ok(review.some(item => item.field === 'assessments' && /add up to 90%/.test(item.message)));
+
+  const { review: noTable } = parseHandbook([['Module Title: Coaching']]);
+  assert.ok(noTable.some(item => item.field === 'assessments' && item.message === 'no assessment table found'));
+});
+
+test('importHandbooks reads files, keeps one overview per course and reports unreadable files', async () => {
+  const dir = tempDir();
+  const first = path.join(dir, 'practical.pdf');
+  const second = path.join(dir, 'research.pdf');
+  const broken = path.join(dir, 'notes.txt');
+  fs.writeFileSync(first, makePdf(PDF_HANDBOOK));
+  fs.writeFileSync(second, makePdf(PDF_HANDBOOK.map(([x, y, text]) => [x, y, text
+    .replace('Alternative Physical Activity', 'Research Methods')
+    .replace('W_SPT4C024R', 'W_SPT4C030R')])));
+  fs.writeFileSync(broken, 'not a handbook');
+
+  const result = await importHandbooks([first, second, broken], { courseCode: 'FD-SPE-25/26', courseTitle: 'FD Sport Performance and Exercise' });
+
+  assert.deepEqual(result.files.map(({ documents, error }) => [documents, Boolean(error)]), [[4, false], [3, false], [0, true]]);
+  assert.deepEqual(result.counts, { course_overview: 1, module: 2, assessment: 4 });
+  assert.equal(result.documents.find(doc => doc.id === 'module-research-methods').metadata.filename, 'research.pdf');
+
+  assert.equal(result.review.length, 1);
+  assert.equal(result.review[0].file, broken);
+  assert.match(result.review[0].message, /couldn't read the file: can't import \.txt/);
+});
+
+test('validation errors are added to the review list', async () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'untitled.pdf');
+  fs.writeFileSync(file, makePdf([[72, 700, 'Assessment'], [220, 700, 'Weight'], [72, 680, 'Essay'], [220, 680, '100%']]));
+
+  const { review } = await importHandbooks([file]);
+  assert.ok(review.some(item => item.field === 'metadata.module_code' && item.message === 'no module code found'));
+  assert.ok(review.some(item => item.file === file && item.field === 'metadata.module_code' && item.message === 'is required'));
+});
+
+test('ingest refuses a file until its review list is empty', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'handbook-import.json');
+  const { documents } = parseHandbook(HANDBOOK, { calendar });
+  const review = [{ handbook: 'research.docx', id: documents[1].id, index: null, field: 'metadata.year', message: 'inferred from Level 4 - check the year of study' }];
+
+  fs.writeFileSync(file, JSON.stringify({ documents, review }));
+  const pending = loadDocumentFiles([file]);
+  assert.equal(pending.errors.length, 1);
+  assert.deepEqual(pending.errors[0], {
+    file,
+    id: documents[1].id,
+    index: null,
+    field: 'metadata.year',
+    message: 'not reviewed: inferred from Level 4 - check the year of study'
+  });
+
+  fs.writeFileSync(file, JSON.stringify({ documents, review: [] }));
+  assert.deepEqual(loadDocumentFiles([file]).errors, []);
+});
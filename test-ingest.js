@@ -0,0 +1,251 @@
+/**
+ * Unit tests for document ingestion (src/ingest)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-ingest.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIngester, prepareDocument, loadDocumentFiles, hashDocument } = require('./src/ingest');
+const { createLocalStore } = require('./src/vector-store/local-store');
+const { createHashEmbeddings } = require('./src/providers');
+const { createLexicalIndex } = require('./src/lexical');
+const { resolveChunkingOptions } = require('./src/chunking');
+
+const courseData = require('./uc-course-data.json');
+
+const quiet = { log() {}, error() {} };
+const SMALL_CHUNKS = resolveChunkingOptions({ strategy: 'fixed', maxTokens: 60, overlapTokens: 0 });
+
+function setup({ embeddingProvider = createHashEmbeddings(), upsert } = {}) {
+  const vectorStore = createLocalStore();
+  const upserts = [];
+  const store = {
+    ...vectorStore,
+    async upsert(vectors, options) {
+      upserts.push(vectors.length);
+      if (upsert) await upsert(vectors);
+      return vectorStore.upsert(vectors, options);
+    }
+  };
+  const lexicalIndex = createLexicalIndex({ backend: 'memory' });
+  const ingester = createIngester({ embeddingProvider, vectorStore: store, lexicalIndex, logger: quiet });
+  return { ingester, vectorStore, lexicalIndex, upserts };
+}
+
+test('prepareDocument numbers chunk ids and keeps the metadata', () => {
+  const [, researchModule] = courseData;
+  const { id, records } = prepareDocument(researchModule, { namespace: 'ucl-courses', chunking: SMALL_CHUNKS });
+
+  assert.equal(id, researchModule.id);
+  assert.ok(records.length > 1);
+  assert.deepEqual(records.map(record => record.id).slice(0, 2), [`${id}-chunk-1`, `${id}-chunk-2`]);
+  assert.equal(records[1].metadata.module_code, researchModule.metadata.module_code);
+  assert.equal(records[1].metadata.chunkIndex, 2);
+  assert.equal(records[1].metadata.totalChunks, records.length);
+  assert.equal(records[1].metadata.originalDocId, id);
+
+  // A document that fits in one chunk keeps its own id
+  assert.equal(prepareDocument(courseData[0]).records[0].id, courseData[0].id);
+});
+
+test('documents are stored, indexed and reported in order', async () => {
+  const { ingester, vectorStore, lexicalIndex, upserts } = setup();
+  const seen = [];
+  const result = await ingester.ingest(courseData, { namespace: 'ucl-courses', batchSize: 3, onDocument: report => seen.push(report.id) });
+
+  assert.deepEqual(result.documents.map(report => [report.id, report.status]), courseData.map(doc => [doc.id, 'uploaded']));
+  assert.deepEqual(seen.sort(), courseData.map(doc => doc.id).sort());
+  assert.ok(result.documents.every(report => report.chunks === 1 && report.tokens > 0));
+  assert.equal(result.chunksCount, 4);
+
+  // Whole documents are flushed once 3 vectors are waiting, and never more than 3 go in one upsert
+  assert.deepEqual(upserts, [3, 1]);
+  assert.equal((await vectorStore.stats()).namespaces['ucl-courses'].recordCount, 4);
+  assert.ok((await lexicalIndex.search('essay', { namespace: 'ucl-courses' })).length > 0);
+});
+
+test('a batch larger than the upsert limit is sliced', async () => {
+  const { ingester, upserts } = setup();
+  const result = await ingester.ingest([courseData[1]], { chunking: SMALL_CHUNKS, batchSize: 2 });
+
+  assert.ok(result.chunksCount > 2);
+  assert.ok(upserts.every(size => size <= 2));
+  assert.equal(upserts.reduce((sum, size) => sum + size, 0), result.chunksCount);
+});
+
+test('dry runs and skipped documents store nothing', async () => {
+  let embedded = 0;
+  const embeddingProvider = { ...createHashEmbeddings(), embedMany: async texts => { embedded += texts.length; return []; } };
+  const { ingester, vectorStore } = setup({ embeddingProvider });
+
+  const dryRun = await ingester.ingest(courseData, { dryRun: true });
+  assert.deepEqual(dryRun.documents.map(report => report.status), ['dry-run', 'dry-run', 'dry-run', 'dry-run']);
+  assert.ok(dryRun.documents.every(report => report.tokens > 0));
+
+  const skipped = await ingester.ingest(courseData.slice(0, 2), { dryRun: true, skip: doc => doc.id === courseData[0].id });
+  assert.deepEqual(skipped.documents.map(report => report.status), ['skipped', 'dry-run']);
+
+  assert.equal(embedded, 0);
+  assert.equal((await vectorStore.stats()).totalRecordCount, 0);
+});
+
+test('failures are reported per document, or thrown with failFast', async () => {
+  const hash = createHashEmbeddings();
+  const embeddingProvider = {
+    ...hash,
+    embedMany: async texts => {
+      if (texts.some(text => text.includes('Electronic Presentation'))) throw new Error('rate limited');
+      return hash.embedMany(texts);
+    }
+  };
+  const { ingester, vectorStore } = setup({ embeddingProvider });
+
+  const result = await ingester.ingest(courseData);
+  assert.deepEqual(result.documents.map(report => report.status), ['uploaded', 'uploaded', 'uploaded', 'failed']);
+  assert.equal(result.documents[3].error, 'rate limited');
+  assert.equal((await vectorStore.stats()).totalRecordCount, 3);
+
+  await assert.rejects(ingester.ingest(courseData, { failFast: true }), /rate limited/);
+
+  // A failed upsert fails every document in the batch
+  const broken = setup({ upsert: async () => { throw new Error('store offline'); } });
+  const batch = await broken.ingester.ingest(courseData.slice(0, 2));
+  assert.deepEqual(batch.documents.map(report => [report.status, report.error]), [['failed', 'store offline'], ['failed', 'store offline']]);
+});
+
+test('loadDocumentFiles reads JSON and text files and validates them together', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-ingest-'));
+  try {
+    const json = path.join(dir, 'modules.json');
+    const notes = path.join(dir, 'Study Skills.md');
+    const empty = path.join(dir, 'year2.json');
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(json, JSON.stringify({ documents: courseData.slice(1) }));
+    fs.writeFileSync(notes, '# Study skills\n\nBook the library induction in week one.\n');
+    fs.writeFileSync(empty, '[]');
+    fs.writeFileSync(broken, '{ "documents": ');
+
+    const loaded = loadDocumentFiles([json, notes, empty]);
+    assert.equal(loaded.documents.length, 4);
+    assert.deepEqual(loaded.documents[3], {
+      id: 'study-skills',
+      text: '# Study skills\n\nBook the library induction in week one.',
+      metadata: { source: 'file', filename: 'Study Skills.md' }
+    });
+    assert.deepEqual(loaded.errors, []);
+    assert.deepEqual(loaded.warnings.map(issue => [path.basename(issue.file), issue.message.split(':')[0]]), [
+      ['year2.json', 'no documents'],
+      ['modules.json', 'module without a course']
+    ]);
+    // Positions are counted within each file
+    assert.equal(loaded.warnings[1].index, 0);
+
+    // ...and the course in the namespace already satisfies the module
+    assert.equal(loadDocumentFiles([json], { existing: [courseData[0].metadata] }).warnings.length, 0);
+
+    const failed = loadDocumentFiles([broken, empty]);
+    assert.equal(failed.errors[0].file, broken);
+    assert.equal(failed.errors[1].message, 'no documents to index');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('documents without an id get the same id from the same content', async () => {
+  const { ingester, vectorStore } = setup();
+  const notes = { text: 'Library opening hours are 8am to 8pm.', metadata: { source: 'web-interface' } };
+
+  await ingester.ingest([notes]);
+  await ingester.ingest([{ ...notes }]);
+  const stored = await vectorStore.list({}, {});
+  assert.equal(stored.length, 1);
+  assert.match(stored[0].id, /^doc-[0-9a-f]{16}$/);
+  assert.equal(stored[0].metadata.originalDocId, stored[0].id);
+});
+
+test('content hashes ignore metadata order but not chunking', () => {
+  const doc = courseData[1];
+  const reordered = { ...doc, metadata: Object.fromEntries(Object.entries(doc.metadata).reverse()) };
+
+  assert.equal(hashDocument(doc, SMALL_CHUNKS), hashDocument(reordered, SMALL_CHUNKS));
+  assert.notEqual(hashDocument(doc, SMALL_CHUNKS), hashDocument(doc));
+  assert.notEqual(hashDocument(doc), hashDocument({ ...doc, text: `${doc.text} ` }));
+});
+
+test('sync embeds only added and changed documents and deletes removed ones', async () => {
+  let embedded = [];
+  const hash = createHashEmbeddings();
+  const embeddingProvider = { ...hash, embedMany: async texts => { embedded.push(...texts); return hash.embedMany(texts); } };
+  const { ingester, vectorStore, lexicalIndex } = setup({ embeddingProvider });
+  const options = { namespace: 'ucl-courses', chunking: SMALL_CHUNKS };
+
+  const first = await ingester.sync(courseData, options);
+  assert.deepEqual(first.summary, { added: 4, changed: 0, removed: 0, unchanged: 0, failed: 0 });
+
+  // Nothing changed: nothing embedded
+  embedded = [];
+  const again = await ingester.sync(courseData, options);
+  assert.deepEqual(again.summary, { added: 0, changed: 0, removed: 0, unchanged: 4, failed: 0 });
+  assert.deepEqual(embedded, []);
+
+  // The module shrinks to one chunk, the course overview is dropped and a new document appears
+  const [course, researchModule, ...assessments] = courseData;
+  const before = (await vectorStore.list({}, { namespace: 'ucl-courses' })).map(record => record.id);
+  const chunksOf = id => before.filter(storedId => storedId === id || storedId.startsWith(`${id}-chunk-`)).length;
+  const source = [{ ...researchModule, text: 'Module: Academic Research and Study Skills' }, ...assessments, { id: 'notes', text: 'Week one notes', metadata: {} }];
+  const seen = [];
+  const result = await ingester.sync(source, { ...options, onDocument: report => seen.push(report.id) });
+
+  assert.deepEqual(result.documents.map(report => [report.id, report.change, report.status]), [
+    [researchModule.id, 'changed', 'uploaded'],
+    [assessments[0].id, 'unchanged', 'unchanged'],
+    [assessments[1].id, 'unchanged', 'unchanged'],
+    ['notes', 'added', 'uploaded'],
+    [course.id, 'removed', 'removed']
+  ]);
+  assert.equal(seen.length, 5);
+  assert.deepEqual(embedded.length, 2);
+
+  const stored = await vectorStore.list({}, { namespace: 'ucl-courses' });
+  const ids = stored.map(record => record.id);
+  assert.ok(ids.includes(researchModule.id));
+  assert.ok(!ids.some(id => id.startsWith(`${researchModule.id}-chunk-`)), 'stale chunks of the changed module are deleted');
+  assert.ok(!ids.some(id => id.startsWith(course.id)));
+  // Every chunk of the course, and the module's old chunks - its single new chunk is stored under the bare id
+  assert.equal(result.deletedCount, chunksOf(course.id) + chunksOf(researchModule.id));
+  assert.deepEqual(await lexicalIndex.search('healthcare assistant practitioner course', { namespace: 'ucl-courses', filter: { type: 'course_overview' } }), []);
+});
+
+test('sync trusts a complete listing over lagging stats, and stops when the listing is cut off', async () => {
+  const { ingester, vectorStore } = setup();
+  await ingester.sync(courseData, { namespace: 'ucl-courses' });
+
+  // Pinecone's stats trail recent writes - the listing is what sync plans from
+  const stats = vectorStore.stats;
+  vectorStore.stats = async () => ({ ...(await stats()), namespaces: {} });
+  const lagging = createIngester({ embeddingProvider: createHashEmbeddings(), vectorStore, logger: quiet });
+  assert.deepEqual((await lagging.sync(courseData.slice(1), { namespace: 'ucl-courses', dryRun: true })).summary,
+    { added: 0, changed: 0, removed: 1, unchanged: 3, failed: 0 });
+
+  // A backend that can't list the whole namespace throws, and nothing is embedded or deleted
+  vectorStore.list = async () => { throw new Error('Pinecone index can\'t list namespace "ucl-courses"'); };
+  const cutOff = createIngester({ embeddingProvider: createHashEmbeddings(), vectorStore, logger: quiet });
+  await assert.rejects(cutOff.sync(courseData.slice(1), { namespace: 'ucl-courses' }), /can't list namespace/);
+  assert.equal((await stats()).namespaces['ucl-courses'].recordCount, 4);
+});
+
+test('a sync dry run reports the diff without touching the store', async () => {
+  const { ingester, vectorStore } = setup();
+  await ingester.sync(courseData.slice(0, 2), { namespace: 'ucl-courses' });
+
+  const result = await ingester.sync(courseData.slice(1), { namespace: 'ucl-courses', dryRun: true });
+  assert.deepEqual(result.summary, { added: 2, changed: 0, removed: 1, unchanged: 1, failed: 0 });
+  assert.deepEqual(result.documents.map(report => report.status), ['unchanged', 'dry-run', 'dry-run', 'dry-run']);
+  assert.equal((await vectorStore.stats()).namespaces['ucl-courses'].recordCount, 2);
+});
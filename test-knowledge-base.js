@@ -0,0 +1,128 @@
+/**
+ * Unit tests for knowledge base administration (src/knowledge-base.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-knowledge-base.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKnowledgeBase } = require('./src/knowledge-base');
+const { createIngester } = require('./src/ingest');
+const { createLocalStore } = require('./src/vector-store/local-store');
+const { createHashEmbeddings } = require('./src/providers');
+const { createLexicalIndex } = require('./src/lexical');
+const { createGraphIndex } = require('./src/graph');
+const { resolveChunkingOptions } = require('./src/chunking');
+
+const courseData = require('./uc-course-data.json');
+
+const SMALL_CHUNKS = resolveChunkingOptions({ strategy: 'fixed', maxTokens: 60, overlapTokens: 0 });
+const [course, researchModule, essay, presentation] = courseData;
+
+async function setup() {
+  const vectorStore = createLocalStore();
+  const lexicalIndex = createLexicalIndex({ backend: 'memory' });
+  const graphIndex = createGraphIndex({ backend: 'memory' });
+  const ingester = createIngester({
+    embeddingProvider: createHashEmbeddings(),
+    vectorStore,
+    lexicalIndex,
+    graphIndex,
+    logger: { log() {}, error() {} }
+  });
+
+  // The module is split into several chunks, everything else is stored whole
+  await ingester.ingest([course, essay, presentation], { namespace: 'ucl-courses' });
+  await ingester.ingest([researchModule], { namespace: 'ucl-courses', chunking: SMALL_CHUNKS });
+  await ingester.ingest([{ id: 'notes', text: 'Other notes', metadata: { source: 'web-interface' } }], { namespace: 'scratch' });
+
+  return { knowledgeBase: createKnowledgeBase({ vectorStore, ingester, lexicalIndex, graphIndex }), vectorStore, ingester, lexicalIndex, graphIndex };
+}
+
+test('documents are listed once each, with their chunk count and without upload bookkeeping', async () => {
+  const { knowledgeBase } = await setup();
+  const { documents, pagination } = await knowledgeBase.listDocuments({ namespace: 'ucl-courses' });
+
+  assert.equal(pagination.total, 4);
+  const stored = documents.find(document => document.id === researchModule.id);
+  assert.ok(stored.chunks > 1);
+  assert.deepEqual(stored.metadata, researchModule.metadata);
+  assert.match(stored.uploadedAt, /^\d{4}-\d{2}-\d{2}T/);
+  assert.match(stored.contentHash, /^[0-9a-f]{64}$/);
+  assert.ok(documents.filter(document => document.id !== researchModule.id).every(document => document.chunks === 1));
+});
+
+test('documents can be filtered by metadata and paged', async () => {
+  const { knowledgeBase } = await setup();
+
+  const assessments = await knowledgeBase.listDocuments({ namespace: 'ucl-courses', filter: { type: 'assessment' } });
+  assert.deepEqual(assessments.documents.map(document => document.id).sort(), [essay.id, presentation.id].sort());
+
+  // Codes match without brackets or case, as in the catalogue
+  const byModule = await knowledgeBase.listDocuments({ namespace: 'ucl-courses', filter: { module_code: `[${researchModule.metadata.module_code.toLowerCase()}]` } });
+  assert.equal(byModule.pagination.total, 3);
+
+  const page = await knowledgeBase.listDocuments({ namespace: 'ucl-courses', page: 2, pageSize: 3 });
+  assert.deepEqual(page.pagination, { page: 2, pageSize: 3, total: 4, totalPages: 2 });
+  assert.equal(page.documents.length, 1);
+});
+
+test('listing filters and chunk lookups narrow the store listing rather than the page', async () => {
+  const { knowledgeBase, vectorStore, ingester } = await setup();
+  const listed = [];
+  const list = vectorStore.list;
+  vectorStore.list = (filter, options) => {
+    listed.push({ filter, prefix: options.prefix });
+    return list(filter, options);
+  };
+
+  // Years typed into the query string still match years stored as numbers
+  await ingester.ingest([{ id: 'year-one-note', text: 'Year one induction', metadata: { type: 'note', year: 1 } }], { namespace: 'ucl-courses' });
+  const yearOne = await knowledgeBase.listDocuments({ namespace: 'ucl-courses', filter: { year: '1', module_code: researchModule.metadata.module_code } });
+  assert.equal(yearOne.pagination.total, 3);
+  assert.deepEqual(listed.pop(), { filter: { year: { $in: ['1', 1] } }, prefix: undefined });
+  assert.equal((await knowledgeBase.listDocuments({ namespace: 'ucl-courses', filter: { year: '1' } })).pagination.total, 4);
+
+  await knowledgeBase.deleteDocument(researchModule.id, { namespace: 'ucl-courses' });
+  assert.equal(listed.pop().prefix, `${researchModule.id}-chunk-`);
+});
+
+test('deleting a document removes every chunk from the store and the search indexes', async () => {
+  const { knowledgeBase, vectorStore, lexicalIndex, graphIndex } = await setup();
+  const before = (await vectorStore.stats()).namespaces['ucl-courses'].recordCount;
+
+  const result = await knowledgeBase.deleteDocument(researchModule.id, { namespace: 'ucl-courses' });
+  assert.ok(result.chunkIds.length > 1);
+  assert.ok(result.chunkIds.every(id => id.startsWith(`${researchModule.id}-chunk-`)));
+  assert.equal(result.deletedCount, result.chunkIds.length);
+  assert.equal((await vectorStore.stats()).namespaces['ucl-courses'].recordCount, before - result.deletedCount);
+  assert.deepEqual(await lexicalIndex.search('academic research study skills', { namespace: 'ucl-courses', filter: { type: 'module' } }), []);
+  assert.deepEqual(await graphIndex.moduleIds(course.metadata.course_code, { namespace: 'ucl-courses' }), []);
+
+  // A single-chunk document is found by its own id
+  assert.equal((await knowledgeBase.deleteDocument(essay.id, { namespace: 'ucl-courses' })).deletedCount, 1);
+
+  assert.equal(await knowledgeBase.deleteDocument(researchModule.id, { namespace: 'ucl-courses' }), null);
+  assert.equal(await knowledgeBase.deleteDocument(course.id, { namespace: 'scratch' }), null);
+});
+
+test('namespaces are listed, described and deleted with record counts', async () => {
+  const { knowledgeBase, lexicalIndex } = await setup();
+
+  const namespaces = await knowledgeBase.listNamespaces();
+  assert.deepEqual(namespaces.map(entry => entry.namespace), ['scratch', 'ucl-courses']);
+  assert.equal(namespaces[0].recordCount, 1);
+
+  const described = await knowledgeBase.describeNamespace('ucl-courses');
+  assert.equal(described.documentCount, 4);
+  assert.ok(described.recordCount > 4);
+  assert.deepEqual(described.types, { course_overview: 1, module: 1, assessment: 2 });
+  assert.equal(await knowledgeBase.describeNamespace('missing'), null);
+
+  assert.deepEqual(await knowledgeBase.deleteNamespace('scratch'), { namespace: 'scratch', deletedCount: 1 });
+  assert.deepEqual(await lexicalIndex.search('other notes', { namespace: 'scratch' }), []);
+  assert.equal((await knowledgeBase.describeNamespace('ucl-courses')).documentCount, 4);
+  assert.equal(await knowledgeBase.deleteNamespace('missing'), null);
+});
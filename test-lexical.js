@@ -0,0 +1,99 @@
+/**
+ * Unit tests for the BM25 lexical index (src/lexical) and rank fusion (src/core/fusion.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-lexical.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBM25Index, createFileLexicalIndex, createLexicalIndexFromEnv, tokenize } = require('./src/lexical');
+const { parseFusionWeights, weightsFor, reciprocalRankFusion } = require('./src/core/fusion');
+
+const records = [
+  { id: 'module-research', metadata: { type: 'module', module_code: 'W_HTH4C042R-2025.26', module_title: 'Academic Research and Study Skills', tutor: 'Shelley Sanderson', text: 'Module: Academic Research and Study Skills. Learning theories.' } },
+  { id: 'module-anatomy', metadata: { type: 'module', module_code: 'W_HTH4C043R-2025.26', module_title: 'Anatomy and Physiology', tutor: 'Callum Lister', text: 'Module: Anatomy and Physiology. Body systems.' } },
+  { id: 'assessment-essay', metadata: { type: 'assessment', module_code: 'W_HTH4C042R-2025.26', assessment_type: 'Essay', text: 'Essay on learning theories, 1800 words.' } },
+  { id: 'general-library', metadata: { type: 'general', text: 'The library is open until 9pm during term.' } }
+];
+
+test('tokens keep module codes whole and drop stop words and plurals', () => {
+  assert.deepEqual(tokenize('What are the assessments for W_HTH4C042R-2025.26?'), ['assessment', 'w_hth4c042r', '2025', '26']);
+  assert.deepEqual(tokenize('Business address'), ['business', 'address']);
+});
+
+test('exact codes and surnames rank their records first', () => {
+  const index = createBM25Index();
+  index.add(records, { namespace: 'ucl-courses' });
+
+  const byCode = index.search('deadlines for W_HTH4C042R', { namespace: 'ucl-courses' });
+  assert.deepEqual(byCode.map(match => match.id).sort(), ['assessment-essay', 'module-research']);
+  assert.ok(byCode[0].score > 0);
+
+  assert.equal(index.search('who is Lister', { namespace: 'ucl-courses' })[0].id, 'module-anatomy');
+  assert.deepEqual(index.search('learning theories', { namespace: 'ucl-courses', filter: { type: 'assessment' } }).map(m => m.id), ['assessment-essay']);
+  assert.deepEqual(index.search('W_HTH4C042R', { namespace: 'other' }), []);
+});
+
+test('records can be replaced and removed', () => {
+  const index = createBM25Index();
+  index.add(records, { namespace: 'ucl-courses' });
+  index.add([{ id: 'module-anatomy', metadata: { type: 'module', text: 'Renamed module' } }], { namespace: 'ucl-courses' });
+
+  assert.deepEqual(index.search('Lister', { namespace: 'ucl-courses' }), []);
+  assert.deepEqual(index.remove(['general-library', 'missing'], { namespace: 'ucl-courses' }), { removedCount: 1 });
+  assert.deepEqual(index.stats(), { namespaces: { 'ucl-courses': { recordCount: 3 } } });
+});
+
+test('the file backend persists the index next to the vectors', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexical-'));
+  const filePath = path.join(dir, 'lexical-index.json');
+
+  try {
+    await createFileLexicalIndex({ filePath }).add(records, { namespace: 'ucl-courses' });
+
+    const reopened = createFileLexicalIndex({ filePath });
+    assert.equal((await reopened.search('Sanderson', { namespace: 'ucl-courses' }))[0].id, 'module-research');
+
+    await reopened.rebuild(records.slice(0, 1), { namespace: 'ucl-courses' });
+    assert.deepEqual(await createFileLexicalIndex({ filePath }).stats(), {
+      backend: 'file',
+      namespaces: { 'ucl-courses': { recordCount: 1 } }
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  assert.equal(createLexicalIndexFromEnv({ LEXICAL_INDEX: 'off' }), null);
+  assert.equal(createLexicalIndexFromEnv({ LEXICAL_INDEX: 'memory' }).backend, 'memory');
+  assert.throws(() => createLexicalIndexFromEnv({ LEXICAL_INDEX: 'elastic' }), /Unknown LEXICAL_INDEX/);
+});
+
+test('weighted reciprocal rank fusion favours items both searches found', () => {
+  const vector = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  const lexical = [{ id: 'c' }, { id: 'd' }];
+
+  const equal = reciprocalRankFusion({ vector, lexical }, { vector: 1, lexical: 1, k: 60 });
+  assert.deepEqual(equal.map(entry => entry.id), ['c', 'a', 'b', 'd']);
+  assert.deepEqual(equal[0].ranks, { vector: 3, lexical: 1 });
+  assert.equal(equal[0].fusedScore, 1 / 63 + 1 / 61);
+
+  const lexicalHeavy = reciprocalRankFusion({ vector, lexical }, { vector: 1, lexical: 3, k: 60 });
+  assert.deepEqual(lexicalHeavy.map(entry => entry.id), ['c', 'd', 'a', 'b']);
+});
+
+test('fusion weights are configured per namespace', () => {
+  const config = parseFusionWeights('{"default": {"lexical": 0.5}, "ucl-courses": {"lexical": 2, "k": 20}, "archive": {"lexical": 0}}');
+  assert.deepEqual(weightsFor(config, 'ucl-courses'), { vector: 1, lexical: 2, k: 20 });
+  assert.deepEqual(weightsFor(config, 'other'), { vector: 1, lexical: 0.5, k: 60 });
+  assert.equal(weightsFor(config, 'archive').lexical, 0);
+  assert.deepEqual(weightsFor(parseFusionWeights(undefined)), { vector: 1, lexical: 1, k: 60 });
+
+  assert.throws(() => parseFusionWeights('{nope'), /not valid JSON/);
+  assert.throws(() => parseFusionWeights({ 'ucl-courses': { lexical: -1 } }), /"ucl-courses"\.lexical must be a non-negative number/);
+  assert.throws(() => parseFusionWeights({ default: { bm25: 1 } }), /Unknown HYBRID_SEARCH_WEIGHTS key "bm25"/);
+});
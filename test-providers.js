@@ -0,0 +1,133 @@
+/**
+ * Unit tests for the model providers (src/providers/)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-providers.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createEmbeddingProvider,
+  createChatProvider,
+  createHashEmbeddings,
+  createCannedChat
+} = require('./src/providers');
+const { cosineSimilarity } = require('./src/vector-store/local-store');
+
+// Replace global fetch for one test, recording requests
+function mockFetch(t, respond) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, body: init.body ? JSON.parse(init.body) : undefined, headers: init.headers });
+    return respond(url);
+  };
+  t.after(() => { globalThis.fetch = original; });
+  return calls;
+}
+
+function sseResponse(frames) {
+  return new Response(frames.map(frame => `data: ${frame}\n\n`).join(''), { status: 200 });
+}
+
+test('hash embeddings are deterministic, normalised and word-sensitive', async () => {
+  const embeddings = createHashEmbeddings({ dimensions: 256 });
+  const a = await embeddings.embed('Academic Research essay deadline');
+  const b = await embeddings.embed('academic research essay deadline');
+  const related = await embeddings.embed('When is the essay deadline?');
+  const unrelated = await embeddings.embed('anatomy and physiology lab');
+
+  assert.equal(a.length, 256);
+  assert.deepEqual(a, b);
+  assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+  assert.ok(cosineSimilarity(a, related) > cosineSimilarity(a, unrelated));
+
+  assert.deepEqual(await embeddings.embedMany(['x', 'y']), [await embeddings.embed('x'), await embeddings.embed('y')]);
+  assert.ok((await embeddings.embed('')).every(value => value === 0));
+});
+
+test('canned chat picks responses by pattern and streams word by word', async () => {
+  const chat = createCannedChat({
+    response: 'Default reply.',
+    responses: [{ pattern: /deadline/i, response: 'Due Friday at noon.' }]
+  });
+
+  assert.equal(await chat.generate([{ role: 'user', content: 'Hello' }]), 'Default reply.');
+  assert.equal(await chat.generate([{ role: 'user', content: 'When is the DEADLINE?' }]), 'Due Friday at noon.');
+
+  const deltas = [];
+  for await (const text of chat.stream([{ role: 'user', content: 'deadline' }])) {
+    deltas.push(text);
+  }
+  assert.deepEqual(deltas, ['Due ', 'Friday ', 'at ', 'noon.']);
+});
+
+test('factories select providers from the environment', () => {
+  const embeddings = createEmbeddingProvider({ EMBEDDING_PROVIDER: 'hash', EMBEDDING_DIMENSIONS: '64' });
+  assert.equal(embeddings.name, 'hash');
+  assert.equal(embeddings.dimension, 64);
+
+  assert.equal(createEmbeddingProvider({ OPENAI_API_KEY: 'key' }).model, 'text-embedding-3-small');
+  assert.equal(createEmbeddingProvider({ EMBEDDING_PROVIDER: 'local' }).name, 'local');
+  assert.equal(createChatProvider({ CHAT_PROVIDER: 'canned' }).name, 'canned');
+  assert.equal(createChatProvider({ GEMINI_API_KEY: 'key' }, { gemini: 'gemini-2.0-flash-lite' }).model, 'gemini-2.0-flash-lite');
+  assert.equal(createChatProvider({ GEMINI_API_KEY: 'key', CHAT_MODEL: 'gemini-pro' }, { gemini: 'gemini-2.0-flash-lite' }).model, 'gemini-pro');
+  assert.equal(createChatProvider({ CHAT_PROVIDER: 'local' }).model, 'llama3.1');
+
+  assert.throws(() => createEmbeddingProvider({}), /OPENAI_API_KEY/);
+  assert.throws(() => createChatProvider({}), /GEMINI_API_KEY/);
+  assert.throws(() => createChatProvider({ CHAT_PROVIDER: 'claude' }), /Unknown CHAT_PROVIDER/);
+  for (const dimensions of ['abc', '0', '-8', '12.5', '64px']) {
+    assert.throws(() => createEmbeddingProvider({ EMBEDDING_PROVIDER: 'hash', EMBEDDING_DIMENSIONS: dimensions }), /EMBEDDING_DIMENSIONS must be a positive integer/, dimensions);
+  }
+});
+
+test('OpenAI-compatible adapters call the configured base URL', async (t) => {
+  const calls = mockFetch(t, (url) => {
+    if (url.endsWith('/embeddings')) {
+      return Response.json({ data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }] });
+    }
+    return sseResponse([
+      JSON.stringify({ choices: [{ delta: { content: 'Hello' } }] }),
+      JSON.stringify({ choices: [{ delta: { content: ' there' } }] }),
+      '[DONE]'
+    ]);
+  });
+
+  const env = { EMBEDDING_PROVIDER: 'local', CHAT_PROVIDER: 'local', LOCAL_LLM_BASE_URL: 'http://llm.test/v1/' };
+
+  assert.deepEqual(await createEmbeddingProvider(env).embedMany(['a', 'b']), [[1, 0], [0, 1]]);
+  assert.equal(calls[0].url, 'http://llm.test/v1/embeddings');
+  assert.equal(calls[0].headers.Authorization, undefined);
+
+  const deltas = [];
+  for await (const text of createChatProvider(env).stream([{ role: 'user', content: 'Hi' }], { maxOutputTokens: 10 })) {
+    deltas.push(text);
+  }
+  assert.deepEqual(deltas, ['Hello', ' there']);
+  assert.equal(calls[1].url, 'http://llm.test/v1/chat/completions');
+  assert.equal(calls[1].body.stream, true);
+  assert.equal(calls[1].body.max_tokens, 10);
+});
+
+test('Gemini chat maps roles and system prompts', async (t) => {
+  const calls = mockFetch(t, () => Response.json({
+    candidates: [{ content: { parts: [{ text: 'Hi ' }, { text: 'student' }] } }]
+  }));
+
+  const chat = createChatProvider({ GEMINI_API_KEY: 'key', CHAT_MODEL: 'gemini-test' });
+  const text = await chat.generate([
+    { role: 'system', content: 'Be helpful' },
+    { role: 'user', content: 'Hello' },
+    { role: 'assistant', content: 'Hi' },
+    { role: 'user', content: 'Deadline?' }
+  ], { temperature: 0.7 });
+
+  assert.equal(text, 'Hi student');
+  assert.match(calls[0].url, /models\/gemini-test:generateContent\?key=key$/);
+  assert.deepEqual(calls[0].body.systemInstruction, { parts: [{ text: 'Be helpful' }] });
+  assert.deepEqual(calls[0].body.contents.map(content => content.role), ['user', 'model', 'user']);
+  assert.deepEqual(calls[0].body.generationConfig, { temperature: 0.7 });
+});
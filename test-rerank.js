@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the reranking stage (src/rerank)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-rerank.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createRerankerFromEnv,
+  createReranker,
+  createLocalScorer,
+  createLLMScorer,
+  createCrossEncoderScorer,
+  estimateTokens
+} = require('./src/rerank');
+const { parseScores } = require('./src/rerank/llm');
+const { createRagCore } = require('./src/core');
+const { createLocalStore } = require('./src/vector-store');
+const { createAcademicCalendar } = require('./src/academic-calendar');
+const { createCannedChat } = require('./src/providers/offline');
+
+const silent = { log() {}, error() {} };
+
+function match(id, score, metadata) {
+  return { id, score, metadata: { text: `${id} text`, ...metadata } };
+}
+
+const candidates = [
+  match('module-anatomy', 0.62, { type: 'module', module_code: 'W_HTH4C043R-2025.26', module_title: 'Anatomy and Physiology', tutor: 'Callum Lister' }),
+  match('module-research', 0.55, { type: 'module', module_code: 'W_HTH4C042R-2025.26', module_title: 'Academic Research', tutor: 'Shelley Sanderson' }),
+  match('assessment-essay', 0.5, { type: 'assessment', module_code: 'W_HTH4C042R-2025.26', assessment_type: 'Essay', text: 'Academic Research essay on learning theories, 1800 words.' })
+];
+
+// Replace global fetch for one test, recording requests
+function mockFetch(t, respond) {
+  const calls = [];
+  const original = globalThis.fetch;
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body), headers: init.headers });
+    return respond(url);
+  };
+  t.after(() => { globalThis.fetch = original; });
+  return calls;
+}
+
+test('the stage sorts by score, de-duplicates and trims to the token budget', async () => {
+  const reranker = createReranker({
+    name: 'fixed',
+    score: async (query, matches) => matches.map(m => ({ 'module-anatomy': 0.1, 'module-research': 0.9, 'assessment-essay': 0.6 })[m.id]),
+    tokenBudget: 90
+  });
+
+  const result = await reranker.rerank('essay', [...candidates, candidates[0]]);
+  assert.deepEqual(result.matches.map(m => m.id), ['module-research', 'assessment-essay']);
+  assert.deepEqual(result.matches.map(m => m.rerank), [{ score: 0.9, rank: 1 }, { score: 0.6, rank: 2 }]);
+  assert.deepEqual(result.dropped, ['module-anatomy']);
+  assert.equal(result.tokens, 82);
+
+  // The best match survives even when it alone is over budget or below the minimum
+  const strict = createReranker({ name: 'fixed', score: async (q, matches) => matches.map(() => 0.2), tokenBudget: 1, minScore: 0.5 });
+  assert.deepEqual((await strict.rerank('essay', candidates)).matches.map(m => m.id), ['module-anatomy']);
+
+  const broken = createReranker({ name: 'broken', score: async () => [1] });
+  await assert.rejects(broken.rerank('essay', candidates), /returned 1 scores for 3 matches/);
+  assert.equal(estimateTokens('12345678'), 2);
+});
+
+test('the local scorer favours candidates sharing rare terms with the question', async () => {
+  const scores = await createLocalScorer().score('Academic Research essay word count', candidates);
+  assert.ok(scores[2] > scores[1] && scores[1] > scores[0]);
+  assert.ok(scores.every(score => score >= 0 && score <= 1));
+});
+
+test('the LLM judge scores every candidate in one call', async () => {
+  const chat = createCannedChat({ response: 'Scores: [1, 7, 10]' });
+  const sent = [];
+  const scorer = createLLMScorer({
+    chatProvider: { generate: async (messages, options) => { sent.push({ messages, options }); return chat.generate(messages); } }
+  });
+
+  assert.deepEqual(await scorer.score('When is the research essay due?', candidates), [0.1, 0.7, 1]);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].options.temperature, 0);
+  assert.match(sent[0].messages[0].content, /QUESTION: When is the research essay due\?/);
+  assert.match(sent[0].messages[0].content, /\[3\] \(type: assessment, module_code: W_HTH4C042R-2025\.26, assessment_type: Essay\)\nAcademic Research essay/);
+
+  assert.deepEqual(parseScores('[12, -1]', 2), [1, 0]);
+  assert.throws(() => parseScores('I think the second one', 2), /expected a JSON array of 2 scores/);
+  assert.throws(() => parseScores('[1, 2]', 3), /expected a JSON array of 3 scores/);
+});
+
+test('the cross-encoder reads text-embeddings-inference and Cohere-style responses', async t => {
+  let payload = [{ index: 2, score: 0.98 }, { index: 0, score: 0.01 }, { index: 1, score: 0.3 }];
+  const calls = mockFetch(t, () => new Response(JSON.stringify(payload), { status: 200 }));
+
+  const tei = createCrossEncoderScorer({ url: 'http://localhost:8080/' });
+  assert.deepEqual(await tei.score('essay', candidates), [0.01, 0.3, 0.98]);
+  assert.equal(calls[0].url, 'http://localhost:8080/rerank');
+  assert.equal(calls[0].body.texts[1], 'W_HTH4C042R-2025.26 - Academic Research\nmodule-research text');
+
+  payload = { results: [{ index: 1, relevance_score: 0.7 }] };
+  const cohere = createCrossEncoderScorer({ url: 'https://api.cohere.com/v2', apiKey: 'key', model: 'rerank-v3.5' });
+  assert.deepEqual(await cohere.score('essay', candidates), [0, 0.7, 0]);
+  assert.deepEqual(Object.keys(calls[1].body), ['model', 'query', 'documents', 'top_n']);
+  assert.equal(calls[1].headers.Authorization, 'Bearer key');
+});
+
+test('rerankers are chosen from the environment', () => {
+  assert.equal(createRerankerFromEnv({}), null);
+  assert.equal(createRerankerFromEnv({ RERANKER: 'local', RERANK_TOKEN_BUDGET: '2000' }).tokenBudget, 2000);
+  assert.equal(createRerankerFromEnv({ RERANKER: 'llm' }, { chatProvider: createCannedChat() }).name, 'llm');
+  assert.throws(() => createRerankerFromEnv({ RERANKER: 'cross-encoder' }), /needs RERANKER_URL/);
+  assert.throws(() => createRerankerFromEnv({ RERANKER: 'local', RERANK_MIN_SCORE: 'high' }), /RERANK_MIN_SCORE must be a non-negative number/);
+  assert.throws(() => createRerankerFromEnv({ RERANKER: 'colbert' }), /Unknown RERANKER "colbert"/);
+});
+
+test('the chat pipeline keeps the reranked matches and reports their scores in sources', async () => {
+  const vectorStore = createLocalStore();
+  await vectorStore.upsert(candidates.map(({ id, metadata }) => ({ id, values: [1, 0], metadata })), { namespace: 'ucl-courses' });
+
+  const core = reranker => createRagCore({
+    embeddingProvider: { embed: async () => [1, 0] },
+    vectorStore,
+    chatProvider: createCannedChat(),
+    calendar: createAcademicCalendar(),
+    reranker,
+    logger: silent,
+    now: () => new Date('2025-11-05T10:00:00Z')
+  });
+
+  const judge = createReranker({
+    name: 'judge',
+    score: async (query, matches) => matches.map(m => (m.id === 'module-anatomy' ? 0 : 0.8)),
+    minScore: 0.5
+  });
+  const prepared = await core(judge).prepareChatContext('Tell me about Academic Research', [], 'ucl-courses');
+  assert.deepEqual(prepared.sources.map(source => source.metadata.module_code), ['W_HTH4C042R-2025.26', 'W_HTH4C042R-2025.26']);
+  assert.deepEqual(prepared.sources.map(source => source.rerank.score), [0.8, 0.8]);
+  assert.ok(prepared.timings.rerank >= 0);
+
+  // A failing reranker leaves the retrieved matches untouched
+  const failing = createReranker({ name: 'down', score: async () => { throw new Error('timeout'); } });
+  const fallback = await core(failing).prepareChatContext('Tell me about Academic Research', [], 'ucl-courses');
+  assert.equal(fallback.sources.length, 3);
+  assert.equal(fallback.sources[0].rerank, undefined);
+});
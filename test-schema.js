@@ -0,0 +1,102 @@
+/**
+ * Unit tests for course data validation (src/schema)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-schema.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDocuments, formatIssue } = require('./src/schema');
+
+const courseData = require('./uc-course-data.json');
+
+const course = {
+  id: 'course-fd-hap',
+  text: 'Course: Healthcare Assistant Practitioner\nCourse Code: FD-HAP-25/26',
+  metadata: { type: 'course_overview', course_code: 'FD-HAP-25/26', course_title: 'Healthcare Assistant Practitioner' }
+};
+const researchModule = {
+  id: 'module-research',
+  text: 'Module: Academic Research\nModule Code: W_HTH4C042R-2025.26\nModule Tutor: Shelley Sanderson\nYear: 1',
+  metadata: { type: 'module', module_code: 'W_HTH4C042R-2025.26', module_title: 'Academic Research', course_code: 'FD-HAP-25/26', tutor: 'Shelley Sanderson', year: '1' }
+};
+const assessment = {
+  id: 'assessment-research-essay',
+  text: 'Assessment: Essay (60%)\nModule Code: W_HTH4C042R-2025.26',
+  metadata: { type: 'assessment', module_code: 'W_HTH4C042R-2025.26', assessment_type: 'Essay', weight: '60%' }
+};
+
+const fields = issues => issues.map(issue => `${issue.id} ${issue.field}`);
+
+test('the bundled course data is valid', () => {
+  const result = validateDocuments(courseData);
+
+  assert.equal(result.valid, true, result.errors.map(formatIssue).join('\n'));
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(result.counts, { course_overview: 1, module: 1, assessment: 2 });
+});
+
+test('metadata is checked against the schema for its type', () => {
+  const result = validateDocuments([
+    course,
+    { ...researchModule, metadata: { ...researchModule.metadata, module_title: undefined, year: '5' } },
+    { ...assessment, metadata: { ...assessment.metadata, weight: '60' } },
+    { id: 'notes', text: '  ', metadata: { source: 'web-interface' } }
+  ]);
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(fields(result.errors), [
+    'module-research metadata.module_title',
+    'module-research metadata.year',
+    'assessment-research-essay metadata.weight',
+    'notes text'
+  ]);
+  assert.equal(formatIssue(result.errors[3]), 'notes (#4) text: must not be empty');
+  assert.deepEqual(result.counts, { course_overview: 1, module: 1, assessment: 1, untyped: 1 });
+});
+
+test('duplicate ids and empty uploads are rejected', () => {
+  const duplicate = validateDocuments([course, researchModule, { ...researchModule }]);
+  assert.equal(duplicate.valid, false);
+  assert.deepEqual(duplicate.errors.map(formatIssue), ['module-research (#3) id: duplicate id (also #2)']);
+
+  assert.equal(validateDocuments([]).valid, false);
+  assert.equal(validateDocuments([]).errors[0].message, 'no documents to index');
+});
+
+test('orphan assessments and modules without a course are warnings', () => {
+  const orphan = { ...assessment, id: 'assessment-orphan', text: 'Assessment: Report', metadata: { ...assessment.metadata, module_code: 'W_MISSING' } };
+  const lonely = { ...researchModule, id: 'module-lonely', text: 'Module: Lonely', metadata: { type: 'module', module_code: 'W_LONELY', module_title: 'Lonely' } };
+  const result = validateDocuments([researchModule, assessment, orphan, lonely]);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings.map(formatIssue), [
+    'module-research (#1) metadata.course_code: module without a course: no course overview "FD-HAP-25/26"',
+    'assessment-orphan (#3) metadata.module_code: orphan assessment: no module "W_MISSING"',
+    'module-lonely (#4) metadata.course_code: module has no course_code'
+  ]);
+
+  // Documents already in the namespace count, with codes matched like the catalogue does
+  const existing = [course.metadata, { type: 'module', module_code: '[w_missing]' }];
+  assert.deepEqual(fields(validateDocuments([researchModule, orphan], { existing }).warnings), []);
+});
+
+test('text that disagrees with the metadata is linted', () => {
+  const result = validateDocuments([
+    course,
+    {
+      ...researchModule,
+      text: 'Module: Academic Research\nModule Code: W_HTH4C042R-2025.26\nModule Tutor: Callum Lister\nCredits: 20',
+      metadata: { ...researchModule.metadata, module_code: '[W_HTH4C042R-2025.26]' }
+    }
+  ]);
+
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.warnings.map(issue => issue.message), [
+    'written with brackets - store it as "W_HTH4C042R-2025.26"',
+    '"Shelley Sanderson" but the text has "Module Tutor: Callum Lister"',
+    'missing, but the text has "Credits: 20"'
+  ]);
+});
@@ -0,0 +1,202 @@
+/**
+ * Unit tests for conversation sessions (src/sessions/)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-sessions.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createSessionStore,
+  createSessionManager,
+  createMemorySessionStore,
+  createKVSessionStore,
+  validateOwnerId,
+  normalizeTitle
+} = require('./src/sessions');
+
+const OWNER = 'client-0001';
+const OTHER_OWNER = 'client-0002';
+
+// Just enough of the Workers KV API for the session store
+function fakeKV() {
+  const entries = new Map();
+  return {
+    async get(key, type) {
+      if (!entries.has(key)) return null;
+      const { value } = entries.get(key);
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, { metadata } = {}) {
+      entries.set(key, { value, metadata });
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async list({ prefix }) {
+      const keys = [...entries.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([name, { metadata }]) => ({ name, metadata }));
+      return { keys, list_complete: true };
+    }
+  };
+}
+
+test('owner ids and titles are validated', () => {
+  assert.equal(validateOwnerId('abcd-1234_XYZ'), 'abcd-1234_XYZ');
+  assert.throws(() => validateOwnerId(undefined), error => error.status === 400);
+  assert.throws(() => validateOwnerId('short'), /X-Client-Id/);
+  assert.throws(() => validateOwnerId('has:colon:inside'), /X-Client-Id/);
+
+  assert.equal(normalizeTitle('  When is\nthe essay due? '), 'When is the essay due?');
+  assert.equal(normalizeTitle('x'.repeat(100)).length, 80);
+  assert.equal(normalizeTitle(null), '');
+});
+
+test('recordExchange stores turns, source ids and detected context', async () => {
+  const sessions = createSessionManager(createMemorySessionStore());
+  const created = await sessions.create(OWNER, { namespace: 'ucl-courses' });
+  assert.equal(created.title, 'New conversation');
+  assert.deepEqual(created.turns, []);
+
+  let session = await sessions.recordExchange(created, {
+    message: 'What are the FD year 1 deadlines?',
+    response: 'The essay is due in Week 8.',
+    sourceIds: ['assessment-essay-chunk-1', 'module-research'],
+    context: { course: 'FD', year: '1', module: null }
+  });
+  session = await sessions.recordExchange(session, {
+    message: 'And for research?',
+    response: 'Week 15.',
+    context: { course: null, module: 'research' }
+  });
+
+  const stored = await sessions.get(OWNER, created.id);
+  assert.equal(stored.title, 'What are the FD year 1 deadlines?');
+  assert.deepEqual(stored.turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant']);
+  assert.deepEqual(stored.turns[1].sources, ['assessment-essay-chunk-1', 'module-research']);
+  assert.deepEqual(stored.context, { course: 'FD', year: '1', module: 'research' });
+  assert.deepEqual(sessions.historyFor(stored, 2), [
+    { role: 'user', content: 'And for research?' },
+    { role: 'assistant', content: 'Week 15.' }
+  ]);
+});
+
+test('explicit and renamed titles are never replaced by the first question', async () => {
+  const sessions = createSessionManager(createMemorySessionStore());
+
+  const named = await sessions.create(OWNER, { title: 'Dissertation planning' });
+  await sessions.recordExchange(named, { message: 'Hello', response: 'Hi' });
+  assert.equal((await sessions.get(OWNER, named.id)).title, 'Dissertation planning');
+
+  const renamed = await sessions.rename(OWNER, (await sessions.create(OWNER)).id, 'Exam prep');
+  await sessions.recordExchange(renamed, { message: 'Hello', response: 'Hi' });
+  assert.equal((await sessions.get(OWNER, renamed.id)).title, 'Exam prep');
+
+  await assert.rejects(sessions.rename(OWNER, named.id, '   '), /title is required/);
+  assert.equal(await sessions.rename(OWNER, 'missing', 'Title'), null);
+});
+
+test('old turns are dropped beyond maxTurns', async () => {
+  const sessions = createSessionManager(createMemorySessionStore(), { maxTurns: 4 });
+  let session = await sessions.create(OWNER);
+  for (let i = 1; i <= 3; i++) {
+    session = await sessions.recordExchange(session, { message: `Q${i}`, response: `A${i}` });
+  }
+  assert.deepEqual(session.turns.map(turn => turn.content), ['Q2', 'A2', 'Q3', 'A3']);
+});
+
+test('sessions are listed newest first and scoped to their owner', async () => {
+  const sessions = createSessionManager(createMemorySessionStore());
+  const first = await sessions.create(OWNER, { title: 'First' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await sessions.create(OWNER, { title: 'Second' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await sessions.recordExchange(first, { message: 'Bump', response: 'Bumped' });
+
+  const listed = await sessions.list(OWNER);
+  assert.deepEqual(listed.map(session => session.title), ['First', 'Second']);
+  assert.equal(listed[0].turnCount, 2);
+  assert.equal(listed[0].turns, undefined);
+
+  assert.deepEqual(await sessions.list(OTHER_OWNER), []);
+  assert.equal(await sessions.get(OTHER_OWNER, first.id), null);
+  assert.equal(await sessions.remove(OTHER_OWNER, first.id), false);
+
+  assert.equal(await sessions.remove(OWNER, first.id), true);
+  assert.deepEqual((await sessions.list(OWNER)).map(session => session.title), ['Second']);
+  await assert.rejects(sessions.list(undefined), error => error.status === 400);
+});
+
+test('file store keeps a file per session and persists across restarts', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const env = { SESSION_STORE: 'file', SESSIONS_DIR: path.join(dir, 'sessions'), SESSIONS_PATH: path.join(dir, 'sessions.json') };
+
+  const before = createSessionManager(createSessionStore(env));
+  const session = await before.create(OWNER);
+  const other = await before.create(OTHER_OWNER);
+  await before.recordExchange(session, { message: 'Essay deadline?', response: 'Friday 14 November.' });
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'sessions', OWNER)), [`${session.id}.json`]);
+
+  const after = createSessionManager(createSessionStore(env));
+  assert.equal(after.backend, 'file');
+  const resumed = await after.get(OWNER, session.id);
+  assert.equal(resumed.title, 'Essay deadline?');
+  assert.equal(resumed.turns.length, 2);
+
+  await after.remove(OTHER_OWNER, other.id);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'sessions')), [OWNER]);
+
+  assert.equal(createSessionStore({ SESSION_STORE: 'memory' }).backend, 'memory');
+  assert.throws(() => createSessionStore({ SESSION_STORE: 'redis' }), /Unknown SESSION_STORE/);
+});
+
+test('file store moves sessions saved in the old single file into their own files', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracle-sessions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const legacy = createSessionManager(createMemorySessionStore());
+  const session = await legacy.create(OWNER, { title: 'From before' });
+  fs.writeFileSync(path.join(dir, 'sessions.json'), JSON.stringify({ sessions: { [OWNER]: { [session.id]: session } } }));
+
+  const env = { SESSION_STORE: 'file', SESSIONS_DIR: path.join(dir, 'sessions'), SESSIONS_PATH: path.join(dir, 'sessions.json') };
+  const sessions = createSessionManager(createSessionStore(env));
+  assert.equal((await sessions.get(OWNER, session.id)).title, 'From before');
+  assert.ok(fs.existsSync(path.join(dir, 'sessions', OWNER, `${session.id}.json`)));
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['sessions', 'sessions.json.migrated']);
+});
+
+test('an owner keeps at most maxSessions sessions, losing the least recently used', async () => {
+  const sessions = createSessionManager(createMemorySessionStore(), { maxSessions: 2 });
+  const first = await sessions.create(OWNER, { title: 'First' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await sessions.create(OWNER, { title: 'Second' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await sessions.recordExchange(first, { message: 'Still here?', response: 'Yes.' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await sessions.create(OWNER, { title: 'Third' });
+  await sessions.create(OTHER_OWNER, { title: 'Elsewhere' });
+
+  assert.deepEqual((await sessions.list(OWNER)).map(session => session.title), ['Third', 'First']);
+  assert.equal((await sessions.list(OTHER_OWNER)).length, 1);
+});
+
+test('KV store lists sessions from key metadata', async () => {
+  const kv = fakeKV();
+  const sessions = createSessionManager(createKVSessionStore(kv));
+  const session = await sessions.create(OWNER, { title: 'Placement questions' });
+  await sessions.create(OTHER_OWNER);
+
+  const listed = await sessions.list(OWNER);
+  assert.deepEqual(listed.map(summary => summary.title), ['Placement questions']);
+  assert.equal((await sessions.get(OWNER, session.id)).id, session.id);
+
+  assert.equal(await sessions.remove(OWNER, session.id), true);
+  assert.equal(await sessions.remove(OWNER, session.id), false);
+  assert.deepEqual(await sessions.list(OWNER), []);
+});
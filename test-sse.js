@@ -0,0 +1,98 @@
+/**
+ * Unit tests for the Server-Sent Events helpers (src/sse.js)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-sse.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatEvent, createEventParser, readEventStream } = require('./src/sse');
+
+// Feed chunks one at a time, then flush, collecting every event
+function parseChunks(chunks) {
+  const parser = createEventParser();
+  return chunks.flatMap(chunk => parser.feed(chunk)).concat(parser.flush());
+}
+
+// A fetch() Response whose body arrives in these byte chunks
+function streamedResponse(chunks) {
+  const encoder = new TextEncoder();
+  return new Response(new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(typeof chunk === 'string' ? encoder.encode(chunk) : chunk));
+      controller.close();
+    }
+  }));
+}
+
+async function collect(events) {
+  const collected = [];
+  for await (const event of events) collected.push(event);
+  return collected;
+}
+
+test('formatted events parse back, multi-line data included', () => {
+  const frames = formatEvent('token', { text: 'Hi' }) + formatEvent('done', 'line one\nline two');
+  assert.deepEqual(parseChunks([frames]), [
+    { event: 'token', data: '{"text":"Hi"}' },
+    { event: 'done', data: 'line one\nline two' }
+  ]);
+});
+
+test('events split across chunk boundaries wait for the blank line that ends them', () => {
+  const parser = createEventParser();
+  assert.deepEqual(parser.feed('event: tok'), []);
+  assert.deepEqual(parser.feed('en\ndata: {"text":'), []);
+  assert.deepEqual(parser.feed('"a"}\n'), []);
+  assert.deepEqual(parser.feed('\ndata: b\n\nda'), [
+    { event: 'token', data: '{"text":"a"}' },
+    { event: 'message', data: 'b' }
+  ]);
+  assert.deepEqual(parser.feed('ta: c\n\n'), [{ event: 'message', data: 'c' }]);
+  assert.deepEqual(parser.flush(), []);
+});
+
+test('CRLF line endings are accepted, even with the blank line split between chunks', () => {
+  assert.deepEqual(parseChunks(['data: one\r\n\r\nevent: done\r\ndata: two\r\n', '\r\n']), [
+    { event: 'message', data: 'one' },
+    { event: 'done', data: 'two' }
+  ]);
+  assert.deepEqual(parseChunks(['data: one\r\n\r', '\ndata: two\r\n\r\n']), [
+    { event: 'message', data: 'one' },
+    { event: 'message', data: 'two' }
+  ]);
+});
+
+test('data fields join with newlines, and only one leading space is dropped', () => {
+  assert.deepEqual(parseChunks(['data: first\ndata:second\ndata:  indented\n\n']), [
+    { event: 'message', data: 'first\nsecond\n indented' }
+  ]);
+});
+
+test('comment and keep-alive lines are ignored', () => {
+  assert.deepEqual(parseChunks([': keep-alive\n\n', ':\n\n', ': ping\ndata: kept\nid: 7\nretry: 1000\n\n']), [
+    { event: 'message', data: 'kept' }
+  ]);
+});
+
+test('a final event without a trailing blank line is returned by flush', () => {
+  const parser = createEventParser();
+  assert.deepEqual(parser.feed('data: whole\n\ndata: last'), [{ event: 'message', data: 'whole' }]);
+  assert.deepEqual(parser.flush(), [{ event: 'message', data: 'last' }]);
+  assert.deepEqual(parser.flush(), []);
+
+  assert.deepEqual(parseChunks(['event: done\r\ndata: end\r\n']), [{ event: 'done', data: 'end' }]);
+});
+
+test('readEventStream decodes a response body, characters split across chunks included', async () => {
+  const bytes = new TextEncoder().encode('data: {"text":"café ✓"}\n\n: keep-alive\n\ndata: last');
+  const split = bytes.indexOf(0xa9); // inside "é"
+  const events = await collect(readEventStream(streamedResponse([bytes.slice(0, split), bytes.slice(split)])));
+
+  assert.deepEqual(events, [
+    { event: 'message', data: '{"text":"café ✓"}' },
+    { event: 'message', data: 'last' }
+  ]);
+});
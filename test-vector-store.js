@@ -0,0 +1,195 @@
+/**
+ * Unit tests for the vector store (src/vector-store/)
+ *
+ * Usage:
+ *   npm test
+ *   node --test test-vector-store.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createVectorStore, createLocalStore, matchesFilter } = require('./src/vector-store');
+
+const records = [
+  { id: 'course', values: [1, 0, 0], metadata: { type: 'course_overview', course_code: 'FD-HAP' } },
+  { id: 'module', values: [0.9, 0.1, 0], metadata: { type: 'module', year: '1', course_code: ['FD-HAP', 'BA-SPORT'] } },
+  { id: 'essay', values: [0, 1, 0], metadata: { type: 'assessment', year: '1', weighting: 50 } },
+  { id: 'exam', values: [0, 0, 1], metadata: { type: 'assessment', year: '2', weighting: 100 } }
+];
+
+async function seededStore() {
+  const store = createLocalStore();
+  await store.upsert(records, { namespace: 'ucl-courses' });
+  return store;
+}
+
+test('matchesFilter supports Pinecone operators', () => {
+  const metadata = { type: 'assessment', year: '1', weighting: 50, tags: ['essay', 'coursework'] };
+
+  assert.equal(matchesFilter(metadata, {}), true);
+  assert.equal(matchesFilter(metadata, { type: 'assessment' }), true);
+  assert.equal(matchesFilter(metadata, { type: { $eq: 'module' } }), false);
+  assert.equal(matchesFilter(metadata, { type: { $ne: 'module' } }), true);
+  assert.equal(matchesFilter(metadata, { year: { $in: ['1', '2'] } }), true);
+  assert.equal(matchesFilter(metadata, { year: { $nin: ['1'] } }), false);
+  assert.equal(matchesFilter(metadata, { weighting: { $gte: 50, $lt: 60 } }), true);
+  assert.equal(matchesFilter(metadata, { deadline: { $exists: false } }), true);
+  assert.equal(matchesFilter(metadata, { tags: 'essay' }), true);
+  assert.equal(matchesFilter(metadata, { $and: [{ type: 'assessment' }, { year: '2' }] }), false);
+  assert.equal(matchesFilter(metadata, { $or: [{ type: 'module' }, { year: '1' }] }), true);
+
+  assert.throws(() => matchesFilter(metadata, { year: { $regex: '1' } }), /Unsupported filter operator/);
+  assert.throws(() => matchesFilter(metadata, { year: { $in: '1' } }), /expects an array/);
+});
+
+test('query ranks by cosine similarity and applies topK, minScore and filters', async () => {
+  const store = await seededStore();
+
+  const nearest = await store.query([1, 0, 0], { topK: 2, namespace: 'ucl-courses' });
+  assert.deepEqual(nearest.map(match => match.id), ['course', 'module']);
+  assert.equal(nearest[0].score, 1);
+  assert.equal(nearest[0].values, undefined);
+
+  const assessments = await store.query([1, 0, 0], {
+    namespace: 'ucl-courses',
+    filter: { $and: [{ type: { $in: ['assessment'] } }, { year: { $eq: '1' } }] }
+  });
+  assert.deepEqual(assessments.map(match => match.id), ['essay']);
+
+  const confident = await store.query([1, 0, 0], { namespace: 'ucl-courses', minScore: 0.5 });
+  assert.deepEqual(confident.map(match => match.id), ['course', 'module']);
+
+  assert.deepEqual(await store.query([1, 0, 0], { namespace: 'other' }), []);
+  await assert.rejects(store.query([1, 0], { namespace: 'ucl-courses' }), /dimension mismatch/);
+});
+
+test('fetch, list, delete and stats', async () => {
+  const store = await seededStore();
+
+  const fetched = await store.fetch(['exam', 'missing'], { namespace: 'ucl-courses' });
+  assert.deepEqual(fetched.map(record => record.id), ['exam']);
+  assert.deepEqual(fetched[0].values, [0, 0, 1]);
+
+  const listed = await store.list({ course_code: 'FD-HAP' }, { namespace: 'ucl-courses' });
+  assert.deepEqual(listed.map(record => record.id).sort(), ['course', 'module']);
+  assert.deepEqual((await store.list({}, { namespace: 'ucl-courses', prefix: 'mod' })).map(record => record.id), ['module']);
+
+  assert.deepEqual(await store.delete(['exam', 'missing'], { namespace: 'ucl-courses' }), { deletedCount: 1 });
+
+  const stats = await store.stats();
+  assert.equal(stats.backend, 'local');
+  assert.equal(stats.dimension, 3);
+  assert.equal(stats.totalRecordCount, 3);
+  assert.deepEqual(stats.namespaces, { 'ucl-courses': { recordCount: 3 } });
+
+  await store.deleteAll({ namespace: 'ucl-courses' });
+  assert.equal((await store.stats()).totalRecordCount, 0);
+});
+
+test('file-backed store persists across instances', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-store-'));
+  const filePath = path.join(dir, 'nested', 'store.json');
+
+  try {
+    const first = createVectorStore({ VECTOR_STORE: 'local', LOCAL_VECTOR_STORE_PATH: filePath });
+    await first.upsert(records, { namespace: 'ucl-courses' });
+    await first.upsert([{ ...records[0], metadata: { type: 'course_overview', updated: true } }], { namespace: 'ucl-courses' });
+
+    const second = createVectorStore({ VECTOR_STORE: 'local', LOCAL_VECTOR_STORE_PATH: filePath });
+    const [course] = await second.fetch(['course'], { namespace: 'ucl-courses' });
+    assert.equal(course.metadata.updated, true);
+    assert.equal((await second.stats()).totalRecordCount, 4);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Pinecone data plane over a stubbed fetch: records are { id, values, metadata }
+// listable marks a serverless index (pod-based ones answer /vectors/list with 400)
+function stubPinecone(pineconeRecords, { listable = true } = {}) {
+  const calls = [];
+  const json = body => ({ ok: true, status: 200, text: async () => JSON.stringify(body) });
+
+  const fetch = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    calls.push(pathname);
+
+    if (pathname === '/vectors/list') {
+      if (!listable) return { ok: false, status: 400, text: async () => 'List is not supported by pod-based indexes' };
+      const ids = pineconeRecords.map(({ id }) => id).filter(id => id.startsWith(searchParams.get('prefix') || ''));
+      const start = Number(searchParams.get('paginationToken') || 0);
+      const end = start + Number(searchParams.get('limit'));
+      return json({
+        vectors: ids.slice(start, end).map(id => ({ id })),
+        ...(end < ids.length ? { pagination: { next: String(end) } } : {})
+      });
+    }
+    if (pathname === '/vectors/fetch') {
+      const ids = searchParams.getAll('ids');
+      return json({ vectors: Object.fromEntries(pineconeRecords.filter(record => ids.includes(record.id)).map(record => [record.id, record])) });
+    }
+    if (pathname === '/describe_index_stats') {
+      return json({ dimension: 2, totalVectorCount: pineconeRecords.length, namespaces: {} });
+    }
+    if (pathname === '/query') {
+      // Every record scores below zero against the neutral vector
+      const { topK } = JSON.parse(init.body);
+      return json({ matches: pineconeRecords.slice(0, topK).map(({ id, metadata }) => ({ id, score: -0.5, metadata })) });
+    }
+    throw new Error(`Unexpected Pinecone call ${pathname}`);
+  };
+
+  return { fetch, calls };
+}
+
+async function withFetch(stub, run) {
+  const original = globalThis.fetch;
+  globalThis.fetch = stub.fetch;
+  try {
+    return await run(createVectorStore({ PINECONE_API_KEY: 'key', PINECONE_HOST: 'example.pinecone.io' }));
+  } finally {
+    globalThis.fetch = original;
+  }
+}
+
+const manyRecords = Array.from({ length: 1500 }, (_, i) => ({
+  id: `record-${i}`,
+  values: [-1, 0],
+  metadata: { type: i % 3 === 0 ? 'module' : 'assessment' }
+}));
+
+test('Pinecone list pages through every id instead of a capped similarity query', async () => {
+  const stub = stubPinecone(manyRecords);
+  await withFetch(stub, async store => {
+    assert.equal((await store.list({}, { namespace: 'ucl-courses' })).length, 1500);
+
+    const modules = await store.list({ type: 'module' }, { namespace: 'ucl-courses' });
+    assert.equal(modules.length, 500);
+    assert.deepEqual(modules[1], { id: 'record-3', metadata: { type: 'module' } });
+
+    assert.equal((await store.list({}, { namespace: 'ucl-courses', limit: 150 })).length, 150);
+    assert.equal((await store.list({}, { namespace: 'ucl-courses', prefix: 'record-14' })).length, 111);
+  });
+  assert.equal(stub.calls.includes('/query'), false);
+});
+
+test('Pinecone pod indexes list by query, keeping negative scores and refusing to truncate', async () => {
+  await withFetch(stubPinecone(manyRecords.slice(0, 10), { listable: false }), async store => {
+    const listed = await store.list({}, { namespace: 'ucl-courses' });
+    assert.equal(listed.length, 10);
+  });
+
+  await withFetch(stubPinecone(manyRecords, { listable: false }), async store => {
+    await assert.rejects(store.list({}, { namespace: 'ucl-courses' }), /more than 1000 matching records/);
+  });
+});
+
+test('createVectorStore selects the backend from the environment', () => {
+  assert.equal(createVectorStore({ VECTOR_STORE: 'memory' }).backend, 'local');
+  assert.equal(createVectorStore({ PINECONE_API_KEY: 'key', PINECONE_HOST: 'example.pinecone.io' }).backend, 'pinecone');
+  assert.throws(() => createVectorStore({ VECTOR_STORE: 'pinecone' }), /PINECONE_API_KEY/);
+  assert.throws(() => createVectorStore({ VECTOR_STORE: 'sqlite' }), /Unknown VECTOR_STORE/);
+});
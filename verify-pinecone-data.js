@@ -1,5 +1,5 @@
 require('dotenv').config();
-const { Pinecone } = require('@pinecone-database/pinecone');
+const { createVectorStore } = require('./src/vector-store');
 
 const colors = {
   green: '\x1b[32m',
@@ -11,18 +11,15 @@ const colors = {
 
 async function verifyData() {
   try {
-    console.log(`\n${colors.cyan}Checking Pinecone Index...${colors.reset}\n`);
+    const vectorStore = createVectorStore();
+    console.log(`\n${colors.cyan}Checking ${vectorStore.backend} vector store...${colors.reset}\n`);
 
-    const pinecone = new Pinecone({
-      apiKey: process.env.PINECONE_API_KEY
-    });
-
-    const index = pinecone.index(process.env.PINECONE_INDEX_NAME);
-    
     // Get index statistics
-    const stats = await index.describeIndexStats();
+    const stats = await vectorStore.stats();
     
-    console.log(`${colors.cyan}Index: ${process.env.PINECONE_INDEX_NAME}${colors.reset}`);
+    if (vectorStore.backend === 'pinecone') {
+      console.log(`${colors.cyan}Index: ${process.env.PINECONE_INDEX_NAME}${colors.reset}`);
+    }
     console.log(`${colors.cyan}Total Vectors: ${stats.totalRecordCount || 0}${colors.reset}`);
     console.log(`${colors.cyan}Dimension: ${stats.dimension}${colors.reset}\n`);
 
@@ -42,7 +39,7 @@ async function verifyData() {
         console.log(`${colors.yellow}⚠ Your chat needs to query the 'ucl-courses' namespace!${colors.reset}\n`);
       } else {
         console.log(`${colors.red}✗ 'ucl-courses' namespace not found${colors.reset}`);
-        console.log(`${colors.yellow}Run: npm run upload:direct${colors.reset}\n`);
+        console.log(`${colors.yellow}Run: npm run ingest${colors.reset}\n`);
       }
 
       // Check for default namespace
@@ -57,16 +54,12 @@ async function verifyData() {
     // Test query in ucl-courses namespace
     console.log(`${colors.cyan}Testing query in 'ucl-courses' namespace...${colors.reset}`);
     try {
-      const testVector = Array(1536).fill(0.1); // Dummy vector
-      const queryResult = await index.namespace('ucl-courses').query({
-        vector: testVector,
-        topK: 1,
-        includeMetadata: true
-      });
+      const testVector = Array(stats.dimension || 1536).fill(0.1); // Dummy vector
+      const matches = await vectorStore.query(testVector, { topK: 1, namespace: 'ucl-courses' });
 
-      if (queryResult.matches && queryResult.matches.length > 0) {
+      if (matches.length > 0) {
         console.log(`${colors.green}✓ Successfully queried 'ucl-courses' namespace${colors.reset}`);
-        console.log(`${colors.cyan}Sample document ID: ${queryResult.matches[0].id}${colors.reset}\n`);
+        console.log(`${colors.cyan}Sample document ID: ${matches[0].id}${colors.reset}\n`);
       } else {
         console.log(`${colors.yellow}⚠ Query returned no results (namespace might be empty)${colors.reset}\n`);
       }